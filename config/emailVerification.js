@@ -0,0 +1,30 @@
+// Which actions need a verified email address, per role.
+// Override with comma-separated lists, e.g. EMAIL_VERIFICATION_TEACHER=apply_job,send_message
+// ("none" turns verification requirements off for that role).
+const FEATURES = ['post_job', 'apply_job', 'send_message', 'create_post'];
+
+const DEFAULT_REQUIREMENTS = {
+  school: ['post_job'],
+  teacher: ['apply_job']
+};
+
+const parseList = (value, fallback) => {
+  if (value === undefined || value.trim() === '') return fallback;
+  if (value.trim() === 'none') return [];
+  if (value.trim() === 'all') return FEATURES;
+  return value.split(',').map(item => item.trim()).filter(item => FEATURES.includes(item));
+};
+
+const requirements = {
+  school: parseList(process.env.EMAIL_VERIFICATION_SCHOOL, DEFAULT_REQUIREMENTS.school),
+  teacher: parseList(process.env.EMAIL_VERIFICATION_TEACHER, DEFAULT_REQUIREMENTS.teacher)
+};
+
+// Does this role need a verified email for the feature?
+const isRequired = (role, feature) => (requirements[role] || []).includes(feature);
+
+module.exports = {
+  FEATURES,
+  requirements,
+  isRequired
+};
@@ -2,7 +2,7 @@ const User = require('../models/User');
 const School = require('../models/School');
 const Teacher = require('../models/Teacher');
 const Job = require('../models/Job');
-const Application = require('../models/Application');
+const JobApplication = require('../models/JobApplication');
 const Message = require('../models/Message');
 const TeacherSubscription = require('../models/TeacherSubscription');
 const Subscription = require('../models/Subscription');
@@ -18,7 +18,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   const totalTeachers = await Teacher.countDocuments();
   const totalJobs = await Job.countDocuments();
   const activeJobs = await Job.countDocuments({ isActive: true });
-  const totalApplications = await Application.countDocuments();
+  const totalApplications = await JobApplication.countDocuments();
 
   const recentUsers = await User.find()
     .sort({ createdAt: -1 })
@@ -281,21 +281,25 @@ const getAllApplications = asyncHandler(async (req, res) => {
   } = req.query;
 
   const query = {};
-  if (status) query.status = status;
+  if (status) query.status = JobApplication.normalizeStatus(status);
   if (job) query.job = job;
-  if (teacher) query.teacher = teacher;
+  if (teacher) {
+    // Accept a Teacher profile ID and resolve it to the applicant user
+    const teacherProfile = await Teacher.findById(teacher).select('user');
+    query.applicant = teacherProfile ? teacherProfile.user : teacher;
+  }
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const applications = await Application.find(query)
+  const applications = await JobApplication.find(query)
     .populate('job', 'title')
-    .populate('teacher', 'personalInfo.firstName personalInfo.lastName')
+    .populate('applicant', 'email')
     .populate('school', 'schoolName')
-    .sort({ applicationDate: -1 })
+    .sort({ appliedAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
-  const total = await Application.countDocuments(query);
+  const total = await JobApplication.countDocuments(query);
 
   res.json({
     success: true,
@@ -334,9 +338,9 @@ const getSystemAnalytics = asyncHandler(async (req, res) => {
   ]);
 
   // Applications over time
-  const applications = await Application.aggregate([
-    { $match: { applicationDate: { $gte: startDate } } },
-    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$applicationDate' } }, count: { $sum: 1 } } },
+  const applications = await JobApplication.aggregate([
+    { $match: { appliedAt: { $gte: startDate } } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$appliedAt' } }, count: { $sum: 1 } } },
     { $sort: { _id: 1 } }
   ]);
 
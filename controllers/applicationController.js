@@ -5,7 +5,8 @@ const JobAnalytics = require('../models/JobAnalytics');
 const School = require('../models/School');
 const Teacher = require('../models/Teacher');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
+const ApplicationStatusService = require('../services/applicationStatusService');
+const JobInviteService = require('../services/jobInviteService');
 const { getFileInfo } = require('../middleware/fileUpload');
 
 // @desc    Submit a job application
@@ -99,6 +100,10 @@ const submitApplication = asyncHandler(async (req, res) => {
 
     const application = await JobApplication.create(applicationData);
 
+    // Count the application towards the job's invite conversion if the teacher was invited
+    JobInviteService.recordApplication(application)
+      .catch(error => console.error('Failed to record invite conversion:', error.message));
+
     // Update analytics counts if present
     const analytics = await JobAnalytics.findOne({ job: job._id });
     if (analytics) {
@@ -123,6 +128,8 @@ const submitApplication = asyncHandler(async (req, res) => {
       console.log('Emitted application_submitted event for job:', job.title);
     }
 
+    await ApplicationStatusService.notifyNewApplication(application, io);
+
     return res.status(201).json({ success: true, message: 'Application submitted', data: application });
   } catch (err) {
     if (err && err.code === 11000) {
@@ -447,119 +454,88 @@ const getApplication = asyncHandler(async (req, res) => {
 
 // @desc    Update application status
 // @route   PUT /api/applications/:id/status
-// @access  Private (School)
+// @access  Private (School, Teacher for withdrawal, Admin)
 const updateApplicationStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, updatedBy } = req.body;
+  const { status, reason } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ success: false, message: 'Status is required' });
+  }
 
   const application = await JobApplication.findById(id);
   if (!application) {
     return res.status(404).json({ success: false, message: 'Application not found' });
   }
 
-  // Find the school associated with this user
-  const school = await School.findOne({ user: req.user.id });
-  if (!school) {
-    return res.status(404).json({ success: false, message: 'School profile not found' });
-  }
-
   // Check if user has permission to update this application
-  if (application.school.toString() !== school._id.toString()) {
-    return res.status(403).json({ success: false, message: 'Not authorized to update this application' });
+  if (req.user.role === 'school') {
+    const school = await School.findOne({ user: req.user.id });
+    if (!school) {
+      return res.status(404).json({ success: false, message: 'School profile not found' });
+    }
+    if (application.school.toString() !== school._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized to update this application' });
+    }
+  } else if (req.user.role === 'teacher') {
+    if (application.applicant.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Not authorized to update this application' });
+    }
   }
 
-  // Update status
-  application.status = status;
-  application.updatedAt = new Date();
-  application.updatedBy = updatedBy || 'school';
-  
-  await application.save();
-
-  // Emit stats update for home page if status is accepted/hired
-  if (global.io && (status === 'accepted' || status === 'hired')) {
-    const successfulHires = await JobApplication.countDocuments({ 
-      status: { $in: ['accepted', 'hired'] } 
+  if (JobApplication.normalizeStatus(status) === application.status) {
+    return res.json({
+      success: true,
+      message: 'Application status unchanged',
+      data: application
     });
-    global.io.emit('stats_updated', { successfulHires });
-    console.log('Emitted successful hires update:', successfulHires);
   }
 
-  // Create notification for teacher
-  let notificationTitle, notificationMessage, notificationType;
-  
-  if (status === 'shortlisted') {
-    notificationTitle = '🎉 Congratulations! You\'ve been shortlisted!';
-    notificationMessage = `Your application has been shortlisted by ${school.schoolName}. They are interested in your profile and may contact you soon.`;
-    notificationType = 'shortlist';
-  } else if (status === 'rejected') {
-    notificationTitle = 'Application Update';
-    notificationMessage = `Thank you for your interest. Unfortunately, your application was not selected by ${school.schoolName} this time. Keep applying to other opportunities!`;
-    notificationType = 'reject';
-  } else if (status === 'interview_scheduled' || status === 'interviewed') {
-    notificationTitle = '📅 Interview Scheduled!';
-    notificationMessage = `Great news! ${school.schoolName} has scheduled an interview with you. Check your email for details.`;
-    notificationType = 'interview';
-  } else if (status === 'accepted' || status === 'hired') {
-    notificationTitle = '🎊 Congratulations! You\'ve been hired!';
-    notificationMessage = `Excellent news! ${school.schoolName} has accepted your application. You\'ve been hired for the position!`;
-    notificationType = 'hired';
-  }
+  const updatedApplication = await ApplicationStatusService.changeStatus(application, status, {
+    user: req.user,
+    reason,
+    io: req.app.get('io')
+  });
 
-  // Create notification if it's a status that should notify the teacher
-  if (notificationTitle && notificationMessage) {
-    // Populate job data to get the actual job title
-    const populatedApplication = await JobApplication.findById(application._id)
-      .populate('job', 'title')
-      .populate('school', 'schoolName');
-    
-    const notification = await Notification.create({
-      user: application.applicant,
-      type: notificationType,
-      title: notificationTitle,
-      message: notificationMessage,
-      data: {
-        jobId: application.job.toString(),
-        schoolId: school._id.toString(),
-        applicationId: application._id.toString(),
-        schoolName: school.schoolName,
-        jobTitle: populatedApplication?.job?.title || 'Position'
-      }
-    });
+  res.json({ 
+    success: true, 
+    message: 'Application status updated successfully',
+    data: updatedApplication 
+  });
+});
 
-    // Emit real-time notification via Socket.IO with mobile popup support and push notifications
-    const io = req.app.get('io');
-    if (io) {
-      const { emitNotification } = require('../utils/notificationHelper');
-      
-      // Emit notification with platform-specific formatting (popup for mobile) and push notification
-      await emitNotification(io, application.applicant.toString(), {
-        _id: notification._id,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        data: notification.data,
-        isRead: notification.isRead,
-        createdAt: notification.createdAt,
-        user: application.applicant.toString()
-      }, { 
-        forcePopup: true, // Force popup for important status changes
-        sendPush: true    // Send push notification (works even when app is closed)
-      });
+// @desc    Get application status history
+// @route   GET /api/applications/:id/history
+// @access  Private (School, Teacher, Admin)
+const getApplicationHistory = asyncHandler(async (req, res) => {
+  const application = await JobApplication.findById(req.params.id)
+    .select('applicant school status statusHistory')
+    .populate('statusHistory.changedBy', 'email role');
 
-      // Also emit the legacy application status update event
-      io.to(`user_${application.applicant}`).emit('application_status_updated', {
-        applicationId: application._id,
-        status: status,
-        updatedAt: application.updatedAt,
-        updatedBy: application.updatedBy
-      });
-    }
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'Application not found' });
   }
 
-  res.json({ 
-    success: true, 
-    message: 'Application status updated successfully',
-    data: application 
+  const isAdmin = req.user.role === 'admin';
+  const isApplicant = application.applicant.toString() === req.user.id;
+  let isSchoolOwner = false;
+  if (req.user.role === 'school') {
+    const school = await School.findOne({ user: req.user.id });
+    isSchoolOwner = !!school && application.school.toString() === school._id.toString();
+  }
+
+  if (!isAdmin && !isApplicant && !isSchoolOwner) {
+    return res.status(403).json({ success: false, message: 'Not authorized to view this application' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      applicationId: application._id,
+      status: application.status,
+      allowedTransitions: JobApplication.allowedTransitions(application.status),
+      history: application.statusHistory
+    }
   });
 });
 
@@ -744,6 +720,10 @@ const createApplication = asyncHandler(async (req, res) => {
 
   await application.save();
 
+  // Count the application towards the job's invite conversion if the teacher was invited
+  JobInviteService.recordApplication(application)
+    .catch(error => console.error('Failed to record invite conversion:', error.message));
+
   // Populate the application with school and job details
   await application.populate([
     { path: 'school', select: 'schoolName user' },
@@ -792,10 +772,20 @@ const updateApplication = asyncHandler(async (req, res) => {
     });
   }
 
+  // Status changes go through the state machine, never a raw update
+  const { status, statusReason, statusHistory, ...fields } = updateData;
+  if (status && JobApplication.normalizeStatus(status) !== application.status) {
+    await ApplicationStatusService.changeStatus(application, status, {
+      user: req.user,
+      reason: statusReason,
+      io: req.app.get('io')
+    });
+  }
+
   // Update the application
   const updatedApplication = await JobApplication.findByIdAndUpdate(
     id,
-    updateData,
+    fields,
     { new: true, runValidators: true }
   ).populate([
     { path: 'school', select: 'schoolName user' },
@@ -819,6 +809,7 @@ module.exports = {
   getSchoolApplications,
   getApplication,
   updateApplicationStatus,
+  getApplicationHistory,
   updateApplication,
   getResumeFile,
   debugTeachers,
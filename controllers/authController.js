@@ -1,10 +1,19 @@
 const User = require('../models/User');
 const Teacher = require('../models/Teacher');
 const School = require('../models/School');
-const { generateToken } = require('../utils/generateToken');
+const SessionService = require('../services/sessionService');
+const EmailVerificationService = require('../services/emailVerificationService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+
+let notificationService;
+const getNotificationService = () => {
+  if (!notificationService) {
+    const NotificationService = require('../services/notificationService');
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -30,7 +39,8 @@ const register = asyncHandler(async (req, res) => {
     user = await User.create({
       email,
       password,
-      role
+      role,
+      emailVerified: false
     });
     console.log('User created successfully:', user._id);
   } catch (userError) {
@@ -107,8 +117,13 @@ const register = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate token
-  const token = generateToken({ id: user._id });
+  // Start a session for the new account
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  // A failed email shouldn't block sign-up; the user can ask for it again
+  EmailVerificationService.sendVerification(user).catch(error => {
+    console.error('Failed to send verification email:', error.message);
+  });
 
   // Emit real-time event for admin dashboard
   if (global.io) {
@@ -134,11 +149,13 @@ const register = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       email: user.email,
       role: user.role,
-      isVerified: user.isVerified
+      isVerified: user.isVerified,
+      emailVerified: EmailVerificationService.isVerified(user)
     }
   });
 });
@@ -186,17 +203,20 @@ const login = asyncHandler(async (req, res) => {
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate token
-  const token = generateToken({ id: user._id });
+  // Start a session for this device
+  const { token, refreshToken, session } = await SessionService.createSession(user, req);
 
   res.json({
     success: true,
     token,
+    refreshToken,
+    sessionId: session._id,
     user: {
       id: user._id,
       email: user.email,
       role: user.role,
-      isVerified: user.isVerified
+      isVerified: user.isVerified,
+      emailVerified: EmailVerificationService.isVerified(user)
     }
   });
 });
@@ -214,6 +234,7 @@ const getMe = asyncHandler(async (req, res) => {
       email: user.email,
       role: user.role,
       isVerified: user.isVerified,
+      emailVerified: EmailVerificationService.isVerified(user),
       lastLogin: user.lastLogin
     }
   });
@@ -227,11 +248,23 @@ const updateProfile = asyncHandler(async (req, res) => {
 
   const user = await User.findById(req.user.id);
 
-  if (email) user.email = email;
+  // A new address has to be verified again
+  const emailChanged = email && email !== user.email;
+  if (emailChanged) {
+    user.email = email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
   if (password) user.password = password;
 
   await user.save();
 
+  if (emailChanged) {
+    EmailVerificationService.sendVerification(user).catch(error => {
+      console.error('Failed to send verification email:', error.message);
+    });
+  }
+
   res.json({
     success: true,
     message: 'Profile updated successfully'
@@ -258,9 +291,19 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out other devices and every token issued before now; this device gets new tokens
+  await SessionService.revokeAll(user._id, {
+    exceptSessionId: req.sessionId,
+    reason: 'password_changed'
+  });
+  const { token, refreshToken, session } = await SessionService.reissue(user, req.sessionId, req);
+
   res.json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully',
+    token,
+    refreshToken,
+    sessionId: session._id
   });
 });
 
@@ -290,96 +333,18 @@ const forgotPassword = asyncHandler(async (req, res) => {
   const frontendBase = process.env.FRONTEND_URL || 'http://localhost:5173';
   const resetUrl = `${frontendBase}/reset-password/${resetToken}`;
 
-  // Send email (simplified for demo - in production use proper email service)
+  // Queued in the email outbox; the link isn't stored, so this process retries it from memory with backoff
   try {
-    // Check if email credentials are configured
-    const emailUser = process.env.EMAIL_USER || process.env.SMTP_USER;
-    const emailPass = process.env.EMAIL_PASS || process.env.SMTP_PASS;
-    const emailHost = process.env.EMAIL_HOST || process.env.SMTP_HOST || 'smtp.gmail.com';
-    const emailPort = process.env.EMAIL_PORT || process.env.SMTP_PORT || 587;
-
-    // Validate email configuration
-    if (!emailUser || !emailPass || 
-        emailUser === 'your_email@gmail.com' || 
-        emailPass === 'your_app_password' ||
-        emailUser.includes('your-email') ||
-        emailPass.includes('your-app-password')) {
-      console.error('Email configuration is missing or not set. Please configure EMAIL_USER and EMAIL_PASS in your .env file.');
-      console.error('For Gmail, you need to use an App Password. See: https://support.google.com/accounts/answer/185833');
-      // Still return success to prevent email enumeration, but log the issue
-      return res.json({
-        success: true,
-        message: 'Password reset email sent'
-      });
-    }
-
-    const transporter = nodemailer.createTransport({
-      host: emailHost,
-      port: parseInt(emailPort),
-      secure: emailPort === '465', // true for 465, false for other ports
-      auth: {
-        user: emailUser,
-        pass: emailPass
-      },
-      // Add connection timeout and retry options
-      connectionTimeout: 10000, // 10 seconds
-      greetingTimeout: 10000,
-      socketTimeout: 10000
-    });
-
-    // Verify transporter configuration
-    await transporter.verify();
-
-    const mailOptions = {
-      from: `"Teachers Link" <${emailUser}>`,
-      to: email,
-      subject: 'Password Reset Request - Teachers Link',
-      html: `
-        <h2>Password Reset Request</h2>
-        <p>You requested a password reset for your Teachers Link account.</p>
-        <p>Click the link below to reset your password:</p>
-        <a href="${resetUrl}" style="background: #0A66C2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px 0;">Reset Password</a>
-        <p>This link will expire in 10 minutes.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-        <hr>
-        <p style="color: #666; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`Password reset email sent successfully to: ${email}`);
-
-    res.json({
-      success: true,
-      message: 'Password reset email sent'
-    });
+    await getNotificationService().notifyPasswordReset(user, resetUrl, 10);
+    console.log(`📧 Password reset email queued for: ${email}`);
   } catch (error) {
-    console.error('Email sending failed:', error);
-    
-    // Provide more specific error information in logs
-    if (error.code === 'EAUTH') {
-      console.error('Authentication failed. Please check:');
-      console.error('1. EMAIL_USER and EMAIL_PASS are correctly set in .env');
-      console.error('2. For Gmail, you need to enable 2FA and use an App Password');
-      console.error('3. Make sure "Less secure app access" is enabled or use App Password');
-      console.error('See: https://support.google.com/accounts/answer/185833');
-    } else if (error.code === 'ECONNECTION' || error.code === 'ETIMEDOUT') {
-      console.error('Connection to email server failed. Check EMAIL_HOST and EMAIL_PORT.');
-    } else {
-      console.error('Email error details:', {
-        code: error.code,
-        command: error.command,
-        response: error.response,
-        responseCode: error.responseCode
-      });
-    }
-    
-    // Still return success to prevent email enumeration
-    res.json({
-      success: true,
-      message: 'Password reset email sent'
-    });
+    console.error('Failed to queue password reset email:', error.message);
   }
+
+  res.json({
+    success: true,
+    message: 'Password reset email sent'
+  });
 });
 
 // @desc    Validate reset token
@@ -426,12 +391,144 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.resetPasswordExpire = undefined;
   await user.save();
 
+  await SessionService.revokeAll(user._id, { reason: 'password_changed' });
+
   res.json({
     success: true,
     message: 'Password reset successfully'
   });
 });
 
+// @desc    Verify email address from the emailed link
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await EmailVerificationService.verify(req.params.token);
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    user: {
+      id: user._id,
+      email: user.email,
+      emailVerified: true
+    }
+  });
+});
+
+// @desc    Send the verification email again
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  try {
+    await EmailVerificationService.resend(req.user);
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+const refreshToken = asyncHandler(async (req, res) => {
+  const result = await SessionService.refresh(req.body.refreshToken, req);
+
+  res.json({
+    success: true,
+    token: result.token,
+    refreshToken: result.refreshToken,
+    sessionId: result.session._id
+  });
+});
+
+// @desc    Sign out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await SessionService.revoke(req.user._id, req.sessionId, 'logout');
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// @desc    List signed-in sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await SessionService.listSessions(req.user._id);
+
+  res.json({
+    success: true,
+    sessions: sessions.map(session => ({
+      ...session.toObject(),
+      current: req.sessionId ? session._id.toString() === req.sessionId : false
+    }))
+  });
+});
+
+// @desc    Sign out one session (e.g. a lost device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await SessionService.revoke(req.user._id, req.params.id, 'revoked');
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Session signed out'
+  });
+});
+
+// @desc    Log out everywhere (pass keepCurrent=true to stay signed in here)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const logoutAll = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true' && req.sessionId;
+
+  const revoked = await SessionService.revokeAll(req.user._id, {
+    exceptSessionId: keepCurrent ? req.sessionId : undefined,
+    reason: 'logout_all'
+  });
+
+  if (!keepCurrent) {
+    return res.json({
+      success: true,
+      message: 'Signed out everywhere',
+      revoked
+    });
+  }
+
+  // The current token was cut off with the rest
+  const { token, refreshToken, session } = await SessionService.reissue(req.user, req.sessionId, req);
+
+  res.json({
+    success: true,
+    message: 'Signed out of all other sessions',
+    revoked,
+    token,
+    refreshToken,
+    sessionId: session._id
+  });
+});
+
 module.exports = {
   register,
   login,
@@ -440,6 +537,13 @@ module.exports = {
   changePassword,
   forgotPassword,
   resetPassword,
-  validateResetToken
+  validateResetToken,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  logoutAll
 };
 
@@ -0,0 +1,97 @@
+const asyncHandler = require('express-async-handler');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('../services/invoiceService');
+
+// @desc    List the current user's invoices
+// @route   GET /api/billing/invoices
+// @access  Private (School, Teacher)
+const getInvoices = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const invoices = await Invoice.find({ user: req.user.id })
+    .sort({ issuedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Invoice.countDocuments({ user: req.user.id });
+
+  res.json({
+    success: true,
+    invoices,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Download an invoice as PDF
+// @route   GET /api/billing/invoices/:id/pdf
+// @access  Private (owner or Admin)
+const downloadInvoicePdf = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && invoice.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this invoice'
+    });
+  }
+
+  const filename = `Invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  InvoiceService.renderPdf(invoice, res);
+});
+
+// @desc    Export invoices for a date range as CSV
+// @route   GET /api/billing/invoices/export?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (Admin)
+const exportInvoices = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates (YYYY-MM-DD)'
+    });
+  }
+
+  const query = {};
+  if (fromDate || toDate) {
+    query.issuedAt = {};
+    if (fromDate) query.issuedAt.$gte = fromDate;
+    if (toDate) {
+      // Include the whole "to" day
+      toDate.setHours(23, 59, 59, 999);
+      query.issuedAt.$lte = toDate;
+    }
+  }
+
+  const invoices = await Invoice.find(query).sort({ issuedAt: 1, invoiceNumber: 1 });
+
+  const filename = `invoices_${from || 'start'}_${to || 'today'}.csv`;
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(InvoiceService.toCsv(invoices));
+});
+
+module.exports = {
+  getInvoices,
+  downloadInvoicePdf,
+  exportInvoices
+};
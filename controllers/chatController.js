@@ -1,145 +1,89 @@
 const mongoose = require('mongoose');
 const Message = require('../models/Message');
-const JobApplication = require('../models/JobApplication');
-const Teacher = require('../models/Teacher');
+const Conversation = require('../models/Conversation');
+const MessageService = require('../services/messageService');
+const ConversationService = require('../services/conversationService');
+const ChatAttachmentService = require('../services/chatAttachmentService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 
-// @desc    Send message
-// @route   POST /api/chat/messages
-// @access  Private
-const sendMessage = asyncHandler(async (req, res) => {
-  const { applicationId, message, messageType = 'text', attachments } = req.body;
-
-  console.log('Chat Controller - sendMessage called with:', {
-    applicationId,
-    message: message?.substring(0, 50) + '...',
-    messageType,
-    userId: req.user.id,
-    userRole: req.user.role
-  });
-
-  // Validate applicationId
-  if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
-    console.log('Chat Controller - Invalid applicationId:', applicationId);
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid application ID'
-    });
-  }
-
-  const application = await JobApplication.findById(applicationId)
-    .populate('job', 'title')
-    .populate('school', 'user')
-    .populate('applicant', 'email role');
-
-  console.log('Chat Controller - Found application:', {
-    applicationId,
-    hasApplication: !!application,
-    hasJob: !!application?.job,
-    hasSchool: !!application?.school,
-    hasApplicant: !!application?.applicant,
-    schoolUserId: application?.school?.user,
-    applicantId: application?.applicant?._id
-  });
-
-  if (!application) {
-    console.log('Chat Controller - Application not found:', applicationId);
-    return res.status(404).json({
-      success: false,
-      message: 'Application not found'
-    });
-  }
-
-  // Check if user is part of this application
-  const isTeacher = application.applicant._id.toString() === req.user.id;
-  const isSchool = application.school.user.toString() === req.user.id;
-
-  console.log('Chat Controller - Authorization check:', {
-    isTeacher,
-    isSchool,
-    applicantId: application.applicant._id.toString(),
-    schoolUserId: application.school.user.toString(),
-    currentUserId: req.user.id
-  });
-
-  if (!isTeacher && !isSchool) {
-    console.log('Chat Controller - Authorization failed');
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to send message for this application'
-    });
-  }
-
-  const receiverId = isTeacher ? application.school.user : application.applicant._id;
-
-  console.log('Chat Controller - Creating message with:', {
-    sender: req.user.id,
-    receiver: receiverId,
-    application: applicationId,
-    message: message?.substring(0, 50) + '...',
-    messageType
-  });
-
-  const newMessage = await Message.create({
-    sender: req.user.id,
-    receiver: receiverId,
-    application: applicationId,
-    message,
-    messageType,
-    attachments
-  });
-
-  console.log('Chat Controller - Message created successfully:', newMessage._id);
+const CONVERSATION_TYPES = Conversation.schema.path('type').enumValues;
 
+// Push a new message to its recipients: socket events, notification, push and receipts
+const announceMessage = async (req, conversation, application, newMessage) => {
   // Emit real-time notification via Socket.IO with mobile popup support
   const io = req.app.get('io');
-  if (io) {
-    // Emit message notification (keeps existing format for compatibility)
+  if (!io) return;
+
+  const threadApplicationId = application ? application._id : undefined;
+  const recipients = MessageService.recipientsOf(newMessage);
+  const summary = {
+    _id: newMessage._id,
+    sender: req.user.id,
+    receiver: newMessage.receiver,
+    recipients: newMessage.receiver ? undefined : newMessage.recipients,
+    application: threadApplicationId,
+    conversation: conversation._id,
+    message: newMessage.message,
+    messageType: newMessage.messageType,
+    attachments: MessageService.serialize(newMessage).attachments,
+    isRead: newMessage.isRead,
+    status: MessageService.getStatus(newMessage),
+    createdAt: newMessage.createdAt
+  };
+  const preview = newMessage.message || ChatAttachmentService.describe(newMessage.attachments);
+
+  // Emit message notification (keeps existing format for compatibility)
+  recipients.forEach(receiverId => {
     io.to(`user:${receiverId}`).emit('new_message', {
       type: 'new_message',
-      message: {
-        _id: newMessage._id,
-        sender: req.user.id,
-        receiver: receiverId,
-        application: applicationId,
-        message: newMessage.message,
-        messageType: newMessage.messageType,
-        isRead: newMessage.isRead,
-        createdAt: newMessage.createdAt
-      },
-      applicationId: applicationId,
+      message: summary,
+      applicationId: threadApplicationId,
+      conversationId: conversation._id,
       senderId: req.user.id,
-      receiverId: receiverId,
+      receiverId,
       timestamp: new Date().toISOString()
     });
+  });
+
+  // Also send as notification with popup support for mobile
+  const { emitNotification } = require('../utils/notificationHelper');
+  const Notification = require('../models/Notification');
 
-    // Also send as notification with popup support for mobile
-    const { emitNotification } = require('../utils/notificationHelper');
-    const Notification = require('../models/Notification');
-    const Application = require('../models/JobApplication');
-    
-    try {
-      // Get application details for notification
-      const application = await Application.findById(applicationId)
-        .populate('job', 'title')
-        .populate('school', 'schoolName');
-      
-      const senderName = req.user.role === 'school' 
-        ? (application?.school?.schoolName || 'School')
+  try {
+    let senderName;
+    let data;
+    if (application) {
+      senderName = req.user.role === 'school'
+        ? (application.school?.schoolName || 'School')
         : 'Teacher';
-      
+      data = {
+        applicationId: threadApplicationId,
+        conversationId: conversation._id,
+        senderId: req.user.id,
+        jobTitle: application.job?.title || 'Position',
+        schoolName: application.school?.schoolName || 'School'
+      };
+    } else {
+      const profiles = await ConversationService.getProfiles([req.user.id]);
+      senderName = profiles[req.user.id]?.name || 'TeachersLink user';
+      data = {
+        conversationId: conversation._id,
+        senderId: req.user.id
+      };
+    }
+
+    const title = conversation.type === 'group' && conversation.title
+      ? `💬 ${senderName} in ${conversation.title}`
+      : `💬 New message from ${senderName}`;
+
+    for (const receiverId of recipients) {
       // Create notification for new message
       const notification = await Notification.create({
         user: receiverId,
         type: 'message',
-        title: `💬 New message from ${senderName}`,
-        message: newMessage.message.substring(0, 100) + (newMessage.message.length > 100 ? '...' : ''),
-        data: {
-          applicationId: applicationId,
-          senderId: req.user.id,
-          jobTitle: application?.job?.title || 'Position',
-          schoolName: application?.school?.schoolName || 'School'
-        }
+        title,
+        message: preview.substring(0, 100) + (preview.length > 100 ? '...' : ''),
+        data
       });
 
       // Emit notification with popup for mobile and push notification
@@ -152,312 +96,271 @@ const sendMessage = asyncHandler(async (req, res) => {
         isRead: notification.isRead,
         createdAt: notification.createdAt,
         user: receiverId
-      }, { 
+      }, {
         forcePopup: true, // Force popup for messages on mobile
         sendPush: true    // Send push notification (works even when app is closed)
       });
-    } catch (notifError) {
-      console.error('Error creating message notification:', notifError);
-      // Continue even if notification creation fails
     }
+  } catch (notifError) {
+    console.error('Error creating message notification:', notifError);
+    // Continue even if notification creation fails
+  }
 
-    // Also emit to the sender for real-time updates
-    io.to(`user:${req.user.id}`).emit('message_sent', {
-      type: 'message_sent',
-      message: {
-        _id: newMessage._id,
-        sender: req.user.id,
-        receiver: receiverId,
-        application: applicationId,
-        message: newMessage.message,
-        messageType: newMessage.messageType,
-        isRead: newMessage.isRead,
-        createdAt: newMessage.createdAt
-      },
-      applicationId: applicationId,
-      timestamp: new Date().toISOString()
+  // Also emit to the sender for real-time updates
+  io.to(`user:${req.user.id}`).emit('message_sent', {
+    type: 'message_sent',
+    message: summary,
+    applicationId: threadApplicationId,
+    conversationId: conversation._id,
+    timestamp: new Date().toISOString()
+  });
+
+  // Recipients have the app or website open: tick it as delivered
+  const deliveredAt = await MessageService.deliverIfOnline(io, newMessage);
+  if (deliveredAt) newMessage.deliveredAt = deliveredAt;
+};
+
+// @desc    Send message to an application chat or a conversation
+// @route   POST /api/chat/messages (body: applicationId or conversationId)
+// @route   POST /api/chat/conversations/:conversationId/messages
+// @access  Private
+const sendMessage = asyncHandler(async (req, res) => {
+  const { applicationId, message, messageType = 'text', attachments } = req.body;
+  const conversationRef = req.params.conversationId || req.body.conversationId || applicationId;
+
+  if (!conversationRef || !mongoose.Types.ObjectId.isValid(conversationRef)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid conversation ID'
+    });
+  }
+
+  // Files only reach chat through the attachment upload, which applies the file policy
+  if ((Array.isArray(attachments) && attachments.length > 0) || ['file', 'image'].includes(messageType)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Send files with POST /api/chat/conversations/:conversationId/attachments'
     });
   }
 
+  const { conversation, application } = await ConversationService.resolve(conversationRef, req.user.id);
+  const newMessage = await ConversationService.send(conversation, req.user._id, {
+    message,
+    messageType
+  });
+
+  console.log(`Chat Controller - Message ${newMessage._id} sent in ${conversation.type} conversation ${conversation._id}`);
+
+  await announceMessage(req, conversation, application, newMessage);
+
   res.status(201).json({
     success: true,
     message: 'Message sent successfully',
-    newMessage
+    newMessage: MessageService.serialize(newMessage),
+    conversationId: conversation._id
   });
 });
 
-// @desc    Get messages for application
-// @route   GET /api/chat/messages/:applicationId
+// @desc    Send images or documents (multipart "files", optional "message" caption)
+// @route   POST /api/chat/conversations/:conversationId/attachments
 // @access  Private
-const getMessages = asyncHandler(async (req, res) => {
-  const { applicationId } = req.params;
-  const { page = 1, limit = 50 } = req.query;
+const sendAttachments = asyncHandler(async (req, res) => {
+  const { conversation, application } = await ConversationService.resolve(req.params.conversationId, req.user.id);
+
+  const attachments = await ChatAttachmentService.uploadAll(req.files, conversation._id);
+  const caption = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+  let newMessage;
+  try {
+    newMessage = await ConversationService.send(conversation, req.user._id, {
+      message: caption,
+      messageType: attachments.every(attachment => attachment.kind === 'image') ? 'image' : 'file',
+      attachments
+    });
+  } catch (error) {
+    await ChatAttachmentService.destroy(attachments);
+    throw error;
+  }
 
-  console.log('Chat Controller - getMessages called with:', {
-    applicationId,
-    userId: req.user.id,
-    userRole: req.user.role
-  });
+  console.log(`📎 ${attachments.length} attachment(s) sent in ${conversation.type} conversation ${conversation._id}`);
 
-  const application = await JobApplication.findById(applicationId)
-    .populate('job', 'title')
-    .populate('school', 'user')
-    .populate('applicant', 'email role');
+  await announceMessage(req, conversation, application, newMessage);
 
-  console.log('Chat Controller - Found application for messages:', {
-    hasApplication: !!application,
-    hasJob: !!application?.job,
-    hasSchool: !!application?.school,
-    hasApplicant: !!application?.applicant
+  res.status(201).json({
+    success: true,
+    message: 'Attachments sent successfully',
+    newMessage: MessageService.serialize(newMessage),
+    conversationId: conversation._id
   });
+});
 
-  if (!application) {
-    return res.status(404).json({
-      success: false,
-      message: 'Application not found'
-    });
-  }
-
-  // Check if user is part of this application
-  const isTeacher = application.applicant._id.toString() === req.user.id;
-  const isSchool = application.school.user.toString() === req.user.id;
+// @desc    Get a fresh, expiring download link for an attachment
+// @route   GET /api/chat/messages/:messageId/attachments/:attachmentId
+// @access  Private
+const getAttachment = asyncHandler(async (req, res) => {
+  const attachment = await MessageService.getAttachment(req.params.messageId, req.params.attachmentId, req.user._id);
 
-  console.log('Chat Controller - Authorization check for messages:', {
-    isTeacher,
-    isSchool,
-    applicantId: application.applicant._id.toString(),
-    schoolUserId: application.school.user.toString(),
-    currentUserId: req.user.id
+  res.json({
+    success: true,
+    attachment
   });
+});
 
-  if (!isTeacher && !isSchool) {
-    console.log('Chat Controller - Authorization failed for messages');
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to view messages for this application'
-    });
-  }
-
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+// @desc    Get messages for an application chat or conversation (cursor paginated, newest page first)
+// @route   GET /api/chat/messages/:applicationId?before=<messageId>&after=<messageId>&limit=50
+// @route   GET /api/chat/conversations/:conversationId/messages
+// @access  Private
+const getMessages = asyncHandler(async (req, res) => {
+  const { before, after, limit } = req.query;
 
-  console.log('Chat Controller - Querying messages for application:', applicationId);
+  const { conversation } = await ConversationService.resolve(
+    req.params.conversationId || req.params.applicationId,
+    req.user.id
+  );
+  const filter = ConversationService.messageFilter(conversation);
 
-  const messages = await Message.find({
-    application: applicationId,
-    isDeleted: false
-  })
-    .populate('sender', 'email role')
-    .populate('receiver', 'email role')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+  const { messages, hasMore, nextCursor } = await MessageService.getHistory(filter, req.user._id, {
+    before,
+    after,
+    limit
+  });
 
-  // Get teacher names for senders and receivers
-  const teacherNames = {};
+  // Get display names for senders and receivers
   const userIds = [...new Set([
     ...messages.map(msg => msg.sender?._id?.toString()).filter(Boolean),
     ...messages.map(msg => msg.receiver?._id?.toString()).filter(Boolean)
   ])];
+  const profiles = await ConversationService.getProfiles(userIds);
 
-  if (userIds.length > 0) {
-    const teachers = await Teacher.find({ 
-      user: { $in: userIds } 
-    }).select('user personalInfo.firstName personalInfo.lastName');
-    
-    teachers.forEach(teacher => {
-      const userId = teacher.user.toString();
-      const firstName = teacher.personalInfo?.firstName || '';
-      const lastName = teacher.personalInfo?.lastName || '';
-      teacherNames[userId] = `${firstName} ${lastName}`.trim() || 'Teacher';
+  const withName = (user) => {
+    const profile = profiles[user._id.toString()];
+    return {
+      ...user.toObject(),
+      name: profile?.name,
+      teacherName: (profile?.role === 'teacher' && profile.name) || (user.role === 'teacher' ? 'Teacher' : 'School')
+    };
+  };
+
+  // Add names to messages
+  const messagesWithNames = messages.map(message => ({
+    ...MessageService.serialize(message),
+    sender: message.sender ? withName(message.sender) : message.sender,
+    receiver: message.receiver ? withName(message.receiver) : undefined
+  }));
+
+  // Opening the latest page of a conversation reads it; older pages don't
+  if (!before) {
+    const receipts = await MessageService.markRead(filter, req.user._id);
+    MessageService.emitReceipts(req.app.get('io'), 'messages_read', receipts, req.user._id);
+  }
+
+  res.json({
+    success: true,
+    conversationId: conversation._id,
+    messages: messagesWithNames,
+    pagination: {
+      limit: Math.min(parseInt(limit) || 50, 100),
+      hasMore,
+      nextCursor
+    }
+  });
+});
+
+// @desc    Get user's inbox: application chats, direct and group conversations
+// @route   GET /api/chat/conversations?type=application|direct|group
+// @access  Private
+const getConversations = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+
+  if (type && !CONVERSATION_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `type must be one of ${CONVERSATION_TYPES.join(', ')}`
     });
   }
 
-  // Add teacher names to messages
-  const messagesWithNames = messages.map(message => {
-    const senderId = message.sender?._id?.toString();
-    const receiverId = message.receiver?._id?.toString();
-    
-    return {
-      ...message.toObject(),
-      sender: {
-        ...message.sender?.toObject(),
-        teacherName: teacherNames[senderId] || (message.sender?.role === 'teacher' ? 'Teacher' : 'School')
-      },
-      receiver: {
-        ...message.receiver?.toObject(),
-        teacherName: teacherNames[receiverId] || (message.receiver?.role === 'teacher' ? 'Teacher' : 'School')
-      }
-    };
+  const conversations = await ConversationService.getInbox(req.user, { type });
+
+  res.json({
+    success: true,
+    conversations
   });
+});
+
+// @desc    Start a direct (one participant) or group (several participants) conversation
+// @route   POST /api/chat/conversations
+// @access  Private
+const createConversation = asyncHandler(async (req, res) => {
+  const { participantIds, title } = req.body;
+
+  let result;
+  try {
+    result = await ConversationService.create(req.user, { participantIds, title });
+  } catch (error) {
+    if (!error.requiresUpgrade) throw error;
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+      requiresUpgrade: true,
+      entitlement: error.entitlement
+    });
+  }
 
-  console.log('Chat Controller - Found messages:', messagesWithNames.length);
-
-  // Mark messages as read
-  await Message.updateMany(
-    {
-      application: applicationId,
-      receiver: req.user.id,
-      isRead: false
-    },
-    {
-      isRead: true,
-      readAt: new Date()
+  const { conversation, created } = result;
+  const profiles = await ConversationService.getProfiles(conversation.participants);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Conversation started' : 'Conversation already exists',
+    conversation: {
+      ...conversation.toObject(),
+      participants: conversation.participants.map(id => profiles[id.toString()]).filter(Boolean)
     }
-  );
+  });
+});
+
+// @desc    Get a conversation with its participants
+// @route   GET /api/chat/conversations/:conversationId
+// @access  Private
+const getConversation = asyncHandler(async (req, res) => {
+  const { conversation } = await ConversationService.resolve(req.params.conversationId, req.user.id);
+  const profiles = await ConversationService.getProfiles(conversation.participants);
 
-  console.log('Chat Controller - Returning messages successfully');
+  const data = conversation.toObject();
+  delete data.hiddenFor;
 
   res.json({
     success: true,
-    messages: messagesWithNames.reverse() // Return in chronological order
+    conversation: {
+      ...data,
+      participants: conversation.participants.map(id => profiles[id.toString()]).filter(Boolean)
+    }
   });
 });
 
-// @desc    Get user's conversations
-// @route   GET /api/chat/conversations
+// @desc    Leave a group conversation
+// @route   POST /api/chat/conversations/:conversationId/leave
 // @access  Private
-const getConversations = asyncHandler(async (req, res) => {
-  console.log('Chat Controller - getConversations called for user:', req.user.id);
-  
-  const conversations = await Message.aggregate([
-    {
-      $match: {
-        $or: [
-          { sender: req.user._id },
-          { receiver: req.user._id }
-        ],
-        isDeleted: false
-      }
-    },
-    {
-      $lookup: {
-        from: 'jobapplications',
-        localField: 'application',
-        foreignField: '_id',
-        as: 'application'
-      }
-    },
-    {
-      $unwind: '$application'
-    },
-    {
-      $lookup: {
-        from: 'jobs',
-        localField: 'application.job',
-        foreignField: '_id',
-        as: 'job'
-      }
-    },
-    {
-      $unwind: {
-        path: '$job',
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $lookup: {
-        from: 'schools',
-        localField: 'application.school',
-        foreignField: '_id',
-        as: 'school'
-      }
-    },
-    {
-      $unwind: {
-        path: '$school',
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $lookup: {
-        from: 'users',
-        localField: 'application.applicant',
-        foreignField: '_id',
-        as: 'applicant'
-      }
-    },
-    {
-      $unwind: '$applicant'
-    },
-    {
-      $lookup: {
-        from: 'teachers',
-        localField: 'applicant._id',
-        foreignField: 'user',
-        as: 'teacherProfile'
-      }
-    },
-    {
-      $unwind: {
-        path: '$teacherProfile',
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $group: {
-        _id: '$application._id',
-        applicationId: { $first: '$application._id' },
-        jobTitle: { 
-          $first: {
-            $ifNull: ['$job.title', 'Position Not Specified']
-          }
-        },
-        schoolName: { $first: '$school.schoolName' },
-        teacherName: {
-          $first: {
-            $ifNull: [
-              {
-                $concat: [
-                  { $ifNull: ['$teacherProfile.personalInfo.firstName', ''] },
-                  ' ',
-                  { $ifNull: ['$teacherProfile.personalInfo.lastName', ''] }
-                ]
-              },
-              'Teacher'
-            ]
-          }
-        },
-        lastMessage: { $last: '$message' },
-        lastMessageTime: { $last: '$createdAt' },
-        unreadCount: {
-          $sum: {
-            $cond: [
-              { $and: [{ $eq: ['$receiver', req.user._id] }, { $eq: ['$isRead', false] }] },
-              1,
-              0
-            ]
-          }
-        }
-      }
-    },
-    {
-      $sort: { lastMessageTime: -1 }
-    }
-  ]);
-
-  console.log('Chat Controller - Found conversations:', conversations.length);
-  console.log('Chat Controller - Conversations data:', conversations);
-  
-  // Debug conversations data
-  conversations.forEach((conv, index) => {
-    console.log(`Conversation ${index}:`, {
-      applicationId: conv.applicationId,
-      jobTitle: conv.jobTitle,
-      teacherName: conv.teacherName,
-      schoolName: conv.schoolName,
-      schoolNameType: typeof conv.schoolName,
-      schoolNameNull: conv.schoolName === null,
-      schoolNameUndefined: conv.schoolName === undefined
+const leaveConversation = asyncHandler(async (req, res) => {
+  const { conversation } = await ConversationService.resolve(req.params.conversationId, req.user.id);
+  const updated = await ConversationService.leave(conversation, req.user._id);
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`conversation_${conversation._id}`).emit('participant_left', {
+      conversationId: conversation._id.toString(),
+      userId: req.user.id,
+      participants: updated ? updated.participants : []
     });
-  });
+  }
 
   res.json({
     success: true,
-    conversations
+    message: 'You left the conversation'
   });
 });
 
-// @desc    Mark message as read
+// @desc    Mark message (and everything before it in the conversation) as read
 // @route   PUT /api/chat/messages/:messageId/read
 // @access  Private
 const markMessageAsRead = asyncHandler(async (req, res) => {
@@ -470,16 +373,15 @@ const markMessageAsRead = asyncHandler(async (req, res) => {
     });
   }
 
-  if (message.receiver.toString() !== req.user.id) {
+  if (!MessageService.recipientsOf(message).some(id => id.toString() === req.user.id)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to mark this message as read'
     });
   }
 
-  message.isRead = true;
-  message.readAt = new Date();
-  await message.save();
+  const receipts = await MessageService.markRead(MessageService.scopeOf(message), req.user._id, message._id);
+  MessageService.emitReceipts(req.app.get('io'), 'messages_read', receipts, req.user._id);
 
   res.json({
     success: true,
@@ -487,33 +389,65 @@ const markMessageAsRead = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Delete message
+// @desc    Mark all messages in a conversation as read
+// @route   PUT /api/chat/conversations/:conversationId/read (conversation or application ID)
+// @access  Private
+const markConversationAsRead = asyncHandler(async (req, res) => {
+  const { conversation } = await ConversationService.resolve(req.params.conversationId, req.user.id);
+
+  const receipts = await MessageService.markRead(ConversationService.messageFilter(conversation), req.user._id);
+  MessageService.emitReceipts(req.app.get('io'), 'messages_read', receipts, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Conversation marked as read',
+    count: receipts.reduce((sum, receipt) => sum + receipt.messageIds.length, 0)
+  });
+});
+
+// @desc    Edit a text message (sender only, within the edit window)
+// @route   PUT /api/chat/messages/:messageId
+// @access  Private
+const editMessage = asyncHandler(async (req, res) => {
+  const message = await MessageService.edit(req.params.messageId, req.user._id, req.body.message);
+  const data = MessageService.serialize(message);
+
+  MessageService.emitToThread(req.app.get('io'), 'message_edited', message, { message: data });
+
+  res.json({
+    success: true,
+    message: 'Message edited successfully',
+    data
+  });
+});
+
+// @desc    Delete message for yourself (?scope=me) or, as the sender, for everyone (default)
 // @route   DELETE /api/chat/messages/:messageId
 // @access  Private
 const deleteMessage = asyncHandler(async (req, res) => {
-  const message = await Message.findById(req.params.messageId);
-
-  if (!message) {
-    return res.status(404).json({
-      success: false,
-      message: 'Message not found'
-    });
-  }
+  const scope = req.query.scope || req.body?.scope || 'everyone';
+  const { message } = await MessageService.remove(req.params.messageId, req.user._id, scope);
 
-  if (message.sender.toString() !== req.user.id) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to delete this message'
-    });
+  const io = req.app.get('io');
+  if (io) {
+    const payload = {
+      messageId: message._id.toString(),
+      scope
+    };
+    if (scope === 'everyone') {
+      MessageService.emitToThread(io, 'message_deleted', message, payload);
+    } else {
+      io.to(`user:${req.user.id}`).emit('message_deleted', {
+        applicationId: message.application ? message.application.toString() : undefined,
+        conversationId: message.conversation ? message.conversation.toString() : undefined,
+        ...payload
+      });
+    }
   }
 
-  message.isDeleted = true;
-  message.deletedAt = new Date();
-  await message.save();
-
   res.json({
     success: true,
-    message: 'Message deleted successfully'
+    message: scope === 'me' ? 'Message deleted for you' : 'Message deleted successfully'
   });
 });
 
@@ -522,9 +456,9 @@ const deleteMessage = asyncHandler(async (req, res) => {
 // @access  Private
 const getUnreadCount = asyncHandler(async (req, res) => {
   const count = await Message.countDocuments({
-    receiver: req.user.id,
-    isRead: false,
-    isDeleted: false
+    ...MessageService.unreadQuery(req.user._id),
+    isDeleted: false,
+    deletedFor: { $ne: req.user._id }
   });
 
   res.json({
@@ -534,52 +468,33 @@ const getUnreadCount = asyncHandler(async (req, res) => {
 });
 
 // @desc    Delete conversation
-// @route   DELETE /api/chat/conversations/:applicationId
+// Application chats are deleted for both sides; direct and group conversations
+// are only hidden (with their history) for the current user.
+// @route   DELETE /api/chat/conversations/:conversationId (conversation or application ID)
 // @access  Private
 const deleteConversation = asyncHandler(async (req, res) => {
-  const { applicationId } = req.params;
+  const { conversation } = await ConversationService.resolve(req.params.conversationId, req.user.id);
 
   console.log('Chat Controller - deleteConversation called with:', {
-    applicationId,
+    conversationId: conversation._id,
+    type: conversation.type,
     userId: req.user.id,
     userRole: req.user.role
   });
 
-  // Validate applicationId
-  if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid application ID'
-    });
-  }
-
-  // Find the application
-  const application = await JobApplication.findById(applicationId)
-    .populate('school', 'user')
-    .populate('applicant', 'email role');
-
-  if (!application) {
-    return res.status(404).json({
-      success: false,
-      message: 'Application not found'
-    });
-  }
-
-  // Check if user is part of this application
-  const isTeacher = application.applicant._id.toString() === req.user.id;
-  const isSchool = application.school.user.toString() === req.user.id;
+  if (conversation.type === 'application') {
+    const filter = ConversationService.messageFilter(conversation);
+    const withFiles = await Message.find({ ...filter, 'attachments.publicId': { $exists: true } }).select('attachments');
+    await ChatAttachmentService.destroy(withFiles.flatMap(message => message.attachments));
 
-  if (!isTeacher && !isSchool) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to delete this conversation'
-    });
+    // Delete all messages for this application
+    await Message.deleteMany(filter);
+    await Conversation.deleteOne({ _id: conversation._id });
+  } else {
+    await ConversationService.hide(conversation, req.user._id);
   }
 
-  // Delete all messages for this application
-  await Message.deleteMany({ application: applicationId });
-
-  console.log('Chat Controller - Conversation deleted successfully:', applicationId);
+  console.log('Chat Controller - Conversation deleted successfully:', conversation._id);
 
   res.json({
     success: true,
@@ -589,18 +504,17 @@ const deleteConversation = asyncHandler(async (req, res) => {
 
 module.exports = {
   sendMessage,
+  sendAttachments,
+  getAttachment,
   getMessages,
   getConversations,
+  createConversation,
+  getConversation,
+  leaveConversation,
   markMessageAsRead,
+  markConversationAsRead,
+  editMessage,
   deleteMessage,
   getUnreadCount,
   deleteConversation
 };
-
-
-
-
-
-
-
-
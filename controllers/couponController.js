@@ -0,0 +1,228 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponService = require('../services/couponService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount',
+  'validFrom', 'expiresAt', 'maxRedemptions', 'perUserLimit',
+  'userTypes', 'plans', 'campaign', 'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// @desc    List coupons
+// @route   GET /api/admin/coupons
+// @access  Private (Admin)
+const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, active, campaign, search } = req.query;
+
+  const query = {};
+  if (active !== undefined) query.isActive = active === 'true';
+  if (campaign) query.campaign = campaign;
+  if (search) query.code = { $regex: search.trim(), $options: 'i' };
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const coupons = await Coupon.find(query)
+    .populate('plans', 'title userType price')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Coupon.countDocuments(query);
+
+  res.json({
+    success: true,
+    coupons,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Private (Admin)
+const createCoupon = asyncHandler(async (req, res) => {
+  const fields = pickCouponFields(req.body);
+
+  if (!fields.code || !fields.discountType || fields.discountValue === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'code, discountType and discountValue are required'
+    });
+  }
+
+  const existing = await Coupon.findOne({ code: CouponService.normalizeCode(fields.code) });
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    });
+  }
+
+  const coupon = await Coupon.create({ ...fields, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    coupon
+  });
+});
+
+// @desc    Get a coupon
+// @route   GET /api/admin/coupons/:id
+// @access  Private (Admin)
+const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('plans', 'title userType price')
+    .populate('createdBy', 'email');
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    coupon
+  });
+});
+
+// @desc    Update a coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Admin)
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  const fields = pickCouponFields(req.body);
+
+  // Redeemed codes appear on payments and reports, so they can't be renamed
+  if (fields.code && CouponService.normalizeCode(fields.code) !== coupon.code && coupon.redemptionCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot change the code of a coupon that has been redeemed'
+    });
+  }
+
+  coupon.set(fields);
+  await coupon.save();
+
+  res.json({
+    success: true,
+    message: 'Coupon updated successfully',
+    coupon
+  });
+});
+
+// @desc    Deactivate a coupon (redemption history is kept)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (Admin)
+const deactivateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndUpdate(
+    req.params.id,
+    { isActive: false },
+    { new: true }
+  );
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Coupon deactivated',
+    coupon
+  });
+});
+
+// @desc    List redemptions of a coupon
+// @route   GET /api/admin/coupons/:id/redemptions
+// @access  Private (Admin)
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const coupon = await Coupon.findById(req.params.id).select('code redemptionCount maxRedemptions');
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  const query = { coupon: coupon._id };
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const redemptions = await CouponRedemption.find(query)
+    .populate('user', 'email role')
+    .populate('plan', 'title')
+    .populate('payment', 'razorpayPaymentId status amount')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await CouponRedemption.countDocuments(query);
+
+  res.json({
+    success: true,
+    coupon,
+    redemptions,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Redemption totals per coupon
+// @route   GET /api/admin/coupons/report
+// @access  Private (Admin)
+const getCouponReport = asyncHandler(async (req, res) => {
+  const { from, to, campaign } = req.query;
+
+  const report = await CouponService.getReport({ from, to, campaign });
+
+  res.json({
+    success: true,
+    report,
+    totals: {
+      redemptions: report.reduce((sum, row) => sum + row.redemptions, 0),
+      totalDiscount: report.reduce((sum, row) => sum + row.totalDiscount, 0),
+      revenue: report.reduce((sum, row) => sum + row.revenue, 0)
+    }
+  });
+});
+
+module.exports = {
+  getCoupons,
+  createCoupon,
+  getCouponById,
+  updateCoupon,
+  deactivateCoupon,
+  getCouponRedemptions,
+  getCouponReport
+};
@@ -0,0 +1,121 @@
+const EmailMessage = require('../models/EmailMessage');
+const EmailOutboxService = require('../services/emailOutboxService');
+const EmailTemplates = require('../utils/emailTemplates');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+// @desc    List outbox emails
+// @route   GET /api/admin/emails
+// @access  Private (Admin)
+const getEmails = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, template, to } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (template) query.template = template;
+  if (to) query.to = to.trim().toLowerCase();
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const emails = await EmailMessage.find(query)
+    .select('-html -text -headers')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await EmailMessage.countDocuments(query);
+
+  res.json({
+    success: true,
+    emails,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Outbox counts by status
+// @route   GET /api/admin/emails/stats
+// @access  Private (Admin)
+const getEmailStats = asyncHandler(async (req, res) => {
+  const stats = await EmailOutboxService.getStats();
+
+  res.json({
+    success: true,
+    ...stats
+  });
+});
+
+// @desc    List email templates and their variables
+// @route   GET /api/admin/emails/templates
+// @access  Private (Admin)
+const getEmailTemplates = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    templates: EmailTemplates.list()
+  });
+});
+
+// @desc    Render a template with sample variables
+// @route   POST /api/admin/emails/templates/:name/preview
+// @access  Private (Admin)
+const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const rendered = EmailTemplates.render(req.params.name, req.body.variables || {});
+
+  res.json({
+    success: true,
+    template: req.params.name,
+    ...rendered
+  });
+});
+
+// @desc    Get one outbox email with its content and delivery history
+// @route   GET /api/admin/emails/:id
+// @access  Private (Admin)
+const getEmailById = asyncHandler(async (req, res) => {
+  const email = await EmailMessage.findById(req.params.id)
+    .populate('user', 'email role')
+    .populate('history.by', 'email');
+
+  if (!email) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  // Messages queued before bodies with one-time links stopped being stored
+  if (EmailTemplates.isSensitive(email.template)) {
+    email.html = undefined;
+    email.text = undefined;
+  }
+
+  res.json({
+    success: true,
+    email
+  });
+});
+
+// @desc    Resend a failed or bounced email
+// @route   POST /api/admin/emails/:id/resend
+// @access  Private (Admin)
+const resendEmail = asyncHandler(async (req, res) => {
+  const email = await EmailOutboxService.resend(req.params.id, req.user._id);
+
+  res.json({
+    success: true,
+    message: email.status === 'sent' ? 'Email sent' : `Email ${email.status}`,
+    email
+  });
+});
+
+module.exports = {
+  getEmails,
+  getEmailStats,
+  getEmailTemplates,
+  previewEmailTemplate,
+  getEmailById,
+  resendEmail
+};
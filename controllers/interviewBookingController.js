@@ -0,0 +1,156 @@
+const School = require('../models/School');
+const InterviewAvailability = require('../models/InterviewAvailability');
+const InterviewBookingService = require('../services/interviewBookingService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const getSchool = (userId) => School.findOne({ user: userId }).select('_id schoolName');
+
+// @desc    List the school's published interview availability
+// @route   GET /api/interviews/availability
+// @access  Private (School)
+const listAvailability = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const items = await InterviewAvailability.find({ school: school._id })
+    .populate('job', 'title status')
+    .sort({ updatedAt: -1 });
+
+  res.json({ success: true, items });
+});
+
+// @desc    Get a job's availability with the slots teachers can currently book
+// @route   GET /api/interviews/availability/:jobId
+// @access  Private (School)
+const getAvailability = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const availability = await InterviewBookingService.getAvailability(school, req.params.jobId);
+  const calendar = await InterviewBookingService.getCalendar(school._id);
+
+  res.json({
+    success: true,
+    data: availability,
+    freeSlots: InterviewBookingService.freeSlots(availability, calendar)
+  });
+});
+
+// @desc    Publish or replace a job's interview availability
+// @route   PUT /api/interviews/availability/:jobId
+// @access  Private (School)
+const setAvailability = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const availability = await InterviewBookingService.setAvailability(school, req.params.jobId, req.user, req.body);
+  const calendar = await InterviewBookingService.getCalendar(school._id);
+
+  res.json({
+    success: true,
+    message: 'Interview availability saved',
+    data: availability,
+    freeSlots: InterviewBookingService.freeSlots(availability, calendar)
+  });
+});
+
+// @desc    Stop offering interview slots for a job
+// @route   DELETE /api/interviews/availability/:jobId
+// @access  Private (School)
+const removeAvailability = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  await InterviewBookingService.removeAvailability(school, req.params.jobId);
+
+  res.json({ success: true, message: 'Interview availability removed' });
+});
+
+// @desc    School interview calendar: settings, feed URL and interviews in a range
+// @route   GET /api/interviews/calendar?from=&to=
+// @access  Private (School)
+const getSchoolCalendar = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const calendar = await InterviewBookingService.getCalendar(school._id);
+  const interviews = await InterviewBookingService.listInterviews(school._id, req.query);
+
+  res.json({
+    success: true,
+    data: {
+      bufferMinutes: calendar.bufferMinutes,
+      minNoticeHours: calendar.minNoticeHours,
+      feedUrl: await InterviewBookingService.getFeedUrl(school._id),
+      interviews
+    }
+  });
+});
+
+// @desc    Change buffer time and minimum booking notice
+// @route   PUT /api/interviews/calendar
+// @access  Private (School)
+const updateSchoolCalendar = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const calendar = await InterviewBookingService.updateSettings(school, req.body);
+
+  res.json({
+    success: true,
+    message: 'Calendar settings saved',
+    data: {
+      bufferMinutes: calendar.bufferMinutes,
+      minNoticeHours: calendar.minNoticeHours
+    }
+  });
+});
+
+// @desc    Replace the calendar feed URL (old subscriptions stop updating)
+// @route   POST /api/interviews/calendar/feed-token
+// @access  Private (School)
+const resetCalendarFeed = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const feedUrl = await InterviewBookingService.getFeedUrl(school._id, { regenerate: true });
+
+  res.json({ success: true, message: 'Calendar feed URL replaced', data: { feedUrl } });
+});
+
+// @desc    ICS feed of the school's booked interviews (subscribe from any calendar app)
+// @route   GET /api/interviews/calendar/feed/:token.ics
+// @access  Public (secret URL)
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const content = await InterviewBookingService.getFeed(req.params.token.replace(/\.ics$/, ''));
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="interviews.ics"');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(content);
+});
+
+module.exports = {
+  listAvailability,
+  getAvailability,
+  setAvailability,
+  removeAvailability,
+  getSchoolCalendar,
+  updateSchoolCalendar,
+  resetCalendarFeed,
+  getCalendarFeed
+};
@@ -0,0 +1,321 @@
+const InterviewService = require('../services/interviewService');
+const InterviewBookingService = require('../services/interviewBookingService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const SCHOOL_ROLES = ['school', 'admin'];
+
+// @desc    Get the interview for an application
+// @route   GET /api/applications/:id/interview
+// @access  Private (School, Teacher, Admin)
+const getInterview = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  const interview = await InterviewService.getCurrent(req.params.id);
+
+  if (!interview) {
+    return res.status(404).json({ success: false, message: 'No interview for this application' });
+  }
+
+  res.json({
+    success: true,
+    data: InterviewService.serialize(interview, role)
+  });
+});
+
+// @desc    Invite the applicant to an interview with one or more proposed slots
+// @route   POST /api/applications/:id/interview
+// @access  Private (School)
+const proposeInterview = asyncHandler(async (req, res) => {
+  const { application, role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'school') {
+    return res.status(403).json({ success: false, message: 'Only the school can invite a candidate to interview' });
+  }
+
+  const interview = await InterviewService.propose(application, req.user, req.body, {
+    io: req.app.get('io')
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Interview invitation sent',
+    data: InterviewService.serialize(interview, role)
+  });
+});
+
+// @desc    Free interview slots the school published for the application's job
+// @route   GET /api/applications/:id/interview/slots
+// @access  Private (Teacher)
+const getBookableSlots = asyncHandler(async (req, res) => {
+  const { application, role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'teacher') {
+    return res.status(403).json({ success: false, message: 'Only the candidate can book an interview' });
+  }
+
+  const { availability, slots } = await InterviewBookingService.getSlotsForApplication(application);
+
+  res.json({
+    success: true,
+    data: {
+      durationMinutes: availability.slotMinutes,
+      interviewType: availability.interviewType,
+      location: availability.location,
+      slots
+    }
+  });
+});
+
+// @desc    Book one of the published slots (confirmed straight away)
+// @route   POST /api/applications/:id/interview/book
+// @access  Private (Teacher)
+const bookInterview = asyncHandler(async (req, res) => {
+  const { application, role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'teacher') {
+    return res.status(403).json({ success: false, message: 'Only the candidate can book an interview' });
+  }
+  if (!req.body.start) {
+    return res.status(400).json({ success: false, message: 'start is required' });
+  }
+
+  const interview = await InterviewService.book(application, req.user, req.body.start, {
+    io: req.app.get('io')
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Interview booked',
+    data: InterviewService.serialize(interview, role)
+  });
+});
+
+// @desc    Change the interview details, panel or proposed slots
+// @route   PUT /api/applications/:id/interview
+// @access  Private (School, Admin)
+const updateInterview = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  if (!SCHOOL_ROLES.includes(role)) {
+    return res.status(403).json({ success: false, message: 'Only the school can change the interview' });
+  }
+
+  const interview = await InterviewService.getActive(req.params.id);
+  const updated = await InterviewService.update(interview, req.user, req.body, {
+    io: req.app.get('io')
+  });
+
+  res.json({
+    success: true,
+    message: req.body.slots ? 'New interview times sent' : 'Interview updated',
+    data: InterviewService.serialize(updated, role)
+  });
+});
+
+// @desc    Confirm one of the proposed slots
+// @route   POST /api/applications/:id/interview/confirm
+// @access  Private (Teacher picks a school slot, School picks a teacher suggestion)
+const confirmInterview = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  const { slotId } = req.body;
+
+  if (!slotId) {
+    return res.status(400).json({ success: false, message: 'slotId is required' });
+  }
+
+  const interview = await InterviewService.getActive(req.params.id);
+  const confirmed = await InterviewService.confirm(interview, req.user, role === 'teacher' ? 'teacher' : 'school', slotId, {
+    io: req.app.get('io')
+  });
+
+  res.json({
+    success: true,
+    message: 'Interview confirmed',
+    data: InterviewService.serialize(confirmed, role)
+  });
+});
+
+// @desc    Ask for a different time, suggesting other slots
+// @route   POST /api/applications/:id/interview/reschedule
+// @access  Private (Teacher)
+const requestReschedule = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'teacher') {
+    return res.status(403).json({ success: false, message: 'Schools change the interview times with PUT /api/applications/:id/interview' });
+  }
+
+  const interview = await InterviewService.getActive(req.params.id);
+  const updated = await InterviewService.requestReschedule(interview, req.user, req.body, {
+    io: req.app.get('io')
+  });
+
+  res.json({
+    success: true,
+    message: 'Reschedule request sent',
+    data: InterviewService.serialize(updated, role)
+  });
+});
+
+// @desc    Decline the interview
+// @route   POST /api/applications/:id/interview/decline
+// @access  Private (Teacher)
+const declineInterview = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'teacher') {
+    return res.status(403).json({ success: false, message: 'Only the candidate can decline an interview' });
+  }
+
+  const interview = await InterviewService.getActive(req.params.id);
+  const declined = await InterviewService.decline(interview, req.user, req.body.reason, {
+    io: req.app.get('io')
+  });
+
+  res.json({
+    success: true,
+    message: 'Interview declined',
+    data: InterviewService.serialize(declined, role)
+  });
+});
+
+// @desc    Cancel the interview
+// @route   POST /api/applications/:id/interview/cancel
+// @access  Private (School, Admin)
+const cancelInterview = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  if (!SCHOOL_ROLES.includes(role)) {
+    return res.status(403).json({ success: false, message: 'Only the school can cancel an interview' });
+  }
+
+  const interview = await InterviewService.getActive(req.params.id);
+  const cancelled = await InterviewService.cancel(interview, req.user, req.body.reason, {
+    io: req.app.get('io')
+  });
+
+  res.json({
+    success: true,
+    message: 'Interview cancelled',
+    data: InterviewService.serialize(cancelled, role)
+  });
+});
+
+// @desc    Mark the interview as held (moves the application to interviewed)
+// @route   POST /api/applications/:id/interview/complete
+// @access  Private (School)
+const completeInterview = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'school') {
+    return res.status(403).json({ success: false, message: 'Only the school can complete an interview' });
+  }
+
+  const interview = await InterviewService.getActive(req.params.id);
+  const completed = await InterviewService.complete(interview, req.user, {
+    io: req.app.get('io')
+  });
+
+  res.json({
+    success: true,
+    message: 'Interview completed',
+    data: InterviewService.serialize(completed, role)
+  });
+});
+
+// @desc    Submit panel feedback (own panel entry, or panelistId to record it for another interviewer)
+// @route   POST /api/applications/:id/interview/feedback
+// @access  Private (School)
+const submitInterviewFeedback = asyncHandler(async (req, res) => {
+  const { role } = await InterviewService.authorize(req.params.id, req.user);
+  if (role !== 'school') {
+    return res.status(403).json({ success: false, message: 'Only the school can record interview feedback' });
+  }
+
+  const interview = await InterviewService.getCurrent(req.params.id);
+  if (!interview) {
+    return res.status(404).json({ success: false, message: 'No interview for this application' });
+  }
+
+  let { panelistId } = req.body;
+  if (!panelistId) {
+    const own = interview.panel.find(member => member.user && member.user.toString() === req.user.id);
+    if (!own) {
+      return res.status(400).json({ success: false, message: 'You are not on this panel; pass panelistId to record feedback for an interviewer' });
+    }
+    panelistId = own._id;
+  }
+
+  const updated = await InterviewService.submitFeedback(interview, panelistId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Feedback saved',
+    data: InterviewService.serialize(updated, role)
+  });
+});
+
+// @desc    Download the calendar file for the booked interview
+// @route   GET /api/applications/:id/interview/calendar
+// @access  Private (School, Teacher, Admin)
+const downloadInterviewCalendar = asyncHandler(async (req, res) => {
+  await InterviewService.authorize(req.params.id, req.user);
+  const interview = await InterviewService.getCurrent(req.params.id);
+
+  if (!interview || interview.status !== 'confirmed') {
+    return res.status(404).json({ success: false, message: 'No confirmed interview for this application' });
+  }
+
+  const context = await InterviewService.getContext(interview);
+  const { content, filename } = InterviewService.toCalendar(interview, context, 'PUBLISH');
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(content);
+});
+
+// @desc    Interview and scorecard behind a panelist's feedback link
+// @route   GET /api/interviews/feedback/:token
+// @access  Public (signed link)
+const getFeedbackForm = asyncHandler(async (req, res) => {
+  const { interview, panelist } = await InterviewService.resolveFeedbackToken(req.params.token);
+  const context = await InterviewService.getContext(interview);
+
+  res.json({
+    success: true,
+    data: {
+      interviewId: interview._id,
+      status: interview.status,
+      scheduledAt: interview.scheduledAt,
+      interviewType: interview.interviewType,
+      jobTitle: context.jobTitle,
+      schoolName: context.schoolName,
+      candidateName: context.teacherName,
+      panelist: { name: panelist.name, title: panelist.title },
+      criteria: InterviewService.getFeedbackCriteria(interview),
+      feedback: panelist.feedback || null
+    }
+  });
+});
+
+// @desc    Submit feedback from a panelist's feedback link
+// @route   POST /api/interviews/feedback/:token
+// @access  Public (signed link)
+const submitFeedbackByToken = asyncHandler(async (req, res) => {
+  const { interview, panelist } = await InterviewService.resolveFeedbackToken(req.params.token);
+  const updated = await InterviewService.submitFeedback(interview, panelist._id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Thank you, your feedback was saved',
+    data: { feedback: updated.panel.id(panelist._id).feedback }
+  });
+});
+
+module.exports = {
+  getInterview,
+  proposeInterview,
+  getBookableSlots,
+  bookInterview,
+  updateInterview,
+  confirmInterview,
+  requestReschedule,
+  declineInterview,
+  cancelInterview,
+  completeInterview,
+  submitInterviewFeedback,
+  downloadInterviewCalendar,
+  getFeedbackForm,
+  submitFeedbackByToken
+};
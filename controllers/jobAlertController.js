@@ -0,0 +1,68 @@
+const JobAlertService = require('../services/jobAlertService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+// @desc    List the teacher's saved job alerts
+// @route   GET /api/teachers/job-alerts
+// @access  Private (Teacher)
+const getJobAlerts = asyncHandler(async (req, res) => {
+  const alerts = await JobAlertService.list(req.user);
+
+  res.json({ success: true, alerts });
+});
+
+// @desc    Save a job search as an alert
+// @route   POST /api/teachers/job-alerts
+// @access  Private (Teacher)
+const createJobAlert = asyncHandler(async (req, res) => {
+  const alert = await JobAlertService.create(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Job alert saved',
+    alert
+  });
+});
+
+// @desc    Change an alert's criteria, frequency, channels or pause it
+// @route   PUT /api/teachers/job-alerts/:id
+// @access  Private (Teacher)
+const updateJobAlert = asyncHandler(async (req, res) => {
+  const alert = await JobAlertService.update(req.user, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Job alert updated',
+    alert
+  });
+});
+
+// @desc    Delete a job alert
+// @route   DELETE /api/teachers/job-alerts/:id
+// @access  Private (Teacher)
+const deleteJobAlert = asyncHandler(async (req, res) => {
+  await JobAlertService.remove(req.user, req.params.id);
+
+  res.json({ success: true, message: 'Job alert deleted' });
+});
+
+// @desc    Run a saved search: active jobs matching the alert now
+// @route   GET /api/teachers/job-alerts/:id/jobs
+// @access  Private (Teacher)
+const getJobAlertMatches = asyncHandler(async (req, res) => {
+  const alert = await JobAlertService.get(req.user, req.params.id);
+  const { jobs, pagination } = await JobAlertService.findJobs(alert, req.query);
+
+  res.json({
+    success: true,
+    jobs,
+    pagination
+  });
+});
+
+module.exports = {
+  getJobAlerts,
+  createJobAlert,
+  updateJobAlert,
+  deleteJobAlert,
+  getJobAlertMatches
+};
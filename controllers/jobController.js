@@ -6,6 +6,11 @@ const JobAnalytics = require('../models/JobAnalytics');
 const School = require('../models/School');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const EntitlementService = require('../services/entitlementService');
+const JobAlertService = require('../services/jobAlertService');
+const JobInviteService = require('../services/jobInviteService');
+const JobService = require('../services/jobService');
+const JobMatchService = require('../services/jobMatchService');
 
 // @desc    Create a new job posting
 // @route   POST /api/jobs
@@ -136,10 +141,14 @@ const createJob = asyncHandler(async (req, res) => {
     // Don't fail the job creation if notification fails
   }
 
+  // Remaining posting slots now that this job counts against the plan
+  const quota = await EntitlementService.check(req.user, 'maxActiveJobs');
+
   res.status(201).json({
     success: true,
     message: 'Job created successfully',
-    data: job
+    data: job,
+    quota
   });
 });
 
@@ -147,84 +156,14 @@ const createJob = asyncHandler(async (req, res) => {
 // @route   GET /api/jobs
 // @access  Public
 const getJobs = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    search,
-    department,
-    employmentType,
-    location,
-    salaryMin,
-    salaryMax,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
-
-  // Build filter object
-  const filter = {
-    status: 'active',
-    isActive: true,
-    expiresAt: { $gt: new Date() }
-  };
-
-  // Add search filter
-  if (search) {
-    filter.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-      { tags: { $in: [new RegExp(search, 'i')] } }
-    ];
-  }
-
-  // Add department filter
-  if (department) {
-    filter.department = department;
-  }
-
-  // Add employment type filter
-  if (employmentType) {
-    filter.employmentType = employmentType;
-  }
-
-  // Add location filter
-  if (location) {
-    filter['location.city'] = { $regex: location, $options: 'i' };
-  }
-
-  // Add salary filter
-  if (salaryMin || salaryMax) {
-    filter['salary.min'] = {};
-    if (salaryMin) filter['salary.min'].$gte = parseInt(salaryMin);
-    if (salaryMax) filter['salary.max'] = { $lte: parseInt(salaryMax) };
-  }
-
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  // Execute query
-  const jobs = await Job.find(filter)
-    .populate('school', 'schoolName address contactInfo')
-    .populate('postedBy', 'email')
-    .sort(sort)
-    .skip(skip)
-    .limit(parseInt(limit));
-
-  // Get total count for pagination
-  const total = await Job.countDocuments(filter);
+  const { jobs, pagination, near, facets } = await JobService.getJobs(req.query);
 
   res.json({
     success: true,
     data: jobs,
-    pagination: {
-      current: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
-      total,
-      limit: parseInt(limit)
-    }
+    pagination,
+    ...(near && { near }),
+    ...(facets && { facets })
   });
 });
 
@@ -287,6 +226,26 @@ const updateJob = asyncHandler(async (req, res) => {
     });
   }
 
+  // Reopening or featuring a job uses up a plan slot
+  const limitChecks = [];
+  if (req.body.status && ['draft', 'active', 'paused'].includes(req.body.status) && !['draft', 'active', 'paused'].includes(job.status)) {
+    limitChecks.push('maxActiveJobs');
+  }
+  if (req.body.isFeatured === true && !job.isFeatured) {
+    limitChecks.push('maxFeaturedJobs');
+  }
+  for (const key of limitChecks) {
+    const state = await EntitlementService.check(req.user, key);
+    if (!state.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: state.message,
+        requiresUpgrade: true,
+        entitlement: state
+      });
+    }
+  }
+
   console.log('📍 Updating job with location:', req.body.location);
 
   // Get school information for fallback
@@ -317,6 +276,12 @@ const updateJob = asyncHandler(async (req, res) => {
     await global.jobSocketEmitters.emitJobUpdated(updatedJob);
   }
 
+  // Jobs activated by an edit are matched against saved job alerts once, like published ones
+  if (updatedJob.status === 'active' && updatedJob.isActive) {
+    JobAlertService.processJob(updatedJob._id)
+      .catch(error => console.error('Failed to process job alerts:', error.message));
+  }
+
   res.json({
     success: true,
     message: 'Job updated successfully',
@@ -386,6 +351,10 @@ const publishJob = asyncHandler(async (req, res) => {
   job.isActive = true;
   await job.save();
 
+  // Match the job against teachers' saved job alerts without holding up the response
+  JobAlertService.processJob(job._id)
+    .catch(error => console.error('Failed to process job alerts:', error.message));
+
   res.json({
     success: true,
     message: 'Job published successfully',
@@ -519,14 +488,7 @@ const getFeaturedJobs = asyncHandler(async (req, res) => {
 // @route   GET /api/jobs/search
 // @access  Public
 const searchJobs = asyncHandler(async (req, res) => {
-  const {
-    q,
-    location,
-    department,
-    employmentType,
-    page = 1,
-    limit = 10
-  } = req.query;
+  const { q } = req.query;
 
   if (!q) {
     return res.status(400).json({
@@ -535,45 +497,113 @@ const searchJobs = asyncHandler(async (req, res) => {
     });
   }
 
-  const filter = {
-    status: 'active',
-    isActive: true,
-    expiresAt: { $gt: new Date() },
-    $text: { $search: q }
-  };
+  const { jobs, pagination, near, facets } = await JobService.searchJobs(q, req.query);
+
+  res.json({
+    success: true,
+    data: jobs,
+    pagination,
+    ...(near && { near }),
+    ...(facets && { facets })
+  });
+});
+
+// @desc    Available teachers who best match a job, with match reasons and invite status
+// @route   GET /api/jobs/:id/recommended-candidates?limit=20&minScore=40
+// @access  Private (School/Admin)
+const getRecommendedCandidates = asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
 
-  if (location) {
-    filter['location.city'] = { $regex: location, $options: 'i' };
+  // Check if user owns the job or is admin
+  if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view candidates for this job'
+    });
   }
 
-  if (department) {
-    filter.department = department;
+  const { candidates, scored } = await JobMatchService.recommendCandidates(job, {
+    limit: req.query.limit,
+    minScore: req.query.minScore
+  });
+  const invites = await JobInviteService.statusesFor(job._id, candidates.map(candidate => candidate.teacher.userId));
+
+  res.json({
+    success: true,
+    count: candidates.length,
+    scored,
+    candidates: candidates.map(({ teacher, score, reasons, gaps, breakdown }) => ({
+      teacher,
+      match: { score, reasons, gaps, breakdown },
+      invite: invites.get(teacher.userId.toString()) || null
+    }))
+  });
+});
+
+// @desc    Invite a teacher to apply for a job
+// @route   POST /api/jobs/:id/invites
+// @access  Private (School/Admin)
+const inviteCandidate = asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
   }
 
-  if (employmentType) {
-    filter.employmentType = employmentType;
+  // Check if user owns the job or is admin
+  if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to invite candidates for this job'
+    });
   }
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const invite = await JobInviteService.invite(job, req.user, req.body, { io: req.app.get('io') || global.io });
 
-  const jobs = await Job.find(filter, { score: { $meta: 'textScore' } })
-    .populate('school', 'schoolName address contactInfo')
-    .populate('postedBy', 'email')
-    .sort({ score: { $meta: 'textScore' } })
-    .skip(skip)
-    .limit(parseInt(limit));
+  res.status(201).json({
+    success: true,
+    message: 'Invite sent',
+    data: invite
+  });
+});
 
-  const total = await Job.countDocuments(filter);
+// @desc    Invites sent for a job and how many turned into applications
+// @route   GET /api/jobs/:id/invites
+// @access  Private (School/Admin)
+const getJobInvites = asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  // Check if user owns the job or is admin
+  if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view invites for this job'
+    });
+  }
+
+  const { invites, stats } = await JobInviteService.listForJob(job);
 
   res.json({
     success: true,
-    data: jobs,
-    pagination: {
-      current: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
-      total,
-      limit: parseInt(limit)
-    }
+    stats,
+    invites
   });
 });
 
@@ -588,5 +618,8 @@ module.exports = {
   getJobsBySchool,
   getMyJobs,
   getFeaturedJobs,
-  searchJobs
+  searchJobs,
+  getRecommendedCandidates,
+  inviteCandidate,
+  getJobInvites
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const Notification = require('../models/Notification');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const NotificationPreferenceService = require('../services/notificationPreferenceService');
+const DigestService = require('../services/digestService');
 
 // @desc    Get all notifications for a user
 // @route   GET /api/notifications
@@ -7,7 +9,9 @@ const { asyncHandler } = require('../middleware/errorMiddleware');
 const getNotifications = asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, unreadOnly = false } = req.query;
   
-  const query = { user: req.user.id };
+  // Types muted in-app are kept out of the list and the counts
+  const visible = await NotificationPreferenceService.inAppFilter(req.user.id);
+  const query = { user: req.user.id, ...visible };
   if (unreadOnly === 'true') {
     query.isRead = false;
   }
@@ -18,7 +22,7 @@ const getNotifications = asyncHandler(async (req, res) => {
     .skip((page - 1) * limit);
 
   const total = await Notification.countDocuments(query);
-  const unreadCount = await Notification.countDocuments({ user: req.user.id, isRead: false });
+  const unreadCount = await Notification.countDocuments({ user: req.user.id, isRead: false, ...visible });
 
   res.json({
     success: true,
@@ -100,7 +104,8 @@ const deleteNotification = asyncHandler(async (req, res) => {
 const getUnreadCount = asyncHandler(async (req, res) => {
   const unreadCount = await Notification.countDocuments({
     user: req.user.id,
-    isRead: false
+    isRead: false,
+    ...(await NotificationPreferenceService.inAppFilter(req.user.id))
   });
 
   res.json({
@@ -149,11 +154,71 @@ const createNotification = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private (Teacher, School, Admin)
+const getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await NotificationPreferenceService.getForUser(req.user.id);
+
+  res.json({
+    success: true,
+    data: preferences
+  });
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private (Teacher, School, Admin)
+const updatePreferences = asyncHandler(async (req, res) => {
+  const { timezone, quietHours, channels, digest } = req.body;
+
+  const preferences = await NotificationPreferenceService.update(req.user.id, {
+    timezone,
+    quietHours,
+    channels,
+    digest
+  });
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: preferences
+  });
+});
+
+// @desc    Turn off digest emails from the link in a digest (no login needed)
+// @route   GET|POST /api/notifications/digest/unsubscribe/:token
+// @access  Public (signed token)
+const unsubscribeDigest = asyncHandler(async (req, res) => {
+  const ok = await DigestService.unsubscribe(req.params.token);
+
+  // One-click unsubscribe (RFC 8058) posts from the mail client
+  if (req.method === 'POST') {
+    return res.status(ok ? 200 : 400).json({
+      success: ok,
+      message: ok ? 'Unsubscribed from digest emails' : 'Invalid unsubscribe link'
+    });
+  }
+
+  res.status(ok ? 200 : 400).send(`
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; text-align: center;">
+      <h2 style="color: #333;">${ok ? 'You have been unsubscribed' : 'Invalid unsubscribe link'}</h2>
+      <p>${ok
+        ? 'You will no longer receive digest emails. You can turn them back on in your notification settings.'
+        : 'This link is not valid. You can manage digest emails in your notification settings.'}</p>
+      <p><a href="${process.env.FRONTEND_URL || ''}/settings/notifications">Notification settings</a></p>
+    </div>
+  `);
+});
+
 module.exports = {
   getNotifications,
   markAsRead,
   markAllAsRead,
   deleteNotification,
   getUnreadCount,
-  createNotification
+  createNotification,
+  getPreferences,
+  updatePreferences,
+  unsubscribeDigest
 };
@@ -1,136 +1,118 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const asyncHandler = require('express-async-handler');
-const Plan = require('../models/Plan');
-const School = require('../models/School'); // adapt path/name to your model
+const Payment = require('../models/Payment');
+const PaymentService = require('../services/paymentService');
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
-// Create order for one-time plan purchase
+// Create order for one-time plan purchase (schools and teachers)
 exports.createOrder = asyncHandler(async (req, res) => {
-  const { planId } = req.body;
-  const userId = req.user.id; // authenticated school
-  if (!planId) { res.status(400); throw new Error('planId required'); }
-
-  const plan = await Plan.findById(planId);
-  if (!plan || !plan.active) { res.status(404); throw new Error('Plan not found'); }
-
-  const amountPaise = Math.round(plan.price * 100);
-
-  // Generate a short receipt ID (max 40 chars for Razorpay)
-  // Format: S + last 10 digits of timestamp + last 4 chars of userId
-  const timestamp = Date.now().toString().slice(-10);
-  const shortUserId = userId.toString().slice(-4);
-  const shortReceipt = `S${timestamp}${shortUserId}`;
+  const { payment, plan, order } = await PaymentService.createOrder(req.user, req.body.planId, {
+    couponCode: req.body.couponCode
+  });
 
-  const orderOptions = {
-    amount: amountPaise,
-    currency: 'INR',
-    receipt: shortReceipt,
-    notes: { planId: plan._id.toString(), schoolId: userId }
-  };
+  if (!order) {
+    return res.json({
+      isFree: true,
+      success: true,
+      message: 'Free plan activated successfully',
+      plan,
+      paymentId: payment._id
+    });
+  }
 
-  const order = await razorpay.orders.create(orderOptions);
   res.json({
     orderId: order.id,
     amount: order.amount,
     currency: order.currency,
     key: process.env.RAZORPAY_KEY_ID,
-    plan
+    plan,
+    paymentId: payment._id,
+    coupon: payment.coupon && payment.coupon.code ? payment.coupon : undefined
   });
 });
 
 // Verify payment sent from frontend handler and activate plan immediately
 exports.verifyPayment = asyncHandler(async (req, res) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
-  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-    res.status(400); throw new Error('Invalid payment data');
-  }
+  const payment = await PaymentService.verifyCheckout(req.user, req.body);
 
-  const generated_signature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-    .update(razorpay_order_id + '|' + razorpay_payment_id)
-    .digest('hex');
-
-  if (generated_signature !== razorpay_signature) {
-    res.status(400); throw new Error('Payment verification failed');
-  }
-
-  // Fetch order to get notes
-  const order = await razorpay.orders.fetch(razorpay_order_id).catch(()=>null);
-  if (!order) {
-    res.status(404); throw new Error('Order not found');
-  }
+  res.json({
+    success: true,
+    message: 'Plan activated',
+    plan: payment.planSnapshot,
+    paymentId: payment._id
+  });
+});
 
-  const planId = order.notes && order.notes.planId;
-  const schoolId = order.notes && order.notes.schoolId;
-  if (!planId || !schoolId) {
-    // fallback: use req.user
+// Webhook endpoint (automatic activation via Razorpay webhook)
+// Configure this URL in Razorpay dashboard and set RAZORPAY_WEBHOOK_SECRET
+exports.webhookHandler = asyncHandler(async (req, res) => {
+  // server.js mounts express.raw for this path so the signature is checked against the exact bytes
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body));
+
+  try {
+    const result = await PaymentService.handleWebhook(
+      rawBody,
+      req.headers['x-razorpay-signature'],
+      req.headers['x-razorpay-event-id']
+    );
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    // A 5xx makes Razorpay redeliver the event
+    if (error.statusCode === 400 || error.statusCode === 500) {
+      return res.status(error.statusCode).json({ ok: false, msg: error.message });
+    }
+    throw error;
   }
+});
 
-  const plan = await Plan.findById(planId);
-  const school = await School.findById(schoolId || req.user.id);
-  if (!plan || !school) {
-    res.status(404); throw new Error('Related plan or school missing');
-  }
+// @desc   List the current user's payments
+// @route  GET /api/payments/history
+// @access Private
+exports.getMyPayments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // activate plan for the school
-  const activatedAt = new Date();
-  const expiresAt = new Date(activatedAt.getTime() + plan.durationDays * 24 * 60 * 60 * 1000);
+  const payments = await Payment.find({ user: req.user.id })
+    .select('-statusHistory')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
 
-  school.plan = {
-    planId: plan._id,
-    title: plan.title,
-    activatedAt,
-    expiresAt,
-    isPremium: true
-  };
-  await school.save();
+  const total = await Payment.countDocuments({ user: req.user.id });
 
-  res.json({ success: true, message: 'Plan activated', plan: school.plan });
+  res.json({
+    success: true,
+    payments,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
 });
 
-// Webhook endpoint (automatic activation via Razorpay webhook)
-// Configure this URL in Razorpay dashboard and set RAZORPAY_WEBHOOK_SECRET
-exports.webhookHandler = asyncHandler(async (req, res) => {
-  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-  const payload = JSON.stringify(req.body);
-  const sig = req.headers['x-razorpay-signature'];
+// @desc   Check a coupon code against a plan and show the discounted price
+// @route  POST /api/payments/coupons/validate
+// @access Private (school, teacher)
+exports.validateCoupon = asyncHandler(async (req, res) => {
+  const { code, planId } = req.body;
 
-  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
-  if (expected !== sig) {
-    return res.status(400).json({ ok: false, msg: 'Invalid webhook signature' });
+  if (!code) {
+    return res.status(400).json({ success: false, message: 'Coupon code is required' });
   }
 
-  // Example: payment.captured
-  const event = req.body.event;
-  if (event === 'payment.captured') {
-    const payment = req.body.payload.payment.entity;
-    // find the order and notes
-    const orderId = payment.order_id;
-    const order = await razorpay.orders.fetch(orderId).catch(()=>null);
-    if (order) {
-      const planId = order.notes && order.notes.planId;
-      const schoolId = order.notes && order.notes.schoolId;
-      const plan = await Plan.findById(planId);
-      const SchoolModel = require('../models/School');
-      const school = await SchoolModel.findById(schoolId);
-      if (plan && school) {
-        const activatedAt = new Date();
-        const expiresAt = new Date(activatedAt.getTime() + plan.durationDays * 24 * 60 * 60 * 1000);
-        school.plan = {
-          planId: plan._id,
-          title: plan.title,
-          activatedAt,
-          expiresAt,
-          isPremium: true
-        };
-        await school.save();
-      }
-    }
-  }
+  const { plan, quote, amount, coupon } = await PaymentService.priceOrder(req.user, planId, {
+    couponCode: code
+  });
 
-  res.json({ ok: true });
+  res.json({
+    success: true,
+    code: coupon.code,
+    plan: plan.title,
+    kind: quote.kind,
+    amountBeforeDiscount: coupon.amountBeforeDiscount,
+    discount: coupon.discount,
+    // Razorpay can't charge less than ₹1, so smaller remainders are waived
+    amount: amount < 100 ? 0 : amount,
+    currency: 'INR'
+  });
 });
@@ -20,13 +20,14 @@ const getPlans = asyncHandler(async (req, res) => {
 // @route POST /api/plans
 // @access Private (admin only)
 const createPlan = asyncHandler(async (req, res) => {
-  const { title, price, durationMonths, description, features, userType } = req.body;
+  const { title, price, durationMonths, description, features, entitlements, userType } = req.body;
   const plan = await Plan.create({ 
     title, 
     price, 
     durationMonths, 
     description, 
     features, 
+    entitlements,
     userType: userType || 'school' 
   });
 
@@ -44,7 +45,7 @@ const createPlan = asyncHandler(async (req, res) => {
 // @access Private (admin only)
 const updatePlan = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const plan = await Plan.findByIdAndUpdate(id, req.body, { new: true });
+  const plan = await Plan.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
 
   // Emit real-time event for plan update
   if (global.io) {
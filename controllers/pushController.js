@@ -0,0 +1,140 @@
+const PushBroadcast = require('../models/PushBroadcast');
+const PushBroadcastService = require('../services/pushBroadcastService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const pickAudience = (audience = {}) => ({
+  roles: audience.roles || [],
+  cities: audience.cities || [],
+  subjects: audience.subjects || [],
+  platforms: audience.platforms || []
+});
+
+// @desc    Send or schedule a push broadcast
+// @route   POST /api/admin/push/broadcasts
+// @access  Private (Admin)
+const createBroadcast = asyncHandler(async (req, res) => {
+  const { title, body, link, audience, scheduledAt } = req.body;
+
+  if (!title || !body) {
+    return res.status(400).json({
+      success: false,
+      message: 'title and body are required'
+    });
+  }
+
+  const broadcast = await PushBroadcastService.create(req.user, {
+    title,
+    body,
+    link,
+    audience: pickAudience(audience),
+    scheduledAt
+  });
+  const estimate = await PushBroadcastService.estimate(broadcast.audience);
+
+  res.status(201).json({
+    success: true,
+    message: broadcast.scheduledAt > new Date() ? 'Broadcast scheduled' : 'Broadcast is being sent',
+    broadcast,
+    estimate
+  });
+});
+
+// @desc    Count the devices and users an audience would reach
+// @route   POST /api/admin/push/audience
+// @access  Private (Admin)
+const estimateAudience = asyncHandler(async (req, res) => {
+  const estimate = await PushBroadcastService.estimate(pickAudience(req.body.audience));
+
+  res.json({
+    success: true,
+    estimate
+  });
+});
+
+// @desc    List push broadcasts
+// @route   GET /api/admin/push/broadcasts
+// @access  Private (Admin)
+const getBroadcasts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const broadcasts = await PushBroadcast.find(query)
+    .populate('createdBy', 'email')
+    .sort({ scheduledAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await PushBroadcast.countDocuments(query);
+
+  res.json({
+    success: true,
+    broadcasts,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Get a broadcast with its delivery breakdown
+// @route   GET /api/admin/push/broadcasts/:id
+// @access  Private (Admin)
+const getBroadcastById = asyncHandler(async (req, res) => {
+  const broadcast = await PushBroadcast.findById(req.params.id).populate('createdBy', 'email');
+
+  if (!broadcast) {
+    return res.status(404).json({
+      success: false,
+      message: 'Broadcast not found'
+    });
+  }
+
+  const deliveries = await PushBroadcastService.getDeliveryStats({ broadcastId: broadcast._id });
+
+  res.json({
+    success: true,
+    broadcast,
+    deliveries
+  });
+});
+
+// @desc    Cancel a scheduled broadcast
+// @route   DELETE /api/admin/push/broadcasts/:id
+// @access  Private (Admin)
+const cancelBroadcast = asyncHandler(async (req, res) => {
+  const broadcast = await PushBroadcastService.cancel(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Broadcast cancelled',
+    broadcast
+  });
+});
+
+// @desc    Push delivery stats from the delivery log
+// @route   GET /api/admin/push/stats
+// @access  Private (Admin)
+const getPushStats = asyncHandler(async (req, res) => {
+  const { from, to, type } = req.query;
+  const stats = await PushBroadcastService.getDeliveryStats({ from, to, type });
+
+  res.json({
+    success: true,
+    ...stats
+  });
+});
+
+module.exports = {
+  createBroadcast,
+  estimateAudience,
+  getBroadcasts,
+  getBroadcastById,
+  cancelBroadcast,
+  getPushStats
+};
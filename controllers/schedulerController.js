@@ -0,0 +1,94 @@
+const scheduler = require('../services/scheduler');
+const TaskRun = require('../models/TaskRun');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+// @desc    List scheduled tasks with last run and outcome
+// @route   GET /api/admin/scheduler/tasks
+// @access  Private (Admin)
+const getScheduledTasks = asyncHandler(async (req, res) => {
+  const tasks = await scheduler.listTasks();
+
+  res.json({
+    success: true,
+    instance: scheduler.instanceId,
+    tasks
+  });
+});
+
+// @desc    Get run history for a scheduled task
+// @route   GET /api/admin/scheduler/tasks/:name/runs
+// @access  Private (Admin)
+const getTaskRuns = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { page = 1, limit = 20, status } = req.query;
+
+  if (!scheduler.hasTask(name)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  const query = { task: name };
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const runs = await TaskRun.find(query)
+    .populate('triggeredBy', 'email')
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await TaskRun.countDocuments(query);
+
+  res.json({
+    success: true,
+    runs,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Trigger a scheduled task manually
+// @route   POST /api/admin/scheduler/tasks/:name/run
+// @access  Private (Admin)
+const runScheduledTask = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!scheduler.hasTask(name)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  const run = await scheduler.runTask(name, {
+    trigger: 'manual',
+    triggeredBy: req.user.id
+  });
+
+  if (run.status === 'skipped') {
+    return res.status(409).json({
+      success: false,
+      message: run.error,
+      run
+    });
+  }
+
+  res.json({
+    success: run.status === 'success',
+    message: run.status === 'success' ? 'Task completed successfully' : `Task failed: ${run.error}`,
+    run
+  });
+});
+
+module.exports = {
+  getScheduledTasks,
+  getTaskRuns,
+  runScheduledTask
+};
@@ -1,7 +1,12 @@
 const mongoose = require('mongoose');
 const School = require('../models/School');
 const Job = require('../models/Job');
-const Application = require('../models/Application');
+const JobApplication = require('../models/JobApplication');
+const Teacher = require('../models/Teacher');
+const ApplicationStatusService = require('../services/applicationStatusService');
+const EntitlementService = require('../services/entitlementService');
+const InterviewService = require('../services/interviewService');
+const JobAlertService = require('../services/jobAlertService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const SchoolPost = require('../models/SchoolPost');
 const { uploadToCloudinary } = require('../utils/upload');
@@ -382,6 +387,18 @@ const postJob = asyncHandler(async (req, res) => {
     });
   }
 
+  if (req.body.isFeatured === true) {
+    const featured = await EntitlementService.check(req.user, 'maxFeaturedJobs');
+    if (!featured.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: featured.message,
+        requiresUpgrade: true,
+        entitlement: featured
+      });
+    }
+  }
+
   const jobData = {
     ...req.body,
     school: school._id
@@ -389,10 +406,20 @@ const postJob = asyncHandler(async (req, res) => {
 
   const job = await Job.create(jobData);
 
+  if (job.status === 'active') {
+    // Match the job against teachers' saved job alerts without holding up the response
+    JobAlertService.processJob(job._id)
+      .catch(error => console.error('Failed to process job alerts:', error.message));
+  }
+
+  // Remaining posting slots now that this job counts against the plan
+  const quota = await EntitlementService.check(req.user, 'maxActiveJobs');
+
   res.status(201).json({
     success: true,
     message: 'Job posted successfully',
-    job
+    job,
+    quota
   });
 });
 
@@ -438,13 +465,26 @@ const getJobApplications = asyncHandler(async (req, res) => {
     });
   }
 
-  const applications = await Application.find({ job: job._id })
-    .populate('teacher', 'personalInfo professionalInfo')
-    .sort({ applicationDate: -1 });
+  const applications = await JobApplication.find({ job: job._id })
+    .populate('applicant', 'email role')
+    .sort({ appliedAt: -1 });
+
+  // Attach teacher profiles so the response keeps its previous shape
+  const teachers = await Teacher.find({
+    user: { $in: applications.map(app => app.applicant?._id).filter(Boolean) }
+  }).select('user personalInfo professionalInfo');
+
+  const teacherMap = new Map(teachers.map(teacher => [teacher.user.toString(), teacher]));
+
+  const applicationsWithTeachers = applications.map(app => {
+    const application = app.toObject();
+    application.teacher = app.applicant ? teacherMap.get(app.applicant._id.toString()) || null : null;
+    return application;
+  });
 
   res.json({
     success: true,
-    applications
+    applications: applicationsWithTeachers
   });
 });
 
@@ -454,9 +494,7 @@ const getJobApplications = asyncHandler(async (req, res) => {
 const updateApplicationStatus = asyncHandler(async (req, res) => {
   const { status, reviewNotes } = req.body;
 
-  const application = await Application.findById(req.params.applicationId)
-    .populate('job', 'school')
-    .populate('teacher', 'personalInfo');
+  const application = await JobApplication.findById(req.params.applicationId);
 
   if (!application) {
     return res.status(404).json({
@@ -465,25 +503,33 @@ const updateApplicationStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if school owns this job
+  // Check if school owns this application
   const school = await School.findOne({ user: req.user.id });
-  if (application.job.school.toString() !== school._id.toString()) {
+  if (!school || application.school.toString() !== school._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this application'
     });
   }
 
-  application.status = status;
-  if (reviewNotes) application.reviewNotes = reviewNotes;
-  application.reviewDate = new Date();
+  let updatedApplication = application;
+  if (JobApplication.normalizeStatus(status) !== application.status) {
+    updatedApplication = await ApplicationStatusService.changeStatus(application, status, {
+      user: req.user,
+      reason: req.body.reason,
+      io: req.app.get('io')
+    });
+  }
 
-  await application.save();
+  if (reviewNotes) {
+    updatedApplication.internalNotes = reviewNotes;
+    await updatedApplication.save();
+  }
 
   res.json({
     success: true,
     message: 'Application status updated successfully',
-    application
+    application: updatedApplication
   });
 });
 
@@ -493,8 +539,7 @@ const updateApplicationStatus = asyncHandler(async (req, res) => {
 const scheduleInterview = asyncHandler(async (req, res) => {
   const { scheduledDate, interviewType, location, meetingLink, interviewer, notes } = req.body;
 
-  const application = await Application.findById(req.params.applicationId)
-    .populate('job', 'school');
+  const application = await JobApplication.findById(req.params.applicationId);
 
   if (!application) {
     return res.status(404).json({
@@ -503,31 +548,48 @@ const scheduleInterview = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if school owns this job
+  // Check if school owns this application
   const school = await School.findOne({ user: req.user.id });
-  if (application.job.school.toString() !== school._id.toString()) {
+  if (!school || application.school.toString() !== school._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to schedule interview for this application'
     });
   }
 
-  application.interviewSchedule = {
-    scheduledDate,
+  // Reject before touching the interview details if the application can't move to interview
+  const needsTransition = application.status !== 'interview-scheduled';
+  if (needsTransition) {
+    const invalid = JobApplication.validateTransition(application.status, 'interview-scheduled', req.user.role);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+        allowedTransitions: JobApplication.allowedTransitions(application.status)
+      });
+    }
+  }
+
+  // Booked straight away: the school already agreed the time with the teacher
+  const interview = await InterviewService.propose(application, req.user, {
+    slots: [scheduledDate],
     interviewType,
     location,
     meetingLink,
-    interviewer,
     notes,
-    status: 'scheduled'
-  };
+    interviewer
+  }, {
+    confirm: true,
+    io: req.app.get('io')
+  });
 
-  await application.save();
+  const updatedApplication = await JobApplication.findById(application._id);
 
   res.json({
     success: true,
     message: 'Interview scheduled successfully',
-    application
+    application: updatedApplication,
+    interview
   });
 });
 
@@ -0,0 +1,99 @@
+const School = require('../models/School');
+const ScorecardService = require('../services/scorecardService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const getSchool = (userId) => School.findOne({ user: userId }).select('_id schoolName');
+
+const toList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// @desc    List the school's scorecard templates (school default and per job)
+// @route   GET /api/interviews/scorecards
+// @access  Private (School)
+const listScorecards = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const items = await ScorecardService.listTemplates(school);
+
+  res.json({
+    success: true,
+    items,
+    defaultCriteria: ScorecardService.getDefaultCriteria()
+  });
+});
+
+// @desc    Scorecard used for a job's interviews (or the school default)
+// @route   GET /api/interviews/scorecards/:jobId
+// @route   GET /api/interviews/scorecards/default
+// @access  Private (School)
+const getScorecard = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const scorecard = await ScorecardService.getTemplate(school._id, req.params.jobId);
+
+  res.json({ success: true, data: scorecard });
+});
+
+// @desc    Create or replace a scorecard template
+// @route   PUT /api/interviews/scorecards/:jobId
+// @route   PUT /api/interviews/scorecards/default
+// @access  Private (School)
+const setScorecard = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const scorecard = await ScorecardService.setTemplate(school, req.params.jobId, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'Scorecard saved',
+    data: scorecard
+  });
+});
+
+// @desc    Remove a scorecard template (the job falls back to the school default)
+// @route   DELETE /api/interviews/scorecards/:jobId
+// @route   DELETE /api/interviews/scorecards/default
+// @access  Private (School)
+const removeScorecard = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  await ScorecardService.removeTemplate(school, req.params.jobId);
+
+  res.json({ success: true, message: 'Scorecard removed' });
+});
+
+// @desc    Side-by-side comparison of a job's candidates with resume highlights and interview scores
+// @route   GET /api/interviews/jobs/:jobId/comparison?status=shortlisted,interviewed&applications=id1,id2
+// @access  Private (School)
+const compareCandidates = asyncHandler(async (req, res) => {
+  const school = await getSchool(req.user.id);
+  if (!school) {
+    return res.status(404).json({ success: false, message: 'School profile not found' });
+  }
+
+  const comparison = await ScorecardService.compare(school, req.params.jobId, {
+    statuses: toList(req.query.status),
+    applicationIds: toList(req.query.applications)
+  });
+
+  res.json({ success: true, data: comparison });
+});
+
+module.exports = {
+  listScorecards,
+  getScorecard,
+  setScorecard,
+  removeScorecard,
+  compareCandidates
+};
@@ -1,6 +1,15 @@
 const asyncHandler = require('express-async-handler');
 const Teacher = require('../models/Teacher');
 const School = require('../models/School');
+const EntitlementService = require('../services/entitlementService');
+
+// Teacher profiles are listed only to signed-in users whose plan includes teacher search,
+// the same rule /api/search/teachers enforces with requireEntitlement('applicantSearch')
+const canSearchTeachers = async (user) => {
+  if (!user) return false;
+  const state = await EntitlementService.check(user, 'applicantSearch');
+  return state.allowed;
+};
 
 // Search all profiles (teachers and schools)
 const searchProfiles = asyncHandler(async (req, res) => {
@@ -18,6 +27,7 @@ const searchProfiles = asyncHandler(async (req, res) => {
 
     const searchTerm = query.trim();
     const skip = (page - 1) * limit;
+    const includeTeachers = await canSearchTeachers(req.user);
 
     // Search teachers
     const teacherQuery = {
@@ -30,12 +40,14 @@ const searchProfiles = asyncHandler(async (req, res) => {
       ]
     };
 
-    const teacherResults = await Teacher.find(teacherQuery)
-      .populate('user', 'email plan')
-      .select('personalInfo professionalInfo slug createdAt')
-      .limit(limit)
-      .skip(skip)
-      .sort({ createdAt: -1 });
+    const teacherResults = includeTeachers
+      ? await Teacher.find(teacherQuery)
+        .populate('user', 'email plan')
+        .select('personalInfo professionalInfo slug createdAt')
+        .limit(limit)
+        .skip(skip)
+        .sort({ createdAt: -1 })
+      : [];
 
     // Search schools
     const schoolQuery = {
@@ -85,7 +97,7 @@ const searchProfiles = asyncHandler(async (req, res) => {
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     // Get suggestions (recent profiles)
-    const suggestions = await getSearchSuggestionsHelper(searchTerm);
+    const suggestions = await getSearchSuggestionsHelper(searchTerm, { includeTeachers });
 
     res.json({
       success: true,
@@ -129,12 +141,14 @@ const searchTeachers = asyncHandler(async (req, res) => {
       ]
     };
 
-    const teacherResults = await Teacher.find(teacherQuery)
-      .populate('user', 'email plan')
-      .select('personalInfo professionalInfo slug createdAt')
-      .limit(limit)
-      .skip(skip)
-      .sort({ createdAt: -1 });
+    const teacherResults = includeTeachers
+      ? await Teacher.find(teacherQuery)
+        .populate('user', 'email plan')
+        .select('personalInfo professionalInfo slug createdAt')
+        .limit(limit)
+        .skip(skip)
+        .sort({ createdAt: -1 })
+      : [];
 
     const formattedTeachers = teacherResults.map(teacher => ({
       _id: teacher._id,
@@ -235,7 +249,9 @@ const getSearchSuggestions = asyncHandler(async (req, res) => {
       });
     }
 
-    const suggestions = await getSearchSuggestions(query.trim());
+    const suggestions = await getSearchSuggestionsHelper(query.trim(), {
+      includeTeachers: await canSearchTeachers(req.user)
+    });
 
     res.json({
       success: true,
@@ -252,7 +268,7 @@ const getSearchSuggestions = asyncHandler(async (req, res) => {
 });
 
 // Helper function to get search suggestions
-const getSearchSuggestionsHelper = async (searchTerm) => {
+const getSearchSuggestionsHelper = async (searchTerm, { includeTeachers = false } = {}) => {
   try {
     // Get recent teachers and schools that match the search term
     const teacherQuery = {
@@ -271,11 +287,13 @@ const getSearchSuggestionsHelper = async (searchTerm) => {
     };
 
     const [recentTeachers, recentSchools] = await Promise.all([
-      Teacher.find(teacherQuery)
-        .populate('user', 'email plan')
-        .select('personalInfo slug createdAt')
-        .limit(5)
-        .sort({ createdAt: -1 }),
+      includeTeachers
+        ? Teacher.find(teacherQuery)
+          .populate('user', 'email plan')
+          .select('personalInfo slug createdAt')
+          .limit(5)
+          .sort({ createdAt: -1 })
+        : [],
       School.find(schoolQuery)
         .populate('user', 'email plan')
         .select('schoolName slug profileImage createdAt')
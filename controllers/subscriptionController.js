@@ -1,98 +1,39 @@
 const asyncHandler = require('express-async-handler');
-const razorpay = require('../config/razorpay');
-const crypto = require('crypto');
-const Subscription = require('../models/Subscription');
 const User = require('../models/User');
 const Plan = require('../models/Plan');
+const PaymentService = require('../services/paymentService');
+const SubscriptionService = require('../services/subscriptionService');
+const EntitlementService = require('../services/entitlementService');
 
 
 // @desc   Create an order for a selected plan
 // @route  POST /api/subscription/create-order
 // @access Private (school)
 const createOrder = asyncHandler(async (req, res) => {
-  const { planId } = req.body;
-  const userId = req.user.id;
-
-  if (!planId) {
-    return res.status(400).json({ message: 'Plan ID is required' });
-  }
-
-  const plan = await Plan.findById(planId);
-
-  if (!plan || !plan.isActive || plan.userType !== 'school') {
-    return res.status(404).json({ message: "Plan not found or not available for schools" });
-  }
-
-  const amountInPaise = Math.round(plan.price * 100); // convert rupees to paise
-
-  // Handle free plans (price = 0) - activate directly without Razorpay
-  if (amountInPaise < 100) {
-    const startDate = new Date();
-    const expiryDate = new Date();
-    expiryDate.setMonth(expiryDate.getMonth() + (plan.durationMonths || 12));
-
-    // Create subscription
-    await Subscription.create({
-      school: userId,
-      planName: plan.title,
-      status: 'active',
-      startDate,
-      expiryDate,
-    });
-
-    // Update user plan info
-    await User.findByIdAndUpdate(userId, {
-      'plan.isPremium': true,
-      'plan.planId': planId,
-      'plan.title': plan.title,
-      'plan.activatedAt': startDate,
-      'plan.expiresAt': expiryDate,
-      'isVerified': true, // Auto-verify school when they purchase subscription
-    });
+  const { payment, plan, order } = await PaymentService.createOrder(req.user, req.body.planId, {
+    couponCode: req.body.couponCode
+  });
 
+  // Free plans are activated without Razorpay
+  if (!order) {
     return res.json({
       isFree: true,
       success: true,
       message: 'Free plan activated successfully',
-      plan
-    });
-  }
-
-  // For paid plans, create Razorpay order
-  
-  // Check if Razorpay is configured
-  if (!razorpay) {
-    console.error('Razorpay is not configured');
-    return res.status(500).json({ 
-      message: 'Payment gateway is not configured. Please contact the administrator.' 
+      plan,
+      paymentId: payment._id
     });
   }
 
-  try {
-    // Generate a short receipt ID (max 40 chars for Razorpay)
-    const shortReceipt = `S${Date.now().toString().slice(-10)}${userId.toString().slice(-4)}`;
-    
-    const options = {
-      amount: amountInPaise,
-      currency: "INR",
-      receipt: shortReceipt,
-      notes: { planId: plan._id.toString(), schoolId: userId }
-    };
-
-    const order = await razorpay.orders.create(options);
-
-    res.json({
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      key: process.env.RAZORPAY_KEY_ID,
-      plan: plan.title
-    });
-  } catch (error) {
-    console.error('Error creating Razorpay order for school:', error);
-    const errorMsg = error.message || error.error?.description || 'Unknown error';
-    return res.status(500).json({ message: 'Error creating payment order: ' + errorMsg });
-  }
+  res.json({
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    key: process.env.RAZORPAY_KEY_ID,
+    plan: plan.title,
+    paymentId: payment._id,
+    coupon: payment.coupon && payment.coupon.code ? payment.coupon : undefined
+  });
 });
 
 
@@ -100,123 +41,105 @@ const createOrder = asyncHandler(async (req, res) => {
 // @route  POST /api/subscription/verify
 // @access Private (school)
 const verifyPayment = asyncHandler(async (req, res) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, planName } = req.body;
-  const userId = req.user.id;
-
-  console.log('Payment verification request:', {
-    razorpay_order_id,
-    razorpay_payment_id,
-    razorpay_signature: razorpay_signature ? 'Present' : 'Missing',
-    planName,
-    userId
+  const payment = await PaymentService.verifyCheckout(req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'Subscription activated successfully',
+    paymentId: payment._id
   });
+});
 
-  const hmac = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET);
-  hmac.update(razorpay_order_id + '|' + razorpay_payment_id);
-  const digest = hmac.digest('hex');
 
-  console.log('Signature verification:', {
-    generated: digest,
-    received: razorpay_signature,
-    match: digest === razorpay_signature
-  });
+// @desc   Get subscription status for both schools and teachers
+// @route  GET /api/subscription/status
+// @access Private
+const getSubscriptionStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
 
-  if (digest !== razorpay_signature) {
-    console.log('Payment verification failed: Invalid signature');
-    return res.status(400).json({ success: false, message: 'Payment verification failed' });
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
   }
 
-  // Payment verified — activate subscription
-  // Get the plan details to determine subscription duration
-  const plan = await Plan.findOne({ title: planName });
-  const durationMonths = plan?.durationMonths || 12; // Default to 12 months if not specified
-  
-  const startDate = new Date();
-  const expiryDate = new Date();
-  expiryDate.setMonth(expiryDate.getMonth() + durationMonths);
-
-  console.log('Creating subscription:', {
-    school: userId,
-    planName,
-    durationMonths,
-    status: 'active',
-    startDate,
-    expiryDate
-  });
+  // For other roles, no subscription
+  if (!['school', 'teacher'].includes(user.role)) {
+    return res.json({ hasActivePlan: false });
+  }
 
-  const subscription = await Subscription.create({
-    school: userId,
-    planName,
-    status: 'active',
-    startDate,
-    expiryDate,
+  const entitlement = await SubscriptionService.getEntitlement(user);
+
+  res.json({
+    ...entitlement,
+    isPremium: user.plan.isPremium
   });
+});
 
-  console.log('Subscription created:', subscription._id);
 
-  // Update user plan info
-  console.log('Updating user plan info:', {
-    userId,
-    planName,
-    durationMonths,
-    startDate,
-    expiryDate
-  });
+// @desc   Preview the price of buying a plan (renewal, upgrade/downgrade with proration)
+// @route  GET /api/subscription/quote/:planId
+// @access Private (school, teacher)
+const getPlanQuote = asyncHandler(async (req, res) => {
+  const plan = await Plan.findById(req.params.planId);
 
-  await User.findByIdAndUpdate(userId, {
-    'plan.isPremium': true,
-    'plan.planId': plan?._id || null,
-    'plan.title': planName,
-    'plan.activatedAt': startDate,
-    'plan.expiresAt': expiryDate,
-    'isVerified': true, // Auto-verify school when they purchase subscription
-  });
+  if (!plan || !plan.isActive || plan.userType !== req.user.role) {
+    return res.status(404).json({ message: 'Plan not found or not available for your account' });
+  }
 
-  console.log('User plan updated successfully');
-  res.json({ success: true, message: 'Subscription activated successfully' });
-});
+  const quote = await SubscriptionService.quote(req.user, plan);
 
+  res.json({
+    success: true,
+    plan: plan.title,
+    price: Math.round(plan.price * 100),
+    ...quote
+  });
+});
 
-// @desc   Get subscription status for both schools and teachers
-const getSubscriptionStatus = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const user = await User.findById(userId);
+// @desc   Plan entitlements with current usage and remaining quota
+// @route  GET /api/subscription/entitlements
+// @access Private
+const getEntitlements = asyncHandler(async (req, res) => {
+  const summary = await EntitlementService.getSummary(req.user);
 
-  if (!user) {
-    return res.status(404).json({ message: 'User not found' });
-  }
+  res.json({
+    success: true,
+    ...summary
+  });
+});
 
-  // For teachers, check their plan directly from User model
-  if (user.role === 'teacher') {
-    const hasActivePlan = user.plan.isPremium && 
-      user.plan.expiresAt && 
-      new Date() < new Date(user.plan.expiresAt);
-    
-    return res.json({
-      hasActivePlan,
-      plan: user.plan.title,
-      expiresAt: user.plan.expiresAt,
-      isPremium: user.plan.isPremium
-    });
-  }
+// @desc   Cancel the current subscription at the end of its period
+// @route  POST /api/subscription/cancel
+// @access Private (school, teacher)
+const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.cancel(req.user, req.body.reason);
 
-  // For schools, check subscription model
-  if (user.role === 'school') {
-    const subscription = await Subscription.findOne({ school: userId }).sort({ createdAt: -1 });
-    if (!subscription) return res.json({ hasActivePlan: false });
+  res.json({
+    success: true,
+    message: `Subscription cancelled. Your plan stays active until ${subscription.expiryDate.toDateString()}`,
+    subscription
+  });
+});
 
-    const now = new Date();
-    const isActive = subscription.status === 'active' && subscription.expiryDate > now;
 
-    return res.json({
-      hasActivePlan: isActive,
-      plan: subscription.planName,
-      expiresAt: subscription.expiryDate,
-    });
-  }
+// @desc   Undo a pending cancellation
+// @route  POST /api/subscription/resume
+// @access Private (school, teacher)
+const resumeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.resume(req.user);
 
-  // For other roles, no subscription
-  return res.json({ hasActivePlan: false });
+  res.json({
+    success: true,
+    message: 'Subscription will renew as normal',
+    subscription
+  });
 });
 
-module.exports = { createOrder, verifyPayment, getSubscriptionStatus };
+module.exports = {
+  createOrder,
+  verifyPayment,
+  getSubscriptionStatus,
+  getPlanQuote,
+  getEntitlements,
+  cancelSubscription,
+  resumeSubscription
+};
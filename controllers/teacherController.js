@@ -1,8 +1,11 @@
 const mongoose = require('mongoose');
 const Teacher = require('../models/Teacher');
 const Job = require('../models/Job');
-const Application = require('../models/Application');
+const JobApplication = require('../models/JobApplication');
 const School = require('../models/School');
+const JobMatchService = require('../services/jobMatchService');
+const JobInviteService = require('../services/jobInviteService');
+const JobService = require('../services/jobService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { uploadToCloudinary } = require('../utils/upload');
 const { moderateImage, getModerationErrorMessage } = require('../services/imageModeration');
@@ -484,50 +487,45 @@ const uploadResume = asyncHandler(async (req, res) => {
 // @route   GET /api/teachers/jobs/search
 // @access  Private (Teacher)
 const searchJobs = asyncHandler(async (req, res) => {
-  const {
-    subject,
-    location,
-    gradeLevel,
-    jobType,
-    workMode,
-    minSalary,
-    maxSalary,
-    page = 1,
-    limit = 10
-  } = req.query;
-
-  const query = { isActive: true };
-
-  if (subject) query['jobDetails.subject'] = new RegExp(subject, 'i');
-  if (location) query['location.city'] = new RegExp(location, 'i');
-  if (gradeLevel) query['jobDetails.gradeLevel'] = { $in: gradeLevel.split(',') };
-  if (jobType) query['jobDetails.jobType'] = jobType;
-  if (workMode) query['jobDetails.workMode'] = workMode;
-  if (minSalary || maxSalary) {
-    query['compensation.salary.min'] = {};
-    if (minSalary) query['compensation.salary.min'].$gte = parseInt(minSalary);
-    if (maxSalary) query['compensation.salary.min'].$lte = parseInt(maxSalary);
-  }
-
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  const jobs = await Job.find(query)
-    .populate('school', 'schoolName location contactInfo.photos averageRating')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-  const total = await Job.countDocuments(query);
+  const { subject, minSalary, maxSalary, ...params } = req.query;
+
+  // Same filters, facets and pagination as /api/jobs, under the teacher app's parameter names
+  const { jobs, pagination, near, facets } = await JobService.getJobs({
+    ...params,
+    search: params.search || subject,
+    salaryMin: params.salaryMin || minSalary,
+    salaryMax: params.salaryMax || maxSalary
+  });
 
   res.json({
     success: true,
     jobs,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / parseInt(limit))
-    }
+    pagination,
+    ...(near && { near }),
+    ...(facets && { facets })
+  });
+});
+
+// @desc    Jobs recommended for the teacher, best match first, with the reasons for each
+// @route   GET /api/teachers/jobs/recommended?limit=&minScore=
+// @access  Private (Teacher)
+const getRecommendedJobs = asyncHandler(async (req, res) => {
+  const result = await JobMatchService.recommendJobs(req.user, req.query);
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Teacher profile not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    recommendations: result.recommendations.map(({ job, score, reasons, gaps, breakdown }) => ({
+      job,
+      match: { score, reasons, gaps, breakdown }
+    })),
+    scored: result.scored
   });
 });
 
@@ -579,9 +577,9 @@ const applyForJob = asyncHandler(async (req, res) => {
   }
 
   // Check if already applied
-  const existingApplication = await Application.findOne({
+  const existingApplication = await JobApplication.findOne({
     job: job._id,
-    teacher: teacher._id
+    applicant: req.user.id
   });
 
   if (existingApplication) {
@@ -607,17 +605,24 @@ const applyForJob = asyncHandler(async (req, res) => {
     });
   }
 
-  const application = await Application.create({
+  const resumeUrl = resume || teacher.professionalInfo.resume;
+
+  const application = await JobApplication.create({
     job: job._id,
-    teacher: teacher._id,
+    applicant: req.user.id,
     school: job.school._id,
     coverLetter,
-    resume: resume || teacher.professionalInfo.resume
+    status: 'submitted',
+    appliedAt: new Date(),
+    ...(resumeUrl && { resume: { url: resumeUrl, uploadedAt: new Date() } })
   });
 
   // Increment application count
-  job.applicationCount += 1;
-  await job.save();
+  await job.incrementApplications();
+
+  // Count the application towards the job's invite conversion if the teacher was invited
+  JobInviteService.recordApplication(application)
+    .catch(error => console.error('Failed to record invite conversion:', error.message));
 
   res.status(201).json({
     success: true,
@@ -638,10 +643,10 @@ const getTeacherApplications = asyncHandler(async (req, res) => {
     });
   }
 
-  const applications = await Application.find({ teacher: teacher._id })
-    .populate('job', 'title jobDetails subject location')
+  const applications = await JobApplication.find({ applicant: req.user.id })
+    .populate('job', 'title department location')
     .populate('school', 'schoolName')
-    .sort({ applicationDate: -1 });
+    .sort({ appliedAt: -1 });
 
   res.json({
     success: true,
@@ -820,6 +825,7 @@ module.exports = {
   uploadCoverImage,
   uploadResume,
   searchJobs,
+  getRecommendedJobs,
   getJobDetails,
   applyForJob,
   getTeacherApplications,
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const emailVerification = require('../config/emailVerification');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -44,6 +46,18 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Signed-out sessions, refresh tokens and link tokens are rejected even while the JWT is unexpired
+      if (!(await SessionService.isTokenActive(decoded, req.user))) {
+        console.log('Auth middleware - Session revoked');
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please sign in again',
+          sessionRevoked: true
+        });
+      }
+
+      req.sessionId = decoded.sid;
+
       console.log('Auth middleware - Authentication successful');
       next();
     } catch (error) {
@@ -104,6 +118,18 @@ const requireVerification = (req, res, next) => {
   next();
 };
 
+// Require a verified email address for a feature, if configured for the user's role
+const requireVerifiedEmail = (feature) => (req, res, next) => {
+  if (emailVerification.isRequired(req.user.role, feature) && req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue',
+      requiresEmailVerification: true
+    });
+  }
+  next();
+};
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   let token;
@@ -112,7 +138,11 @@ const optionalAuth = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.id).select('-password');
+      if (user && await SessionService.isTokenActive(decoded, user)) {
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
     } catch (error) {
       // Ignore token errors for optional auth
       console.log('Optional auth token error:', error.message);
@@ -133,6 +163,7 @@ module.exports = {
   protect,
   authorize,
   requireVerification,
+  requireVerifiedEmail,
   optionalAuth,
   adminOnly
 };
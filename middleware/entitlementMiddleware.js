@@ -0,0 +1,69 @@
+const asyncHandler = require('express-async-handler');
+const EntitlementService = require('../services/entitlementService');
+
+// Build a middleware that enforces a plan entitlement for the current user.
+// Monthly quotas are consumed up front and given back if the request fails.
+// Mount it after protect: anonymous requests are refused, never waved through.
+// An unknown key throws when the route is defined rather than on every request.
+const requireEntitlement = (key) => {
+  const definition = EntitlementService.ENTITLEMENTS[key];
+  if (!definition) {
+    throw new Error(`Unknown entitlement ${key}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, no token'
+      });
+    }
+
+    if (definition.type === 'quota') {
+      let quota;
+      try {
+        quota = await EntitlementService.consume(req.user, key);
+      } catch (error) {
+        if (error.statusCode !== 403) throw error;
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+          requiresUpgrade: true,
+          entitlement: error.entitlement
+        });
+      }
+
+      if (quota.applicable) {
+        if (quota.limit !== null) {
+          res.set('X-Quota-Limit', String(quota.limit));
+          res.set('X-Quota-Remaining', String(quota.remaining));
+        }
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            EntitlementService.release(req.user._id, key, quota.period).catch(error => {
+              console.error(`Failed to release ${key} quota:`, error.message);
+            });
+          }
+        });
+      }
+
+      req.quota = quota;
+      return next();
+    }
+
+    const state = await EntitlementService.check(req.user, key);
+    if (!state.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: state.message,
+        requiresUpgrade: true,
+        entitlement: state
+      });
+    }
+
+    req.quota = state;
+    next();
+  });
+};
+
+module.exports = { requireEntitlement };
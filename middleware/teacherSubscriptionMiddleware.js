@@ -1,85 +1,46 @@
 const asyncHandler = require('express-async-handler');
-const User = require('../models/User');
+const SubscriptionService = require('../services/subscriptionService');
 
-// @desc   Check if teacher has active subscription
-// @access Private (teacher)
-const requireTeacherSubscription = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  
-  // Get user from database
-  const user = await User.findById(userId);
-  if (!user) {
-    return res.status(404).json({ 
-      success: false, 
-      message: 'User not found' 
-    });
-  }
+// Build a middleware that requires an active (or in-grace) subscription for a role
+const requireSubscription = (role) => asyncHandler(async (req, res, next) => {
+  const user = req.user;
 
-  // Check if user is a teacher
-  if (user.role !== 'teacher') {
+  if (user.role !== role) {
     return res.status(403).json({ 
       success: false, 
-      message: 'This endpoint is only for teachers' 
+      message: `This endpoint is only for ${role}s` 
     });
   }
 
-  // Check if teacher has active subscription
-  const hasActivePlan = user.plan.isPremium && 
-    user.plan.expiresAt && 
-    new Date() < new Date(user.plan.expiresAt);
+  // Subscription lifecycle decides access (includes the grace period after expiry)
+  const entitlement = await SubscriptionService.getEntitlement(user);
 
-  if (!hasActivePlan) {
+  if (!entitlement.hasActivePlan) {
     return res.status(403).json({ 
       success: false, 
       message: 'Active subscription required to access this feature',
       requiresSubscription: true,
-      userRole: 'teacher'
+      subscriptionStatus: entitlement.status,
+      userRole: role
     });
   }
 
-  // Teacher has active subscription, proceed
+  // Let handlers and the client know when the plan is running on grace
+  if (entitlement.inGrace) {
+    res.set('X-Subscription-Grace-Ends', entitlement.graceEndsAt.toISOString());
+  }
+
+  req.entitlement = entitlement;
   next();
 });
 
+// @desc   Check if teacher has active subscription
+// @access Private (teacher)
+const requireTeacherSubscription = requireSubscription('teacher');
+
 // @desc   Check if school has active subscription
 // @access Private (school)
-const requireSchoolSubscription = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  
-  // Get user from database
-  const user = await User.findById(userId);
-  if (!user) {
-    return res.status(404).json({ 
-      success: false, 
-      message: 'User not found' 
-    });
-  }
-
-  // Check if user is a school
-  if (user.role !== 'school') {
-    return res.status(403).json({ 
-      success: false, 
-      message: 'This endpoint is only for schools' 
-    });
-  }
-
-  // Check if school has active subscription
-  const hasActivePlan = user.plan.isPremium && 
-    user.plan.expiresAt && 
-    new Date() < new Date(user.plan.expiresAt);
-
-  if (!hasActivePlan) {
-    return res.status(403).json({ 
-      success: false, 
-      message: 'Active subscription required to access this feature',
-      requiresSubscription: true,
-      userRole: 'school'
-    });
-  }
-
-  // School has active subscription, proceed
-  next();
-});
+const requireSchoolSubscription = requireSubscription('school');
 
 module.exports = {
   requireTeacherSubscription,
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // application: the chat attached to a job application
+  // direct: 1:1 between connected users, group: small group started by a user
+  type: {
+    type: String,
+    enum: ['application', 'direct', 'group'],
+    required: true
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobApplication'
+  },
+  // Sorted participant IDs, so two users share a single direct conversation
+  directKey: String,
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastMessage: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String,
+    messageType: String,
+    // e.g. '📎 resume.pdf' when the message carries attachments
+    attachmentPreview: String,
+    attachmentCount: Number,
+    isDeleted: Boolean,
+    createdAt: Date
+  },
+  lastMessageAt: Date,
+  // Participants who deleted the conversation; it comes back with the next message
+  hiddenFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index(
+  { application: 1 },
+  { unique: true, partialFilterExpression: { type: 'application' } }
+);
+conversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { type: 'direct' } }
+);
+
+module.exports = mongoose.model('Conversation', conversationSchema);
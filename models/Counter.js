@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences (e.g. invoice numbers per financial year)
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Values handed back after later ones were taken, lowest first; next() reuses them
+  free: {
+    type: [Number],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to atomically take the next value of a sequence
+// Values that were handed back are used up first, so the sequence keeps no gaps
+counterSchema.statics.next = async function(name) {
+  const reused = await this.findOneAndUpdate(
+    { name, 'free.0': { $exists: true } },
+    { $pop: { free: -1 } }
+  );
+  if (reused) return reused.free[0];
+
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+// Static method to hand back a value that wasn't used: the sequence steps back if it
+// was the latest value, otherwise it is kept for the next caller
+counterSchema.statics.giveBack = async function(name, seq) {
+  const rewound = await this.updateOne({ name, seq }, { $inc: { seq: -1 } });
+  if (rewound.modifiedCount > 0) return;
+
+  await this.updateOne({ name }, { $push: { free: { $each: [seq], $sort: 1 } } });
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
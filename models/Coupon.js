@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Admin-managed promo code applied to plan purchases at checkout
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code may only contain letters, numbers, - and _']
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  // Percentage (1-100) or flat amount in rupees, matching Plan.price
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap for percentage coupons, in rupees
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  validFrom: Date,
+  expiresAt: Date,
+  // Total redemptions across all users; unset means unlimited
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Empty means any user type / any plan
+  userTypes: [{
+    type: String,
+    enum: ['school', 'teacher']
+  }],
+  plans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  }],
+  campaign: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Uses taken, including those held by unpaid orders
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.expiresAt && this.expiresAt <= this.validFrom) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
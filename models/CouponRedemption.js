@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One coupon use: held while the discounted order is unpaid, redeemed when
+// the payment activates a plan
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['school', 'teacher']
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  // Amounts in paise
+  amountBeforeDiscount: Number,
+  discount: Number,
+  amountPaid: Number,
+  // reserved until the order is paid; released when the hold lapses,
+  // the order fails or the payment is refunded
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'redeemed'
+  },
+  // When an unpaid hold is given back
+  expiresAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -29,6 +29,11 @@ const deviceSchema = mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // FCM topics this token is subscribed to (e.g. role_teacher, city_pune, subject_mathematics)
+  topics: {
+    type: [String],
+    default: []
+  },
   lastActive: {
     type: Date,
     default: Date.now
@@ -39,6 +44,7 @@ const deviceSchema = mongoose.Schema({
 
 // Index for faster queries
 deviceSchema.index({ user: 1, isActive: 1 });
+deviceSchema.index({ topics: 1, isActive: 1 });
 // fcmToken already has unique index from unique: true, no need for duplicate
 
 // Remove old tokens when same device registers new token
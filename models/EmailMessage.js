@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  from: String,
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  headers: mongoose.Schema.Types.Mixed,
+  // Calendar invitation (text/calendar), sent inline and as an .ics attachment
+  icalEvent: {
+    method: String,
+    filename: String,
+    content: String
+  },
+  // Registry template the message was rendered from, if any
+  template: String,
+  // Variables of a template with one-time links, which are redacted; html and text aren't stored
+  variables: mongoose.Schema.Types.Mixed,
+  // false when html and text aren't stored: only the process that queued the message can
+  // (re)try it, so the outbox task leaves it alone
+  bodyStored: {
+    type: Boolean,
+    default: true
+  },
+  // Notification preference type the message was sent under
+  type: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'bounced'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current delivery attempt started (to recover sends lost in a crash)
+  lockedAt: Date,
+  transport: String,
+  messageId: String,
+  lastError: String,
+  lastErrorCode: String,
+  sentAt: Date,
+  failedAt: Date,
+  bouncedAt: Date,
+  resendCount: {
+    type: Number,
+    default: 0
+  },
+  history: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    error: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ createdAt: -1 });
+// Delivered mail is kept for 30 days; failed and bounced mail stays until resent
+emailMessageSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } }
+);
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
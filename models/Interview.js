@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+const slotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // school: offered with the invitation, teacher: suggested when asking to reschedule
+  proposedBy: {
+    type: String,
+    enum: ['school', 'teacher'],
+    default: 'school'
+  }
+});
+
+const feedbackSchema = new mongoose.Schema({
+  // One score per scorecard criterion, 1-5
+  ratings: [{
+    _id: false,
+    criterion: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true
+    }
+  }],
+  overall: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  recommendation: {
+    type: String,
+    enum: ['strong_yes', 'yes', 'no', 'strong_no']
+  },
+  strengths: [String],
+  areasForImprovement: [String],
+  comments: {
+    type: String,
+    maxlength: [2000, 'Comments cannot exceed 2000 characters']
+  },
+  submittedAt: Date
+}, { _id: false });
+
+const panelistSchema = new mongoose.Schema({
+  // Set when the interviewer has a Teachers Link account (e.g. the school user)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  feedback: feedbackSchema
+});
+
+const interviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobApplication',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // proposed: waiting for the teacher to pick a slot
+  // reschedule_requested: the teacher suggested other slots, waiting for the school
+  status: {
+    type: String,
+    enum: ['proposed', 'confirmed', 'reschedule_requested', 'declined', 'cancelled', 'completed'],
+    default: 'proposed'
+  },
+  slots: [slotSchema],
+  // The confirmed slot
+  scheduledAt: Date,
+  endsAt: Date,
+  durationMinutes: {
+    type: Number,
+    min: [5, 'Interviews must be at least 5 minutes'],
+    max: [480, 'Interviews cannot be longer than 8 hours'],
+    default: 45
+  },
+  interviewType: {
+    type: String,
+    enum: ['phone', 'video', 'in-person', 'panel'],
+    default: 'video'
+  },
+  location: String,
+  meetingLink: String,
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  panel: [panelistSchema],
+  // Scorecard criteria in force when the interview was set up; panelists score against these
+  scorecard: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      required: true
+    },
+    description: String,
+    weight: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1
+    }
+  }],
+  // Calendar SEQUENCE: bumped whenever the confirmed time or place changes
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  // Reminder offsets (minutes before the start) already sent for the confirmed slot
+  remindersSent: [Number],
+  // When the panel was asked for feedback after the interview
+  feedbackRequestedAt: Date,
+  // Latest reason given for a reschedule request, decline or cancellation
+  reason: String,
+  history: [{
+    _id: false,
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.index({ application: 1, createdAt: -1 });
+interviewSchema.index({ status: 1, scheduledAt: 1 });
+interviewSchema.index({ school: 1, scheduledAt: 1 });
+interviewSchema.index({ teacher: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('Interview', interviewSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Interview times a school publishes for one job; shortlisted teachers book slots from them
+const interviewAvailabilitySchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    unique: true
+  },
+  // Periods the school can interview in; they are cut into slots of slotMinutes
+  windows: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  }],
+  slotMinutes: {
+    type: Number,
+    min: [10, 'Slots must be at least 10 minutes'],
+    max: [240, 'Slots cannot be longer than 4 hours'],
+    default: 45
+  },
+  interviewType: {
+    type: String,
+    enum: ['phone', 'video', 'in-person', 'panel'],
+    default: 'video'
+  },
+  location: String,
+  meetingLink: String,
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  // Paused availability stays saved but offers no slots
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+interviewAvailabilitySchema.index({ school: 1 });
+
+module.exports = mongoose.model('InterviewAvailability', interviewAvailabilitySchema);
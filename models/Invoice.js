@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  gstin: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String,
+    country: String
+  },
+  stateCode: String
+}, { _id: false });
+
+const taxLineSchema = new mongoose.Schema({
+  rate: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Tax invoice issued for a captured payment. Amounts are in paise.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['school', 'teacher'],
+    required: true
+  },
+  seller: partySchema,
+  billTo: partySchema,
+  placeOfSupply: String,
+  supplyType: {
+    type: String,
+    enum: ['intra-state', 'inter-state'],
+    required: true
+  },
+  items: [{
+    description: { type: String, required: true },
+    sacCode: String,
+    quantity: { type: Number, default: 1 },
+    amount: { type: Number, required: true }
+  }],
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgst: taxLineSchema,
+  sgst: taxLineSchema,
+  igst: taxLineSchema,
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  razorpayPaymentId: String,
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
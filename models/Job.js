@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geocode } = require('../utils/geo');
 
 const JobSchema = new mongoose.Schema({
   // Basic Information
@@ -121,6 +122,21 @@ const JobSchema = new mongoose.Schema({
     hybrid: {
       type: Boolean,
       default: false
+    },
+    // GeoJSON point from the pincode or city, or else the school's (utils/geo); set on save
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    geoSource: {
+      type: String,
+      enum: ['pincode', 'place', 'district', 'school']
     }
   },
   schedule: {
@@ -190,6 +206,9 @@ const JobSchema = new mongoose.Schema({
       return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
     }
   },
+  deadlineReminderSentAt: Date,
+  // Set once the job has been matched against teachers' saved job alerts
+  alertsProcessedAt: Date,
 
   // SEO & Marketing
   tags: [{
@@ -225,6 +244,7 @@ const JobSchema = new mongoose.Schema({
 JobSchema.index({ school: 1, status: 1 });
 JobSchema.index({ title: 'text', description: 'text', tags: 'text' });
 JobSchema.index({ location: 1 });
+JobSchema.index({ 'location.geo': '2dsphere' });
 JobSchema.index({ employmentType: 1 });
 JobSchema.index({ createdAt: -1 });
 JobSchema.index({ expiresAt: 1 });
@@ -261,6 +281,42 @@ JobSchema.pre('save', function(next) {
   next();
 });
 
+// Place a job on the map from its own address, falling back to its school's
+const locate = async (location = {}, schoolId) => {
+  const point = geocode({ pincode: location.zipCode, address: location.address, city: location.city });
+  if (point) {
+    return { geo: { type: 'Point', coordinates: point.coordinates }, geoSource: point.source };
+  }
+
+  if (!schoolId) return null;
+  const school = await mongoose.model('School').findById(schoolId).select('address.geo');
+  const geo = school && school.address && school.address.geo;
+  return geo && geo.coordinates && geo.coordinates.length === 2
+    ? { geo: { type: 'Point', coordinates: geo.coordinates }, geoSource: 'school' }
+    : null;
+};
+
+JobSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('location') && !this.isModified('school')) return;
+
+  const located = await locate(this.location, this.school);
+  this.set('location.geo', located ? located.geo : undefined);
+  this.set('location.geoSource', located ? located.geoSource : undefined);
+});
+
+// Edits replace the whole location object, so locate it again
+JobSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const fields = update.$set && update.$set.location ? update.$set : update;
+  if (!fields.location) return;
+
+  // Coordinates sent by the client are ignored
+  const { geo, geoSource, ...location } = fields.location;
+  const job = fields.school ? null : await this.model.findOne(this.getQuery()).select('school');
+  const located = await locate(location, fields.school || (job && job.school));
+  fields.location = located ? { ...location, ...located } : location;
+});
+
 // Static method to find active jobs
 JobSchema.statics.findActive = function() {
   return this.find({ 
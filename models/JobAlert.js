@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A teacher's saved job search; newly published jobs that match it are delivered
+// straight away (instant) or collected in `pending` for the daily/weekly batch
+const jobAlertSchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Give the alert a name'],
+    trim: true,
+    maxlength: [80, 'Alert names cannot exceed 80 characters']
+  },
+  criteria: {
+    // Every word must appear in the title, description, tags or skills
+    keywords: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Keywords cannot exceed 200 characters']
+    },
+    // Empty means any
+    department: [String],
+    employmentType: [String],
+    city: {
+      type: String,
+      trim: true
+    },
+    // Jobs paying at least this much (top of the range)
+    salaryMin: {
+      type: Number,
+      min: [0, 'Salary cannot be negative']
+    },
+    // When either is set, only remote and/or hybrid jobs match
+    remote: {
+      type: Boolean,
+      default: false
+    },
+    hybrid: {
+      type: Boolean,
+      default: false
+    }
+  },
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly'],
+    default: 'instant'
+  },
+  channels: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    push: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Matches waiting for the next daily/weekly batch
+  pending: [{
+    _id: false,
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true
+    },
+    matchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+  lastSentAt: Date
+}, {
+  timestamps: true
+});
+
+jobAlertSchema.index({ teacher: 1, createdAt: -1 });
+jobAlertSchema.index({ isActive: 1, frequency: 1 });
+
+module.exports = mongoose.model('JobAlert', jobAlertSchema);
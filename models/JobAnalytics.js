@@ -56,6 +56,18 @@ const JobAnalyticsSchema = new mongoose.Schema({
     }
   },
   
+  // Invite Analytics (recommended teachers invited to apply)
+  invites: {
+    sent: {
+      type: Number,
+      default: 0
+    },
+    applied: {
+      type: Number,
+      default: 0
+    }
+  },
+
   // Engagement Analytics
   engagement: {
     timeOnPage: {
@@ -168,6 +180,12 @@ JobAnalyticsSchema.virtual('applicationRate').get(function() {
   return ((this.applications.total / this.views.total) * 100).toFixed(2);
 });
 
+// Virtual for invite-to-application conversion
+JobAnalyticsSchema.virtual('inviteConversionRate').get(function() {
+  if (!this.invites || !this.invites.sent) return 0;
+  return ((this.invites.applied / this.invites.sent) * 100).toFixed(2);
+});
+
 // Virtual for top performing source
 JobAnalyticsSchema.virtual('topSource').get(function() {
   if (!this.views.sources || this.views.sources.length === 0) return null;
@@ -50,21 +50,74 @@ const JobApplicationSchema = new mongoose.Schema({
     default: 'submitted'
   },
   
+  // Append-only audit trail of status changes
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: {
+      type: String,
+      enum: ['teacher', 'school', 'admin', 'system']
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Interview Information
   interview: {
+    // Interview with proposed slots, panel and feedback; the fields below mirror it
+    interviewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Interview'
+    },
     scheduledDate: Date,
     interviewType: {
       type: String,
       enum: ['phone', 'video', 'in-person', 'panel']
     },
     location: String,
+    meetingLink: String,
+    interviewer: String,
+    status: {
+      type: String,
+      enum: ['proposed', 'scheduled', 'completed', 'cancelled', 'rescheduled']
+    },
     notes: String,
     feedback: String,
+    strengths: [String],
+    areasForImprovement: [String],
     rating: {
       type: Number,
       min: 1,
       max: 5
-    }
+    },
+    // Weighted scorecard result across every interview round (1-5) and how many evaluators scored
+    weightedScore: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    evaluators: Number,
+    reminderSentAt: Date
+  },
+
+  // Offer Information
+  offer: {
+    offeredSalary: Number,
+    startDate: Date,
+    benefits: [String],
+    offerExpiry: Date,
+    offerAccepted: Boolean,
+    offerAcceptedDate: Date
   },
   
   // Communication
@@ -132,6 +185,16 @@ const JobApplicationSchema = new mongoose.Schema({
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  // Set on documents merged in from the retired Application collection
+  legacyApplicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true,
+    sparse: true
   }
 }, {
   timestamps: true,
@@ -146,6 +209,35 @@ JobApplicationSchema.index({ applicant: 1, status: 1 });
 JobApplicationSchema.index({ appliedAt: -1 });
 JobApplicationSchema.index({ status: 1 });
 
+// Allowed status transitions; statuses with no entry are final
+const STATUS_TRANSITIONS = {
+  'submitted': ['under-review', 'shortlisted', 'interview-scheduled', 'rejected', 'withdrawn'],
+  'under-review': ['shortlisted', 'interview-scheduled', 'rejected', 'withdrawn'],
+  'shortlisted': ['interview-scheduled', 'accepted', 'rejected', 'withdrawn'],
+  'interview-scheduled': ['interviewed', 'rejected', 'withdrawn'],
+  'interviewed': ['interview-scheduled', 'accepted', 'hired', 'rejected', 'withdrawn'],
+  'accepted': ['hired', 'withdrawn'],
+  'hired': [],
+  'rejected': [],
+  'withdrawn': []
+};
+
+// Statuses only the applicant may set; every other status is set by the school
+const APPLICANT_STATUSES = ['withdrawn'];
+
+// Statuses and interview types used by the retired Application model
+const LEGACY_STATUS_MAP = {
+  pending: 'submitted',
+  reviewed: 'under-review'
+};
+
+const LEGACY_INTERVIEW_TYPE_MAP = {
+  Phone: 'phone',
+  Video: 'video',
+  'In-person': 'in-person',
+  Panel: 'panel'
+};
+
 // Virtual for days since application
 JobApplicationSchema.virtual('daysSinceApplication').get(function() {
   const now = new Date();
@@ -163,6 +255,26 @@ JobApplicationSchema.virtual('unreadMessagesCount').get(function() {
 // Pre-save middleware
 JobApplicationSchema.pre('save', function(next) {
   this.lastUpdated = Date.now();
+
+  // Seed the audit trail with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.applicant,
+      changedByRole: 'teacher',
+      changedAt: this.appliedAt || new Date()
+    });
+  }
+
+  // Status changes must go through transitionStatus so they are audited
+  if (!this.isNew && this.isModified('status')) {
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (!last || last.to !== this.status) {
+      return next(new Error('Application status must be changed through transitionStatus'));
+    }
+  }
+
   next();
 });
 
@@ -190,12 +302,76 @@ JobApplicationSchema.statics.findBySchool = function(schoolId) {
     .sort({ appliedAt: -1 });
 };
 
-// Instance method to update status
-JobApplicationSchema.methods.updateStatus = function(newStatus, userId) {
-  this.status = newStatus;
-  this.reviewedAt = new Date();
-  this.reviewedBy = userId;
-  return this.save();
+// Static method to map a legacy Application status onto the canonical enum
+JobApplicationSchema.statics.normalizeStatus = function(status) {
+  return LEGACY_STATUS_MAP[status] || status;
+};
+
+// Static method to map a legacy Application interview type onto the canonical enum
+JobApplicationSchema.statics.normalizeInterviewType = function(interviewType) {
+  return LEGACY_INTERVIEW_TYPE_MAP[interviewType] || interviewType;
+};
+
+// Static method to list the statuses reachable from a given status
+JobApplicationSchema.statics.allowedTransitions = function(fromStatus) {
+  return STATUS_TRANSITIONS[fromStatus] || [];
+};
+
+// Static method to check a transition against the status graph and actor role
+// Returns null when allowed, otherwise a human readable reason
+JobApplicationSchema.statics.validateTransition = function(fromStatus, toStatus, role) {
+  if (!STATUS_TRANSITIONS[toStatus]) {
+    return `Unknown application status '${toStatus}'`;
+  }
+  if (!(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    return `Cannot change application status from '${fromStatus}' to '${toStatus}'`;
+  }
+  if (role !== 'admin') {
+    const applicantOnly = APPLICANT_STATUSES.includes(toStatus);
+    if (applicantOnly && role !== 'teacher') {
+      return `Only the applicant can set status '${toStatus}'`;
+    }
+    if (!applicantOnly && role === 'teacher') {
+      return `Only the school can set status '${toStatus}'`;
+    }
+  }
+  return null;
+};
+
+// Static method to atomically move an application to a new status
+// Resolves to null if the status changed concurrently
+JobApplicationSchema.statics.transitionStatus = function(applicationId, fromStatus, toStatus, { userId, role, reason } = {}) {
+  const now = new Date();
+  const update = {
+    $set: {
+      status: toStatus,
+      lastUpdated: now
+    },
+    $push: {
+      statusHistory: {
+        from: fromStatus,
+        to: toStatus,
+        changedBy: userId,
+        changedByRole: role,
+        reason,
+        changedAt: now
+      }
+    }
+  };
+
+  if (role === 'school' || role === 'admin') {
+    update.$set.reviewedAt = now;
+    update.$set.reviewedBy = userId;
+  }
+  if (toStatus === 'rejected' && reason) {
+    update.$set.rejectionReason = reason;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: applicationId, status: fromStatus },
+    update,
+    { new: true }
+  );
 };
 
 // Instance method to add message
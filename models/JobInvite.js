@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A school inviting a recommended teacher to apply for a job; marked applied when
+// that teacher's application for the job comes in
+const jobInviteSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Invite message cannot exceed 500 characters']
+  },
+  // Match score when the invite was sent
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'applied'],
+    default: 'invited'
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobApplication'
+  },
+  appliedAt: Date
+}, {
+  timestamps: true
+});
+
+jobInviteSchema.index({ job: 1, teacher: 1 }, { unique: true });
+jobInviteSchema.index({ school: 1, createdAt: -1 });
+jobInviteSchema.index({ teacher: 1, status: 1 });
+
+module.exports = mongoose.model('JobInvite', jobInviteSchema);
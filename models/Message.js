@@ -6,19 +6,28 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for 1:1 messages (application and direct conversations)
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
+  // Set for group messages instead of receiver
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   application: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'JobApplication',
-    required: true
+    ref: 'JobApplication'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
   },
+  // Optional caption when the message carries attachments
   message: {
     type: String,
-    required: [true, 'Message content is required'],
+    required: [function() { return !this.attachments || this.attachments.length === 0; }, 'Message content is required'],
     trim: true
   },
   messageType: {
@@ -28,21 +37,55 @@ const messageSchema = new mongoose.Schema({
   },
   attachments: [{
     filename: String,
+    // Only for attachments from before uploads were private; others get signed URLs
     url: String,
     fileType: String,
-    fileSize: Number
+    fileSize: Number,
+    kind: {
+      type: String,
+      enum: ['image', 'file']
+    },
+    // Private Cloudinary asset
+    publicId: String,
+    resourceType: String,
+    format: String,
+    width: Number,
+    height: Number
+  }],
+  // Set when a receiver's app or website got the message
+  // (for group messages, once every recipient has it)
+  deliveredAt: Date,
+  // Per-recipient receipts for group messages
+  deliveredTo: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deliveredAt: Date
+  }],
+  readBy: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    readAt: Date
   }],
   isRead: {
     type: Boolean,
     default: false
   },
   readAt: Date,
+  // Deleted for everyone (only the sender can do this)
   isDeleted: {
     type: Boolean,
     default: false
   },
   deletedAt: Date,
+  // Users who deleted the message for themselves only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   editedAt: Date,
+  // Earlier versions of the text, oldest first
+  editHistory: [{
+    message: String,
+    editedAt: Date
+  }],
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
@@ -51,16 +94,21 @@ const messageSchema = new mongoose.Schema({
   timestamps: true
 });
 
+messageSchema.pre('validate', function(next) {
+  if (!this.application && !this.conversation) {
+    this.invalidate('conversation', 'A message needs an application or a conversation');
+  }
+  if (!this.receiver && (!this.recipients || this.recipients.length === 0)) {
+    this.invalidate('receiver', 'A message needs a receiver');
+  }
+  next();
+});
+
 // Index for efficient querying
 messageSchema.index({ application: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ recipients: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, receiver: 1 });
+messageSchema.index({ receiver: 1, deliveredAt: 1 });
 
 module.exports = mongoose.model('Message', messageSchema);
-
-
-
-
-
-
-
-
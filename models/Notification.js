@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['shortlist', 'reject', 'interview', 'hired', 'job_posted', 'application_received', 'message', 'blog_published'],
+    enum: ['shortlist', 'reject', 'interview', 'hired', 'job_posted', 'application_received', 'message', 'blog_published', 'application_withdrawn', 'subscription', 'job_alert', 'job_invite'],
     required: true
   },
   title: {
@@ -33,15 +33,28 @@ const notificationSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'JobApplication'
     },
+    // Chat message specific data
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     schoolName: String,
     jobTitle: String,
     // Interview specific data
+    interviewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Interview'
+    },
     interviewDetails: {
       date: String,
       time: String,
       type: {
         type: String,
-        enum: ['video', 'phone', 'in-person']
+        enum: ['video', 'phone', 'in-person', 'panel']
       },
       location: String,
       notes: String,
@@ -61,6 +74,10 @@ const notificationSchema = new mongoose.Schema({
   },
   readAt: {
     type: Date
+  },
+  // Set once the notification has been included in a digest email
+  digestedAt: {
+    type: Date
   }
 }, {
   timestamps: true
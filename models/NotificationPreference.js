@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Per-channel switches for one notification type; unset means "use the default"
+const channelSwitchesSchema = new mongoose.Schema({
+  inApp: Boolean,
+  popup: Boolean,
+  push: Boolean,
+  email: Boolean
+}, { _id: false });
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // IANA timezone used for quiet hours, e.g. 'Asia/Kolkata'
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm for quiet hours']
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm for quiet hours']
+    },
+    // Channels held back during quiet hours
+    channels: {
+      type: [{ type: String, enum: ['popup', 'push', 'email'] }],
+      default: ['popup', 'push']
+    }
+  },
+  // Opt-in summary email instead of one email per notification
+  digest: {
+    frequency: {
+      type: String,
+      enum: ['off', 'daily', 'weekly'],
+      default: 'off'
+    },
+    lastSentAt: Date
+  },
+  // Keyed by notification type, plus 'default' for all types
+  channels: {
+    type: Map,
+    of: channelSwitchesSchema,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.index({ 'digest.frequency': 1 });
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
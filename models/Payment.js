@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Ledger entry for a plan purchase. One document per Razorpay order (or free
+// activation); plan activation is driven from here so it happens exactly once.
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['school', 'teacher'],
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  // Plan as it was when the order was placed, so later plan edits don't change what was bought
+  planSnapshot: {
+    title: { type: String, required: true },
+    price: { type: Number, required: true },
+    durationMonths: { type: Number, required: true },
+    features: [String],
+    userType: String
+  },
+  provider: {
+    type: String,
+    enum: ['razorpay', 'free', 'credit', 'coupon'],
+    default: 'razorpay'
+  },
+  // new purchase, renewal of the current plan, or switch from the current plan
+  kind: {
+    type: String,
+    enum: ['new', 'renewal', 'change'],
+    default: 'new'
+  },
+  // Quote the amount was based on; applied when the payment activates
+  proration: {
+    fromSubscription: mongoose.Schema.Types.ObjectId,
+    fromPlanTitle: String,
+    credit: { type: Number, default: 0 },
+    bonusDays: { type: Number, default: 0 }
+  },
+  // Promo code applied at checkout; amounts in paise
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    amountBeforeDiscount: Number,
+    discount: Number
+  },
+  razorpayOrderId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  razorpayPaymentId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  receipt: String,
+  // Amount in the smallest currency unit (paise)
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed', 'refunded'],
+    default: 'created'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['order', 'verify', 'webhook', 'system'],
+      default: 'system'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  capturedAt: Date,
+  failureReason: String,
+  // Set once when the plan is applied; guards against double activation
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by the request issuing the invoice, so only one of them takes an invoice number
+  invoiceClaimedAt: Date,
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subscriptionModel'
+  },
+  subscriptionModel: {
+    type: String,
+    enum: ['Subscription', 'TeacherSubscription']
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+// Seed the status history with the initial status
+paymentSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      source: this.provider === 'razorpay' ? 'order' : 'system'
+    });
+  }
+  next();
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
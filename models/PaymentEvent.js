@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Raw Razorpay webhook deliveries. The unique eventId makes retried
+// deliveries of the same event a no-op, unless the earlier attempt failed.
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  razorpayOrderId: String,
+  razorpayPaymentId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ razorpayOrderId: 1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -6,7 +6,15 @@ const planSchema = new mongoose.Schema(
     price: { type: Number, required: true },
     durationMonths: { type: Number, required: true }, // e.g., 12 for 1 year
     description: { type: String },
-    features: [{ type: String }],
+    features: [{ type: String }], // marketing copy shown on the pricing page
+    // Enforced limits; a missing value means unlimited / allowed
+    entitlements: {
+      maxActiveJobs: { type: Number, min: 0 },
+      maxFeaturedJobs: { type: Number, min: 0 },
+      applicantSearch: { type: Boolean },
+      resumeDownloadsPerMonth: { type: Number, min: 0 },
+      chatWithNonApplicants: { type: Boolean },
+    },
     userType: { 
       type: String, 
       enum: ['school', 'teacher'], 
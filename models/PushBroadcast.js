@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const pushBroadcastSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: 100
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: 500
+  },
+  // Where the app or website should open when the notification is tapped
+  link: String,
+  // Each list narrows the audience; values within a list are alternatives
+  audience: {
+    roles: [{
+      type: String,
+      enum: ['teacher', 'school', 'admin']
+    }],
+    cities: [String],
+    subjects: [String],
+    platforms: [{
+      type: String,
+      enum: ['android', 'ios', 'web']
+    }]
+  },
+  scheduledAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'scheduled'
+  },
+  stats: {
+    devices: { type: Number, default: 0 },
+    successCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 },
+    // Users skipped because they muted announcements or are in quiet hours
+    mutedUsers: { type: Number, default: 0 }
+  },
+  startedAt: Date,
+  sentAt: Date,
+  cancelledAt: Date,
+  error: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pushBroadcastSchema.index({ status: 1, scheduledAt: 1 });
+pushBroadcastSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PushBroadcast', pushBroadcastSchema);
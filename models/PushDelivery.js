@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One row per device per push attempt
+const pushDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web']
+  },
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  broadcast: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PushBroadcast'
+  },
+  type: String,
+  title: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  messageId: String,
+  // FCM error code, e.g. messaging/registration-token-not-registered
+  errorCode: String,
+  errorMessage: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+pushDeliverySchema.index({ broadcast: 1, status: 1 });
+pushDeliverySchema.index({ notification: 1 });
+pushDeliverySchema.index({ user: 1, createdAt: -1 });
+// Keep 90 days of delivery history
+pushDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PushDelivery', pushDeliverySchema);
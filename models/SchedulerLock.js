@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled task. Whichever instance holds an unexpired
+// lock is the only one allowed to run that task (PM2 cluster safety).
+const schedulerLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SchedulerLock', schedulerLockSchema);
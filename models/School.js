@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { GSTIN_REGEX } = require('../utils/gst');
+const { geocode } = require('../utils/geo');
 
 const schoolSchema = new mongoose.Schema({
   user: {
@@ -31,8 +33,30 @@ const schoolSchema = new mongoose.Schema({
     country: {
       type: String,
       default: 'India'
+    },
+    // GeoJSON point from the pincode or city (utils/geo), set on save
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    geoSource: {
+      type: String,
+      enum: ['pincode', 'place', 'district']
     }
   },
+  // GST registration, printed on subscription invoices
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [GSTIN_REGEX, 'Please enter a valid 15 character GSTIN']
+  },
   contactInfo: {
     phone: {
       type: String,
@@ -117,6 +141,34 @@ const schoolSchema = new mongoose.Schema({
   timestamps: true
 });
 
+schoolSchema.index({ 'address.geo': '2dsphere' });
+
+// Place the school on the map whenever its address changes
+schoolSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('address')) return next();
+
+  const address = this.address || {};
+  const point = geocode({ pincode: address.pincode, address: address.street, city: address.city });
+  this.set('address.geo', point ? { type: 'Point', coordinates: point.coordinates } : undefined);
+  this.set('address.geoSource', point ? point.source : undefined);
+  this.$locals.geoChanged = !this.isNew;
+  next();
+});
+
+// Jobs without a locatable address of their own sit at the school
+schoolSchema.post('save', async function() {
+  if (!this.$locals.geoChanged) return;
+  this.$locals.geoChanged = false;
+
+  const geo = this.address.geo;
+  await mongoose.model('Job').updateMany(
+    { school: this._id, 'location.geoSource': 'school' },
+    geo && geo.coordinates
+      ? { $set: { 'location.geo': { type: 'Point', coordinates: geo.coordinates } } }
+      : { $unset: { 'location.geo': 1, 'location.geoSource': 1 } }
+  );
+});
+
 // Calculate average rating
 schoolSchema.methods.calculateAverageRating = function() {
   if (this.reviews.length === 0) {
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One per school: the booked interview times across all its jobs, used to refuse double bookings
+const schoolCalendarSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    unique: true
+  },
+  // Free time kept before and after every interview
+  bufferMinutes: {
+    type: Number,
+    min: [0, 'Buffer cannot be negative'],
+    max: [120, 'Buffer cannot exceed 2 hours'],
+    default: 15
+  },
+  // Teachers can't book a slot starting sooner than this
+  minNoticeHours: {
+    type: Number,
+    min: [0, 'Notice cannot be negative'],
+    max: [336, 'Notice cannot exceed 2 weeks'],
+    default: 24
+  },
+  // Secret in the calendar feed URL; regenerating it revokes old subscriptions
+  feedToken: String,
+  // Confirmed interviews; written with conditional updates so two bookings can't overlap
+  bookings: [{
+    _id: false,
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Interview',
+      required: true
+    },
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+schoolCalendarSchema.index({ feedToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('SchoolCalendar', schoolCalendarSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const criterionSchema = new mongoose.Schema({
+  // Stable identifier stored with each panelist's rating, e.g. classroom_demo
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Criterion keys may only contain lowercase letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [80, 'Criterion labels cannot exceed 80 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Criterion descriptions cannot exceed 300 characters']
+  },
+  // Relative importance in the weighted score
+  weight: {
+    type: Number,
+    min: [1, 'Weights must be between 1 and 10'],
+    max: [10, 'Weights must be between 1 and 10'],
+    default: 1
+  }
+}, { _id: false });
+
+const scorecardSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  // Unset for the school's default template, used by jobs without their own
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Scorecard names cannot exceed 100 characters']
+  },
+  criteria: [criterionSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scorecardSchema.index({ school: 1, job: 1 }, { unique: true });
+
+module.exports = mongoose.model('Scorecard', scorecardSchema);
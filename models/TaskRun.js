@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const taskRunSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instance: String,
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed', 'skipped'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+taskRunSchema.index({ task: 1, startedAt: -1 });
+// Keep 30 days of run history
+taskRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('TaskRun', taskRunSchema);
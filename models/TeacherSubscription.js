@@ -11,9 +11,15 @@ const teacherSubscriptionSchema = new mongoose.Schema(
       type: String,
       default: 'free',
     },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan',
+    },
+    // active -> grace (after expiryDate) -> expired; cancelled when a cancellation reaches period end;
+    // replaced when the holder switched to another plan
     status: {
       type: String,
-      enum: ['active', 'expired', 'cancelled'],
+      enum: ['active', 'grace', 'expired', 'cancelled', 'replaced'],
       default: 'active',
     },
     startDate: {
@@ -24,8 +30,34 @@ const teacherSubscriptionSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    graceEndsAt: Date,
+    // Cancellation keeps the plan until expiryDate, then it ends without a grace period
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    cancelledAt: Date,
+    cancelReason: String,
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TeacherSubscription',
+    },
+    // Latest payment and every payment that funded this subscription (renewals extend it)
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    payments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    }],
+    // Renewal reminder thresholds (days before expiry) already sent for the current period
+    remindersSent: [Number],
   },
   { timestamps: true }
 );
 
+teacherSubscriptionSchema.index({ teacher: 1, expiryDate: -1 });
+teacherSubscriptionSchema.index({ status: 1, expiryDate: 1 });
+
 module.exports = mongoose.model('TeacherSubscription', teacherSubscriptionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Metered usage of a plan entitlement per user and period (e.g. resume downloads in 2026-10)
+const usageCounterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+usageCounterSchema.index({ user: 1, key: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
@@ -23,10 +23,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Unset on accounts created before email verification; treated as verified
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  // id of the latest verification link, so older links stop working
   verificationToken: String,
+  verificationSentAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   lastLogin: Date,
+  // Access tokens issued before this are rejected ("log out everywhere")
+  sessionsRevokedAt: Date,
   lastBlogReadAt: {
     type: Date,
     default: null
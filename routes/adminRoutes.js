@@ -14,6 +14,36 @@ const {
   getTeachersWithSubscriptions,
   getSchoolsWithSubscriptions
 } = require('../controllers/adminController');
+const {
+  getScheduledTasks,
+  getTaskRuns,
+  runScheduledTask
+} = require('../controllers/schedulerController');
+const {
+  getCoupons,
+  createCoupon,
+  getCouponById,
+  updateCoupon,
+  deactivateCoupon,
+  getCouponRedemptions,
+  getCouponReport
+} = require('../controllers/couponController');
+const {
+  getEmails,
+  getEmailStats,
+  getEmailTemplates,
+  previewEmailTemplate,
+  getEmailById,
+  resendEmail
+} = require('../controllers/emailController');
+const {
+  createBroadcast,
+  estimateAudience,
+  getBroadcasts,
+  getBroadcastById,
+  cancelBroadcast,
+  getPushStats
+} = require('../controllers/pushController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const { body } = require('express-validator');
 
@@ -74,6 +104,94 @@ router.get('/teachers', getTeachersWithSubscriptions);
 // @access  Private (Admin)
 router.get('/schools', getSchoolsWithSubscriptions);
 
+// @route   GET /api/admin/scheduler/tasks
+// @access  Private (Admin)
+router.get('/scheduler/tasks', getScheduledTasks);
+
+// @route   GET /api/admin/scheduler/tasks/:name/runs
+// @access  Private (Admin)
+router.get('/scheduler/tasks/:name/runs', getTaskRuns);
+
+// @route   POST /api/admin/scheduler/tasks/:name/run
+// @access  Private (Admin)
+router.post('/scheduler/tasks/:name/run', runScheduledTask);
+
+// @route   GET /api/admin/coupons/report
+// @access  Private (Admin)
+router.get('/coupons/report', getCouponReport);
+
+// @route   GET /api/admin/coupons
+// @access  Private (Admin)
+router.get('/coupons', getCoupons);
+
+// @route   POST /api/admin/coupons
+// @access  Private (Admin)
+router.post('/coupons', createCoupon);
+
+// @route   GET /api/admin/coupons/:id
+// @access  Private (Admin)
+router.get('/coupons/:id', getCouponById);
+
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Admin)
+router.put('/coupons/:id', updateCoupon);
+
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (Admin)
+router.delete('/coupons/:id', deactivateCoupon);
+
+// @route   GET /api/admin/coupons/:id/redemptions
+// @access  Private (Admin)
+router.get('/coupons/:id/redemptions', getCouponRedemptions);
+
+// @route   GET /api/admin/emails/stats
+// @access  Private (Admin)
+router.get('/emails/stats', getEmailStats);
+
+// @route   GET /api/admin/emails/templates
+// @access  Private (Admin)
+router.get('/emails/templates', getEmailTemplates);
+
+// @route   POST /api/admin/emails/templates/:name/preview
+// @access  Private (Admin)
+router.post('/emails/templates/:name/preview', previewEmailTemplate);
+
+// @route   GET /api/admin/emails
+// @access  Private (Admin)
+router.get('/emails', getEmails);
+
+// @route   GET /api/admin/emails/:id
+// @access  Private (Admin)
+router.get('/emails/:id', getEmailById);
+
+// @route   POST /api/admin/emails/:id/resend
+// @access  Private (Admin)
+router.post('/emails/:id/resend', resendEmail);
+
+// @route   GET /api/admin/push/stats
+// @access  Private (Admin)
+router.get('/push/stats', getPushStats);
+
+// @route   POST /api/admin/push/audience
+// @access  Private (Admin)
+router.post('/push/audience', estimateAudience);
+
+// @route   GET /api/admin/push/broadcasts
+// @access  Private (Admin)
+router.get('/push/broadcasts', getBroadcasts);
+
+// @route   POST /api/admin/push/broadcasts
+// @access  Private (Admin)
+router.post('/push/broadcasts', createBroadcast);
+
+// @route   GET /api/admin/push/broadcasts/:id
+// @access  Private (Admin)
+router.get('/push/broadcasts/:id', getBroadcastById);
+
+// @route   DELETE /api/admin/push/broadcasts/:id
+// @access  Private (Admin)
+router.delete('/push/broadcasts/:id', cancelBroadcast);
+
 module.exports = router;
 
 
@@ -7,22 +7,37 @@ const {
   getSchoolApplications,
   getApplication,
   updateApplicationStatus,
+  getApplicationHistory,
   updateApplication,
   getResumeFile,
   debugTeachers,
   createApplication
 } = require('../controllers/applicationController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  getInterview,
+  proposeInterview,
+  getBookableSlots,
+  bookInterview,
+  updateInterview,
+  confirmInterview,
+  requestReschedule,
+  declineInterview,
+  cancelInterview,
+  completeInterview,
+  submitInterviewFeedback,
+  downloadInterviewCalendar
+} = require('../controllers/interviewController');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { uploadApplicationFiles, handleUploadError } = require('../middleware/fileUpload');
 
 // Protected routes
 router.use(protect);
 
 // Teachers submit applications
-router.post('/', authorize('teacher'), uploadApplicationFiles, handleUploadError, submitApplication);
+router.post('/', authorize('teacher'), requireVerifiedEmail('apply_job'), uploadApplicationFiles, handleUploadError, submitApplication);
 
 // Create general inquiry application
-router.post('/create', authorize('teacher'), createApplication);
+router.post('/create', authorize('teacher'), requireVerifiedEmail('apply_job'), createApplication);
 
 // Teacher list own applications
 router.get('/my', authorize('teacher'), listMyApplications);
@@ -36,8 +51,25 @@ router.get('/debug-teachers', authorize('school'), debugTeachers);
 // Teacher check application status for a specific job
 router.get('/check/:jobId', authorize('teacher'), checkApplicationStatus);
 
-// School update application status
-router.put('/:id/status', authorize('school'), updateApplicationStatus);
+// Update application status (schools move it along, teachers may withdraw)
+router.put('/:id/status', authorize('school', 'teacher', 'admin'), updateApplicationStatus);
+
+// Application status history (accessible by school, teacher, and admin)
+router.get('/:id/history', getApplicationHistory);
+
+// Interview: school proposes slots, teacher confirms, reschedules or declines, panel scores
+router.get('/:id/interview', getInterview);
+router.post('/:id/interview', authorize('school'), proposeInterview);
+router.put('/:id/interview', authorize('school', 'admin'), updateInterview);
+router.get('/:id/interview/slots', authorize('teacher'), getBookableSlots);
+router.post('/:id/interview/book', authorize('teacher'), bookInterview);
+router.post('/:id/interview/confirm', authorize('teacher', 'school', 'admin'), confirmInterview);
+router.post('/:id/interview/reschedule', authorize('teacher'), requestReschedule);
+router.post('/:id/interview/decline', authorize('teacher'), declineInterview);
+router.post('/:id/interview/cancel', authorize('school', 'admin'), cancelInterview);
+router.post('/:id/interview/complete', authorize('school'), completeInterview);
+router.post('/:id/interview/feedback', authorize('school'), submitInterviewFeedback);
+router.get('/:id/interview/calendar', downloadInterviewCalendar);
 
 // School update application details (including interview details)
 router.put('/:id', authorize('school'), updateApplication);
@@ -8,10 +8,28 @@ const {
   changePassword,
   forgotPassword,
   resetPassword,
-  validateResetToken
+  validateResetToken,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  logoutAll
 } = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
 const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+// Verification emails per account (on top of the per-request cooldown)
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  keyGenerator: (req) => req.user.id,
+  message: { success: false, message: 'Too many verification emails requested, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 // @route   POST /api/auth/register
 // @access  Public
@@ -36,6 +54,34 @@ router.post('/login', [
   body('password').exists()
 ], login);
 
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, resendVerificationLimiter, resendVerification);
+
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+router.post('/refresh', refreshToken);
+
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, logout);
+
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, logoutAll);
+
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, revokeSession);
+
 // @route   GET /api/auth/me
 // @access  Private
 router.get('/me', protect, getMe);
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  getInvoices,
+  downloadInvoicePdf,
+  exportInvoices
+} = require('../controllers/billingController');
+
+router.use(protect);
+
+// Admin export for accounting - before /:id routes
+router.get('/invoices/export', authorize('admin'), exportInvoices);
+
+router.get('/invoices', authorize('school', 'teacher'), getInvoices);
+router.get('/invoices/:id/pdf', downloadInvoicePdf);
+
+module.exports = router;
@@ -1,24 +1,42 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const {
   sendMessage,
+  sendAttachments,
+  getAttachment,
   getMessages,
   getConversations,
+  createConversation,
+  getConversation,
+  leaveConversation,
   markMessageAsRead,
+  markConversationAsRead,
+  editMessage,
   deleteMessage,
   getUnreadCount,
   deleteConversation
 } = require('../controllers/chatController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { body } = require('express-validator');
+const { handleUploadError } = require('../middleware/fileUpload');
+const ChatAttachmentService = require('../services/chatAttachmentService');
+
+// Chat files are buffered, checked against the attachment policy, then uploaded privately
+const chatUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: ChatAttachmentService.fileFilter,
+  limits: ChatAttachmentService.getUploadLimits()
+});
 
 // All routes are protected
 router.use(protect);
 
 // @route   POST /api/chat/messages
 // @access  Private
-router.post('/messages', [
-  body('applicationId').isMongoId(),
+router.post('/messages', requireVerifiedEmail('send_message'), [
+  body('applicationId').optional().isMongoId(),
+  body('conversationId').optional().isMongoId(),
   body('message').trim().isLength({ min: 1 }),
   body('messageType').optional().isIn(['text', 'file', 'image', 'system']),
   body('attachments').optional().isArray()
@@ -32,21 +50,72 @@ router.get('/messages/:applicationId', getMessages);
 // @access  Private
 router.get('/conversations', getConversations);
 
+// @route   POST /api/chat/conversations
+// @access  Private
+router.post('/conversations', requireVerifiedEmail('send_message'), [
+  body('participantIds').isArray({ min: 1 }),
+  body('title').optional().trim().isLength({ max: 100 })
+], createConversation);
+
+// @route   GET /api/chat/conversations/:conversationId
+// @access  Private
+router.get('/conversations/:conversationId', getConversation);
+
+// @route   GET /api/chat/conversations/:conversationId/messages
+// @access  Private
+router.get('/conversations/:conversationId/messages', getMessages);
+
+// @route   POST /api/chat/conversations/:conversationId/messages
+// @access  Private
+router.post('/conversations/:conversationId/messages', requireVerifiedEmail('send_message'), [
+  body('message').trim().isLength({ min: 1 }),
+  body('messageType').optional().isIn(['text', 'file', 'image', 'system']),
+  body('attachments').optional().isArray()
+], sendMessage);
+
+// @route   POST /api/chat/conversations/:conversationId/attachments
+// @access  Private
+router.post(
+  '/conversations/:conversationId/attachments',
+  requireVerifiedEmail('send_message'),
+  chatUpload.array('files', ChatAttachmentService.getLimits().perMessage),
+  handleUploadError,
+  sendAttachments
+);
+
+// @route   POST /api/chat/conversations/:conversationId/leave
+// @access  Private
+router.post('/conversations/:conversationId/leave', leaveConversation);
+
+// @route   GET /api/chat/messages/:messageId/attachments/:attachmentId
+// @access  Private
+router.get('/messages/:messageId/attachments/:attachmentId', getAttachment);
+
 // @route   PUT /api/chat/messages/:messageId/read
 // @access  Private
 router.put('/messages/:messageId/read', markMessageAsRead);
 
+// @route   PUT /api/chat/messages/:messageId
+// @access  Private
+router.put('/messages/:messageId', [
+  body('message').trim().isLength({ min: 1 })
+], editMessage);
+
 // @route   DELETE /api/chat/messages/:messageId
 // @access  Private
 router.delete('/messages/:messageId', deleteMessage);
 
+// @route   PUT /api/chat/conversations/:conversationId/read
+// @access  Private
+router.put('/conversations/:conversationId/read', markConversationAsRead);
+
 // @route   GET /api/chat/unread-count
 // @access  Private
 router.get('/unread-count', getUnreadCount);
 
-// @route   DELETE /api/chat/conversations/:applicationId
+// @route   DELETE /api/chat/conversations/:conversationId
 // @access  Private
-router.delete('/conversations/:applicationId', deleteConversation);
+router.delete('/conversations/:conversationId', deleteConversation);
 
 module.exports = router;
 
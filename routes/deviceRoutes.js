@@ -2,8 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
 const Device = require('../models/Device');
+const PushTopicService = require('../services/pushTopicService');
 const asyncHandler = require('express-async-handler');
 
+const PLATFORMS = Device.schema.path('platform').enumValues;
+
 // @desc    Register/Update device token for push notifications
 // @route   POST /api/devices/register
 // @access  Private
@@ -22,17 +25,30 @@ router.post('/register', protect, asyncHandler(async (req, res) => {
     });
   }
 
+  const normalizedPlatform = platform ? String(platform).toLowerCase() : 'android';
+  if (!PLATFORMS.includes(normalizedPlatform)) {
+    return res.status(400).json({
+      success: false,
+      message: `platform must be one of ${PLATFORMS.join(', ')}`
+    });
+  }
+
   try {
     // Update or create device token
     const device = await Device.updateOrCreate(
       userId,
       fcmToken.trim(),
-      platform || 'android',
+      normalizedPlatform,
       deviceId
     );
 
     console.log(`✅ Device token registered for user ${userId}, platform: ${device.platform}`);
 
+    // Topic subscriptions shouldn't block or fail registration
+    PushTopicService.subscribeNewDevice(req.user, device).catch(error => {
+      console.error('Error subscribing device to topics:', error.message);
+    });
+
     res.json({
       success: true,
       message: 'Device token registered successfully',
@@ -107,6 +123,10 @@ router.delete('/remove', protect, asyncHandler(async (req, res) => {
       });
     }
 
+    PushTopicService.unsubscribeDevice(device).catch(error => {
+      console.error('Error unsubscribing device from topics:', error.message);
+    });
+
     console.log(`✅ Device token removed for user ${userId}`);
     res.json({
       success: true,
@@ -133,7 +153,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     const devices = await Device.find({
       user: userId,
       isActive: true
-    }).select('platform deviceId lastActive createdAt');
+    }).select('platform deviceId topics lastActive createdAt');
 
     res.json({
       success: true,
@@ -149,5 +169,40 @@ router.get('/', protect, asyncHandler(async (req, res) => {
   }
 }));
 
+// @desc    Get the push topics the user's devices are subscribed to
+// @route   GET /api/devices/topics
+// @access  Private
+router.get('/topics', protect, asyncHandler(async (req, res) => {
+  const topics = await PushTopicService.getUserTopics(req.user._id);
+  const suggested = await PushTopicService.getProfileInterests(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      topics: topics || [],
+      ...PushTopicService.describeTopics(topics || []),
+      suggested
+    }
+  });
+}));
+
+// @desc    Choose the cities and subjects to get push announcements for
+// @route   PUT /api/devices/topics
+// @access  Private
+router.put('/topics', protect, asyncHandler(async (req, res) => {
+  const { cities = [], subjects = [] } = req.body;
+
+  const topics = await PushTopicService.setUserTopics(req.user, { cities, subjects });
+
+  res.json({
+    success: true,
+    message: 'Push topics updated',
+    data: {
+      topics,
+      ...PushTopicService.describeTopics(topics)
+    }
+  });
+}));
+
 module.exports = router;
 
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { getFeedbackForm, submitFeedbackByToken } = require('../controllers/interviewController');
+const {
+  listAvailability,
+  getAvailability,
+  setAvailability,
+  removeAvailability,
+  getSchoolCalendar,
+  updateSchoolCalendar,
+  resetCalendarFeed,
+  getCalendarFeed
+} = require('../controllers/interviewBookingController');
+const {
+  listScorecards,
+  getScorecard,
+  setScorecard,
+  removeScorecard,
+  compareCandidates
+} = require('../controllers/scorecardController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Interview panel feedback from the signed link emailed to each interviewer (no login)
+router.get('/feedback/:token', getFeedbackForm);
+router.post('/feedback/:token', submitFeedbackByToken);
+
+// Calendar apps fetch the feed without a login; the secret URL is the credential
+router.get('/calendar/feed/:token', getCalendarFeed);
+
+// Schools publish availability per job, manage their interview calendar and scorecards
+router.use(protect, authorize('school'));
+
+router.get('/availability', listAvailability);
+router.get('/availability/:jobId', getAvailability);
+router.put('/availability/:jobId', setAvailability);
+router.delete('/availability/:jobId', removeAvailability);
+
+router.get('/calendar', getSchoolCalendar);
+router.put('/calendar', updateSchoolCalendar);
+router.post('/calendar/feed-token', resetCalendarFeed);
+
+// Scorecard templates: /default applies to jobs without their own
+router.get('/scorecards', listScorecards);
+router.get('/scorecards/default', getScorecard);
+router.put('/scorecards/default', setScorecard);
+router.delete('/scorecards/default', removeScorecard);
+router.get('/scorecards/:jobId', getScorecard);
+router.put('/scorecards/:jobId', setScorecard);
+router.delete('/scorecards/:jobId', removeScorecard);
+
+router.get('/jobs/:jobId/comparison', compareCandidates);
+
+module.exports = router;
@@ -11,9 +11,13 @@ const {
   getJobsBySchool,
   getMyJobs,
   getFeaturedJobs,
-  searchJobs
+  searchJobs,
+  getRecommendedCandidates,
+  inviteCandidate,
+  getJobInvites
 } = require('../controllers/jobController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { requireEntitlement } = require('../middleware/entitlementMiddleware');
 
 // Public routes
 router.get('/', getJobs);
@@ -25,13 +29,18 @@ router.get('/school/:schoolId', getJobsBySchool);
 router.use(protect);
 
 // Job management routes
-router.post('/', authorize('school', 'admin'), createJob);
+router.post('/', authorize('school', 'admin'), requireVerifiedEmail('post_job'), requireEntitlement('maxActiveJobs'), createJob);
 router.get('/my-jobs', authorize('school', 'admin'), getMyJobs);
 router.put('/:id', authorize('school', 'admin'), updateJob);
 router.delete('/:id', authorize('school', 'admin'), deleteJob);
 router.post('/:id/publish', authorize('school', 'admin'), publishJob);
 router.post('/:id/pause', authorize('school', 'admin'), pauseJob);
 
+// Candidate recommendations and invites to apply
+router.get('/:id/recommended-candidates', authorize('school', 'admin'), getRecommendedCandidates);
+router.get('/:id/invites', authorize('school', 'admin'), getJobInvites);
+router.post('/:id/invites', authorize('school', 'admin'), inviteCandidate);
+
 // This must come last to avoid conflicts with specific routes
 router.get('/:id', getJob);
 
@@ -6,11 +6,19 @@ const {
   markAllAsRead,
   deleteNotification,
   getUnreadCount,
-  createNotification
+  createNotification,
+  getPreferences,
+  updatePreferences,
+  unsubscribeDigest
 } = require('../controllers/notificationController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
-// All routes are protected
+// @route   GET|POST /api/notifications/digest/unsubscribe/:token
+// @access  Public (signed token from the digest email)
+router.get('/digest/unsubscribe/:token', unsubscribeDigest);
+router.post('/digest/unsubscribe/:token', unsubscribeDigest);
+
+// All other routes are protected
 router.use(protect);
 
 // @route   GET /api/notifications
@@ -21,6 +29,14 @@ router.get('/', getNotifications);
 // @access  Private (Teacher, School, Admin)
 router.get('/unread-count', getUnreadCount);
 
+// @route   GET /api/notifications/preferences
+// @access  Private (Teacher, School, Admin)
+router.get('/preferences', getPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @access  Private (Teacher, School, Admin)
+router.put('/preferences', updatePreferences);
+
 // @route   PUT /api/notifications/:id/read
 // @access  Private (Teacher, School, Admin)
 router.put('/:id/read', markAsRead);
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { createOrder, verifyPayment, webhookHandler } = require('../controllers/paymentController');
+const { createOrder, verifyPayment, webhookHandler, getMyPayments, validateCoupon } = require('../controllers/paymentController');
 const { protect } = require('../middleware/authMiddleware');
 const expressRaw = require('express').raw;
 
-// authenticated schools create orders
+// authenticated schools and teachers create orders
 router.post('/create-order', protect, createOrder);
 router.post('/verify', protect, verifyPayment);
+router.get('/history', protect, getMyPayments);
+router.post('/coupons/validate', protect, validateCoupon);
 
 // webhook - should be raw body
 router.post('/webhook', expressRaw({ type: '*/*' }), webhookHandler);
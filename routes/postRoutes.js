@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { upload } = require('../utils/upload');
 const {
   createPost,
@@ -16,7 +16,7 @@ const {
 // @route   POST /api/posts
 // @desc    Create a new post
 // @access  Private
-router.post('/', protect, upload.array('media', 10), createPost);
+router.post('/', protect, requireVerifiedEmail('create_post'), upload.array('media', 10), createPost);
 
 // @route   GET /api/posts/feed
 // @desc    Get posts feed (public + connections)
@@ -9,6 +9,7 @@ const {
   deleteResume
 } = require('../controllers/resumeController');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { requireEntitlement } = require('../middleware/entitlementMiddleware');
 
 // Protected routes
 router.use(protect);
@@ -21,10 +22,10 @@ router.delete('/me', authorize('teacher'), deleteResume);
 
 // School/Admin routes
 router.get('/teacher/:teacherId', authorize(['school', 'admin']), getTeacherResume);
-router.get('/teacher/:teacherId/pdf', authorize(['school', 'admin']), generateTeacherResumePDF);
+router.get('/teacher/:teacherId/pdf', authorize(['school', 'admin']), requireEntitlement('resumeDownloadsPerMonth'), generateTeacherResumePDF);
 
 // PDF generation routes
-router.get('/:resumeId/pdf', authorize(['teacher', 'school', 'admin']), generateResumePDF);
+router.get('/:resumeId/pdf', authorize(['teacher', 'school', 'admin']), requireEntitlement('resumeDownloadsPerMonth'), generateResumePDF);
 
 module.exports = router;
 
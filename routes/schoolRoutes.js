@@ -15,11 +15,13 @@ const {
   addAchievement,
   checkUsernameAvailability
 } = require('../controllers/schoolController');
-const { protect, authorize, requireVerification } = require('../middleware/authMiddleware');
+const { protect, authorize, requireVerification, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { requireSchoolSubscription } = require('../middleware/teacherSubscriptionMiddleware');
+const { requireEntitlement } = require('../middleware/entitlementMiddleware');
 const { createPost, deletePost } = require('../controllers/schoolPostController');
 const { upload } = require('../utils/upload');
 const { body } = require('express-validator');
+const { GSTIN_REGEX } = require('../utils/gst');
 
 // @route   GET /api/schools/profile/:id (for viewing other schools' profiles)
 // @access  Private (Teacher, School, or Admin)
@@ -40,7 +42,8 @@ router.put('/profile', [
   body('description').optional().trim().isLength({ min: 10 }),
   body('contactInfo.phone').optional().isMobilePhone(),
   body('contactInfo.email').optional().isEmail(),
-  body('slug').optional().trim().isLength({ min: 3, max: 30 })
+  body('slug').optional().trim().isLength({ min: 3, max: 30 }),
+  body('gstin').optional({ checkFalsy: true }).trim().toUpperCase().matches(GSTIN_REGEX)
 ], updateSchoolProfile);
 
 // @route   GET /api/schools/check-username/:username
@@ -60,8 +63,8 @@ router.post('/upload-cover-image', upload.single('coverImage'), uploadCoverImage
 router.post('/upload-photos', upload.array('photos', 10), uploadPhotos);
 
 // @route   POST /api/schools/jobs
-// @access  Private (School) + Subscription Required
-router.post('/jobs', requireVerification, requireSchoolSubscription, [
+// @access  Private (School) + Subscription Required + maxActiveJobs entitlement
+router.post('/jobs', requireVerification, requireVerifiedEmail('post_job'), requireSchoolSubscription, requireEntitlement('maxActiveJobs'), [
   body('title').trim().isLength({ min: 5 }),
   body('description').trim().isLength({ min: 20 }),
   body('jobDetails.subject').exists(),
@@ -83,7 +86,12 @@ router.get('/jobs/:jobId/applications', getJobApplications);
 // @route   PUT /api/schools/applications/:applicationId/status
 // @access  Private (School)
 router.put('/applications/:applicationId/status', [
-  body('status').isIn(['pending', 'reviewed', 'shortlisted', 'interviewed', 'accepted', 'rejected', 'withdrawn']),
+  body('status').isIn([
+    'submitted', 'under-review', 'shortlisted', 'interview-scheduled', 'interviewed',
+    'accepted', 'hired', 'rejected', 'withdrawn',
+    // Legacy values, mapped onto the statuses above
+    'pending', 'reviewed'
+  ]),
   body('reviewNotes').optional().trim()
 ], updateApplicationStatus);
 
@@ -91,7 +99,7 @@ router.put('/applications/:applicationId/status', [
 // @access  Private (School)
 router.post('/applications/:applicationId/interview', [
   body('scheduledDate').isISO8601(),
-  body('interviewType').isIn(['Phone', 'Video', 'In-person', 'Panel']),
+  body('interviewType').isIn(['phone', 'video', 'in-person', 'panel', 'Phone', 'Video', 'In-person', 'Panel']),
   body('interviewer').optional().trim(),
   body('notes').optional().trim()
 ], scheduleInterview);
@@ -106,7 +114,7 @@ router.post('/achievements', [
 
 // @route   POST /api/schools/posts (multipart optional)
 // @access  Private (School)
-router.post('/posts', upload.array('media', 10), createPost);
+router.post('/posts', requireVerifiedEmail('create_post'), upload.array('media', 10), createPost);
 
 // @route   DELETE /api/schools/posts/:postId
 // @access  Private (School)
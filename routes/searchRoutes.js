@@ -6,18 +6,20 @@ const {
   searchSchools,
   getSearchSuggestions
 } = require('../controllers/searchController');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { requireEntitlement } = require('../middleware/entitlementMiddleware');
 
-// Search all profiles (teachers and schools)
-router.get('/profiles', searchProfiles);
+// Search all profiles (teachers only for users who could search them on /teachers)
+router.get('/profiles', optionalAuth, searchProfiles);
 
-// Search teachers only
-router.get('/teachers', searchTeachers);
+// Search teachers only (signed-in users; schools need the applicantSearch entitlement)
+router.get('/teachers', protect, requireEntitlement('applicantSearch'), searchTeachers);
 
 // Search schools only
 router.get('/schools', searchSchools);
 
-// Get search suggestions
-router.get('/suggestions', getSearchSuggestions);
+// Get search suggestions (same rule for teachers as /profiles)
+router.get('/suggestions', optionalAuth, getSearchSuggestions);
 
 module.exports = router;
 
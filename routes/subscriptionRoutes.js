@@ -5,10 +5,18 @@ const {
   createOrder,
   verifyPayment,
   getSubscriptionStatus,
+  getPlanQuote,
+  getEntitlements,
+  cancelSubscription,
+  resumeSubscription,
 } = require('../controllers/subscriptionController');
 
 router.post('/create-order', protect, createOrder);
 router.post('/verify', protect, verifyPayment);
 router.get('/status', protect, getSubscriptionStatus);
+router.get('/quote/:planId', protect, getPlanQuote);
+router.get('/entitlements', protect, getEntitlements);
+router.post('/cancel', protect, cancelSubscription);
+router.post('/resume', protect, resumeSubscription);
 
 module.exports = router;
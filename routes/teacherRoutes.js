@@ -8,6 +8,7 @@ const {
   uploadCoverImage,
   uploadResume,
   searchJobs,
+  getRecommendedJobs,
   getJobDetails,
   applyForJob,
   getTeacherApplications,
@@ -16,7 +17,14 @@ const {
   reviewSchool,
   checkUsernameAvailability
 } = require('../controllers/teacherController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  getJobAlerts,
+  createJobAlert,
+  updateJobAlert,
+  deleteJobAlert,
+  getJobAlertMatches
+} = require('../controllers/jobAlertController');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { requireTeacherSubscription } = require('../middleware/teacherSubscriptionMiddleware');
 const { upload } = require('../utils/upload');
 const { body } = require('express-validator');
@@ -68,13 +76,17 @@ router.post('/upload-resume', upload.single('resume'), uploadResume);
 // @access  Private (Teacher) + Subscription Required
 router.get('/jobs/search', requireTeacherSubscription, searchJobs);
 
+// @route   GET /api/teachers/jobs/recommended
+// @access  Private (Teacher) + Subscription Required
+router.get('/jobs/recommended', requireTeacherSubscription, getRecommendedJobs);
+
 // @route   GET /api/teachers/jobs/:jobId
 // @access  Private (Teacher) + Subscription Required
 router.get('/jobs/:jobId', requireTeacherSubscription, getJobDetails);
 
 // @route   POST /api/teachers/jobs/:jobId/apply
 // @access  Private (Teacher) + Subscription Required
-router.post('/jobs/:jobId/apply', requireTeacherSubscription, [
+router.post('/jobs/:jobId/apply', requireVerifiedEmail('apply_job'), requireTeacherSubscription, [
   body('coverLetter').trim().isLength({ min: 50 }),
   body('resume').optional().isURL()
 ], applyForJob);
@@ -91,6 +103,26 @@ router.post('/jobs/:jobId/save', requireTeacherSubscription, saveJob);
 // @access  Private (Teacher) + Subscription Required
 router.get('/saved-jobs', requireTeacherSubscription, getSavedJobs);
 
+// @route   GET /api/teachers/job-alerts
+// @access  Private (Teacher)
+router.get('/job-alerts', getJobAlerts);
+
+// @route   POST /api/teachers/job-alerts
+// @access  Private (Teacher) + Subscription Required
+router.post('/job-alerts', requireTeacherSubscription, createJobAlert);
+
+// @route   PUT /api/teachers/job-alerts/:id
+// @access  Private (Teacher)
+router.put('/job-alerts/:id', updateJobAlert);
+
+// @route   DELETE /api/teachers/job-alerts/:id
+// @access  Private (Teacher)
+router.delete('/job-alerts/:id', deleteJobAlert);
+
+// @route   GET /api/teachers/job-alerts/:id/jobs
+// @access  Private (Teacher) + Subscription Required
+router.get('/job-alerts/:id/jobs', requireTeacherSubscription, getJobAlertMatches);
+
 // @route   POST /api/teachers/schools/:schoolId/review
 // @access  Private (Teacher)
 router.post('/schools/:schoolId/review', [
@@ -6,9 +6,17 @@ const {
   verifyPayment,
   getTeacherSubscriptionStatus,
 } = require('../controllers/teacherSubscriptionController');
+const {
+  getPlanQuote,
+  cancelSubscription,
+  resumeSubscription,
+} = require('../controllers/subscriptionController');
 
 router.post('/create-order', protect, createOrder);
 router.post('/verify', protect, verifyPayment);
 router.get('/status', protect, getTeacherSubscriptionStatus);
+router.get('/quote/:planId', protect, getPlanQuote);
+router.post('/cancel', protect, cancelSubscription);
+router.post('/resume', protect, resumeSubscription);
 
 module.exports = router;
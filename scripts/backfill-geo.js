@@ -0,0 +1,60 @@
+/**
+ * Script to place existing schools and jobs on the map for radius search
+ * Schools go first so jobs without a locatable address can fall back to them.
+ * Safe to re-run: only records without coordinates are touched unless --all is passed.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error);
+    process.exit(1);
+  }
+};
+
+const backfill = async (Model, path, label, all) => {
+  const filter = all ? {} : { [`${path}.coordinates`]: { $exists: false } };
+  const cursor = Model.find(filter).cursor();
+  let located = 0;
+  let missing = 0;
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    // The pre-save hooks work out the coordinates when the address is marked changed
+    doc.markModified(path.split('.')[0]);
+    await doc.save({ validateBeforeSave: false });
+    if (doc.get(`${path}.coordinates`)) located += 1;
+    else missing += 1;
+  }
+
+  console.log(`📍 ${label}: ${located} located, ${missing} without a known pincode or city`);
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const School = require('../models/School');
+    const Job = require('../models/Job');
+    const all = process.argv.includes('--all');
+
+    await backfill(School, 'address.geo', 'Schools', all);
+    await backfill(Job, 'location.geo', 'Jobs', all);
+
+    // Builds the 2dsphere indexes if the app hasn't yet
+    await School.createIndexes();
+    await Job.createIndexes();
+
+    console.log('\n✨ Backfill completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling coordinates:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,161 @@
+/**
+ * Script to rebuild data/pincodes.json from the India Post pincode directory
+ * (the "All India Pincode Directory" CSV with latitude/longitude columns).
+ * A pincode is placed at the median of its offices, leaving out offices more than
+ * MAX_OFFSET_KM from the centre of their sorting district (the directory has
+ * swapped and mistyped coordinates). District names are added as place names,
+ * pointing at the district's head office.
+ * Pincodes and place names already in the file are kept unless --replace is passed.
+ *
+ * Usage: node scripts/import-pincodes.js path/to/pincode-directory.csv [--replace]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { distanceKm } = require('../utils/geo');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'pincodes.json');
+
+// India's bounding box; rows outside it are data-entry errors
+const inIndia = (lat, lng) => lat >= 6 && lat <= 37.5 && lng >= 68 && lng <= 97.5;
+
+// Offices further than this from their sorting district's centre are treated as mistyped
+const MAX_OFFSET_KM = 150;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const centre = (points) => [median(points.map(point => point[0])), median(points.map(point => point[1]))];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const normalizeName = (value) => value.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Split one CSV line, honouring double quotes
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      field += '"';
+      i += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+const run = () => {
+  const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+  const replace = process.argv.includes('--replace');
+  if (!file) {
+    console.error('❌ Usage: node scripts/import-pincodes.js path/to/pincode-directory.csv [--replace]');
+    process.exit(1);
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean);
+  const header = parseLine(lines[0]).map(name => name.toLowerCase());
+  const column = name => header.indexOf(name);
+  const [pincodeAt, latAt, lngAt, districtAt, typeAt] = ['pincode', 'latitude', 'longitude', 'district', 'officetype'].map(column);
+  if ([pincodeAt, latAt, lngAt].includes(-1)) {
+    console.error('❌ Expected pincode, latitude and longitude columns');
+    process.exit(1);
+  }
+
+  const offices = {};
+  const districts = {};
+  const headOffices = new Set();
+  let skipped = 0;
+  lines.slice(1).forEach(line => {
+    const row = parseLine(line);
+    const pincode = row[pincodeAt];
+    const lat = parseFloat(row[latAt]);
+    const lng = parseFloat(row[lngAt]);
+    if (!/^[1-9][0-9]{5}$/.test(pincode)) {
+      skipped += 1;
+      return;
+    }
+    if (districtAt !== -1 && row[districtAt]) {
+      const district = normalizeName(row[districtAt]);
+      (districts[district] || (districts[district] = new Set())).add(pincode);
+    }
+    if (typeAt !== -1 && row[typeAt] === 'HO') headOffices.add(pincode);
+    if (!inIndia(lat, lng)) {
+      skipped += 1;
+      return;
+    }
+    (offices[pincode] || (offices[pincode] = [])).push([lat, lng]);
+  });
+
+  // Centre of every sorting district (first three digits), to spot mistyped offices
+  const byPrefix = {};
+  Object.keys(offices).forEach(pincode => {
+    const prefix = pincode.slice(0, 3);
+    byPrefix[prefix] = (byPrefix[prefix] || []).concat(offices[pincode]);
+  });
+  const prefixCentres = {};
+  Object.keys(byPrefix).forEach(prefix => {
+    prefixCentres[prefix] = centre(byPrefix[prefix]);
+  });
+
+  const imported = {};
+  let outliers = 0;
+  Object.keys(offices).forEach(pincode => {
+    const [lat, lng] = prefixCentres[pincode.slice(0, 3)];
+    const kept = offices[pincode].filter(point => distanceKm([point[1], point[0]], [lng, lat]) <= MAX_OFFSET_KM);
+    outliers += offices[pincode].length - kept.length;
+    if (kept.length > 0) imported[pincode] = centre(kept).map(round);
+  });
+
+  const existing = fs.existsSync(OUTPUT) ? JSON.parse(fs.readFileSync(OUTPUT, 'utf8')) : {};
+  const merged = replace
+    ? { ...(existing.pincodes || {}), ...imported }
+    : { ...imported, ...(existing.pincodes || {}) };
+  const pincodes = {};
+  Object.keys(merged).sort().forEach(pincode => {
+    pincodes[pincode] = merged[pincode];
+  });
+
+  const places = { ...(existing.places || {}) };
+  Object.keys(districts).sort().forEach(name => {
+    if (!name || (places[name] && !replace)) return;
+    const located = [...districts[name]].filter(pincode => pincodes[pincode]).sort();
+    const pincode = located.find(candidate => headOffices.has(candidate)) || located[0];
+    if (pincode) places[name] = pincode;
+  });
+
+  // One entry per line keeps the file readable and its diffs small
+  const entries = (object, format) => Object.keys(object)
+    .map(key => `    ${JSON.stringify(key)}: ${format(object[key])}`)
+    .join(',\n');
+  fs.writeFileSync(OUTPUT, [
+    '{',
+    `  "source": ${JSON.stringify(`India Post pincode directory (${path.basename(file)})`)},`,
+    '  "pincodes": {',
+    `${entries(pincodes, ([lat, lng]) => `[${lat}, ${lng}]`)}`,
+    '  },',
+    '  "places": {',
+    `${entries(places, pincode => JSON.stringify(pincode))}`,
+    '  }',
+    '}',
+    ''
+  ].join('\n'));
+
+  console.log(`✅ Wrote ${Object.keys(pincodes).length} pincodes and ${Object.keys(places).length} place names to ${OUTPUT}`);
+  if (skipped > 0) console.log(`⚠️  Skipped ${skipped} rows without a valid pincode or coordinates`);
+  if (outliers > 0) console.log(`⚠️  Left out ${outliers} offices more than ${MAX_OFFSET_KM} km from their district`);
+};
+
+run();
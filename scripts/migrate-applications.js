@@ -0,0 +1,250 @@
+/**
+ * Script to merge legacy Application documents into JobApplication
+ *
+ * Usage:
+ *   node scripts/migrate-applications.js --dry-run        # report only, no writes
+ *   node scripts/migrate-applications.js                  # migrate
+ *   node scripts/migrate-applications.js --report=out.json
+ *
+ * Safe to run repeatedly: documents already merged are matched by legacyApplicationId.
+ * The legacy `applications` collection is left untouched so it can be dropped by hand
+ * once the report looks right.
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const reportArg = args.find(arg => arg.startsWith('--report='));
+const reportPath = reportArg ? reportArg.split('=')[1] : null;
+
+// Order in which an application moves through hiring, used when merging duplicates
+const STATUS_RANK = [
+  'submitted', 'under-review', 'shortlisted', 'interview-scheduled',
+  'interviewed', 'accepted', 'hired'
+];
+const TERMINAL_STATUSES = ['rejected', 'withdrawn'];
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error);
+    process.exit(1);
+  }
+};
+
+// Pick the status that is furthest along; terminal statuses always win
+const mergeStatus = (current, legacy) => {
+  if (TERMINAL_STATUSES.includes(current)) return current;
+  if (TERMINAL_STATUSES.includes(legacy)) return legacy;
+  return STATUS_RANK.indexOf(legacy) > STATUS_RANK.indexOf(current) ? legacy : current;
+};
+
+const isEmpty = (value) => {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.values(value).every(isEmpty);
+  }
+  return false;
+};
+
+// Convert a raw legacy document into JobApplication fields
+const mapLegacyApplication = (legacy, applicantId, JobApplication) => {
+  const interview = legacy.interviewSchedule || {};
+  const feedback = legacy.feedback || {};
+  const status = JobApplication.normalizeStatus(legacy.status || 'pending');
+
+  return {
+    job: legacy.job,
+    applicant: applicantId,
+    school: legacy.school,
+    coverLetter: legacy.coverLetter,
+    resume: legacy.resume ? { url: legacy.resume, uploadedAt: legacy.applicationDate } : undefined,
+    additionalDocuments: (legacy.additionalDocuments || []).map(url => ({
+      url,
+      name: url.split('/').pop(),
+      uploadedAt: legacy.applicationDate
+    })),
+    status: status === 'interviewed' && interview.status === 'scheduled' ? 'interview-scheduled' : status,
+    interview: {
+      scheduledDate: interview.scheduledDate,
+      interviewType: interview.interviewType
+        ? JobApplication.normalizeInterviewType(interview.interviewType)
+        : undefined,
+      location: interview.location,
+      meetingLink: interview.meetingLink,
+      interviewer: interview.interviewer,
+      status: interview.status,
+      notes: interview.notes,
+      feedback: feedback.comments,
+      strengths: feedback.strengths || [],
+      areasForImprovement: feedback.areasForImprovement || [],
+      rating: feedback.rating
+    },
+    offer: legacy.offerDetails,
+    messages: (legacy.communication || []).map(entry => ({
+      sender: entry.sender,
+      message: entry.message,
+      timestamp: entry.timestamp,
+      isRead: entry.isRead
+    })),
+    internalNotes: legacy.reviewNotes,
+    reviewedAt: legacy.reviewDate,
+    isArchived: legacy.isArchived || false,
+    appliedAt: legacy.applicationDate || legacy.createdAt,
+    legacyApplicationId: legacy._id,
+    createdAt: legacy.createdAt,
+    updatedAt: legacy.updatedAt
+  };
+};
+
+const migrateApplications = async () => {
+  const report = {
+    dryRun,
+    startedAt: new Date().toISOString(),
+    total: 0,
+    created: 0,
+    merged: 0,
+    alreadyMigrated: 0,
+    failed: 0,
+    details: []
+  };
+
+  try {
+    await connectDB();
+
+    const JobApplication = require('../models/JobApplication');
+    const Teacher = require('../models/Teacher');
+
+    // The Application model is retired, so read the raw collection
+    const legacyCollection = mongoose.connection.db.collection('applications');
+    const cursor = legacyCollection.find({});
+
+    console.log(dryRun ? '🔍 Dry run - no changes will be written\n' : '🚚 Migrating applications\n');
+
+    for await (const legacy of cursor) {
+      report.total++;
+      const entry = { legacyId: legacy._id.toString() };
+
+      try {
+        const already = await JobApplication.findOne({ legacyApplicationId: legacy._id }).select('_id');
+        if (already) {
+          entry.action = 'already-migrated';
+          entry.jobApplicationId = already._id.toString();
+          report.alreadyMigrated++;
+          report.details.push(entry);
+          continue;
+        }
+
+        const teacher = await Teacher.findById(legacy.teacher).select('user');
+        if (!teacher || !teacher.user) {
+          throw new Error(`Teacher profile ${legacy.teacher} not found`);
+        }
+
+        const mapped = mapLegacyApplication(legacy, teacher.user, JobApplication);
+        const existing = await JobApplication.findOne({ job: legacy.job, applicant: teacher.user });
+
+        if (existing) {
+          // Fill gaps in the canonical document without overwriting its data
+          const filled = [];
+          ['coverLetter', 'resume', 'additionalDocuments', 'offer', 'internalNotes', 'reviewedAt'].forEach(field => {
+            const current = existing.get(field);
+            if (isEmpty(current && current.toObject ? current.toObject() : current) && !isEmpty(mapped[field])) {
+              existing.set(field, mapped[field]);
+              filled.push(field);
+            }
+          });
+
+          Object.keys(mapped.interview).forEach(field => {
+            const current = existing.get(`interview.${field}`);
+            if (isEmpty(current) && !isEmpty(mapped.interview[field])) {
+              existing.set(`interview.${field}`, mapped.interview[field]);
+              filled.push(`interview.${field}`);
+            }
+          });
+
+          if (mapped.messages.length > 0) {
+            existing.messages.push(...mapped.messages);
+            filled.push('messages');
+          }
+
+          const status = mergeStatus(existing.status, mapped.status);
+          if (status !== existing.status) {
+            entry.statusChange = { from: existing.status, to: status };
+            // Record the jump so the audit trail (and the model's status guard) stays consistent
+            existing.statusHistory.push({
+              from: existing.status,
+              to: status,
+              changedByRole: 'system',
+              reason: 'Merged from legacy Application',
+              changedAt: legacy.updatedAt || new Date()
+            });
+            existing.status = status;
+          }
+
+          existing.legacyApplicationId = legacy._id;
+
+          entry.action = 'merged';
+          entry.jobApplicationId = existing._id.toString();
+          entry.filledFields = filled;
+          if (!dryRun) {
+            await existing.save();
+          }
+          report.merged++;
+        } else {
+          const application = new JobApplication(mapped);
+          await application.validate();
+
+          entry.action = 'created';
+          entry.status = mapped.status;
+          if (!dryRun) {
+            await application.save({ timestamps: false });
+            entry.jobApplicationId = application._id.toString();
+          }
+          report.created++;
+        }
+      } catch (error) {
+        entry.action = 'failed';
+        entry.error = error.message;
+        report.failed++;
+      }
+
+      report.details.push(entry);
+    }
+
+    report.finishedAt = new Date().toISOString();
+
+    console.log('📋 Migration report');
+    console.log(`  Legacy applications: ${report.total}`);
+    console.log(`  Created:             ${report.created}`);
+    console.log(`  Merged:              ${report.merged}`);
+    console.log(`  Already migrated:    ${report.alreadyMigrated}`);
+    console.log(`  Failed:              ${report.failed}`);
+
+    report.details
+      .filter(entry => entry.action === 'failed')
+      .forEach(entry => console.log(`  ❌ ${entry.legacyId}: ${entry.error}`));
+
+    if (reportPath) {
+      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+      console.log(`\n📝 Full report written to ${reportPath}`);
+    }
+
+    console.log(dryRun ? '\n✨ Dry run completed - rerun without --dry-run to apply' : '\n✨ Migration completed successfully!');
+    process.exit(report.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error migrating applications:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateApplications();
@@ -0,0 +1,97 @@
+/**
+ * Script to create conversations for application chats written before conversations existed
+ *
+ * Usage:
+ *   node scripts/migrate-chat-conversations.js --dry-run   # report only, no writes
+ *   node scripts/migrate-chat-conversations.js             # migrate
+ *
+ * Safe to run repeatedly: each application gets at most one conversation, and only
+ * messages without a conversation are linked.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Message = require('../models/Message');
+const JobApplication = require('../models/JobApplication');
+require('../models/Job');
+require('../models/School');
+const MessageService = require('../services/messageService');
+const ConversationService = require('../services/conversationService');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error);
+    process.exit(1);
+  }
+};
+
+const migrateChatConversations = async () => {
+  await connectDB();
+
+  const report = { applications: 0, created: 0, messages: 0, skipped: 0, failed: 0 };
+
+  try {
+    const applicationIds = await Message.distinct('application', {
+      application: { $exists: true },
+      conversation: { $exists: false }
+    });
+    report.applications = applicationIds.length;
+    console.log(`🔍 Found ${applicationIds.length} application chats without a conversation`);
+
+    for (const applicationId of applicationIds) {
+      try {
+        const application = await JobApplication.findById(applicationId)
+          .populate('job', 'title')
+          .populate('school', 'user');
+
+        if (!application || !application.school) {
+          console.log(`  ⚠️  Skipping ${applicationId}: application or school no longer exists`);
+          report.skipped++;
+          continue;
+        }
+
+        const pending = await Message.countDocuments({ application: applicationId, conversation: { $exists: false } });
+        report.messages += pending;
+        if (dryRun) continue;
+
+        const conversation = await ConversationService.ensureForApplication(application);
+        await Message.updateMany(
+          { application: applicationId, conversation: { $exists: false } },
+          { $set: { conversation: conversation._id } }
+        );
+
+        const latest = await Message.findOne({ application: applicationId }).sort({ createdAt: -1 });
+        if (latest && (!conversation.lastMessageAt || latest.createdAt > conversation.lastMessageAt)) {
+          await ConversationService.touch(conversation._id, latest);
+          if (latest.isDeleted) await MessageService.syncLastMessage(latest);
+        }
+        report.created++;
+      } catch (error) {
+        console.error(`  ❌ ${applicationId}: ${error.message}`);
+        report.failed++;
+      }
+    }
+
+    console.log('📋 Migration report');
+    console.log(`  Application chats:    ${report.applications}`);
+    console.log(`  Conversations linked: ${report.created}`);
+    console.log(`  Messages:             ${report.messages}`);
+    console.log(`  Skipped:              ${report.skipped}`);
+    console.log(`  Failed:               ${report.failed}`);
+
+    console.log(dryRun ? '\n✨ Dry run completed - rerun without --dry-run to apply' : '\n✨ Migration completed successfully!');
+    process.exit(report.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error migrating chat conversations:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateChatConversations();
@@ -31,10 +31,12 @@ const subscriptionRoutes = require('./routes/subscriptionRoutes');
 const teacherSubscriptionRoutes = require('./routes/teacherSubscriptionRoutes');
 const planRoutes = require('./routes/planRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const billingRoutes = require('./routes/billingRoutes');
 const webinarRoutes = require('./routes/webinarRoutes');
 const contentModerationRoutes = require('./routes/contentModerationRoutes');
 const statsRoutes = require('./routes/stats');
 const deviceRoutes = require('./routes/deviceRoutes');
+const interviewRoutes = require('./routes/interviewRoutes');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
@@ -46,6 +48,9 @@ const setupNotificationSocket = require('./sockets/notificationSocket');
 const setupRatingSocket = require('./sockets/ratingSocket');
 const { setupBlogSocket } = require('./sockets/blogSocket');
 
+// Import scheduled tasks
+const { registerScheduledTasks } = require('./services/scheduledTasks');
+
 // Connect to database
 connectDB();
 
@@ -209,10 +214,12 @@ app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/teacher-subscription', teacherSubscriptionRoutes);
 app.use('/api/plans', planRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/billing', billingRoutes);
 app.use('/api/webinars', webinarRoutes);
 app.use('/api/moderation', contentModerationRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/devices', deviceRoutes);
+app.use('/api/interviews', interviewRoutes);
 
 // Redirect legacy reset links from backend to frontend
 app.get('/reset-password/:token', (req, res) => {
@@ -241,6 +248,9 @@ app.get('/api', (req, res) => {
   });
 });
 
+// Register background tasks (started once the server is listening)
+const scheduler = registerScheduledTasks();
+
 // Error handling middleware
 app.use(notFound);
 app.use(errorHandler);
@@ -258,6 +268,8 @@ server.listen(PORT, HOST, () => {
   console.log(`📚 API docs: http://localhost:${PORT}/api`);
   console.log(`📱 Mobile app support: Enabled (Capacitor/Ionic)`);
   console.log(`🌍 Network accessible: http://0.0.0.0:${PORT}`);
+
+  scheduler.start();
 });
 
 // Handle unhandled promise rejections
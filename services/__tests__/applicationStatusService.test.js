@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const JobApplication = require('../../models/JobApplication');
+const ApplicationStatusService = require('../applicationStatusService');
+
+const runPreSave = (doc) => new Promise(resolve => {
+  JobApplication.schema.s.hooks.execPre('save', doc, [{ validateBeforeSave: false }], resolve);
+});
+
+const newApplication = () => new JobApplication({
+  job: new mongoose.Types.ObjectId(),
+  applicant: new mongoose.Types.ObjectId(),
+  school: new mongoose.Types.ObjectId(),
+  coverLetter: 'I would love to teach physics at your school.'
+});
+
+describe('JobApplication status transitions', () => {
+  it.each([
+    ['submitted', 'under-review'],
+    ['submitted', 'interview-scheduled'],
+    ['under-review', 'interview-scheduled'],
+    ['shortlisted', 'interview-scheduled'],
+    ['interview-scheduled', 'interviewed'],
+    ['interviewed', 'interview-scheduled'],
+    ['interviewed', 'hired'],
+    ['accepted', 'hired']
+  ])('lets the school move %s → %s', (from, to) => {
+    expect(JobApplication.validateTransition(from, to, 'school')).toBeNull();
+  });
+
+  it.each([
+    ['submitted', 'hired'],
+    ['under-review', 'interviewed'],
+    ['interview-scheduled', 'accepted'],
+    ['hired', 'rejected'],
+    ['rejected', 'shortlisted'],
+    ['withdrawn', 'submitted']
+  ])('refuses %s → %s', (from, to) => {
+    expect(JobApplication.validateTransition(from, to, 'school')).toMatch(/Cannot change application status/);
+  });
+
+  it('treats hired, rejected and withdrawn as final', () => {
+    ['hired', 'rejected', 'withdrawn'].forEach(status => {
+      expect(JobApplication.allowedTransitions(status)).toEqual([]);
+    });
+  });
+
+  it('only lets the applicant withdraw and only the school decide', () => {
+    expect(JobApplication.validateTransition('submitted', 'withdrawn', 'school')).toMatch(/Only the applicant/);
+    expect(JobApplication.validateTransition('submitted', 'shortlisted', 'teacher')).toMatch(/Only the school/);
+    expect(JobApplication.validateTransition('submitted', 'withdrawn', 'teacher')).toBeNull();
+    expect(JobApplication.validateTransition('submitted', 'shortlisted', 'admin')).toBeNull();
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(JobApplication.validateTransition('submitted', 'ghosted', 'school')).toMatch(/Unknown application status/);
+  });
+
+  it('maps legacy statuses onto the current ones', () => {
+    expect(JobApplication.normalizeStatus('pending')).toBe('submitted');
+    expect(JobApplication.normalizeStatus('reviewed')).toBe('under-review');
+  });
+});
+
+describe('JobApplication pre-save status guard', () => {
+  it('seeds the history of a new application', async () => {
+    const application = newApplication();
+
+    await expect(runPreSave(application)).resolves.toBeFalsy();
+
+    expect(application.statusHistory).toHaveLength(1);
+    expect(application.statusHistory[0]).toMatchObject({ from: null, to: 'submitted', changedByRole: 'teacher' });
+  });
+
+  it('refuses a status change saved without a history entry', async () => {
+    const application = newApplication();
+    await runPreSave(application);
+    application.isNew = false;
+
+    application.status = 'shortlisted';
+    const error = await runPreSave(application);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toMatch(/transitionStatus/);
+  });
+
+  it('accepts a status change recorded in the history', async () => {
+    const application = newApplication();
+    await runPreSave(application);
+    application.isNew = false;
+
+    application.status = 'shortlisted';
+    application.statusHistory.push({ from: 'submitted', to: 'shortlisted', changedByRole: 'school' });
+
+    await expect(runPreSave(application)).resolves.toBeFalsy();
+  });
+});
+
+describe('ApplicationStatusService.changeStatus', () => {
+  const application = { _id: 'application-1', status: 'under-review', applicant: 'teacher-1', job: 'job-1' };
+  const school = { id: 'school-user-1', role: 'school' };
+
+  beforeEach(() => {
+    jest.spyOn(ApplicationStatusService, 'notifyStatusChange').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('schedules an interview for an application under review', async () => {
+    jest.spyOn(JobApplication, 'transitionStatus').mockResolvedValue({ ...application, status: 'interview-scheduled' });
+
+    const updated = await ApplicationStatusService.changeStatus(application, 'interview-scheduled', { user: school, io: null });
+
+    expect(updated.status).toBe('interview-scheduled');
+    expect(JobApplication.transitionStatus).toHaveBeenCalledWith('application-1', 'under-review', 'interview-scheduled', {
+      userId: 'school-user-1', role: 'school', reason: undefined
+    });
+  });
+
+  it('returns 400 with the allowed statuses for an invalid move', async () => {
+    jest.spyOn(JobApplication, 'transitionStatus');
+
+    await expect(ApplicationStatusService.changeStatus(application, 'hired', { user: school }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Allowed: shortlisted, interview-scheduled') });
+    expect(JobApplication.transitionStatus).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when another request changed the status first', async () => {
+    jest.spyOn(JobApplication, 'transitionStatus').mockResolvedValue(null);
+
+    await expect(ApplicationStatusService.changeStatus(application, 'shortlisted', { user: school }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(ApplicationStatusService.notifyStatusChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('ApplicationStatusService.notifyStatusChange', () => {
+  const application = { _id: 'application-1', applicant: 'teacher-1', job: 'job-1' };
+
+  beforeEach(() => {
+    jest.spyOn(JobApplication, 'findById').mockReturnValue({
+      populate: jest.fn().mockReturnThis(),
+      then: (resolve) => resolve({ job: { title: 'Physics Teacher' }, school: { _id: 'school-1', schoolName: 'Green Valley School', user: 'school-user-1' } })
+    });
+    jest.spyOn(ApplicationStatusService, 'createAndEmit').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tells the applicant when their interview is marked as done', async () => {
+    await ApplicationStatusService.notifyStatusChange(application, 'interview-scheduled', 'interviewed', null, { sendEmail: false });
+
+    expect(ApplicationStatusService.createAndEmit).toHaveBeenCalledWith(null, 'teacher-1', expect.objectContaining({
+      type: 'interview',
+      message: expect.stringContaining('Green Valley School')
+    }), expect.objectContaining({ sendPush: true }));
+  });
+});
@@ -0,0 +1,185 @@
+const Coupon = require('../../models/Coupon');
+const CouponRedemption = require('../../models/CouponRedemption');
+const CouponService = require('../couponService');
+
+const user = { _id: 'user-1', role: 'school' };
+const plan = { _id: 'plan-1' };
+
+const couponDoc = (fields = {}) => ({
+  _id: 'coupon-1',
+  code: 'LAUNCH50',
+  isActive: true,
+  discountType: 'percentage',
+  discountValue: 50,
+  perUserLimit: 1,
+  redemptionCount: 0,
+  userTypes: [],
+  plans: [],
+  ...fields
+});
+
+const payment = {
+  _id: 'payment-1',
+  user: 'user-1',
+  userType: 'school',
+  plan: 'plan-1',
+  amount: 25000,
+  coupon: { coupon: 'coupon-1', code: 'LAUNCH50', amountBeforeDiscount: 50000, discount: 25000 }
+};
+
+const noExpiredHolds = () => jest.spyOn(CouponRedemption, 'find').mockReturnValue({
+  select: jest.fn().mockResolvedValue([])
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CouponService.computeDiscount', () => {
+  it('caps percentage discounts at maxDiscount rupees', () => {
+    expect(CouponService.computeDiscount(couponDoc({ maxDiscount: 100 }), 50000)).toBe(10000);
+  });
+
+  it('never discounts more than the amount due', () => {
+    expect(CouponService.computeDiscount(couponDoc({ discountType: 'flat', discountValue: 1000 }), 50000)).toBe(50000);
+  });
+});
+
+describe('CouponService.validate', () => {
+  it('prices a usable coupon', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(couponDoc());
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0);
+
+    const priced = await CouponService.validate(user, ' launch50 ', plan, 50000);
+
+    expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'LAUNCH50' });
+    expect(priced).toMatchObject({ discount: 25000, amount: 25000 });
+  });
+
+  it('rejects coupons that reached their redemption limit', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(couponDoc({ maxRedemptions: 5, redemptionCount: 5 }));
+
+    await expect(CouponService.validate(user, 'LAUNCH50', plan, 50000))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This coupon has reached its redemption limit' });
+  });
+
+  it('rejects coupons the user has already redeemed', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(couponDoc());
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(1);
+
+    await expect(CouponService.validate(user, 'LAUNCH50', plan, 50000))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this coupon' });
+  });
+});
+
+describe('CouponService.reserve', () => {
+  beforeEach(() => {
+    noExpiredHolds();
+  });
+
+  it('takes a use only while the coupon is under its limit', async () => {
+    jest.spyOn(Coupon, 'findById').mockResolvedValue(couponDoc({ maxRedemptions: 5 }));
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockResolvedValue({ status: 'reserved' });
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(1);
+
+    const hold = await CouponService.reserve(payment);
+
+    expect(hold.status).toBe('reserved');
+    expect(Coupon.updateOne).toHaveBeenCalledWith(
+      { _id: 'coupon-1', isActive: true, redemptionCount: { $lt: 5 } },
+      { $inc: { redemptionCount: 1 } }
+    );
+    const [filter, update] = CouponRedemption.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ payment: 'payment-1', status: 'released' });
+    expect(update.$set).toMatchObject({ status: 'reserved', coupon: 'coupon-1', user: 'user-1' });
+    expect(update.$set.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('refuses once concurrent orders have used up the limit', async () => {
+    jest.spyOn(Coupon, 'findById').mockResolvedValue(couponDoc({ maxRedemptions: 5, redemptionCount: 4 }));
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate');
+
+    await expect(CouponService.reserve(payment))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This coupon has reached its redemption limit' });
+    expect(CouponRedemption.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('gives the use back when the user already holds their limit', async () => {
+    jest.spyOn(Coupon, 'findById').mockResolvedValue(couponDoc());
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockResolvedValue({ status: 'reserved' });
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(CouponService, 'release').mockResolvedValue({});
+
+    await expect(CouponService.reserve(payment)).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(CouponRedemption.countDocuments).toHaveBeenCalledWith({
+      coupon: 'coupon-1',
+      user: 'user-1',
+      status: { $in: ['reserved', 'redeemed'] }
+    });
+    expect(CouponService.release).toHaveBeenCalledWith('payment-1');
+  });
+
+  it('releases lapsed holds before checking the limit', async () => {
+    CouponRedemption.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ payment: 'stale-payment' }])
+    });
+    jest.spyOn(CouponService, 'release').mockResolvedValue({});
+    jest.spyOn(Coupon, 'findById').mockResolvedValue(null);
+
+    await expect(CouponService.reserve(payment)).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(CouponService.release).toHaveBeenCalledWith('stale-payment', { statuses: ['reserved'] });
+  });
+});
+
+describe('CouponService.redeem', () => {
+  it('turns the order hold into the redemption', async () => {
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockResolvedValue({ status: 'redeemed' });
+    jest.spyOn(CouponService, 'reserve');
+
+    const redemption = await CouponService.redeem(payment);
+
+    expect(redemption.status).toBe('redeemed');
+    expect(CouponRedemption.findOneAndUpdate).toHaveBeenCalledWith(
+      { payment: 'payment-1', status: 'reserved' },
+      expect.anything(),
+      { new: true }
+    );
+    expect(CouponService.reserve).not.toHaveBeenCalled();
+  });
+
+  it('enforces the limits again when the hold has lapsed', async () => {
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(CouponRedemption, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CouponService, 'reserve').mockRejectedValue(
+      Object.assign(new Error('This coupon has reached its redemption limit'), { statusCode: 400 })
+    );
+
+    await expect(CouponService.redeem(payment)).rejects.toMatchObject({ statusCode: 400 });
+    expect(CouponService.reserve).toHaveBeenCalledWith(payment);
+  });
+
+  it('ignores payments without a coupon', async () => {
+    await expect(CouponService.redeem({ _id: 'payment-2' })).resolves.toBeNull();
+  });
+});
+
+describe('CouponService.release', () => {
+  it('decrements the count only when a use was actually given back', async () => {
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockResolvedValueOnce({ coupon: 'coupon-1' }).mockResolvedValueOnce(null);
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await CouponService.release('payment-1');
+    await CouponService.release('payment-1');
+
+    expect(Coupon.updateOne).toHaveBeenCalledTimes(1);
+    expect(Coupon.updateOne).toHaveBeenCalledWith(
+      { _id: 'coupon-1', redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+  });
+});
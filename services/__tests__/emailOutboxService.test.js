@@ -0,0 +1,241 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailMessage = require('../../models/EmailMessage');
+const EmailOutboxService = require('../emailOutboxService');
+const EmailTemplates = require('../../utils/emailTemplates');
+const { getTransport, resetTransport } = require('../../utils/mailTransport');
+
+const RESET_URL = 'https://teacherslink.test/reset-password/secret-token';
+
+// Stand-in for the outbox collection: create stores, the atomic claim and updates apply in memory
+const useMemoryOutbox = () => {
+  const rows = new Map();
+  let nextId = 1;
+
+  jest.spyOn(EmailMessage, 'create').mockImplementation(async data => {
+    const row = { _id: `email-${nextId++}`, status: 'queued', attempts: 0, nextAttemptAt: new Date(0), ...data };
+    rows.set(row._id, row);
+    return row;
+  });
+  jest.spyOn(EmailMessage, 'findOneAndUpdate').mockImplementation(async ({ _id, status }, update) => {
+    const row = rows.get(_id);
+    if (!row || row.status !== status) return null;
+    Object.assign(row, update.$set);
+    row.attempts += (update.$inc && update.$inc.attempts) || 0;
+    return { ...row };
+  });
+  jest.spyOn(EmailMessage, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+    Object.assign(rows.get(id), update.$set);
+    return { ...rows.get(id) };
+  });
+
+  return rows;
+};
+
+// Let the promise chains started by timers run to the end
+const settle = async () => {
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+const sendPasswordReset = async () => {
+  const variables = { resetUrl: RESET_URL, expiresInMinutes: 10 };
+  const { subject, html, text } = EmailTemplates.render('password_reset', variables);
+  const message = await EmailOutboxService.enqueue({
+    to: 'teacher@example.com',
+    subject,
+    html,
+    text,
+    template: 'password_reset',
+    variables
+  });
+  return { message, content: { html, text } };
+};
+
+describe('EmailOutboxService with the json transport', () => {
+  let rows;
+
+  beforeEach(() => {
+    process.env.EMAIL_TRANSPORT = 'json';
+    resetTransport();
+    rows = useMemoryOutbox();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete process.env.EMAIL_TRANSPORT;
+    resetTransport();
+  });
+
+  it('stores and sends the body of ordinary templates', async () => {
+    const sendMail = jest.spyOn(getTransport(), 'sendMail');
+    const { subject, html, text } = EmailTemplates.render('job_reminder', {
+      jobTitle: 'Maths Teacher', status: 'active', jobUrl: 'https://teacherslink.test/jobs/1'
+    });
+    const queued = await EmailOutboxService.enqueue({ to: 'school@example.com', subject, html, text, template: 'job_reminder' });
+
+    const sent = await EmailOutboxService.deliver(queued._id);
+
+    expect(rows.get(queued._id).html).toBe(html);
+    expect(sent.status).toBe('sent');
+    const info = await sendMail.mock.results[0].value;
+    expect(JSON.parse(info.message).html).toBe(html);
+  });
+
+  it('keeps one-time links out of the stored message but still sends them', async () => {
+    const sendMail = jest.spyOn(getTransport(), 'sendMail');
+    const { message, content } = await sendPasswordReset();
+
+    const stored = rows.get(message._id);
+    expect(stored.html).toBeUndefined();
+    expect(stored.text).toBeUndefined();
+    expect(stored.variables).toEqual({ resetUrl: '[redacted]', expiresInMinutes: 10 });
+    expect(JSON.stringify(stored)).not.toContain('secret-token');
+
+    const sent = await EmailOutboxService.deliver(message._id, content);
+
+    expect(sent.status).toBe('sent');
+    const info = await sendMail.mock.results[0].value;
+    expect(JSON.parse(info.message).text).toContain(RESET_URL);
+  });
+
+  it('fails a one-time link email the outbox task picks up without its body', async () => {
+    const sendMail = jest.spyOn(getTransport(), 'sendMail');
+    const { message } = await sendPasswordReset();
+
+    const result = await EmailOutboxService.deliver(message._id);
+
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(result.status).toBe('failed');
+    expect(result.lastError).toMatch(/one-time link/);
+  });
+
+  it('retries a one-time link email from memory after a transient failure', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const sendMail = jest.spyOn(getTransport(), 'sendMail')
+      .mockRejectedValueOnce(Object.assign(new Error('Connection timeout'), { code: 'ETIMEDOUT' }));
+    const { message, content } = await sendPasswordReset();
+
+    EmailOutboxService.dispatch(message, content);
+    jest.advanceTimersByTime(0);
+    await settle();
+
+    expect(rows.get(message._id)).toMatchObject({ status: 'queued', attempts: 1 });
+
+    jest.advanceTimersByTime(EmailOutboxService.getBackoffMs(1));
+    await settle();
+
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    expect(rows.get(message._id)).toMatchObject({ status: 'sent', attempts: 2 });
+    const info = await sendMail.mock.results[1].value;
+    expect(JSON.parse(info.message).text).toContain(RESET_URL);
+  });
+
+  it('stops retrying a one-time link email after the last attempt', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const sendMail = jest.spyOn(getTransport(), 'sendMail')
+      .mockRejectedValue(Object.assign(new Error('Connection timeout'), { code: 'ETIMEDOUT' }));
+    const { message, content } = await sendPasswordReset();
+
+    EmailOutboxService.dispatch(message, content);
+    for (let attempt = 0; attempt <= EmailOutboxService.getMaxAttempts(); attempt++) {
+      jest.advanceTimersByTime(EmailOutboxService.getBackoffMs(attempt));
+      await settle();
+    }
+
+    expect(sendMail).toHaveBeenCalledTimes(EmailOutboxService.getMaxAttempts());
+    expect(rows.get(message._id).status).toBe('failed');
+  });
+});
+
+describe('EmailOutboxService.processQueue', () => {
+  beforeEach(() => {
+    jest.spyOn(EmailMessage, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(EmailMessage, 'find').mockReturnValue({
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      select: jest.fn().mockResolvedValue([])
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves messages without a stored body to the process that queued them', async () => {
+    await EmailOutboxService.processQueue();
+
+    const [due] = EmailMessage.find.mock.calls[0];
+    expect(due).toMatchObject({ status: 'queued', bodyStored: { $ne: false } });
+    const [, [recover]] = EmailMessage.updateMany.mock.calls;
+    expect(recover).toMatchObject({ status: 'sending', bodyStored: { $ne: false } });
+  });
+
+  it('fails messages without a stored body whose retry is long overdue', async () => {
+    EmailMessage.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+    const summary = await EmailOutboxService.processQueue();
+
+    const [[abandon, update]] = EmailMessage.updateMany.mock.calls;
+    expect(abandon).toMatchObject({ bodyStored: false });
+    expect(update.$set.status).toBe('failed');
+    expect(summary.abandoned).toBe(2);
+  });
+});
+
+describe('EmailOutboxService with the file transport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.EMAIL_FILE_DIR = dir;
+    resetTransport();
+    useMemoryOutbox();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.EMAIL_FILE_DIR;
+    resetTransport();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes the delivered message to EMAIL_FILE_DIR', async () => {
+    const { message, content } = await sendPasswordReset();
+
+    const sent = await EmailOutboxService.deliver(message._id, content);
+
+    expect(sent.status).toBe('sent');
+    expect(sent.transport).toBe('file');
+    const files = fs.readdirSync(dir);
+    expect(files).toHaveLength(1);
+    const written = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+    expect(written.subject).toBe('Password Reset Request - Teachers Link');
+    expect(written.to).toEqual([{ address: 'teacher@example.com', name: '' }]);
+  });
+});
+
+describe('EmailOutboxService.resend', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses emails with one-time links', async () => {
+    jest.spyOn(EmailMessage, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(EmailMessage, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ template: 'password_reset' })
+    });
+
+    await expect(EmailOutboxService.resend('email-1', 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/one-time links/) });
+
+    const [filter] = EmailMessage.findOneAndUpdate.mock.calls[0];
+    expect(filter.template.$nin).toEqual(expect.arrayContaining(['password_reset', 'email_verification', 'interview_feedback_request']));
+  });
+});
@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const { protect } = require('../../middleware/authMiddleware');
+const EmailVerificationService = require('../emailVerificationService');
+const SessionService = require('../sessionService');
+
+const user = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  email: 'teacher@example.com',
+  role: 'teacher',
+  isActive: true,
+  emailVerified: false
+};
+
+const runProtect = (token) => new Promise(resolve => {
+  const req = { url: '/api/teachers/profile', method: 'GET', headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body, req });
+    }
+  };
+  protect(req, res, () => resolve({ statusCode: 200, req }));
+});
+
+describe('Email verification tokens', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  it('are not signed with the access token secret', () => {
+    const { token } = EmailVerificationService.createToken(user);
+
+    expect(() => jwt.verify(token, process.env.JWT_SECRET)).toThrow();
+  });
+
+  it('are refused by protect', async () => {
+    const { token } = EmailVerificationService.createToken(user);
+
+    const { statusCode, req } = await runProtect(token);
+
+    expect(statusCode).toBe(401);
+    expect(req.sessionId).toBeUndefined();
+  });
+
+  it('are refused as access tokens even when signed with the access secret', async () => {
+    const decoded = jwt.decode(jwt.sign({ id: user._id, type: 'email_verification' }, process.env.JWT_SECRET));
+
+    await expect(SessionService.isTokenActive(decoded, user)).resolves.toBe(false);
+  });
+
+  it('still lets protect accept a legacy access token', async () => {
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    const { statusCode } = await runProtect(token);
+
+    expect(statusCode).toBe(200);
+  });
+});
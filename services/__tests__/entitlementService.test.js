@@ -0,0 +1,87 @@
+const School = require('../../models/School');
+const Teacher = require('../../models/Teacher');
+const { requireEntitlement } = require('../../middleware/entitlementMiddleware');
+const { searchProfiles } = require('../../controllers/searchController');
+const EntitlementService = require('../entitlementService');
+
+const query = (results) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+  };
+  return chain;
+};
+
+const teacher = {
+  _id: 'teacher-1',
+  user: 'teacher-user-1',
+  slug: 'asha-rao',
+  personalInfo: { firstName: 'Asha', lastName: 'Rao' },
+  professionalInfo: { specialization: ['Physics'] },
+  createdAt: new Date('2026-05-01')
+};
+
+const school = {
+  _id: 'school-1',
+  user: 'school-user-1',
+  schoolName: 'Asha Vidyalaya',
+  slug: 'asha-vidyalaya',
+  createdAt: new Date('2026-04-01')
+};
+
+const search = (user) => new Promise((resolve, reject) => {
+  const req = { query: { q: 'asha' }, user };
+  const res = { json: resolve, status: () => res };
+  searchProfiles(req, res, reject);
+});
+
+describe('requireEntitlement', () => {
+  it('throws when the route is defined with an unknown entitlement', () => {
+    expect(() => requireEntitlement('applicantSerch')).toThrow('Unknown entitlement applicantSerch');
+  });
+
+  it('builds a middleware for a known entitlement', () => {
+    expect(typeof requireEntitlement('applicantSearch')).toBe('function');
+  });
+});
+
+describe('searchProfiles', () => {
+  beforeEach(() => {
+    jest.spyOn(Teacher, 'find').mockImplementation(() => query([teacher]));
+    jest.spyOn(School, 'find').mockImplementation(() => query([school]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves teachers out for anonymous callers', async () => {
+    const body = await search(undefined);
+
+    expect(body.profiles.map(profile => profile.type)).toEqual(['school']);
+    expect(body.suggestions.map(profile => profile.type)).toEqual(['school']);
+    expect(Teacher.find).not.toHaveBeenCalled();
+  });
+
+  it('leaves teachers out for schools without teacher search', async () => {
+    jest.spyOn(EntitlementService, 'check').mockResolvedValue({ allowed: false });
+
+    const body = await search({ _id: 'school-user-2', role: 'school' });
+
+    expect(EntitlementService.check).toHaveBeenCalledWith(expect.objectContaining({ role: 'school' }), 'applicantSearch');
+    expect(body.profiles.map(profile => profile.type)).toEqual(['school']);
+    expect(Teacher.find).not.toHaveBeenCalled();
+  });
+
+  it('includes teachers for schools whose plan has teacher search', async () => {
+    jest.spyOn(EntitlementService, 'check').mockResolvedValue({ allowed: true });
+
+    const body = await search({ _id: 'school-user-2', role: 'school' });
+
+    expect(body.profiles.map(profile => profile.type)).toEqual(['teacher', 'school']);
+  });
+});
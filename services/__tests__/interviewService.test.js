@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Interview = require('../../models/Interview');
+const InterviewService = require('../interviewService');
+
+const interviewId = new mongoose.Types.ObjectId();
+const panelistId = new mongoose.Types.ObjectId();
+
+const interviewWith = (fields) => ({
+  _id: interviewId,
+  status: 'completed',
+  scheduledAt: new Date('2026-06-01T10:00:00Z'),
+  endsAt: new Date('2026-06-01T11:00:00Z'),
+  panel: { id: (id) => (id === panelistId.toString() ? { _id: panelistId, name: 'Asha Rao' } : null) },
+  ...fields
+});
+
+describe('InterviewService.resolveFeedbackToken', () => {
+  const token = () => InterviewService.createFeedbackToken(interviewId, panelistId);
+
+  beforeEach(() => {
+    process.env.INTERVIEW_FEEDBACK_SECRET = 'test-secret';
+    jest.spyOn(Interview, 'findById').mockResolvedValue(interviewWith({}));
+  });
+
+  afterEach(() => {
+    delete process.env.INTERVIEW_FEEDBACK_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  it('finds the interview and panelist behind a valid link', async () => {
+    const { panelist } = await InterviewService.resolveFeedbackToken(token(), new Date('2026-06-05T00:00:00Z'));
+
+    expect(Interview.findById).toHaveBeenCalledWith(interviewId.toString());
+    expect(panelist.name).toBe('Asha Rao');
+  });
+
+  it('returns 404 for a tampered link', async () => {
+    const valid = token();
+    const tampered = `${valid.slice(0, -1)}${valid.endsWith('0') ? '1' : '0'}`;
+
+    await expect(InterviewService.resolveFeedbackToken(tampered)).rejects.toMatchObject({ statusCode: 404 });
+    expect(Interview.findById).not.toHaveBeenCalled();
+  });
+
+  it.each(['cancelled', 'declined'])('returns 400 once the interview is %s', async (status) => {
+    Interview.findById.mockResolvedValue(interviewWith({ status }));
+
+    await expect(InterviewService.resolveFeedbackToken(token(), new Date('2026-06-05T00:00:00Z')))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('cancelled') });
+  });
+
+  it('returns 400 more than 30 days after the interview ended', async () => {
+    await expect(InterviewService.resolveFeedbackToken(token(), new Date('2026-07-02T00:00:00Z')))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Feedback for this interview has closed' });
+  });
+
+  it('keeps working for an interview that has not been scheduled yet', async () => {
+    Interview.findById.mockResolvedValue(interviewWith({ status: 'proposed', scheduledAt: null, endsAt: null }));
+
+    await expect(InterviewService.resolveFeedbackToken(token())).resolves.toHaveProperty('panelist');
+  });
+});
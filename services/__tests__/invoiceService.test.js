@@ -0,0 +1,160 @@
+const Counter = require('../../models/Counter');
+const Invoice = require('../../models/Invoice');
+const Payment = require('../../models/Payment');
+const InvoiceService = require('../invoiceService');
+
+const payment = {
+  _id: 'payment-1',
+  user: 'user-1',
+  userType: 'school',
+  status: 'captured',
+  amount: 118000,
+  currency: 'INR',
+  capturedAt: new Date('2026-06-15T10:00:00Z'),
+  planSnapshot: { title: 'Pro', durationMonths: 12 }
+};
+
+describe('InvoiceService.createForPayment', () => {
+  beforeEach(() => {
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(InvoiceService, 'getBillTo').mockResolvedValue({ name: 'Green Valley School', stateCode: '27' });
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+    jest.spyOn(Counter, 'giveBack').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the existing invoice without taking a number', async () => {
+    Invoice.findOne.mockResolvedValue({ invoiceNumber: 'TL/2026-27/00001' });
+
+    const invoice = await InvoiceService.createForPayment('payment-1');
+
+    expect(invoice.invoiceNumber).toBe('TL/2026-27/00001');
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('skips free and uncaptured payments', async () => {
+    Payment.findById.mockResolvedValue({ ...payment, amount: 0 });
+
+    await expect(InvoiceService.createForPayment('payment-1')).resolves.toBeNull();
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('does not take a number while another request holds the claim', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue(null);
+
+    await InvoiceService.createForPayment('payment-1');
+
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('numbers the invoice in the financial year of the capture', async () => {
+    jest.spyOn(Invoice, 'create').mockImplementation(async data => data);
+
+    const invoice = await InvoiceService.createForPayment('payment-1');
+
+    expect(Counter.next).toHaveBeenCalledWith('invoice:2026-27');
+    expect(invoice.invoiceNumber).toBe('TL/2026-27/00007');
+    expect(invoice.financialYear).toBe('2026-27');
+    expect(Counter.giveBack).not.toHaveBeenCalled();
+  });
+
+  it('hands the number and the claim back when the invoice cannot be saved', async () => {
+    jest.spyOn(Invoice, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(InvoiceService.createForPayment('payment-1')).rejects.toThrow('write failed');
+
+    expect(Counter.giveBack).toHaveBeenCalledWith('invoice:2026-27', 7);
+    const [filter, update] = Payment.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ _id: 'payment-1' });
+    expect(update).toEqual({ $unset: { invoiceClaimedAt: 1 } });
+  });
+});
+
+// Stand-in for one counter document, applying the updates Counter.next and giveBack make
+const useMemoryCounter = () => {
+  const counter = { name: 'invoice:2026-27', seq: 0, free: [] };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    await tick();
+    if (update.$pop) {
+      if (counter.free.length === 0) return null;
+      const before = { ...counter, free: [...counter.free] };
+      counter.free.shift();
+      return before;
+    }
+    counter.seq += update.$inc.seq;
+    return { ...counter };
+  });
+  jest.spyOn(Counter, 'updateOne').mockImplementation(async (filter, update) => {
+    await tick();
+    if (update.$inc) {
+      if (counter.seq !== filter.seq) return { modifiedCount: 0 };
+      counter.seq += update.$inc.seq;
+      return { modifiedCount: 1 };
+    }
+    counter.free = [...counter.free, ...update.$push.free.$each].sort((a, b) => a - b);
+    return { modifiedCount: 1 };
+  });
+
+  return counter;
+};
+
+describe('InvoiceService.createForPayment numbering under concurrency', () => {
+  let counter;
+
+  beforeEach(() => {
+    counter = useMemoryCounter();
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findById').mockImplementation(async id => ({ ...payment, _id: id }));
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async ({ _id }) => ({ ...payment, _id }));
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(InvoiceService, 'getBillTo').mockResolvedValue({ name: 'Green Valley School', stateCode: '27' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reuses a number that failed after later numbers were taken', async () => {
+    jest.spyOn(Invoice, 'create').mockImplementation(async data => {
+      if (data.payment === 'payment-1') {
+        // Fails only once the other requests have taken their numbers
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('write failed');
+      }
+      return data;
+    });
+
+    const results = await Promise.allSettled(['payment-1', 'payment-2', 'payment-3'].map(id => InvoiceService.createForPayment(id)));
+    const retried = await InvoiceService.createForPayment('payment-4');
+
+    expect(results[0].status).toBe('rejected');
+    const numbers = [...results.slice(1).map(result => result.value), retried].map(invoice => invoice.invoiceNumber).sort();
+    expect(numbers).toEqual(['TL/2026-27/00001', 'TL/2026-27/00002', 'TL/2026-27/00003']);
+    expect(counter).toMatchObject({ seq: 3, free: [] });
+  });
+
+  it('steps the sequence back when the failed number was the latest', async () => {
+    jest.spyOn(Invoice, 'create').mockRejectedValueOnce(new Error('write failed')).mockImplementation(async data => data);
+
+    await expect(InvoiceService.createForPayment('payment-1')).rejects.toThrow('write failed');
+    const invoice = await InvoiceService.createForPayment('payment-2');
+
+    expect(invoice.invoiceNumber).toBe('TL/2026-27/00001');
+    expect(counter).toMatchObject({ seq: 1, free: [] });
+  });
+});
+
+describe('InvoiceService.getFinancialYear', () => {
+  it('starts the year in April', () => {
+    expect(InvoiceService.getFinancialYear(new Date(2027, 2, 31))).toBe('2026-27');
+    expect(InvoiceService.getFinancialYear(new Date(2027, 3, 1))).toBe('2027-28');
+  });
+});
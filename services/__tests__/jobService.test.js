@@ -0,0 +1,63 @@
+const Job = require('../../models/Job');
+const JobService = require('../jobService');
+
+const origin = { coordinates: [72.8296, 19.1364], source: 'pincode', radiusKm: 10 };
+
+const chain = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('JobService.findJobs sorted by distance', () => {
+  beforeEach(() => {
+    jest.spyOn(Job, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Job, 'populate').mockResolvedValue([]);
+    jest.spyOn(Job, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets $geoNear order and page the matches', async () => {
+    await JobService.findJobs({ status: 'active' }, { origin, sort: 'distance', page: 2, limit: 5 });
+
+    const [geoNear, skip, limit] = Job.aggregate.mock.calls[0][0];
+    expect(geoNear.$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: origin.coordinates },
+      maxDistance: 10000,
+      query: { status: 'active' }
+    });
+    expect(skip).toEqual({ $skip: 5 });
+    expect(limit).toEqual({ $limit: 5 });
+  });
+
+  it('orders every text match in the radius, not just the first batch', async () => {
+    const ids = Array.from({ length: 1500 }, (_, index) => ({ _id: `job-${index}` }));
+    const find = jest.spyOn(Job, 'find').mockReturnValue(chain(ids));
+    const filter = { status: 'active', $text: { $search: 'physics' } };
+
+    await JobService.findJobs(filter, { origin, sort: 'distance' });
+
+    expect(find.mock.calls[0][0]).toMatchObject({ $text: { $search: 'physics' }, 'location.geo': expect.anything() });
+    const { query } = Job.aggregate.mock.calls[0][0][0].$geoNear;
+    expect(query.$text).toBeUndefined();
+    expect(query.$and[0]._id.$in).toHaveLength(1500);
+  });
+});
+
+describe('JobService.facetFilters gradeLevel', () => {
+  it('matches school-stage departments and stage words in the title', () => {
+    const { gradeLevel } = JobService.facetFilters({ gradeLevel: 'Primary,9-12' });
+
+    expect(gradeLevel.$or[0]).toEqual({ department: { $in: ['Elementary', 'High School'] } });
+    const title = gradeLevel.$or[1].title;
+    expect(title.test('PRT English Teacher')).toBe(true);
+    expect(title.test('Senior Secondary Physics (PGT)')).toBe(true);
+    expect(title.test('TGT Mathematics')).toBe(false);
+  });
+
+  it('returns 400 for a grade level that names no stage', () => {
+    expect(() => JobService.facetFilters({ gradeLevel: 'advanced' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const Payment = require('../../models/Payment');
+const PaymentEvent = require('../../models/PaymentEvent');
+const PaymentService = require('../paymentService');
+const SubscriptionService = require('../subscriptionService');
+const CouponService = require('../couponService');
+const InvoiceService = require('../invoiceService');
+
+jest.mock('../../config/razorpay', () => null);
+
+const SECRET = 'webhook-secret';
+
+const deliver = (body) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex');
+  return [rawBody, signature];
+};
+
+const captured = {
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 49900 } } }
+};
+
+const eventDoc = (fields = {}) => ({ status: 'received', save: jest.fn().mockResolvedValue(), ...fields });
+
+describe('PaymentService.handleWebhook', () => {
+  const payment = { _id: 'payment-1', amount: 49900 };
+
+  beforeEach(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+    jest.spyOn(PaymentService, 'findByOrderId').mockResolvedValue(payment);
+    jest.spyOn(PaymentService, 'markCaptured').mockResolvedValue(payment);
+    jest.spyOn(PaymentService, 'activatePayment').mockResolvedValue(payment);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects deliveries with a bad signature', async () => {
+    const [rawBody] = deliver(captured);
+    await expect(PaymentService.handleWebhook(rawBody, 'bad', 'evt_1')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('captures and activates the payment once per event', async () => {
+    const event = eventDoc();
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue(event);
+
+    const result = await PaymentService.handleWebhook(...deliver(captured), 'evt_1');
+
+    expect(result).toEqual({ duplicate: false, status: 'processed' });
+    expect(PaymentService.markCaptured).toHaveBeenCalledWith(payment, 'pay_1', 'webhook');
+    expect(PaymentService.activatePayment).toHaveBeenCalledWith('payment-1');
+    expect(event.save).toHaveBeenCalled();
+  });
+
+  it('treats a redelivery of a handled event as a duplicate', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await PaymentService.handleWebhook(...deliver(captured), 'evt_1');
+
+    expect(result).toEqual({ duplicate: true, status: 'duplicate' });
+    expect(PaymentEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { eventId: 'evt_1', status: 'failed' },
+      expect.anything(),
+      { new: true }
+    );
+    expect(PaymentService.activatePayment).not.toHaveBeenCalled();
+  });
+
+  it('reprocesses a redelivery of an event that failed', async () => {
+    const event = eventDoc();
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(event);
+
+    const result = await PaymentService.handleWebhook(...deliver(captured), 'evt_1');
+
+    expect(result).toEqual({ duplicate: false, status: 'processed' });
+    expect(PaymentService.activatePayment).toHaveBeenCalledWith('payment-1');
+    expect(event.status).toBe('processed');
+  });
+
+  it('records the failure and throws a 500 so the gateway retries', async () => {
+    const event = eventDoc();
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue(event);
+    PaymentService.activatePayment.mockRejectedValue(new Error('subscription store down'));
+
+    await expect(PaymentService.handleWebhook(...deliver(captured), 'evt_1')).rejects.toMatchObject({ statusCode: 500 });
+
+    expect(event.status).toBe('failed');
+    expect(event.error).toBe('subscription store down');
+    expect(event.save).toHaveBeenCalled();
+  });
+
+  it('fails deliveries whose amount does not match the ledger', async () => {
+    const event = eventDoc();
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue(event);
+    const tampered = { ...captured, payload: { payment: { entity: { ...captured.payload.payment.entity, amount: 100 } } } };
+
+    await expect(PaymentService.handleWebhook(...deliver(tampered), 'evt_2')).rejects.toMatchObject({ statusCode: 500 });
+
+    expect(event.status).toBe('failed');
+    expect(PaymentService.markCaptured).not.toHaveBeenCalled();
+  });
+});
+
+describe('PaymentService.activatePayment', () => {
+  let claimed;
+
+  beforeEach(() => {
+    claimed = { _id: 'payment-1', userType: 'school', save: jest.fn().mockResolvedValue() };
+    jest.spyOn(SubscriptionService, 'applyPayment').mockResolvedValue({ _id: 'subscription-1' });
+    jest.spyOn(CouponService, 'redeem').mockResolvedValue(null);
+    jest.spyOn(InvoiceService, 'createForPayment').mockResolvedValue({});
+    jest.spyOn(Payment, 'findById').mockResolvedValue(claimed);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies the plan only for the call that claims the payment', async () => {
+    jest.spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValueOnce(claimed)
+      .mockResolvedValueOnce(null);
+
+    await PaymentService.activatePayment('payment-1');
+    await PaymentService.activatePayment('payment-1');
+
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'payment-1', status: 'captured', activatedAt: null },
+      expect.anything(),
+      { new: true }
+    );
+    expect(SubscriptionService.applyPayment).toHaveBeenCalledTimes(1);
+    expect(claimed.subscription).toBe('subscription-1');
+    expect(claimed.subscriptionModel).toBe('Subscription');
+    expect(InvoiceService.createForPayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the claim when the plan cannot be applied', async () => {
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimed);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    SubscriptionService.applyPayment.mockRejectedValue(new Error('boom'));
+
+    await expect(PaymentService.activatePayment('payment-1')).rejects.toThrow('boom');
+
+    expect(Payment.updateOne).toHaveBeenCalledWith({ _id: 'payment-1' }, { $set: { activatedAt: null } });
+    expect(InvoiceService.createForPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('PaymentService.createOrder', () => {
+  const user = { id: 'user-1', role: 'school' };
+  const plan = { _id: 'plan-1', title: 'Pro', price: 500, userType: 'school' };
+  const quote = { kind: 'new', credit: 0, bonusDays: 0, amount: 50000 };
+  const fullDiscount = { coupon: 'coupon-1', code: 'FREE100', amountBeforeDiscount: 50000, discount: 50000 };
+
+  beforeEach(() => {
+    jest.spyOn(PaymentService, 'priceOrder').mockResolvedValue({ plan, quote, amount: 0, coupon: fullDiscount });
+    jest.spyOn(CouponService, 'reserve').mockResolvedValue({ status: 'reserved' });
+    jest.spyOn(CouponService, 'release').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('holds the coupon before activating a fully discounted order', async () => {
+    jest.spyOn(Payment, 'create').mockImplementation(async data => data);
+    jest.spyOn(PaymentService, 'activatePayment').mockImplementation(async id => ({ _id: id }));
+
+    const { payment, order } = await PaymentService.createOrder(user, 'plan-1', { couponCode: 'FREE100' });
+
+    expect(order).toBeNull();
+    const [held] = CouponService.reserve.mock.calls[0];
+    expect(held._id).toBe(payment._id);
+    expect(CouponService.reserve.mock.invocationCallOrder[0])
+      .toBeLessThan(Payment.create.mock.invocationCallOrder[0]);
+    expect(CouponService.release).not.toHaveBeenCalled();
+  });
+
+  it('does not activate when the coupon cannot be held', async () => {
+    CouponService.reserve.mockRejectedValue(Object.assign(new Error('limit'), { statusCode: 400 }));
+    jest.spyOn(Payment, 'create');
+
+    await expect(PaymentService.createOrder(user, 'plan-1', { couponCode: 'FREE100' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  it('gives the hold back when the order cannot be completed', async () => {
+    jest.spyOn(Payment, 'create').mockImplementation(async data => data);
+    jest.spyOn(PaymentService, 'activatePayment').mockRejectedValue(new Error('boom'));
+
+    await expect(PaymentService.createOrder(user, 'plan-1', { couponCode: 'FREE100' })).rejects.toThrow('boom');
+    expect(CouponService.release).toHaveBeenCalledWith(CouponService.reserve.mock.calls[0][0]._id);
+  });
+});
@@ -0,0 +1,36 @@
+const PushDelivery = require('../../models/PushDelivery');
+const PushBroadcastService = require('../pushBroadcastService');
+
+describe('PushBroadcastService.getDeliveryStats', () => {
+  beforeEach(() => {
+    jest.spyOn(PushDelivery, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns 400 for a malformed broadcast id instead of querying', async () => {
+    await expect(PushBroadcastService.getDeliveryStats({ broadcastId: 'not-an-id' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid broadcast id' });
+    expect(PushDelivery.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for dates it cannot parse', async () => {
+    await expect(PushBroadcastService.getDeliveryStats({ from: 'last week' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(PushDelivery.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('matches deliveries of a broadcast within the date range', async () => {
+    await PushBroadcastService.getDeliveryStats({
+      broadcastId: '64b7f0c2a1b2c3d4e5f60718',
+      from: '2026-06-01',
+      to: '2026-06-30'
+    });
+
+    const [{ $match: match }] = PushDelivery.aggregate.mock.calls[0][0];
+    expect(match.broadcast.toString()).toBe('64b7f0c2a1b2c3d4e5f60718');
+    expect(match.createdAt).toEqual({ $gte: new Date('2026-06-01'), $lte: new Date('2026-06-30') });
+  });
+});
@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const { changePassword } = require('../../controllers/authController');
+const SessionService = require('../sessionService');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const sessionId = '64b7f0c2a1b2c3d4e5f60719';
+
+// Token issued a minute ago, like one a thief copied before the password change
+const earlierToken = (payload) => jwt.decode(jwt.sign({ ...payload, iat: Math.floor(Date.now() / 1000) - 60 }, 'test-secret'));
+
+describe('SessionService after a password change', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(Session, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'other-session' }]) });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Session, 'exists').mockResolvedValue(true);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  it('cuts off tokens issued before sessions existed even when the current session is kept', async () => {
+    await SessionService.revokeAll(userId, { exceptSessionId: sessionId, reason: 'password_changed' });
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: userId });
+    const user = { _id: userId, sessionsRevokedAt: update.$set.sessionsRevokedAt };
+    await expect(SessionService.isTokenActive(earlierToken({ id: userId }), user)).resolves.toBe(false);
+    await expect(SessionService.isTokenActive(earlierToken({ id: userId, sid: sessionId }), user)).resolves.toBe(false);
+  });
+
+  it('reissues working tokens for the kept session', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ _id: filter._id, ...update.$set }));
+    const user = { _id: userId, sessionsRevokedAt: new Date() };
+
+    const { token, refreshToken, session } = await SessionService.reissue(user, sessionId, {});
+
+    expect(session._id).toBe(sessionId);
+    expect(jwt.decode(refreshToken).jti).toBe(session.refreshTokenId);
+    await expect(SessionService.isTokenActive(jwt.verify(token, 'test-secret'), user)).resolves.toBe(true);
+  });
+
+  it('starts a session for a caller whose token has none', async () => {
+    jest.spyOn(SessionService, 'createSession').mockResolvedValue({ token: 'new-token', refreshToken: 'new-refresh', session: { _id: 'new-session' } });
+    const req = { headers: {} };
+
+    const result = await SessionService.reissue({ _id: userId }, undefined, req);
+
+    expect(SessionService.createSession).toHaveBeenCalledWith({ _id: userId }, req);
+    expect(result.session._id).toBe('new-session');
+  });
+});
+
+describe('changePassword', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs out everything else and returns new tokens for this device', async () => {
+    const user = { _id: userId, comparePassword: jest.fn().mockResolvedValue(true), save: jest.fn().mockResolvedValue() };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    jest.spyOn(SessionService, 'revokeAll').mockResolvedValue(2);
+    jest.spyOn(SessionService, 'reissue').mockResolvedValue({ token: 'new-token', refreshToken: 'new-refresh', session: { _id: sessionId } });
+    const req = { user: { id: userId }, sessionId, body: { currentPassword: 'old-password', newPassword: 'new-password' } };
+
+    const body = await new Promise((resolve, reject) => {
+      changePassword(req, { json: resolve, status: () => ({ json: resolve }) }, reject);
+    });
+
+    expect(SessionService.revokeAll).toHaveBeenCalledWith(userId, { exceptSessionId: sessionId, reason: 'password_changed' });
+    expect(SessionService.reissue).toHaveBeenCalledWith(user, sessionId, req);
+    expect(body).toMatchObject({ success: true, token: 'new-token', refreshToken: 'new-refresh', sessionId });
+  });
+});
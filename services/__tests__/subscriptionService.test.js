@@ -0,0 +1,125 @@
+const Payment = require('../../models/Payment');
+const Plan = require('../../models/Plan');
+const SubscriptionService = require('../subscriptionService');
+
+const NOW = new Date('2026-07-01T00:00:00Z');
+
+const user = { _id: 'user-1', role: 'school' };
+
+const proPlan = { _id: 'plan-pro', title: 'Pro', price: 1200, durationMonths: 12 };
+const enterprisePlan = { _id: 'plan-enterprise', title: 'Enterprise', price: 2400, durationMonths: 12 };
+const basicPlan = { _id: 'plan-basic', title: 'Basic', price: 300, durationMonths: 3 };
+const freePlan = { _id: 'plan-free', title: 'Free', price: 0, durationMonths: 12 };
+
+// A year of Pro bought on 1 January: 184 of its 365 days are left on 1 July
+const current = {
+  _id: 'subscription-1',
+  status: 'active',
+  plan: 'plan-pro',
+  planName: 'Pro',
+  payment: 'payment-1',
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  expiryDate: new Date('2027-01-01T00:00:00Z')
+};
+
+const selectResolving = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+describe('SubscriptionService.quote', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(SubscriptionService, 'getCurrentSubscription').mockResolvedValue(current);
+    jest.spyOn(Payment, 'findById').mockReturnValue(selectResolving({ planSnapshot: { price: 1200, durationMonths: 12 } }));
+    jest.spyOn(Plan, 'findById').mockReturnValue(selectResolving(null));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('charges full price without a current subscription', async () => {
+    SubscriptionService.getCurrentSubscription.mockResolvedValue(null);
+
+    const quote = await SubscriptionService.quote(user, proPlan);
+
+    expect(quote).toMatchObject({ kind: 'new', amount: 120000, credit: 0, bonusDays: 0, fromSubscription: null });
+  });
+
+  it('charges full price once the current subscription has lapsed', async () => {
+    SubscriptionService.getCurrentSubscription.mockResolvedValue({
+      ...current,
+      startDate: new Date('2025-01-01T00:00:00Z'),
+      expiryDate: new Date('2026-01-01T00:00:00Z')
+    });
+
+    const quote = await SubscriptionService.quote(user, enterprisePlan);
+
+    expect(quote).toMatchObject({ kind: 'new', amount: 240000, credit: 0 });
+  });
+
+  it('treats buying the same plan as a full-price renewal', async () => {
+    const quote = await SubscriptionService.quote(user, proPlan);
+
+    expect(quote).toMatchObject({ kind: 'renewal', amount: 120000, credit: 0, fromSubscription: 'subscription-1' });
+    expect(Payment.findById).not.toHaveBeenCalled();
+  });
+
+  it('credits the unused time of the current plan on an upgrade', async () => {
+    const quote = await SubscriptionService.quote(user, enterprisePlan);
+
+    // 120000 paise × 184 / 365 days
+    expect(quote).toMatchObject({
+      kind: 'change',
+      credit: 60493,
+      amount: 240000 - 60493,
+      bonusDays: 0,
+      fromSubscription: 'subscription-1',
+      fromPlanTitle: 'Pro'
+    });
+  });
+
+  it('turns leftover credit into extra days on a downgrade', async () => {
+    const quote = await SubscriptionService.quote(user, basicPlan);
+
+    // (60493 - 30000) / 30000 of Basic's 92-day period
+    expect(quote).toMatchObject({ kind: 'change', credit: 60493, amount: 0, bonusDays: 93 });
+  });
+
+  it('values the credit at the plan price when the subscription has no payment', async () => {
+    SubscriptionService.getCurrentSubscription.mockResolvedValue({ ...current, payment: null });
+    Plan.findById.mockReturnValue(selectResolving({ price: 1200, durationMonths: 12 }));
+
+    const quote = await SubscriptionService.quote(user, enterprisePlan);
+
+    expect(Plan.findById).toHaveBeenCalledWith('plan-pro');
+    expect(quote.credit).toBe(60493);
+  });
+
+  it('gives no credit for a plan that was free', async () => {
+    Payment.findById.mockReturnValue(selectResolving({ planSnapshot: { price: 0, durationMonths: 12 } }));
+
+    const quote = await SubscriptionService.quote(user, enterprisePlan);
+
+    expect(quote).toMatchObject({ kind: 'change', credit: 0, amount: 240000 });
+  });
+
+  it('gives no credit when changing plans during the grace period', async () => {
+    SubscriptionService.getCurrentSubscription.mockResolvedValue({
+      ...current,
+      startDate: new Date('2025-07-01T00:00:00Z'),
+      expiryDate: new Date('2026-06-30T00:00:00Z')
+    });
+
+    const quote = await SubscriptionService.quote(user, enterprisePlan);
+
+    expect(quote).toMatchObject({ kind: 'change', credit: 0, amount: 240000, fromSubscription: 'subscription-1' });
+    expect(Payment.findById).not.toHaveBeenCalled();
+  });
+
+  it('asks the user to cancel instead of switching to a free plan mid-period', async () => {
+    await expect(SubscriptionService.quote(user, freePlan)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Cancel your current plan')
+    });
+  });
+});
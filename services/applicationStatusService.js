@@ -0,0 +1,254 @@
+const JobApplication = require('../models/JobApplication');
+const Notification = require('../models/Notification');
+const Teacher = require('../models/Teacher');
+const NotificationService = require('./notificationService');
+const { emitNotification } = require('../utils/notificationHelper');
+
+// In-app/push notification sent to the applicant for each status
+const APPLICANT_NOTIFICATIONS = {
+  'shortlisted': {
+    type: 'shortlist',
+    title: '🎉 Congratulations! You\'ve been shortlisted!',
+    message: (schoolName) => `Your application has been shortlisted by ${schoolName}. They are interested in your profile and may contact you soon.`
+  },
+  'rejected': {
+    type: 'reject',
+    title: 'Application Update',
+    message: (schoolName) => `Thank you for your interest. Unfortunately, your application was not selected by ${schoolName} this time. Keep applying to other opportunities!`
+  },
+  'interview-scheduled': {
+    type: 'interview',
+    title: '📅 Interview Scheduled!',
+    message: (schoolName) => `Great news! ${schoolName} has scheduled an interview with you. Check your email for details.`
+  },
+  'interviewed': {
+    type: 'interview',
+    title: '✅ Interview Completed',
+    message: (schoolName) => `Thanks for interviewing with ${schoolName}. They are reviewing the interview and will let you know the outcome.`
+  },
+  'accepted': {
+    type: 'hired',
+    title: '🎊 Congratulations! Your application was accepted!',
+    message: (schoolName) => `Excellent news! ${schoolName} has accepted your application for the position!`
+  },
+  'hired': {
+    type: 'hired',
+    title: '🎊 Congratulations! You\'ve been hired!',
+    message: (schoolName) => `Excellent news! ${schoolName} has hired you for the position!`
+  }
+};
+
+// Statuses that trigger a status update email to the applicant
+const EMAIL_STATUSES = ['under-review', 'shortlisted', 'interview-scheduled', 'interviewed', 'accepted', 'hired', 'rejected'];
+
+let notificationService = null;
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class ApplicationStatusService {
+  /**
+   * Move an application to a new status, recording history and notifying once
+   * @param {Object} application - JobApplication document (unpopulated or populated)
+   * @param {string} newStatus - Target status
+   * @param {Object} options
+   * @param {Object} options.user - Acting user (req.user or { id, role })
+   * @param {string} options.reason - Optional reason stored in the history
+   * @param {Object} options.io - Socket.IO instance (defaults to global.io)
+   * @param {boolean} options.sendEmail - false when the caller sends its own email (e.g. an interview invitation)
+   * @returns {Promise<Object>} - Updated JobApplication document
+   */
+  static async changeStatus(application, newStatus, { user, reason, io, sendEmail = true } = {}) {
+    const status = JobApplication.normalizeStatus(newStatus);
+    const fromStatus = application.status;
+    const role = user ? user.role : 'system';
+    const userId = user ? (user.id || user._id) : undefined;
+
+    const invalid = JobApplication.validateTransition(fromStatus, status, role);
+    if (invalid) {
+      const allowed = JobApplication.allowedTransitions(fromStatus);
+      throw createError(
+        `${invalid}. Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none (final status)'}`,
+        400
+      );
+    }
+
+    const updated = await JobApplication.transitionStatus(application._id, fromStatus, status, {
+      userId,
+      role,
+      reason
+    });
+
+    // Another request changed the status first; its notifications already went out
+    if (!updated) {
+      throw createError('Application status was changed by another request, please reload and try again', 409);
+    }
+
+    await ApplicationStatusService.notifyStatusChange(updated, fromStatus, status, io || global.io, { sendEmail });
+
+    return updated;
+  }
+
+  /**
+   * Send the in-app, push, socket and email notifications for a transition
+   * Called exactly once per successful transition by changeStatus
+   */
+  static async notifyStatusChange(application, fromStatus, status, io, { sendEmail = true } = {}) {
+    const populated = await JobApplication.findById(application._id)
+      .populate('job', 'title')
+      .populate('school', 'schoolName user');
+
+    const schoolName = populated?.school?.schoolName || 'The school';
+    const jobTitle = populated?.job?.title || 'Position';
+    const applicantId = application.applicant.toString();
+
+    if (io) {
+      // Legacy status event consumed by older clients
+      io.to(`user_${applicantId}`).emit('application_status_updated', {
+        applicationId: application._id,
+        status,
+        previousStatus: fromStatus,
+        updatedAt: application.lastUpdated
+      });
+
+      if (populated?.school) {
+        io.to(`school_applications:${populated.school._id}`).emit('application_updated', {
+          applicationId: application._id,
+          status,
+          previousStatus: fromStatus
+        });
+      }
+
+      // Emit stats update for home page
+      if (status === 'accepted' || status === 'hired') {
+        const successfulHires = await JobApplication.countDocuments({
+          status: { $in: ['accepted', 'hired'] }
+        });
+        io.emit('stats_updated', { successfulHires });
+      }
+    }
+
+    try {
+      if (status === 'withdrawn') {
+        // Let the school know the candidate dropped out
+        if (populated?.school?.user) {
+          await ApplicationStatusService.createAndEmit(io, populated.school.user.toString(), {
+            type: 'application_withdrawn',
+            title: 'Application Withdrawn',
+            message: `A candidate has withdrawn their application for ${jobTitle}.`,
+            data: {
+              jobId: application.job,
+              schoolId: populated.school._id,
+              applicationId: application._id,
+              schoolName,
+              jobTitle
+            }
+          }, { sendPush: true });
+        }
+      } else if (APPLICANT_NOTIFICATIONS[status]) {
+        const template = APPLICANT_NOTIFICATIONS[status];
+        await ApplicationStatusService.createAndEmit(io, applicantId, {
+          type: template.type,
+          title: template.title,
+          message: template.message(schoolName),
+          data: {
+            jobId: application.job,
+            schoolId: populated?.school?._id,
+            applicationId: application._id,
+            schoolName,
+            jobTitle
+          }
+        }, {
+          forcePopup: true, // Force popup for important status changes
+          sendPush: true    // Send push notification (works even when app is closed)
+        });
+      }
+    } catch (error) {
+      console.error('Error creating status change notification:', error);
+    }
+
+    if (sendEmail && EMAIL_STATUSES.includes(status)) {
+      // Email delivery must not block or fail the status change
+      getNotificationService()
+        .notifyApplicationStatusUpdate(application._id, status)
+        .catch(error => console.error('Status update email failed:', error.message));
+    }
+  }
+
+  /**
+   * Tell the school about a new application (in-app, push and email)
+   * Schools on a digest get the email batched into their digest instead.
+   * @param {Object} application - Newly created JobApplication
+   * @param {Object} io - Socket.IO instance (defaults to global.io)
+   */
+  static async notifyNewApplication(application, io = global.io) {
+    try {
+      const populated = await JobApplication.findById(application._id)
+        .populate('job', 'title')
+        .populate('school', 'schoolName user');
+      const schoolUserId = populated?.school?.user;
+      if (!schoolUserId) return;
+
+      const teacher = await Teacher.findOne({ user: application.applicant }).select('personalInfo.firstName personalInfo.lastName');
+      const teacherName = teacher
+        ? `${teacher.personalInfo.firstName} ${teacher.personalInfo.lastName}`.trim()
+        : 'A teacher';
+      const jobTitle = populated.job?.title || 'your school';
+
+      await ApplicationStatusService.createAndEmit(io, schoolUserId.toString(), {
+        type: 'application_received',
+        title: '📥 New application received',
+        message: `${teacherName} applied for ${jobTitle}`,
+        data: {
+          applicationId: application._id,
+          jobId: populated.job?._id,
+          schoolId: populated.school._id,
+          jobTitle: populated.job?.title,
+          schoolName: populated.school.schoolName
+        }
+      }, { sendPush: true });
+    } catch (error) {
+      console.error('Error creating new application notification:', error);
+    }
+
+    getNotificationService()
+      .notifyJobApplication(application._id)
+      .catch(error => console.error('New application email failed:', error.message));
+  }
+
+  /**
+   * Persist a Notification and emit it over socket/push
+   */
+  static async createAndEmit(io, userId, payload, options = {}) {
+    const notification = await Notification.create({
+      user: userId,
+      ...payload
+    });
+
+    if (io) {
+      await emitNotification(io, userId, {
+        _id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        isRead: notification.isRead,
+        createdAt: notification.createdAt,
+        user: userId
+      }, options);
+    }
+
+    return notification;
+  }
+}
+
+module.exports = ApplicationStatusService;
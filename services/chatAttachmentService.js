@@ -0,0 +1,252 @@
+const path = require('path');
+const { uploadToCloudinary, deleteFromCloudinary, getPrivateDownloadUrl } = require('../utils/upload');
+const { moderateImage, getModerationErrorMessage } = require('./imageModeration');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const MB = 1024 * 1024;
+
+/**
+ * What can be sent in chat
+ * - kind: image attachments are moderated and sent as messageType 'image'
+ * - extensions: the file name must match the declared type
+ * - signature: the file's first bytes must match too, so renamed executables are refused
+ */
+const ALLOWED_TYPES = {
+  'image/jpeg': { kind: 'image', extensions: ['.jpg', '.jpeg'], signature: buffer => buffer.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  'image/png': { kind: 'image', extensions: ['.png'], signature: buffer => buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/gif': { kind: 'image', extensions: ['.gif'], signature: buffer => ['GIF87a', 'GIF89a'].includes(buffer.slice(0, 6).toString('latin1')) },
+  'image/webp': { kind: 'image', extensions: ['.webp'], signature: buffer => buffer.slice(0, 4).toString('latin1') === 'RIFF' && buffer.slice(8, 12).toString('latin1') === 'WEBP' },
+  'application/pdf': { kind: 'file', extensions: ['.pdf'], signature: buffer => buffer.slice(0, 5).toString('latin1') === '%PDF-' },
+  'application/msword': { kind: 'file', extensions: ['.doc'], signature: buffer => buffer.slice(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { kind: 'file', extensions: ['.docx'], signature: buffer => buffer.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) },
+  'text/plain': { kind: 'file', extensions: ['.txt'], signature: buffer => !buffer.includes(0) }
+};
+
+// Executable headers that are refused whatever the file claims to be
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ'), // Windows PE
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]), // ELF
+  Buffer.from([0xcf, 0xfa, 0xed, 0xfe]), // Mach-O
+  Buffer.from([0xca, 0xfe, 0xba, 0xbe]), // Mach-O universal / Java class
+  Buffer.from('#!') // Scripts
+];
+
+// Active content inside otherwise allowed documents: PDF actions, Word macros
+const ACTIVE_CONTENT = {
+  'application/pdf': buffer => /\/(JavaScript|JS|Launch|EmbeddedFile)\b/.test(buffer.toString('latin1')),
+  'application/msword': buffer => buffer.includes(Buffer.from('_VBA_PROJECT', 'utf16le')),
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': buffer => buffer.includes(Buffer.from('vbaProject.bin'))
+};
+
+class ChatAttachmentService {
+  /**
+   * Size and count limits, from CHAT_IMAGE_MAX_MB, CHAT_FILE_MAX_MB and CHAT_MAX_ATTACHMENTS
+   */
+  static getLimits() {
+    return {
+      image: parseFloat(process.env.CHAT_IMAGE_MAX_MB || '5') * MB,
+      file: parseFloat(process.env.CHAT_FILE_MAX_MB || '10') * MB,
+      perMessage: parseInt(process.env.CHAT_MAX_ATTACHMENTS || '5', 10)
+    };
+  }
+
+  /**
+   * How long a download link stays valid
+   */
+  static getUrlTtlMinutes() {
+    return parseInt(process.env.CHAT_ATTACHMENT_URL_TTL_MINUTES || '60', 10);
+  }
+
+  /**
+   * multer fileFilter: refuse undeclared types before anything is buffered
+   */
+  static fileFilter(req, file, cb) {
+    const policy = ALLOWED_TYPES[file.mimetype];
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!policy || !policy.extensions.includes(extension)) {
+      return cb(new Error('File type not allowed in chat. Send images (JPG, PNG, GIF, WEBP) or documents (PDF, DOC, DOCX, TXT)'), false);
+    }
+    cb(null, true);
+  }
+
+  /**
+   * Limits for the multer instance that buffers chat uploads
+   */
+  static getUploadLimits() {
+    const limits = ChatAttachmentService.getLimits();
+    return {
+      fileSize: Math.max(limits.image, limits.file),
+      files: limits.perMessage
+    };
+  }
+
+  /**
+   * Check an uploaded file against the chat policy
+   * @param {Object} file - multer file (memory storage)
+   * @returns {Object} - { kind } of the attachment
+   */
+  static validate(file) {
+    const policy = ALLOWED_TYPES[file.mimetype];
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const name = file.originalname || 'File';
+
+    if (!policy || !policy.extensions.includes(extension)) {
+      throw createError(`${name}: file type not allowed in chat`, 400);
+    }
+
+    const maxSize = ChatAttachmentService.getLimits()[policy.kind];
+    if (file.size > maxSize) {
+      throw createError(`${name} is larger than the ${maxSize / MB}MB limit for ${policy.kind === 'image' ? 'images' : 'files'}`, 400);
+    }
+    if (!file.buffer || file.size === 0) {
+      throw createError(`${name} is empty`, 400);
+    }
+
+    if (EXECUTABLE_SIGNATURES.some(signature => file.buffer.slice(0, signature.length).equals(signature))) {
+      throw createError(`${name} looks like a program and cannot be sent`, 400);
+    }
+    if (!policy.signature(file.buffer)) {
+      throw createError(`${name} does not match its file type`, 400);
+    }
+    if (ACTIVE_CONTENT[file.mimetype] && ACTIVE_CONTENT[file.mimetype](file.buffer)) {
+      throw createError(`${name} contains macros or scripts and cannot be sent`, 400);
+    }
+
+    return { kind: policy.kind };
+  }
+
+  /**
+   * Validate, upload and (for images) moderate the files for one message
+   * Nothing is kept if any file fails.
+   * @param {Object[]} files - multer files
+   * @param {string} conversationId - Conversation the files are shared in
+   * @returns {Promise<Object[]>} - Attachment subdocuments for the message
+   */
+  static async uploadAll(files, conversationId) {
+    if (!files || files.length === 0) {
+      throw createError('No files uploaded', 400);
+    }
+
+    const limits = ChatAttachmentService.getLimits();
+    if (files.length > limits.perMessage) {
+      throw createError(`You can send at most ${limits.perMessage} files in one message`, 400);
+    }
+
+    // Check everything before uploading anything
+    const kinds = files.map(file => ChatAttachmentService.validate(file).kind);
+
+    const attachments = [];
+    try {
+      for (let i = 0; i < files.length; i++) {
+        attachments.push(await ChatAttachmentService.upload(files[i], kinds[i], conversationId));
+      }
+    } catch (error) {
+      await ChatAttachmentService.destroy(attachments);
+      throw error;
+    }
+    return attachments;
+  }
+
+  /**
+   * Upload one file as a private Cloudinary asset
+   */
+  static async upload(file, kind, conversationId) {
+    const resourceType = kind === 'image' ? 'image' : 'raw';
+    const result = await uploadToCloudinary(file, `teacherslink/chat/${conversationId}`, {
+      type: 'authenticated',
+      resource_type: resourceType,
+      quality: kind === 'image' ? 'auto' : undefined,
+      fetch_format: undefined
+    });
+
+    const attachment = {
+      filename: file.originalname,
+      fileType: file.mimetype,
+      fileSize: file.size,
+      kind,
+      publicId: result.public_id,
+      resourceType,
+      format: result.format,
+      width: result.width,
+      height: result.height
+    };
+
+    if (kind === 'image') {
+      const { url } = ChatAttachmentService.sign(attachment);
+      const moderationResult = await moderateImage(url);
+
+      if (!moderationResult.skipped && moderationResult.isInappropriate) {
+        console.log('❌ Inappropriate content detected in chat image:', moderationResult.detectedLabels);
+        await ChatAttachmentService.destroy([attachment]);
+        throw createError(getModerationErrorMessage(moderationResult), 400);
+      }
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Fresh download link for a stored attachment
+   * Attachments from before uploads were private keep their stored URL.
+   * @returns {Object} - { url, expiresAt }
+   */
+  static sign(attachment) {
+    if (!attachment.publicId) {
+      return { url: attachment.url, expiresAt: null };
+    }
+
+    const expiresAt = new Date(Date.now() + ChatAttachmentService.getUrlTtlMinutes() * 60 * 1000);
+    return {
+      url: getPrivateDownloadUrl(attachment.publicId, {
+        format: attachment.resourceType === 'raw' ? '' : attachment.format,
+        resourceType: attachment.resourceType,
+        expiresAt
+      }),
+      expiresAt
+    };
+  }
+
+  /**
+   * Attachment as returned to clients, with a signed URL and without storage details
+   */
+  static serialize(attachment) {
+    const data = typeof attachment.toObject === 'function' ? attachment.toObject() : { ...attachment };
+    const { url, expiresAt } = ChatAttachmentService.sign(data);
+
+    delete data.publicId;
+    delete data.resourceType;
+    delete data.format;
+    return { ...data, url, expiresAt };
+  }
+
+  /**
+   * Short text standing in for a message with attachments (inbox, notifications)
+   */
+  static describe(attachments = []) {
+    if (attachments.length === 0) return '';
+    if (attachments.length > 1) {
+      return attachments.every(attachment => attachment.kind === 'image')
+        ? `📷 ${attachments.length} photos`
+        : `📎 ${attachments.length} files`;
+    }
+    return attachments[0].kind === 'image' ? '📷 Photo' : `📎 ${attachments[0].filename}`;
+  }
+
+  /**
+   * Remove uploaded files from Cloudinary (best effort)
+   */
+  static async destroy(attachments = []) {
+    await Promise.all(attachments.filter(attachment => attachment.publicId).map(attachment =>
+      deleteFromCloudinary(attachment.publicId, { resource_type: attachment.resourceType, type: 'authenticated' })
+        .catch(error => console.error(`Failed to delete chat attachment ${attachment.publicId}:`, error.message))
+    ));
+  }
+}
+
+module.exports = ChatAttachmentService;
@@ -0,0 +1,463 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Connection = require('../models/Connection');
+const Message = require('../models/Message');
+const JobApplication = require('../models/JobApplication');
+const School = require('../models/School');
+const Teacher = require('../models/Teacher');
+const User = require('../models/User');
+const EntitlementService = require('./entitlementService');
+const MessageService = require('./messageService');
+const ChatAttachmentService = require('./chatAttachmentService');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const includesId = (list, id) => (list || []).some(item => idOf(item) === id.toString());
+
+class ConversationService {
+  /**
+   * Most people a group conversation can have, creator included
+   */
+  static getMaxGroupSize() {
+    return parseInt(process.env.CHAT_GROUP_MAX_PARTICIPANTS || '10', 10);
+  }
+
+  static directKey(userA, userB) {
+    return [userA.toString(), userB.toString()].sort().join(':');
+  }
+
+  /**
+   * Connection status between two users in either direction
+   * @returns {Promise<string|null>} - 'blocked' wins over 'accepted', then pending/declined, or null
+   */
+  static async getRelationship(userA, userB) {
+    const connections = await Connection.find({
+      $or: [
+        { requester: userA, recipient: userB },
+        { requester: userB, recipient: userA }
+      ]
+    }).select('status');
+
+    const statuses = connections.map(connection => connection.status);
+    if (statuses.includes('blocked')) return 'blocked';
+    if (statuses.includes('accepted')) return 'accepted';
+    return statuses[0] || null;
+  }
+
+  /**
+   * Whether one of the users has applied to a school the other runs
+   */
+  static async hasApplicationBetween(userA, userB) {
+    const schools = await School.find({ user: { $in: [userA, userB] } }).select('_id user');
+    if (schools.length === 0) return false;
+
+    const checks = schools.map(school => JobApplication.exists({
+      applicant: idOf(school.user) === userA.toString() ? userB : userA,
+      school: school._id
+    }));
+    return (await Promise.all(checks)).some(Boolean);
+  }
+
+  /**
+   * Check that a user may start a conversation with another user
+   * - blocked connections never can
+   * - accepted connections and existing applications always can
+   * - schools reaching teachers who haven't applied need the chatWithNonApplicants entitlement
+   * @param {Object} user - User document starting the conversation
+   * @param {Object} other - User document being messaged
+   */
+  static async assertCanMessage(user, other) {
+    const relationship = await ConversationService.getRelationship(user._id, other._id);
+    if (relationship === 'blocked') {
+      throw createError('You cannot message this user', 403);
+    }
+    if (user.role === 'admin' || relationship === 'accepted') return;
+    if (await ConversationService.hasApplicationBetween(user._id, other._id)) return;
+
+    if (user.role === 'school' && other.role === 'teacher') {
+      const state = await EntitlementService.check(user, 'chatWithNonApplicants');
+      if (state.allowed) return;
+
+      const error = createError(state.message, 403);
+      error.requiresUpgrade = true;
+      error.entitlement = state;
+      throw error;
+    }
+
+    throw createError('You can only message users you are connected with', 403);
+  }
+
+  /**
+   * Start a direct (one other participant) or group (two or more) conversation
+   * An existing direct conversation between the two users is reused.
+   * @param {Object} user - User document
+   * @param {Object} data - { participantIds, title }
+   * @returns {Promise<Object>} - { conversation, created }
+   */
+  static async create(user, { participantIds, title } = {}) {
+    if (!Array.isArray(participantIds) || participantIds.length === 0) {
+      throw createError('participantIds must be a non-empty array', 400);
+    }
+    if (participantIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw createError('Invalid participant ID', 400);
+    }
+
+    const otherIds = [...new Set(participantIds.map(String))].filter(id => id !== user._id.toString());
+    if (otherIds.length === 0) {
+      throw createError('You cannot start a conversation with yourself', 400);
+    }
+
+    const maxGroupSize = ConversationService.getMaxGroupSize();
+    if (otherIds.length + 1 > maxGroupSize) {
+      throw createError(`Group conversations can have at most ${maxGroupSize} participants`, 400);
+    }
+
+    const others = await User.find({ _id: { $in: otherIds }, isActive: true }).select('role isActive');
+    if (others.length !== otherIds.length) {
+      throw createError('User not found', 404);
+    }
+
+    for (const other of others) {
+      await ConversationService.assertCanMessage(user, other);
+    }
+
+    if (otherIds.length === 1) {
+      const directKey = ConversationService.directKey(user._id, otherIds[0]);
+      const existing = await Conversation.findOne({ type: 'direct', directKey });
+      if (existing) {
+        if (includesId(existing.hiddenFor, user._id)) {
+          existing.hiddenFor = existing.hiddenFor.filter(id => id.toString() !== user._id.toString());
+          await existing.save();
+        }
+        return { conversation: existing, created: false };
+      }
+
+      try {
+        const conversation = await Conversation.create({
+          type: 'direct',
+          participants: [user._id, otherIds[0]],
+          directKey,
+          createdBy: user._id
+        });
+        return { conversation, created: true };
+      } catch (error) {
+        // Both users started it at the same time
+        if (error.code !== 11000) throw error;
+        return { conversation: await Conversation.findOne({ type: 'direct', directKey }), created: false };
+      }
+    }
+
+    const conversation = await Conversation.create({
+      type: 'group',
+      participants: [user._id, ...otherIds],
+      title,
+      createdBy: user._id
+    });
+    return { conversation, created: true };
+  }
+
+  /**
+   * Conversation for a job application, created the first time it is needed
+   * @param {Object} application - JobApplication with school (and job) populated
+   */
+  static async ensureForApplication(application) {
+    const filter = { type: 'application', application: application._id };
+    const update = {
+      $setOnInsert: {
+        participants: [idOf(application.applicant), idOf(application.school.user)],
+        title: application.job?.title
+      }
+    };
+
+    try {
+      return await Conversation.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Conversation.findOne(filter);
+    }
+  }
+
+  /**
+   * Conversation a user takes part in, by conversation ID or job application ID
+   * @param {string} id - Conversation ID, or JobApplication ID for application chats
+   * @param {string} userId - Current user
+   * @returns {Promise<Object>} - { conversation, application } (application only for application chats)
+   */
+  static async resolve(id, userId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createError('Invalid conversation ID', 400);
+    }
+
+    const conversation = await Conversation.findById(id);
+    if (conversation) {
+      if (!includesId(conversation.participants, userId)) {
+        throw createError('Not authorized to access this conversation', 403);
+      }
+
+      let application = null;
+      if (conversation.type === 'application') {
+        ({ application } = await MessageService.getParticipants(conversation.application, userId));
+      }
+      return { conversation, application };
+    }
+
+    const applicationExists = await JobApplication.exists({ _id: id });
+    if (!applicationExists) {
+      throw createError('Conversation not found', 404);
+    }
+
+    const { application } = await MessageService.getParticipants(id, userId);
+    return { conversation: await ConversationService.ensureForApplication(application), application };
+  }
+
+  /**
+   * Query matching a conversation's messages
+   * Application chats from before conversations existed only carry the application.
+   */
+  static messageFilter(conversation) {
+    return conversation.type === 'application'
+      ? { application: conversation.application }
+      : { conversation: conversation._id };
+  }
+
+  /**
+   * Socket.IO rooms clients join to follow a conversation
+   */
+  static roomsFor(conversation) {
+    const rooms = [`conversation_${conversation._id}`];
+    if (conversation.type === 'application') rooms.push(`application_${conversation.application}`);
+    return rooms;
+  }
+
+  /**
+   * Send a message in a conversation
+   * @param {Object} conversation - Conversation document the sender takes part in
+   * @param {string} senderId - Sender
+   * @param {Object} data - { message, messageType, attachments }
+   * @returns {Promise<Object>} - Saved message
+   */
+  static async send(conversation, senderId, { message, messageType = 'text', attachments } = {}) {
+    const others = conversation.participants.filter(id => id.toString() !== senderId.toString());
+    if (others.length === 0) {
+      throw createError('There is no one else in this conversation', 400);
+    }
+
+    if (conversation.type === 'direct' && await ConversationService.getRelationship(senderId, others[0]) === 'blocked') {
+      throw createError('You cannot message this user', 403);
+    }
+
+    const data = {
+      sender: senderId,
+      conversation: conversation._id,
+      message,
+      messageType,
+      attachments
+    };
+    if (conversation.type === 'group') {
+      data.recipients = others;
+    } else {
+      data.receiver = others[0];
+    }
+    if (conversation.type === 'application') {
+      data.application = conversation.application;
+    }
+
+    const newMessage = await Message.create(data);
+    await ConversationService.touch(conversation._id, newMessage);
+    return newMessage;
+  }
+
+  /**
+   * Record a new message as the conversation's latest and bring it back for anyone who hid it
+   */
+  static async touch(conversationId, message) {
+    await Conversation.updateOne({ _id: conversationId }, {
+      $set: {
+        lastMessage: {
+          messageId: message._id,
+          sender: message.sender,
+          message: message.message,
+          messageType: message.messageType,
+          attachmentPreview: ChatAttachmentService.describe(message.attachments) || undefined,
+          attachmentCount: (message.attachments || []).length,
+          isDeleted: false,
+          createdAt: message.createdAt
+        },
+        lastMessageAt: message.createdAt,
+        hiddenFor: []
+      }
+    });
+  }
+
+  /**
+   * Hide a direct or group conversation and its history from one participant
+   */
+  static async hide(conversation, userId) {
+    await Message.updateMany(
+      ConversationService.messageFilter(conversation),
+      { $addToSet: { deletedFor: userId } }
+    );
+    await Conversation.updateOne({ _id: conversation._id }, { $addToSet: { hiddenFor: userId } });
+  }
+
+  /**
+   * Leave a group conversation
+   */
+  static async leave(conversation, userId) {
+    if (conversation.type !== 'group') {
+      throw createError('Only group conversations can be left', 400);
+    }
+
+    return Conversation.findByIdAndUpdate(
+      conversation._id,
+      { $pull: { participants: userId, hiddenFor: userId } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Display name, role and photo for each user
+   * @param {string[]} userIds - User IDs
+   * @returns {Promise<Object>} - Map of user ID to { _id, role, name, profileImage }
+   */
+  static async getProfiles(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return {};
+
+    const [users, teachers, schools] = await Promise.all([
+      User.find({ _id: { $in: ids } }).select('role'),
+      Teacher.find({ user: { $in: ids } })
+        .select('user personalInfo.firstName personalInfo.lastName personalInfo.profileImage personalInfo.profilePhoto'),
+      School.find({ user: { $in: ids } }).select('user schoolName profileImage')
+    ]);
+
+    const profiles = {};
+    users.forEach(user => {
+      profiles[user._id.toString()] = {
+        _id: user._id,
+        role: user.role,
+        name: user.role === 'school' ? 'School' : user.role === 'admin' ? 'TeachersLink' : 'Teacher'
+      };
+    });
+    teachers.forEach(teacher => {
+      const profile = profiles[teacher.user.toString()];
+      if (!profile) return;
+      const info = teacher.personalInfo || {};
+      profile.name = `${info.firstName || ''} ${info.lastName || ''}`.trim() || profile.name;
+      profile.profileImage = info.profileImage || info.profilePhoto;
+    });
+    schools.forEach(school => {
+      const profile = profiles[school.user.toString()];
+      if (!profile) return;
+      profile.name = school.schoolName || profile.name;
+      profile.profileImage = school.profileImage;
+    });
+    return profiles;
+  }
+
+  /**
+   * Unread message counts for a user, keyed by conversation ID
+   * (or application ID for application chat messages from before conversations existed)
+   */
+  static async getUnreadCounts(userId) {
+    const uid = new mongoose.Types.ObjectId(userId.toString());
+    const counts = await Message.aggregate([
+      {
+        $match: {
+          ...MessageService.unreadQuery(uid),
+          isDeleted: false,
+          deletedFor: { $ne: uid }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$conversation', '$application'] },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return counts.reduce((map, entry) => {
+      map[entry._id.toString()] = entry.count;
+      return map;
+    }, {});
+  }
+
+  /**
+   * Everything in a user's inbox: application chats, direct and group conversations
+   * @param {Object} user - User document
+   * @param {Object} options - { type } to show one kind of conversation
+   * @returns {Promise<Object[]>} - Most recent first
+   */
+  static async getInbox(user, { type } = {}) {
+    const query = {
+      participants: user._id,
+      hiddenFor: { $ne: user._id },
+      // Application chats only show up once someone has written in them
+      $or: [{ type: { $ne: 'application' } }, { lastMessageAt: { $exists: true } }]
+    };
+    if (type) query.type = type;
+
+    const conversations = await Conversation.find(query).lean();
+
+    const applicationIds = conversations.filter(c => c.type === 'application').map(c => c.application);
+    const [applications, unread, profiles] = await Promise.all([
+      JobApplication.find({ _id: { $in: applicationIds } })
+        .select('job school applicant')
+        .populate('job', 'title')
+        .populate('school', 'schoolName'),
+      ConversationService.getUnreadCounts(user._id),
+      ConversationService.getProfiles(conversations.flatMap(c => c.participants))
+    ]);
+    const applicationsById = new Map(applications.map(application => [application._id.toString(), application]));
+
+    return conversations.map(conversation => {
+      const entry = {
+        _id: conversation._id,
+        conversationId: conversation._id,
+        type: conversation.type,
+        title: conversation.title,
+        participants: conversation.participants
+          .map(id => profiles[id.toString()])
+          .filter(Boolean),
+        lastMessage: conversation.lastMessage?.isDeleted
+          ? ''
+          : (conversation.lastMessage?.message || conversation.lastMessage?.attachmentPreview),
+        lastMessageAttachments: conversation.lastMessage?.isDeleted ? 0 : (conversation.lastMessage?.attachmentCount || 0),
+        lastMessagePreview: conversation.lastMessage?.isDeleted ? undefined : conversation.lastMessage?.attachmentPreview,
+        lastMessageSender: conversation.lastMessage?.sender,
+        lastMessageTime: conversation.lastMessageAt || conversation.createdAt,
+        unreadCount: unread[conversation._id.toString()] || 0
+      };
+
+      if (conversation.type === 'application') {
+        const application = applicationsById.get(conversation.application.toString());
+        const applicantId = application ? application.applicant.toString() : null;
+
+        entry.applicationId = conversation.application;
+        entry.jobTitle = application?.job?.title || 'Position Not Specified';
+        entry.schoolName = application?.school?.schoolName;
+        entry.teacherName = (applicantId && profiles[applicantId]?.name) || 'Teacher';
+        entry.unreadCount += unread[conversation.application.toString()] || 0;
+      } else if (conversation.type === 'direct') {
+        const other = entry.participants.find(profile => profile._id.toString() !== user._id.toString());
+        entry.title = other ? other.name : entry.title;
+      } else if (!entry.title) {
+        entry.title = entry.participants
+          .filter(profile => profile._id.toString() !== user._id.toString())
+          .map(profile => profile.name)
+          .join(', ');
+      }
+
+      return entry;
+    }).sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
+  }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,284 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// How long an unpaid order holds its coupon use before it is given back
+const RESERVATION_MINUTES = 30;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class CouponService {
+  static normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Discount a coupon gives on an amount
+   * @param {Object} coupon - Coupon document
+   * @param {number} amount - Amount in paise
+   * @returns {number} - Discount in paise, never more than the amount
+   */
+  static computeDiscount(coupon, amount) {
+    let discount;
+    if (coupon.discountType === 'percentage') {
+      discount = Math.round(amount * coupon.discountValue / 100);
+      if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+        discount = Math.min(discount, Math.round(coupon.maxDiscount * 100));
+      }
+    } else {
+      discount = Math.round(coupon.discountValue * 100);
+    }
+    return Math.max(0, Math.min(discount, amount));
+  }
+
+  /**
+   * Check a coupon code for a purchase and price it
+   * @param {Object} user - Buyer (req.user)
+   * @param {string} code - Coupon code as entered
+   * @param {Object} plan - Plan being bought
+   * @param {number} amount - Amount due before the coupon, in paise
+   * @returns {Promise<Object>} - { coupon, discount, amount }
+   */
+  static async validate(user, code, plan, amount) {
+    const normalized = CouponService.normalizeCode(code);
+    if (!normalized) {
+      throw createError('Coupon code is required', 400);
+    }
+
+    const coupon = await Coupon.findOne({ code: normalized });
+    if (!coupon || !coupon.isActive) {
+      throw createError('Invalid coupon code', 400);
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && coupon.validFrom > now) {
+      throw createError('This coupon is not active yet', 400);
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw createError('This coupon has expired', 400);
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+      throw createError('This coupon has reached its redemption limit', 400);
+    }
+    if (coupon.userTypes.length > 0 && !coupon.userTypes.includes(user.role)) {
+      throw createError(`This coupon is not valid for ${user.role} accounts`, 400);
+    }
+    if (coupon.plans.length > 0 && !coupon.plans.some(id => id.toString() === plan._id.toString())) {
+      throw createError('This coupon is not valid for the selected plan', 400);
+    }
+
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: user._id,
+      status: 'redeemed'
+    });
+    if (used >= (coupon.perUserLimit || 1)) {
+      throw createError('You have already used this coupon', 400);
+    }
+
+    if (amount <= 0) {
+      throw createError('Nothing to discount on this purchase', 400);
+    }
+
+    const discount = CouponService.computeDiscount(coupon, amount);
+    return { coupon, discount, amount: amount - discount };
+  }
+
+  /**
+   * Hold one use of the payment's coupon until the payment activates or the hold lapses
+   * The total limit is taken with a conditional increment and the per-user limit is
+   * checked after the hold is written, so concurrent orders can never exceed either.
+   * @param {Object} payment - Payment, or the data it is about to be created with (including _id)
+   * @returns {Promise<Object>} - CouponRedemption with status 'reserved'
+   */
+  static async reserve(payment) {
+    const couponId = payment.coupon.coupon;
+    await CouponService.releaseExpired(couponId);
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon || !coupon.isActive) {
+      throw createError('Invalid coupon code', 400);
+    }
+
+    const taken = await Coupon.updateOne(
+      {
+        _id: coupon._id,
+        isActive: true,
+        ...(coupon.maxRedemptions && { redemptionCount: { $lt: coupon.maxRedemptions } })
+      },
+      { $inc: { redemptionCount: 1 } }
+    );
+    if (taken.modifiedCount === 0) {
+      throw createError('This coupon has reached its redemption limit', 400);
+    }
+
+    let redemption;
+    try {
+      // Reuses the payment's released hold when an expired order is paid after all
+      redemption = await CouponRedemption.findOneAndUpdate(
+        { payment: payment._id, status: 'released' },
+        {
+          $set: {
+            coupon: coupon._id,
+            code: payment.coupon.code,
+            user: payment.user,
+            userType: payment.userType,
+            plan: payment.plan,
+            amountBeforeDiscount: payment.coupon.amountBeforeDiscount,
+            discount: payment.coupon.discount,
+            amountPaid: payment.amount,
+            status: 'reserved',
+            expiresAt: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000)
+          },
+          $unset: { releasedAt: 1 }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      await Coupon.updateOne({ _id: coupon._id, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+      // The payment already holds or has redeemed its use
+      if (error.code === 11000) {
+        return CouponRedemption.findOne({ payment: payment._id });
+      }
+      throw error;
+    }
+
+    const held = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: payment.user,
+      status: { $in: ['reserved', 'redeemed'] }
+    });
+    if (held > (coupon.perUserLimit || 1)) {
+      await CouponService.release(payment._id);
+      throw createError('You have already used this coupon or have an unpaid order with it', 400);
+    }
+
+    return redemption;
+  }
+
+  /**
+   * Record the coupon use for an activated payment (once per payment)
+   * The order's hold becomes the redemption; a lapsed hold is taken again under the same limits.
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object|null>} - Redemption, or null if no coupon was used
+   */
+  static async redeem(payment) {
+    if (!payment.coupon || !payment.coupon.coupon) return null;
+
+    const redeem = () => CouponRedemption.findOneAndUpdate(
+      { payment: payment._id, status: 'reserved' },
+      { $set: { status: 'redeemed', amountPaid: payment.amount }, $unset: { expiresAt: 1 } },
+      { new: true }
+    );
+
+    const redemption = await redeem();
+    if (redemption) return redemption;
+
+    const existing = await CouponRedemption.findOne({ payment: payment._id, status: 'redeemed' });
+    if (existing) return existing;
+
+    await CouponService.reserve(payment);
+    return (await redeem()) || CouponRedemption.findOne({ payment: payment._id });
+  }
+
+  /**
+   * Give the coupon use back when its order fails or its payment is refunded
+   * @param {string} paymentId - Payment ID
+   * @param {Object} options - { statuses } the redemption may be in to be released
+   */
+  static async release(paymentId, { statuses = ['reserved', 'redeemed'] } = {}) {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { payment: paymentId, status: { $in: statuses } },
+      { $set: { status: 'released', releasedAt: new Date() }, $unset: { expiresAt: 1 } },
+      { new: true }
+    );
+    if (redemption) {
+      await Coupon.updateOne(
+        { _id: redemption.coupon, redemptionCount: { $gt: 0 } },
+        { $inc: { redemptionCount: -1 } }
+      );
+    }
+    return redemption;
+  }
+
+  /**
+   * Give back the uses held by orders of a coupon that were never paid
+   */
+  static async releaseExpired(couponId) {
+    const expired = await CouponRedemption.find({
+      coupon: couponId,
+      status: 'reserved',
+      expiresAt: { $lte: new Date() }
+    }).select('payment');
+
+    // Only still-unpaid holds; one redeemed in the meantime stays redeemed
+    for (const hold of expired) {
+      await CouponService.release(hold.payment, { statuses: ['reserved'] });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Redemption totals per coupon
+   * @param {Object} filters - { from, to, campaign }
+   * @returns {Promise<Object[]>}
+   */
+  static async getReport({ from, to, campaign } = {}) {
+    const match = { status: 'redeemed' };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const rows = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$coupon',
+          code: { $first: '$code' },
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discount' },
+          revenue: { $sum: '$amountPaid' },
+          schools: { $sum: { $cond: [{ $eq: ['$userType', 'school'] }, 1, 0] } },
+          teachers: { $sum: { $cond: [{ $eq: ['$userType', 'teacher'] }, 1, 0] } },
+          lastRedeemedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+
+    const coupons = await Coupon.find({ _id: { $in: rows.map(row => row._id) } })
+      .select('campaign discountType discountValue maxRedemptions isActive expiresAt');
+    const byId = new Map(coupons.map(coupon => [coupon._id.toString(), coupon]));
+
+    return rows
+      .map(row => {
+        const coupon = byId.get(row._id.toString());
+        return {
+          coupon: row._id,
+          code: row.code,
+          campaign: coupon?.campaign,
+          discountType: coupon?.discountType,
+          discountValue: coupon?.discountValue,
+          maxRedemptions: coupon?.maxRedemptions,
+          isActive: coupon?.isActive,
+          expiresAt: coupon?.expiresAt,
+          redemptions: row.redemptions,
+          uniqueUsers: row.uniqueUsers.length,
+          schools: row.schools,
+          teachers: row.teachers,
+          totalDiscount: row.totalDiscount,
+          revenue: row.revenue,
+          lastRedeemedAt: row.lastRedeemedAt
+        };
+      })
+      .filter(row => !campaign || row.campaign === campaign);
+  }
+}
+
+module.exports = CouponService;
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WINDOWS = { daily: DAY, weekly: 7 * DAY };
+
+// Notifications per digest; anything beyond is summarised as "and N more"
+const MAX_NOTIFICATIONS = 200;
+
+let notificationService;
+const getNotificationService = () => {
+  if (!notificationService) {
+    const NotificationService = require('./notificationService');
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+const getSecret = () => process.env.DIGEST_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+class DigestService {
+  /**
+   * Permanent unsubscribe token for a user (HMAC, so it works without login)
+   */
+  static createUnsubscribeToken(userId) {
+    const id = userId.toString();
+    const signature = crypto.createHmac('sha256', getSecret()).update(`digest:${id}`).digest('hex');
+    return `${id}.${signature}`;
+  }
+
+  /**
+   * User ID from an unsubscribe token, or null if it was tampered with
+   */
+  static verifyUnsubscribeToken(token) {
+    const [id, signature] = (token || '').split('.');
+    if (!id || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', getSecret()).update(`digest:${id}`).digest('hex');
+    if (expected.length !== signature.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+      return null;
+    }
+    return id;
+  }
+
+  static getUnsubscribeUrl(userId) {
+    const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${base}/api/notifications/digest/unsubscribe/${DigestService.createUnsubscribeToken(userId)}`;
+  }
+
+  /**
+   * Turn the digest off from an unsubscribe link
+   * @returns {Promise<boolean>} - false when the token is invalid
+   */
+  static async unsubscribe(token) {
+    const userId = DigestService.verifyUnsubscribeToken(token);
+    if (!userId) return false;
+
+    await NotificationPreference.updateOne(
+      { user: userId },
+      { $set: { 'digest.frequency': 'off' } }
+    );
+    return true;
+  }
+
+  /**
+   * Group notifications into digest sections
+   * - applications by job, messages by conversation, new jobs as a list
+   */
+  static buildSections(notifications) {
+    const applications = new Map();
+    const conversations = new Map();
+    const jobs = [];
+    const other = [];
+
+    notifications.forEach(notification => {
+      const data = notification.data || {};
+
+      if (notification.type === 'application_received') {
+        const key = data.jobId ? data.jobId.toString() : 'general';
+        if (!applications.has(key)) {
+          applications.set(key, { jobId: data.jobId, jobTitle: data.jobTitle || 'General applications', items: [] });
+        }
+        applications.get(key).items.push(notification);
+      } else if (notification.type === 'message') {
+        const key = (data.conversationId || data.applicationId || notification.title).toString();
+        if (!conversations.has(key)) {
+          conversations.set(key, {
+            title: notification.title.replace(/^💬\s*/, ''),
+            jobTitle: data.jobTitle,
+            items: []
+          });
+        }
+        conversations.get(key).items.push(notification);
+      } else if (['job_posted', 'job_alert', 'job_invite'].includes(notification.type)) {
+        jobs.push({
+          jobId: data.jobId,
+          jobTitle: data.jobTitle,
+          schoolName: data.schoolName,
+          createdAt: notification.createdAt
+        });
+      } else {
+        other.push(notification);
+      }
+    });
+
+    return {
+      applications: [...applications.values()],
+      conversations: [...conversations.values()],
+      jobs,
+      other
+    };
+  }
+
+  /**
+   * Send one user's digest if they have unread, undigested notifications
+   * @returns {Promise<Object>} - { sent, count }
+   */
+  static async sendForUser(preference, frequency, now = new Date()) {
+    const user = await User.findById(preference.user).select('email role isActive');
+    if (!user || !user.isActive) {
+      return { sent: false, count: 0 };
+    }
+
+    // Never look back further than one window so a first digest isn't a backlog dump
+    const windowStart = new Date(now.getTime() - WINDOWS[frequency]);
+    const lastSentAt = preference.digest?.lastSentAt;
+    const since = lastSentAt && lastSentAt > windowStart ? lastSentAt : windowStart;
+
+    const query = {
+      user: user._id,
+      isRead: false,
+      digestedAt: { $exists: false },
+      createdAt: { $gt: since, $lte: now }
+    };
+
+    const total = await Notification.countDocuments(query);
+    if (total === 0) {
+      return { sent: false, count: 0 };
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_NOTIFICATIONS)
+      .lean();
+
+    const unsubscribeUrl = DigestService.getUnsubscribeUrl(user._id);
+    await getNotificationService().notifyDigest(user, DigestService.buildSections(notifications), {
+      frequency,
+      total,
+      unsubscribeUrl
+    });
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(notification => notification._id) } },
+      { $set: { digestedAt: now } }
+    );
+    await NotificationPreference.updateOne(
+      { _id: preference._id },
+      { $set: { 'digest.lastSentAt': now } }
+    );
+
+    return { sent: true, count: total };
+  }
+
+  /**
+   * Send digests to everyone on a cadence
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @returns {Promise<Object>} - Run summary for the scheduler
+   */
+  static async sendDigests(frequency) {
+    const now = new Date();
+    const preferences = await NotificationPreference.find({ 'digest.frequency': frequency })
+      .select('user digest')
+      .lean();
+
+    let sent = 0;
+    let empty = 0;
+    let failed = 0;
+    for (const preference of preferences) {
+      try {
+        const result = await DigestService.sendForUser(preference, frequency, now);
+        if (result.sent) sent++;
+        else empty++;
+      } catch (error) {
+        failed++;
+        console.error(`Digest failed for user ${preference.user}:`, error.message);
+      }
+    }
+
+    return { subscribers: preferences.length, sent, empty, failed };
+  }
+}
+
+module.exports = DigestService;
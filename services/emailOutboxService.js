@@ -0,0 +1,289 @@
+const EmailMessage = require('../models/EmailMessage');
+const EmailTemplates = require('../utils/emailTemplates');
+const { getTransport, getTransportName } = require('../utils/mailTransport');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const MINUTE = 60 * 1000;
+// A send still marked 'sending' after this long was lost (e.g. the process restarted)
+const STALE_SENDING_MS = 10 * MINUTE;
+const MAX_BACKOFF_MS = 6 * 60 * MINUTE;
+
+// Connection, auth and 4xx problems are worth retrying; 5xx recipient rejections are not
+const isPermanentFailure = (error) => {
+  const code = parseInt(error.responseCode, 10);
+  return code >= 500 && code < 600 && error.code !== 'EAUTH';
+};
+
+class EmailOutboxService {
+  static getMaxAttempts() {
+    return parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10);
+  }
+
+  /**
+   * Delay before the next attempt: base, 4x base, 16x base... capped at 6 hours
+   * @param {number} attempts - Attempts made so far
+   */
+  static getBackoffMs(attempts) {
+    const base = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '60', 10) * 1000;
+    return Math.min(base * Math.pow(4, Math.max(0, attempts - 1)), MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Persist a message in the outbox
+   * Messages from templates with one-time links keep only their redacted variables;
+   * the body has to be handed to dispatch() by the caller that rendered it, which
+   * retries them from memory.
+   * @param {Object} message - { to, subject, html, text, headers, icalEvent, template, variables, type, userId }
+   * @returns {Promise<Object>} - Queued EmailMessage
+   */
+  static async enqueue({ to, subject, html, text, headers, icalEvent, template, variables, type, userId }) {
+    if (!to || !subject) {
+      throw createError('Email recipient and subject are required', 400);
+    }
+
+    const sensitive = EmailTemplates.isSensitive(template);
+    return EmailMessage.create({
+      to,
+      user: userId,
+      from: process.env.EMAIL_FROM || 'noreply@teacherslink.com',
+      subject,
+      ...(sensitive ? { variables: EmailTemplates.redact(template, variables), bodyStored: false } : { html, text }),
+      headers,
+      icalEvent,
+      template,
+      type,
+      maxAttempts: EmailOutboxService.getMaxAttempts(),
+      history: [{ status: 'queued' }]
+    });
+  }
+
+  /**
+   * Try to deliver a queued message now
+   * The message is claimed atomically, so the request that queued it and the
+   * outbox task can't both send it.
+   * @param {string} messageId - EmailMessage ID
+   * @param {Object} content - { html, text } for messages whose body isn't stored
+   * @returns {Promise<Object|null>} - Updated message, or null if it wasn't due
+   */
+  static async deliver(messageId, content = null) {
+    const now = new Date();
+    const message = await EmailMessage.findOneAndUpdate(
+      { _id: messageId, status: 'queued', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!message) return null;
+
+    const transportName = getTransportName();
+    const stored = Boolean(message.html || message.text);
+    const body = stored ? message : content;
+    let update;
+
+    try {
+      if (!body || !(body.html || body.text)) {
+        throw new Error('Email body was not kept because it contains a one-time link; the user has to request a new one');
+      }
+
+      const info = await getTransport().sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: body.html,
+        text: body.text,
+        ...(message.headers && { headers: message.headers }),
+        ...(message.icalEvent && message.icalEvent.content && {
+          icalEvent: {
+            method: message.icalEvent.method,
+            filename: message.icalEvent.filename,
+            content: message.icalEvent.content
+          }
+        })
+      });
+
+      if (info.rejected && info.rejected.length > 0 && (!info.accepted || info.accepted.length === 0)) {
+        const error = new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+        error.responseCode = 550;
+        throw error;
+      }
+
+      update = {
+        $set: { status: 'sent', sentAt: new Date(), messageId: info.messageId, transport: transportName },
+        $unset: { lockedAt: 1 },
+        $push: { history: { status: 'sent' } }
+      };
+    } catch (error) {
+      const errorText = error.response || error.message;
+      let status;
+
+      if (isPermanentFailure(error)) {
+        status = 'bounced';
+      } else if (message.attempts >= message.maxAttempts || !body) {
+        status = 'failed';
+      } else {
+        status = 'queued';
+      }
+
+      update = {
+        $set: {
+          status,
+          transport: transportName,
+          lastError: errorText,
+          lastErrorCode: error.code || (error.responseCode ? String(error.responseCode) : undefined),
+          ...(status === 'queued' && { nextAttemptAt: new Date(Date.now() + EmailOutboxService.getBackoffMs(message.attempts)) }),
+          ...(status === 'failed' && { failedAt: new Date() }),
+          ...(status === 'bounced' && { bouncedAt: new Date() })
+        },
+        $unset: { lockedAt: 1 },
+        $push: { history: { status, error: errorText } }
+      };
+
+      if (status === 'queued') {
+        console.warn(`📧 Email to ${message.to} failed (attempt ${message.attempts}/${message.maxAttempts}), will retry: ${errorText}`);
+      } else {
+        console.error(`📧 Email to ${message.to} ${status} after ${message.attempts} attempt(s): ${errorText}`);
+      }
+    }
+
+    return EmailMessage.findByIdAndUpdate(message._id, update, { new: true });
+  }
+
+  /**
+   * Deliver in the background without holding up the caller
+   * The outbox task retries messages with a stored body. Messages without one are
+   * retried here, with the same backoff, for as long as this process keeps their content.
+   * @param {Object} message - Queued EmailMessage
+   * @param {Object} content - { html, text } for messages whose body isn't stored
+   * @param {number} delayMs - Wait before the attempt
+   */
+  static dispatch(message, content = null, delayMs = 0) {
+    const timer = setTimeout(() => {
+      EmailOutboxService.deliver(message._id, content).then(updated => {
+        if (updated && updated.status === 'queued' && updated.bodyStored === false) {
+          EmailOutboxService.dispatch(updated, content, updated.nextAttemptAt - Date.now());
+        }
+      }).catch(error => {
+        console.error('📧 Email dispatch failed:', error.message);
+      });
+    }, Math.max(0, delayMs));
+    // Pending retries don't keep the process alive
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Send every due message in the outbox (scheduled task)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  static async processQueue({ limit = 100 } = {}) {
+    const stale = new Date(Date.now() - STALE_SENDING_MS);
+
+    // Messages without a stored body whose in-memory retry is long overdue: the process
+    // holding the content went away, so they can't be sent any more
+    const abandoned = await EmailMessage.updateMany(
+      {
+        bodyStored: false,
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lt: stale } },
+          { status: 'sending', lockedAt: { $lt: stale } }
+        ]
+      },
+      {
+        $set: { status: 'failed', failedAt: new Date(), lastError: 'Email body was lost before it could be delivered' },
+        $unset: { lockedAt: 1 },
+        $push: { history: { status: 'failed', error: 'Email body was lost before it could be delivered' } }
+      }
+    );
+
+    // Requeue sends that never finished
+    const recovered = await EmailMessage.updateMany(
+      { status: 'sending', lockedAt: { $lt: stale }, bodyStored: { $ne: false } },
+      {
+        $set: { status: 'queued', nextAttemptAt: new Date() },
+        $unset: { lockedAt: 1 },
+        $push: { history: { status: 'queued', error: 'Delivery attempt did not finish' } }
+      }
+    );
+
+    // Messages without a stored body are only delivered by the process that queued them
+    const due = await EmailMessage.find({ status: 'queued', nextAttemptAt: { $lte: new Date() }, bodyStored: { $ne: false } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    const summary = {
+      candidates: due.length,
+      recovered: recovered.modifiedCount,
+      abandoned: abandoned.modifiedCount,
+      sent: 0,
+      retrying: 0,
+      failed: 0,
+      bounced: 0
+    };
+    for (const { _id } of due) {
+      const message = await EmailOutboxService.deliver(_id);
+      if (!message) continue;
+      if (message.status === 'sent') summary.sent++;
+      else if (message.status === 'queued') summary.retrying++;
+      else if (message.status === 'failed') summary.failed++;
+      else if (message.status === 'bounced') summary.bounced++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Put a failed or bounced message back in the queue and try it straight away
+   * Password resets, verifications and feedback requests are refused: their links are one-time.
+   * @param {string} messageId - EmailMessage ID
+   * @param {string} adminId - Admin who asked for the resend
+   * @returns {Promise<Object>} - Message after the new attempt
+   */
+  static async resend(messageId, adminId) {
+    const sensitiveTemplates = EmailTemplates.list().filter(template => template.sensitive).map(template => template.name);
+    const message = await EmailMessage.findOneAndUpdate(
+      { _id: messageId, status: { $in: ['failed', 'bounced'] }, template: { $nin: sensitiveTemplates } },
+      {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+        $inc: { resendCount: 1 },
+        $push: { history: { status: 'queued', by: adminId } }
+      },
+      { new: true }
+    );
+
+    if (!message) {
+      const existing = await EmailMessage.findById(messageId).select('template');
+      if (!existing) throw createError('Email not found', 404);
+      throw EmailTemplates.isSensitive(existing.template)
+        ? createError('Emails with one-time links cannot be resent; ask the user to request a new link', 400)
+        : createError('Only failed or bounced emails can be resent', 400);
+    }
+
+    return (await EmailOutboxService.deliver(message._id)) || message;
+  }
+
+  /**
+   * Message counts by status
+   */
+  static async getStats() {
+    const [counts, oldestQueued] = await Promise.all([
+      EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      EmailMessage.findOne({ status: 'queued' }).sort({ createdAt: 1 }).select('createdAt')
+    ]);
+
+    const byStatus = { queued: 0, sending: 0, sent: 0, failed: 0, bounced: 0 };
+    counts.forEach(({ _id, count }) => { byStatus[_id] = count; });
+
+    return {
+      transport: getTransportName(),
+      byStatus,
+      oldestQueuedAt: oldestQueued ? oldestQueued.createdAt : null
+    };
+  }
+}
+
+module.exports = EmailOutboxService;
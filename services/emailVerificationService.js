@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let notificationService;
+const getNotificationService = () => {
+  if (!notificationService) {
+    const NotificationService = require('./notificationService');
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+const TOKEN_TYPE = 'email_verification';
+const TOKEN_AUDIENCE = 'email-verification';
+
+// Separate from the access token secret so a verification link can never sign anyone in
+const getSecret = () => process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:${TOKEN_AUDIENCE}`;
+
+class EmailVerificationService {
+  /**
+   * Seconds a user must wait between verification emails
+   */
+  static getResendCooldown() {
+    return parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60', 10);
+  }
+
+  /**
+   * Accounts created before email verification existed have no emailVerified flag
+   * and are treated as verified.
+   */
+  static isVerified(user) {
+    return user.emailVerified !== false;
+  }
+
+  /**
+   * Sign a verification token for the user's current email
+   * The token id is stored on the user so only the latest link works.
+   */
+  static createToken(user) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      { id: user._id, email: user.email, type: TOKEN_TYPE, jti },
+      getSecret(),
+      { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h', audience: TOKEN_AUDIENCE }
+    );
+    return { token, jti };
+  }
+
+  /**
+   * Email a verification link to the user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { sentAt }
+   */
+  static async sendVerification(user) {
+    const { token, jti } = EmailVerificationService.createToken(user);
+    const sentAt = new Date();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { verificationToken: jti, verificationSentAt: sentAt } }
+    );
+
+    const frontendBase = process.env.FRONTEND_URL || 'http://localhost:5173';
+    await getNotificationService().notifyEmailVerification(user.email, `${frontendBase}/verify-email/${token}`);
+
+    console.log(`📧 Verification email sent to ${user.email}`);
+    return { sentAt };
+  }
+
+  /**
+   * Resend the verification email, at most once per cooldown
+   * @param {Object} user - Authenticated user
+   */
+  static async resend(user) {
+    const current = await User.findById(user._id).select('email emailVerified verificationSentAt');
+    if (!current) {
+      throw createError('User not found', 404);
+    }
+    if (EmailVerificationService.isVerified(current)) {
+      throw createError('Email is already verified', 400);
+    }
+
+    const cooldown = EmailVerificationService.getResendCooldown() * 1000;
+    if (current.verificationSentAt && Date.now() - current.verificationSentAt.getTime() < cooldown) {
+      const wait = Math.ceil((cooldown - (Date.now() - current.verificationSentAt.getTime())) / 1000);
+      const error = createError(`Please wait ${wait} seconds before requesting another email`, 429);
+      error.retryAfter = wait;
+      throw error;
+    }
+
+    return EmailVerificationService.sendVerification(current);
+  }
+
+  /**
+   * Mark an email as verified from a link token
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<Object>} - The user
+   */
+  static async verify(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, getSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      throw createError(
+        error.name === 'TokenExpiredError' ? 'Verification link has expired' : 'Invalid verification link',
+        400
+      );
+    }
+    if (decoded.type !== TOKEN_TYPE) {
+      throw createError('Invalid verification link', 400);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      throw createError('Invalid verification link', 400);
+    }
+
+    // Changing the email address invalidates links sent to the old one
+    if (user.email !== decoded.email) {
+      throw createError('This link was sent to a different email address', 400);
+    }
+    if (user.emailVerified === true) {
+      return user;
+    }
+    if (user.verificationToken !== decoded.jti) {
+      throw createError('This verification link has been replaced by a newer one', 400);
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.verificationToken = undefined;
+    await user.save();
+
+    return user;
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,255 @@
+const Plan = require('../models/Plan');
+const Job = require('../models/Job');
+const School = require('../models/School');
+const UsageCounter = require('../models/UsageCounter');
+const SubscriptionService = require('./subscriptionService');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Jobs that occupy a posting slot (not closed or expired)
+const OPEN_JOB_STATUSES = ['draft', 'active', 'paused'];
+
+/**
+ * Entitlement catalog
+ * - boolean: feature on/off
+ * - limit: ceiling on something that currently exists (usage is counted live)
+ * - quota: metered per calendar month through UsageCounter
+ */
+const ENTITLEMENTS = {
+  maxActiveJobs: {
+    type: 'limit',
+    roles: ['school'],
+    label: 'open job postings',
+    count: async (user) => {
+      const school = await School.findOne({ user: user._id }).select('_id');
+      return school ? Job.countDocuments({ school: school._id, status: { $in: OPEN_JOB_STATUSES } }) : 0;
+    }
+  },
+  maxFeaturedJobs: {
+    type: 'limit',
+    roles: ['school'],
+    label: 'featured jobs',
+    count: async (user) => {
+      const school = await School.findOne({ user: user._id }).select('_id');
+      return school ? Job.countDocuments({ school: school._id, isFeatured: true, status: { $in: OPEN_JOB_STATUSES } }) : 0;
+    }
+  },
+  applicantSearch: {
+    type: 'boolean',
+    roles: ['school'],
+    label: 'teacher search'
+  },
+  resumeDownloadsPerMonth: {
+    type: 'quota',
+    roles: ['school'],
+    label: 'resume downloads this month'
+  },
+  chatWithNonApplicants: {
+    type: 'boolean',
+    roles: ['school'],
+    label: 'messaging teachers who have not applied'
+  }
+};
+
+// What an account without a current plan gets
+const FREE_ENTITLEMENTS = {
+  maxActiveJobs: 1,
+  maxFeaturedJobs: 0,
+  applicantSearch: false,
+  resumeDownloadsPerMonth: 5,
+  chatWithNonApplicants: false
+};
+
+// Calendar month in UTC, e.g. '2026-10'
+const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+class EntitlementService {
+  /**
+   * Entitlement values for a user's current plan
+   * Plans without configured entitlements grant everything (legacy behaviour).
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { values, plan, hasActivePlan }
+   */
+  static async getPlanEntitlements(user) {
+    const subscription = await SubscriptionService.getEntitlement(user);
+
+    if (!subscription.hasActivePlan) {
+      return { values: { ...FREE_ENTITLEMENTS }, plan: null, hasActivePlan: false };
+    }
+
+    let plan = null;
+    if (subscription.planId) {
+      plan = await Plan.findById(subscription.planId).select('title entitlements').catch(() => null);
+    }
+    if (!plan && subscription.plan) {
+      plan = await Plan.findOne({ title: subscription.plan, userType: user.role }).select('title entitlements');
+    }
+
+    const configured = (plan && plan.toObject().entitlements) || {};
+    const values = {};
+    Object.keys(ENTITLEMENTS).forEach(key => {
+      // undefined/null means unlimited for limits and quotas, allowed for booleans
+      values[key] = configured[key] === undefined ? null : configured[key];
+    });
+
+    return { values, plan: plan ? plan.title : subscription.plan, hasActivePlan: true };
+  }
+
+  /**
+   * Check one entitlement for a user without consuming it
+   * @param {Object} user - User document
+   * @param {string} key - Entitlement key
+   * @returns {Promise<Object>} - { key, allowed, applicable, limit, used, remaining, message }
+   */
+  static async check(user, key) {
+    const definition = ENTITLEMENTS[key];
+    if (!definition) {
+      throw new Error(`Unknown entitlement ${key}`);
+    }
+
+    // Admins and roles the entitlement doesn't apply to are never limited
+    if (user.role === 'admin' || !definition.roles.includes(user.role)) {
+      return { key, allowed: true, applicable: false, limit: null, used: null, remaining: null };
+    }
+
+    const { values } = await EntitlementService.getPlanEntitlements(user);
+    const value = values[key];
+
+    if (definition.type === 'boolean') {
+      const allowed = value !== false;
+      return {
+        key,
+        allowed,
+        applicable: true,
+        limit: null,
+        used: null,
+        remaining: null,
+        message: allowed ? undefined : `Your plan does not include ${definition.label}`
+      };
+    }
+
+    const used = definition.type === 'quota'
+      ? await EntitlementService.getQuotaUsage(user._id, key)
+      : await definition.count(user);
+
+    if (value === null || value === undefined) {
+      return { key, allowed: true, applicable: true, limit: null, used, remaining: null };
+    }
+
+    const remaining = Math.max(0, value - used);
+    return {
+      key,
+      allowed: remaining > 0,
+      applicable: true,
+      limit: value,
+      used,
+      remaining,
+      message: remaining > 0 ? undefined : `Your plan allows ${value} ${definition.label}`
+    };
+  }
+
+  /**
+   * Usage of a monthly quota in the current period
+   */
+  static async getQuotaUsage(userId, key) {
+    const counter = await UsageCounter.findOne({ user: userId, key, period: currentPeriod() });
+    return counter ? counter.count : 0;
+  }
+
+  /**
+   * Atomically take one unit of a monthly quota
+   * @param {Object} user - User document
+   * @param {string} key - Quota entitlement key
+   * @returns {Promise<Object>} - Quota state after consuming, with the period to release against
+   */
+  static async consume(user, key) {
+    const definition = ENTITLEMENTS[key];
+    if (!definition || definition.type !== 'quota') {
+      throw new Error(`${key} is not a metered entitlement`);
+    }
+
+    const state = await EntitlementService.check(user, key);
+    if (!state.applicable) return state;
+    if (!state.allowed) {
+      const error = createError(state.message, 403);
+      error.entitlement = state;
+      throw error;
+    }
+
+    const period = currentPeriod();
+    const filter = { user: user._id, key, period };
+    // Only increment while below the limit so concurrent requests can't overshoot
+    if (state.limit !== null) {
+      filter.count = { $lt: state.limit };
+    }
+
+    let counter;
+    try {
+      counter = await UsageCounter.findOneAndUpdate(
+        filter,
+        { $inc: { count: 1 } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Upsert collided with the existing (full) counter
+      if (error.code === 11000) counter = null;
+      else throw error;
+    }
+
+    if (!counter) {
+      const error = createError(`Your plan allows ${state.limit} ${definition.label}`, 403);
+      error.entitlement = { ...state, allowed: false, used: state.limit, remaining: 0 };
+      throw error;
+    }
+
+    return {
+      ...state,
+      period,
+      used: counter.count,
+      remaining: state.limit === null ? null : Math.max(0, state.limit - counter.count)
+    };
+  }
+
+  /**
+   * Give back a unit taken by consume (e.g. the request failed)
+   */
+  static async release(userId, key, period) {
+    await UsageCounter.updateOne(
+      { user: userId, key, period, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * All entitlements for a user with current usage
+   * @param {Object} user - User document
+   * @returns {Promise<Object>}
+   */
+  static async getSummary(user) {
+    const { plan, hasActivePlan } = await EntitlementService.getPlanEntitlements(user);
+    const entitlements = {};
+
+    for (const key of Object.keys(ENTITLEMENTS)) {
+      if (!ENTITLEMENTS[key].roles.includes(user.role)) continue;
+      const state = await EntitlementService.check(user, key);
+      entitlements[key] = {
+        type: ENTITLEMENTS[key].type,
+        allowed: state.allowed,
+        limit: state.limit,
+        used: state.used,
+        remaining: state.remaining
+      };
+    }
+
+    return { plan, hasActivePlan, period: currentPeriod(), entitlements };
+  }
+}
+
+EntitlementService.ENTITLEMENTS = ENTITLEMENTS;
+EntitlementService.FREE_ENTITLEMENTS = FREE_ENTITLEMENTS;
+
+module.exports = EntitlementService;
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const Interview = require('../models/Interview');
+const InterviewAvailability = require('../models/InterviewAvailability');
+const SchoolCalendar = require('../models/SchoolCalendar');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const Teacher = require('../models/Teacher');
+const { createCalendar } = require('../utils/icsCalendar');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const MAX_WINDOWS = 100;
+// Availability can be published this far ahead
+const MAX_AHEAD = 180 * DAY;
+// Slots offered to a teacher at once
+const MAX_FREE_SLOTS = 100;
+// Past interviews kept in the calendar feed
+const FEED_HISTORY = 30 * DAY;
+
+// Applications that can book from published availability
+const BOOKABLE_STATUSES = ['shortlisted', 'interview-scheduled'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class InterviewBookingService {
+  /**
+   * The school's calendar, created on first use with its upcoming confirmed interviews
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Object>} - SchoolCalendar document
+   */
+  static async getCalendar(schoolId) {
+    const calendar = await SchoolCalendar.findOne({ school: schoolId });
+    if (calendar) return calendar;
+
+    const upcoming = await Interview.find({
+      school: schoolId,
+      status: 'confirmed',
+      endsAt: { $gt: new Date() }
+    }).select('scheduledAt endsAt');
+
+    try {
+      return await SchoolCalendar.create({
+        school: schoolId,
+        bookings: upcoming.map(interview => ({
+          interview: interview._id,
+          start: interview.scheduledAt,
+          end: interview.endsAt
+        }))
+      });
+    } catch (error) {
+      // Created by a concurrent request
+      if (error.code === 11000) {
+        return SchoolCalendar.findOne({ school: schoolId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Hold the interview's confirmed time in the school calendar
+   * The clash check and the write are one conditional update, so two bookings can't take
+   * overlapping times (buffer included) even when they arrive together.
+   * @param {Object} interview - Interview with scheduledAt/endsAt set
+   */
+  static async reserve(interview) {
+    const calendar = await InterviewBookingService.getCalendar(interview.school);
+    const buffer = calendar.bufferMinutes * MINUTE;
+    const booking = { interview: interview._id, start: interview.scheduledAt, end: interview.endsAt };
+    const clash = {
+      interview: { $ne: interview._id },
+      start: { $lt: new Date(booking.end.getTime() + buffer) },
+      end: { $gt: new Date(booking.start.getTime() - buffer) }
+    };
+
+    // Finished interviews no longer block anything
+    await SchoolCalendar.updateOne(
+      { _id: calendar._id },
+      { $pull: { bookings: { end: { $lt: new Date(Date.now() - DAY) } } } }
+    );
+
+    // Moving an existing booking...
+    let result = await SchoolCalendar.updateOne(
+      { _id: calendar._id, 'bookings.interview': interview._id, bookings: { $not: { $elemMatch: clash } } },
+      { $set: { 'bookings.$[mine]': booking } },
+      { arrayFilters: [{ 'mine.interview': interview._id }] }
+    );
+    // ...or adding a new one
+    if (result.matchedCount === 0) {
+      result = await SchoolCalendar.updateOne(
+        { _id: calendar._id, 'bookings.interview': { $ne: interview._id }, bookings: { $not: { $elemMatch: clash } } },
+        { $push: { bookings: booking } }
+      );
+    }
+
+    if (result.matchedCount === 0) {
+      throw createError('That time clashes with another interview at this school. Please choose another time', 409);
+    }
+  }
+
+  /**
+   * Free the interview's time in the school calendar
+   */
+  static async release(interview) {
+    await SchoolCalendar.updateOne(
+      { school: interview.school },
+      { $pull: { bookings: { interview: interview._id } } }
+    );
+  }
+
+  /**
+   * Validate availability windows, dropping ones that are already over
+   * @param {Array} windows - [{ start, end }]
+   */
+  static normalizeWindows(windows) {
+    if (!Array.isArray(windows)) {
+      throw createError('windows must be a list of { start, end }', 400);
+    }
+    if (windows.length > MAX_WINDOWS) {
+      throw createError(`Publish at most ${MAX_WINDOWS} availability windows`, 400);
+    }
+
+    const now = Date.now();
+    return windows
+      .map(window => {
+        const start = new Date(window && window.start);
+        const end = new Date(window && window.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+          throw createError('Availability windows need a valid start and end', 400);
+        }
+        if (end <= start) {
+          throw createError('An availability window must end after it starts', 400);
+        }
+        if (start.getTime() > now + MAX_AHEAD) {
+          throw createError('Availability can be published at most 180 days ahead', 400);
+        }
+        return { start, end };
+      })
+      .filter(window => window.end.getTime() > now)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Availability for one of the school's jobs
+   */
+  static async getAvailability(school, jobId) {
+    const availability = await InterviewAvailability.findOne({ school: school._id, job: jobId });
+    if (!availability) {
+      throw createError('No interview availability published for this job', 404);
+    }
+    return availability;
+  }
+
+  /**
+   * Publish or replace the availability for a job
+   * @param {Object} data - { windows, slotMinutes, interviewType, location, meetingLink, notes, isActive }
+   */
+  static async setAvailability(school, jobId, user, data) {
+    const job = await Job.findOne({ _id: jobId, school: school._id }).select('_id');
+    if (!job) {
+      throw createError('Job not found', 404);
+    }
+
+    const update = { updatedBy: user._id || user.id };
+    if (data.windows !== undefined) update.windows = InterviewBookingService.normalizeWindows(data.windows);
+    if (data.slotMinutes !== undefined) update.slotMinutes = parseInt(data.slotMinutes, 10);
+    if (data.interviewType !== undefined) update.interviewType = JobApplication.normalizeInterviewType(data.interviewType);
+    ['location', 'meetingLink', 'notes'].forEach(key => {
+      if (data[key] !== undefined) update[key] = data[key];
+    });
+    if (data.isActive !== undefined) update.isActive = data.isActive === true || data.isActive === 'true';
+
+    return InterviewAvailability.findOneAndUpdate(
+      { job: job._id },
+      { $set: update, $setOnInsert: { school: school._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  static async removeAvailability(school, jobId) {
+    const result = await InterviewAvailability.deleteOne({ school: school._id, job: jobId });
+    if (result.deletedCount === 0) {
+      throw createError('No interview availability published for this job', 404);
+    }
+  }
+
+  /**
+   * Slots in the availability windows that are far enough ahead and clear of every
+   * booked interview at the school, buffer included
+   * @returns {Object[]} - [{ start, end }]
+   */
+  static freeSlots(availability, calendar, now = new Date()) {
+    if (!availability.isActive) return [];
+
+    const length = availability.slotMinutes * MINUTE;
+    const buffer = calendar.bufferMinutes * MINUTE;
+    const earliest = now.getTime() + calendar.minNoticeHours * 60 * MINUTE;
+    const bookings = calendar.bookings.map(booking => ({
+      start: booking.start.getTime() - buffer,
+      end: booking.end.getTime() + buffer
+    }));
+
+    const slots = [];
+    for (const window of availability.windows) {
+      const windowEnd = window.end.getTime();
+      let start = window.start.getTime();
+
+      while (start + length <= windowEnd) {
+        const end = start + length;
+        const clash = bookings.find(booking => start < booking.end && end > booking.start);
+
+        if (clash) {
+          // Carry on right after the booked interview and its buffer
+          start = clash.end;
+          continue;
+        }
+        if (start >= earliest) {
+          slots.push({ start: new Date(start), end: new Date(end) });
+          if (slots.length >= MAX_FREE_SLOTS) return slots;
+        }
+        start = end + buffer;
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Published availability and free slots for an application's job
+   * @returns {Promise<Object>} - { availability, slots }
+   */
+  static async getSlotsForApplication(application) {
+    if (!BOOKABLE_STATUSES.includes(application.status)) {
+      throw createError('Only shortlisted candidates can book an interview', 400);
+    }
+
+    const availability = await InterviewAvailability.findOne({ job: application.job, isActive: true });
+    if (!availability) {
+      throw createError('The school has not published interview times for this job', 404);
+    }
+
+    const calendar = await InterviewBookingService.getCalendar(application.school);
+    return {
+      availability,
+      slots: InterviewBookingService.freeSlots(availability, calendar)
+    };
+  }
+
+  /**
+   * Check that a requested start time is one of the free slots
+   * @returns {Promise<Object>} - { availability, slot }
+   */
+  static async findSlot(application, start) {
+    const requested = new Date(start);
+    if (isNaN(requested.getTime())) {
+      throw createError('start must be a valid date', 400);
+    }
+
+    const { availability, slots } = await InterviewBookingService.getSlotsForApplication(application);
+    const slot = slots.find(candidate => candidate.start.getTime() === requested.getTime());
+    if (!slot) {
+      throw createError('That time is no longer available. Please choose another slot', 409);
+    }
+    return { availability, slot };
+  }
+
+  /**
+   * Change the school's buffer and notice settings
+   * @param {Object} data - { bufferMinutes, minNoticeHours }
+   */
+  static async updateSettings(school, data) {
+    await InterviewBookingService.getCalendar(school._id);
+
+    const update = {};
+    if (data.bufferMinutes !== undefined) update.bufferMinutes = parseInt(data.bufferMinutes, 10);
+    if (data.minNoticeHours !== undefined) update.minNoticeHours = parseInt(data.minNoticeHours, 10);
+
+    return SchoolCalendar.findOneAndUpdate(
+      { school: school._id },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Subscription URL for the school's calendar feed (creates the secret on first use)
+   */
+  static async getFeedUrl(schoolId, { regenerate = false } = {}) {
+    let calendar = await InterviewBookingService.getCalendar(schoolId);
+    if (!calendar.feedToken || regenerate) {
+      calendar = await SchoolCalendar.findOneAndUpdate(
+        { _id: calendar._id },
+        { $set: { feedToken: crypto.randomBytes(24).toString('hex') } },
+        { new: true }
+      );
+    }
+
+    const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${base}/api/interviews/calendar/feed/${calendar.feedToken}.ics`;
+  }
+
+  /**
+   * The school's interviews in a date range (confirmed, plus ones waiting on an answer)
+   */
+  static async listInterviews(schoolId, { from, to } = {}) {
+    const start = from ? new Date(from) : new Date(Date.now() - DAY);
+    const end = to ? new Date(to) : new Date(Date.now() + 30 * DAY);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw createError('from and to must be valid dates', 400);
+    }
+
+    return Interview.find({
+      school: schoolId,
+      $or: [
+        { status: { $in: ['confirmed', 'completed'] }, scheduledAt: { $gte: start, $lte: end } },
+        { status: { $in: ['proposed', 'reschedule_requested'] } }
+      ]
+    })
+      .populate('job', 'title')
+      .populate('teacher', 'email')
+      .sort({ scheduledAt: 1, createdAt: -1 });
+  }
+
+  /**
+   * ICS feed of a school's booked interviews, for calendar subscriptions
+   * @param {string} token - Feed secret from the URL
+   * @returns {Promise<string>} - text/calendar content
+   */
+  static async getFeed(token) {
+    const calendar = token ? await SchoolCalendar.findOne({ feedToken: token }).populate('school', 'schoolName') : null;
+    if (!calendar || !calendar.school) {
+      throw createError('Calendar feed not found', 404);
+    }
+
+    const interviews = await Interview.find({
+      school: calendar.school._id,
+      status: { $in: ['confirmed', 'completed', 'cancelled', 'declined'] },
+      scheduledAt: { $gte: new Date(Date.now() - FEED_HISTORY) }
+    }).populate('job', 'title');
+
+    const teachers = await Teacher.find({ user: { $in: interviews.map(interview => interview.teacher) } })
+      .select('user personalInfo.firstName personalInfo.lastName');
+    const names = new Map(teachers.map(teacher => [
+      teacher.user.toString(),
+      `${teacher.personalInfo.firstName} ${teacher.personalInfo.lastName}`.trim()
+    ]));
+
+    return createCalendar({
+      name: `${calendar.school.schoolName} interviews`,
+      events: interviews.map(interview => {
+        const candidate = names.get(interview.teacher.toString()) || 'Candidate';
+        const jobTitle = interview.job ? interview.job.title : 'Interview';
+        return {
+          uid: `interview-${interview._id}@teacherslink.com`,
+          sequence: interview.sequence,
+          cancelled: ['cancelled', 'declined'].includes(interview.status),
+          start: interview.scheduledAt,
+          end: interview.endsAt,
+          summary: `Interview: ${candidate} - ${jobTitle}`,
+          description: [
+            `Panel: ${interview.panel.map(member => member.name).join(', ')}`,
+            interview.meetingLink && `Join: ${interview.meetingLink}`,
+            interview.notes
+          ].filter(Boolean).join('\n\n'),
+          location: interview.location || interview.meetingLink,
+          url: interview.meetingLink
+        };
+      })
+    });
+  }
+}
+
+module.exports = InterviewBookingService;
@@ -0,0 +1,967 @@
+const crypto = require('crypto');
+const Interview = require('../models/Interview');
+const JobApplication = require('../models/JobApplication');
+const School = require('../models/School');
+const Teacher = require('../models/Teacher');
+const User = require('../models/User');
+const ApplicationStatusService = require('./applicationStatusService');
+const InterviewBookingService = require('./interviewBookingService');
+const ScorecardService = require('./scorecardService');
+const { createEvent } = require('../utils/icsCalendar');
+
+const MINUTE = 60 * 1000;
+const MAX_SLOTS = 5;
+const MAX_PANEL_SIZE = 10;
+// Panelists are asked for feedback for a week after the interview
+const FEEDBACK_REQUEST_WINDOW = 7 * 24 * 60 * MINUTE;
+// Feedback links stop working this long after the interview ends
+const FEEDBACK_LINK_WINDOW = 30 * 24 * 60 * MINUTE;
+
+// Statuses in which the interview is still going ahead
+const ACTIVE_STATUSES = ['proposed', 'confirmed', 'reschedule_requested'];
+
+const RECOMMENDATIONS = ['strong_yes', 'yes', 'no', 'strong_no'];
+
+// JobApplication.interview.status for each interview status
+const APPLICATION_INTERVIEW_STATUS = {
+  proposed: 'proposed',
+  confirmed: 'scheduled',
+  reschedule_requested: 'rescheduled',
+  declined: 'cancelled',
+  cancelled: 'cancelled',
+  completed: 'completed'
+};
+
+let notificationService;
+const getNotificationService = () => {
+  if (!notificationService) {
+    const NotificationService = require('./notificationService');
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSecret = () => process.env.INTERVIEW_FEEDBACK_SECRET || process.env.JWT_SECRET;
+
+const signFeedback = (interviewId, panelistId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`interview-feedback:${interviewId}:${panelistId}`)
+  .digest('hex');
+
+const toStringList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim());
+
+class InterviewService {
+  // Scorecard criteria the panel scores from 1 to 5
+  static getFeedbackCriteria(interview) {
+    return ScorecardService.criteriaFor(interview);
+  }
+
+  /**
+   * Minutes before the interview at which reminders go out, from INTERVIEW_REMINDER_OFFSETS
+   * e.g. "1440,60" = a day before and an hour before
+   */
+  static getReminderOffsets() {
+    return (process.env.INTERVIEW_REMINDER_OFFSETS || '1440,60')
+      .split(',')
+      .map(value => parseInt(value, 10))
+      .filter(value => value > 0)
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Feedback token for one panelist (HMAC, so interviewers without an account can use it)
+   */
+  static createFeedbackToken(interviewId, panelistId) {
+    return `${interviewId}.${panelistId}.${signFeedback(interviewId.toString(), panelistId.toString())}`;
+  }
+
+  /**
+   * { interviewId, panelistId } from a feedback token, or null if it was tampered with
+   */
+  static verifyFeedbackToken(token) {
+    const [interviewId, panelistId, signature] = (token || '').split('.');
+    if (!interviewId || !panelistId || !signature) return null;
+
+    const expected = signFeedback(interviewId, panelistId);
+    if (expected.length !== signature.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+      return null;
+    }
+    return { interviewId, panelistId };
+  }
+
+  static getFeedbackUrl(interviewId, panelistId) {
+    return `${process.env.FRONTEND_URL}/interview-feedback/${InterviewService.createFeedbackToken(interviewId, panelistId)}`;
+  }
+
+  /**
+   * Load an application and work out who is asking about its interview
+   * @returns {Promise<Object>} - { application, role } with role 'school', 'teacher' or 'admin'
+   */
+  static async authorize(applicationId, user) {
+    const application = await JobApplication.findById(applicationId);
+    if (!application) {
+      throw createError('Application not found', 404);
+    }
+
+    const userId = (user._id || user.id).toString();
+    let role = null;
+    if (user.role === 'admin') {
+      role = 'admin';
+    } else if (user.role === 'teacher' && application.applicant.toString() === userId) {
+      role = 'teacher';
+    } else if (user.role === 'school') {
+      const school = await School.findOne({ user: userId }).select('_id');
+      if (school && application.school.toString() === school._id.toString()) {
+        role = 'school';
+      }
+    }
+
+    if (!role) {
+      throw createError('Not authorized to access interviews for this application', 403);
+    }
+    return { application, role };
+  }
+
+  /**
+   * Latest interview for an application (active or not)
+   */
+  static async getCurrent(applicationId) {
+    return Interview.findOne({ application: applicationId }).sort({ createdAt: -1 });
+  }
+
+  static async getActive(applicationId) {
+    const interview = await Interview.findOne({
+      application: applicationId,
+      status: { $in: ACTIVE_STATUSES }
+    }).sort({ createdAt: -1 });
+
+    if (!interview) {
+      throw createError('No interview in progress for this application', 404);
+    }
+    return interview;
+  }
+
+  /**
+   * Validate proposed slots: start times in the future, end defaults to start + duration
+   * @param {Array} slots - [{ start, end }] or start times
+   */
+  static normalizeSlots(slots, durationMinutes, proposedBy) {
+    if (!Array.isArray(slots) || slots.length === 0) {
+      throw createError('Propose at least one interview time', 400);
+    }
+    if (slots.length > MAX_SLOTS) {
+      throw createError(`Propose at most ${MAX_SLOTS} interview times`, 400);
+    }
+
+    const now = Date.now();
+    const normalized = slots.map(slot => {
+      const start = new Date(slot && slot.start ? slot.start : slot);
+      const end = slot && slot.end ? new Date(slot.end) : new Date(start.getTime() + durationMinutes * MINUTE);
+
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw createError('Interview times must be valid dates', 400);
+      }
+      if (start.getTime() <= now) {
+        throw createError('Interview times must be in the future', 400);
+      }
+      if (end <= start) {
+        throw createError('An interview must end after it starts', 400);
+      }
+      return { start, end, proposedBy };
+    });
+
+    const seen = new Set();
+    return normalized
+      .filter(slot => !seen.has(slot.start.getTime()) && seen.add(slot.start.getTime()))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Validate the interview panel; the school account is the panel when none is given
+   * @param {string} defaultName - Name for the school account's panel entry (defaults to the school name)
+   */
+  static async normalizePanel(panel, school, defaultName) {
+    if (panel === undefined || panel === null || (Array.isArray(panel) && panel.length === 0)) {
+      const schoolUser = await User.findById(school.user).select('email');
+      return [{
+        user: school.user,
+        name: (typeof defaultName === 'string' && defaultName.trim()) || school.schoolName,
+        email: schoolUser ? schoolUser.email : school.contactInfo.email
+      }];
+    }
+
+    if (!Array.isArray(panel)) {
+      throw createError('Panel must be a list of interviewers', 400);
+    }
+    if (panel.length > MAX_PANEL_SIZE) {
+      throw createError(`A panel can have at most ${MAX_PANEL_SIZE} interviewers`, 400);
+    }
+
+    const emails = new Set();
+    const members = panel.map(member => {
+      const name = typeof member.name === 'string' ? member.name.trim() : '';
+      const email = typeof member.email === 'string' ? member.email.trim().toLowerCase() : '';
+
+      if (!name || !/^\S+@\S+\.\S+$/.test(email)) {
+        throw createError('Each interviewer needs a name and a valid email', 400);
+      }
+      if (emails.has(email)) {
+        throw createError(`${email} is on the panel twice`, 400);
+      }
+      emails.add(email);
+
+      return { name, email, title: member.title };
+    });
+
+    // Interviewers with an account can also give feedback while signed in
+    const users = await User.find({ email: { $in: [...emails] } }).select('email');
+    const byEmail = new Map(users.map(user => [user.email, user._id]));
+    return members.map(member => ({ ...member, user: byEmail.get(member.email) }));
+  }
+
+  // Type, place and notes shared by every slot
+  static pickDetails(data) {
+    const details = {};
+    if (data.interviewType !== undefined) details.interviewType = JobApplication.normalizeInterviewType(data.interviewType);
+    if (data.durationMinutes !== undefined) details.durationMinutes = parseInt(data.durationMinutes, 10);
+    ['location', 'meetingLink', 'notes'].forEach(key => {
+      if (data[key] !== undefined) details[key] = data[key];
+    });
+    return details;
+  }
+
+  /**
+   * School invites the teacher to an interview
+   * The application moves to interview-scheduled when it isn't there already.
+   * @param {Object} application - JobApplication document
+   * @param {Object} user - School user
+   * @param {Object} data - { slots, durationMinutes, interviewType, location, meetingLink, notes, panel, interviewer }
+   * @param {Object} options
+   * @param {boolean} options.confirm - Book the first slot straight away (no teacher confirmation)
+   * @param {Object} options.bookedBy - Teacher who booked the slot from the school's availability
+   * @param {Object} options.io - Socket.IO instance
+   * @returns {Promise<Object>} - Interview document
+   */
+  static async propose(application, user, data, { confirm = false, bookedBy, io } = {}) {
+    const existing = await Interview.findOne({
+      application: application._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existing) {
+      throw createError('An interview is already in progress for this application. Reschedule or cancel it instead', 409);
+    }
+
+    const needsTransition = application.status !== 'interview-scheduled';
+    if (needsTransition) {
+      const invalid = JobApplication.validateTransition(application.status, 'interview-scheduled', user.role);
+      if (invalid) {
+        throw createError(invalid, 400);
+      }
+    }
+
+    const school = await School.findById(application.school).select('schoolName user contactInfo.email');
+    const details = InterviewService.pickDetails(data);
+    const scorecard = await ScorecardService.getTemplate(application.school, application.job);
+    const slots = InterviewService.normalizeSlots(
+      confirm ? (data.slots || []).slice(0, 1) : data.slots,
+      details.durationMinutes || Interview.schema.path('durationMinutes').defaultValue,
+      'school'
+    );
+
+    const actor = bookedBy || user;
+    const interview = new Interview({
+      application: application._id,
+      job: application.job,
+      school: application.school,
+      teacher: application.applicant,
+      ...details,
+      slots,
+      panel: await InterviewService.normalizePanel(data.panel, school, data.interviewer),
+      scorecard: scorecard.criteria,
+      createdBy: actor._id || actor.id
+    });
+    if (confirm) {
+      interview.status = 'confirmed';
+      interview.scheduledAt = slots[0].start;
+      interview.endsAt = slots[0].end;
+    }
+    interview.history.push({ status: interview.status, by: interview.createdBy });
+    await interview.validate();
+
+    if (confirm) {
+      await InterviewBookingService.reserve(interview);
+    }
+
+    try {
+      // The status email is replaced by the invitation below
+      if (needsTransition) {
+        await ApplicationStatusService.changeStatus(application, 'interview-scheduled', {
+          user,
+          reason: bookedBy ? 'Interview booked by the candidate' : undefined,
+          io,
+          sendEmail: false
+        });
+      }
+
+      await interview.save();
+    } catch (error) {
+      if (confirm) await InterviewBookingService.release(interview);
+      throw error;
+    }
+    await InterviewService.mirror(interview);
+
+    const context = await InterviewService.getContext(interview);
+    if (bookedBy) {
+      await InterviewService.notifyUser(io, context.schoolUserId, interview, context, {
+        title: '📅 Interview Booked',
+        message: `${context.teacherName} booked an interview for ${context.jobTitle} on ${interview.scheduledAt.toLocaleString()}.`
+      });
+    } else if (!needsTransition) {
+      await InterviewService.notifyUser(io, context.teacherUserId, interview, context, {
+        title: '📅 Interview Invitation',
+        message: `${context.schoolName} invited you to interview for ${context.jobTitle}.`
+      });
+    }
+    if (confirm) {
+      InterviewService.email('notifyInterviewConfirmed', interview, context, {
+        icalEvent: InterviewService.toCalendar(interview, context)
+      });
+    } else {
+      InterviewService.email('notifyInterviewInvitation', interview, context);
+    }
+
+    return interview;
+  }
+
+  /**
+   * Teacher books one of the free slots the school published for the job
+   * The interview is confirmed straight away on the school's behalf.
+   * @param {Object} application - JobApplication document
+   * @param {Object} user - Teacher user
+   * @param {string} start - Start time of the chosen slot
+   * @returns {Promise<Object>} - Interview document
+   */
+  static async book(application, user, start, { io } = {}) {
+    const { availability, slot } = await InterviewBookingService.findSlot(application, start);
+    const school = await School.findById(application.school).select('user');
+
+    return InterviewService.propose(application, { _id: school.user, role: 'school' }, {
+      slots: [slot],
+      durationMinutes: availability.slotMinutes,
+      interviewType: availability.interviewType,
+      location: availability.location,
+      meetingLink: availability.meetingLink,
+      notes: availability.notes
+    }, {
+      confirm: true,
+      bookedBy: user,
+      io
+    });
+  }
+
+  /**
+   * School changes an interview: new slots send a fresh invitation, other changes update the booking
+   * @param {Object} data - { slots, durationMinutes, interviewType, location, meetingLink, notes, panel }
+   */
+  static async update(interview, user, data, { io } = {}) {
+    const details = InterviewService.pickDetails(data);
+    const released = data.slots && interview.status === 'confirmed'
+      ? InterviewService.release(interview)
+      : null;
+
+    Object.assign(interview, details);
+    if (data.panel !== undefined) {
+      const school = await School.findById(interview.school).select('schoolName user contactInfo.email');
+      // Interviewers who stay keep their feedback and their feedback link (the panel entry ID)
+      const current = new Map(interview.panel.map(member => [member.email, member]));
+      const panel = await InterviewService.normalizePanel(data.panel, school);
+      interview.panel = panel.map(member => {
+        const previous = current.get(member.email);
+        return previous
+          ? { ...member, _id: previous._id, feedback: previous.toObject().feedback }
+          : member;
+      });
+    }
+
+    if (data.slots) {
+      interview.slots = InterviewService.normalizeSlots(data.slots, interview.durationMinutes, 'school');
+      interview.status = 'proposed';
+      interview.history.push({ status: 'proposed', by: user._id || user.id });
+    } else if (interview.status === 'confirmed') {
+      interview.sequence += 1;
+      if (data.durationMinutes !== undefined) {
+        interview.endsAt = new Date(interview.scheduledAt.getTime() + interview.durationMinutes * MINUTE);
+        await InterviewBookingService.reserve(interview);
+      }
+    }
+
+    await interview.save();
+    await InterviewService.mirror(interview);
+    if (released) await InterviewBookingService.release(interview);
+
+    const context = await InterviewService.getContext(interview);
+    if (data.slots) {
+      if (released) {
+        InterviewService.email('notifyInterviewUpdate', released, context, 'cancelled', {
+          reason: 'The interview is being rescheduled; a new invitation will follow',
+          icalEvent: InterviewService.toCalendar(released, context, 'CANCEL')
+        });
+      }
+      InterviewService.email('notifyInterviewInvitation', interview, context);
+      await InterviewService.notifyUser(io, context.teacherUserId, interview, context, {
+        title: '📅 New Interview Times',
+        message: `${context.schoolName} proposed new interview times for ${context.jobTitle}.`
+      });
+    } else if (interview.status === 'confirmed') {
+      InterviewService.email('notifyInterviewConfirmed', interview, context, {
+        updated: true,
+        icalEvent: InterviewService.toCalendar(interview, context)
+      });
+    }
+
+    return interview;
+  }
+
+  /**
+   * Book one of the proposed slots
+   * Teachers pick from the school's slots; schools pick from the teacher's suggestions.
+   */
+  static async confirm(interview, user, role, slotId, { io } = {}) {
+    const pickingFrom = role === 'teacher' ? 'school' : 'teacher';
+    const expected = role === 'teacher' ? 'proposed' : 'reschedule_requested';
+
+    if (interview.status !== expected) {
+      throw createError(role === 'teacher'
+        ? 'There are no proposed times waiting for your answer'
+        : 'The candidate has not suggested other times', 400);
+    }
+
+    const slot = interview.slots.id(slotId);
+    if (!slot || slot.proposedBy !== pickingFrom) {
+      throw createError('Choose one of the proposed times', 400);
+    }
+    if (slot.start <= new Date()) {
+      throw createError('That time has already passed', 400);
+    }
+
+    const wasConfirmed = interview.history.some(entry => entry.status === 'confirmed');
+    if (wasConfirmed) interview.sequence += 1;
+    interview.status = 'confirmed';
+    interview.scheduledAt = slot.start;
+    interview.endsAt = slot.end;
+    interview.remindersSent = [];
+    interview.reason = undefined;
+    interview.history.push({ status: 'confirmed', by: user._id || user.id });
+
+    await InterviewBookingService.reserve(interview);
+    await interview.save();
+    await InterviewService.mirror(interview);
+
+    const context = await InterviewService.getContext(interview);
+    InterviewService.email('notifyInterviewConfirmed', interview, context, {
+      updated: wasConfirmed,
+      icalEvent: InterviewService.toCalendar(interview, context)
+    });
+
+    if (role === 'teacher') {
+      await InterviewService.notifyUser(io, context.schoolUserId, interview, context, {
+        title: '✅ Interview Confirmed',
+        message: `${context.teacherName} confirmed the ${context.jobTitle} interview.`
+      });
+    } else {
+      await InterviewService.notifyUser(io, context.teacherUserId, interview, context, {
+        title: '✅ Interview Confirmed',
+        message: `${context.schoolName} confirmed your ${context.jobTitle} interview.`
+      });
+    }
+
+    return interview;
+  }
+
+  /**
+   * Teacher asks for other times, suggesting their own
+   * A confirmed booking is released until the school picks a new time.
+   */
+  static async requestReschedule(interview, user, { slots, reason } = {}, { io } = {}) {
+    if (!['proposed', 'confirmed', 'reschedule_requested'].includes(interview.status)) {
+      throw createError('This interview can no longer be rescheduled', 400);
+    }
+
+    const suggested = InterviewService.normalizeSlots(slots, interview.durationMinutes, 'teacher');
+    const released = interview.status === 'confirmed' ? InterviewService.release(interview) : null;
+
+    interview.slots = suggested;
+    interview.status = 'reschedule_requested';
+    interview.reason = reason;
+    interview.history.push({ status: 'reschedule_requested', by: user._id || user.id, reason });
+
+    await interview.save();
+    await InterviewService.mirror(interview);
+    if (released) await InterviewBookingService.release(interview);
+
+    const context = await InterviewService.getContext(interview);
+    InterviewService.email('notifyInterviewUpdate', interview, context, 'reschedule_requested', {
+      reason,
+      slots: suggested,
+      icalEvent: released ? InterviewService.toCalendar(released, context, 'CANCEL') : undefined
+    });
+    await InterviewService.notifyUser(io, context.schoolUserId, interview, context, {
+      title: '🔁 New Interview Time Requested',
+      message: `${context.teacherName} asked for a different time for the ${context.jobTitle} interview.`
+    });
+
+    return interview;
+  }
+
+  /**
+   * Teacher declines the interview
+   */
+  static async decline(interview, user, reason, { io } = {}) {
+    const released = interview.status === 'confirmed' ? InterviewService.release(interview, false) : null;
+
+    interview.status = 'declined';
+    interview.reason = reason;
+    interview.history.push({ status: 'declined', by: user._id || user.id, reason });
+
+    await interview.save();
+    await InterviewService.mirror(interview);
+    if (released) await InterviewBookingService.release(interview);
+
+    const context = await InterviewService.getContext(interview);
+    InterviewService.email('notifyInterviewUpdate', interview, context, 'declined', {
+      reason,
+      icalEvent: released ? InterviewService.toCalendar(released, context, 'CANCEL') : undefined
+    });
+    await InterviewService.notifyUser(io, context.schoolUserId, interview, context, {
+      title: 'Interview Declined',
+      message: `${context.teacherName} declined the interview for ${context.jobTitle}.`
+    });
+
+    return interview;
+  }
+
+  /**
+   * School cancels the interview
+   */
+  static async cancel(interview, user, reason, { io } = {}) {
+    const released = interview.status === 'confirmed' ? InterviewService.release(interview, false) : null;
+
+    interview.status = 'cancelled';
+    interview.reason = reason;
+    interview.history.push({ status: 'cancelled', by: user._id || user.id, reason });
+
+    await interview.save();
+    await InterviewService.mirror(interview);
+    if (released) await InterviewBookingService.release(interview);
+
+    const context = await InterviewService.getContext(interview);
+    InterviewService.email('notifyInterviewUpdate', interview, context, 'cancelled', {
+      reason,
+      icalEvent: released ? InterviewService.toCalendar(released, context, 'CANCEL') : undefined
+    });
+    await InterviewService.notifyUser(io, context.teacherUserId, interview, context, {
+      title: 'Interview Cancelled',
+      message: `${context.schoolName} cancelled your interview for ${context.jobTitle}.`
+    });
+
+    return interview;
+  }
+
+  /**
+   * School marks a held interview as completed; the application moves to interviewed
+   */
+  static async complete(interview, user, { io } = {}) {
+    if (interview.status !== 'confirmed') {
+      throw createError('Only a confirmed interview can be completed', 400);
+    }
+    if (interview.scheduledAt > new Date()) {
+      throw createError('This interview has not started yet', 400);
+    }
+
+    interview.status = 'completed';
+    interview.history.push({ status: 'completed', by: user._id || user.id });
+    await interview.save();
+    await InterviewService.mirror(interview);
+
+    const application = await JobApplication.findById(interview.application);
+    if (application && application.status === 'interview-scheduled') {
+      await ApplicationStatusService.changeStatus(application, 'interviewed', { user, io });
+    }
+
+    return interview;
+  }
+
+  /**
+   * Leave the confirmed slot and bump SEQUENCE, returning what the calendar CANCEL needs
+   * @param {boolean} clear - Forget the slot (false keeps it on declined/cancelled interviews)
+   */
+  static release(interview, clear = true) {
+    interview.sequence += 1;
+    const released = {
+      _id: interview._id,
+      sequence: interview.sequence,
+      scheduledAt: interview.scheduledAt,
+      endsAt: interview.endsAt,
+      location: interview.location,
+      meetingLink: interview.meetingLink,
+      notes: interview.notes
+    };
+
+    if (clear) {
+      interview.scheduledAt = undefined;
+      interview.endsAt = undefined;
+      interview.remindersSent = [];
+    }
+    return released;
+  }
+
+  /**
+   * Panelist scores the candidate; scores roll up into the application's interview rating
+   * @param {Object} interview - Interview document
+   * @param {string} panelistId - Panel entry
+   * @param {Object} data - { ratings: { criterion: score } | [{ criterion, score }], overall, recommendation, strengths, areasForImprovement, comments }
+   */
+  static async submitFeedback(interview, panelistId, data = {}) {
+    if (!['confirmed', 'completed'].includes(interview.status) || !interview.scheduledAt) {
+      throw createError('Feedback can only be given for a confirmed interview', 400);
+    }
+    if (interview.scheduledAt > new Date()) {
+      throw createError('Feedback opens once the interview has started', 400);
+    }
+
+    const panelist = interview.panel.id(panelistId);
+    if (!panelist) {
+      throw createError('Interviewer not found on this panel', 404);
+    }
+
+    const given = Array.isArray(data.ratings)
+      ? data.ratings
+      : Object.entries(data.ratings || {}).map(([criterion, score]) => ({ criterion, score }));
+    const ratings = InterviewService.getFeedbackCriteria(interview).map(({ key, label }) => {
+      const entry = given.find(rating => rating && rating.criterion === key);
+      const score = entry ? Number(entry.score) : NaN;
+      if (!Number.isInteger(score) || score < 1 || score > 5) {
+        throw createError(`Score ${label} from 1 to 5`, 400);
+      }
+      return { criterion: key, score };
+    });
+
+    const overall = Number(data.overall);
+    if (!Number.isInteger(overall) || overall < 1 || overall > 5) {
+      throw createError('Give an overall rating from 1 to 5', 400);
+    }
+    if (data.recommendation !== undefined && !RECOMMENDATIONS.includes(data.recommendation)) {
+      throw createError(`Recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`, 400);
+    }
+
+    panelist.feedback = {
+      ratings,
+      overall,
+      recommendation: data.recommendation,
+      strengths: toStringList(data.strengths || []),
+      areasForImprovement: toStringList(data.areasForImprovement || []),
+      comments: data.comments,
+      submittedAt: new Date()
+    };
+
+    await interview.save();
+    await InterviewService.syncApplicationFeedback(interview);
+    return interview;
+  }
+
+  /**
+   * Find the interview and panelist behind a feedback link
+   * The link is signed without an expiry, so it stops working once the interview is
+   * called off or FEEDBACK_LINK_WINDOW after it ends.
+   */
+  static async resolveFeedbackToken(token, now = new Date()) {
+    const verified = InterviewService.verifyFeedbackToken(token);
+    const interview = verified ? await Interview.findById(verified.interviewId) : null;
+    const panelist = interview ? interview.panel.id(verified.panelistId) : null;
+
+    if (!panelist) {
+      throw createError('This feedback link is invalid or no longer available', 404);
+    }
+    if (['declined', 'cancelled'].includes(interview.status)) {
+      throw createError('This interview was cancelled, so no feedback is needed', 400);
+    }
+    const endsAt = interview.endsAt || interview.scheduledAt;
+    if (endsAt && now - endsAt > FEEDBACK_LINK_WINDOW) {
+      throw createError('Feedback for this interview has closed', 400);
+    }
+    return { interview, panelist };
+  }
+
+  /**
+   * Averages and weighted scorecard result over the submitted feedback
+   * @returns {Object} - { submitted, total, overall, weightedScore, percentage, criteria: [{ criterion, label, weight, average }], recommendations }
+   */
+  static summarizeFeedback(interview) {
+    const { evaluators, ...summary } = ScorecardService.summarize([interview]);
+
+    return {
+      submitted: evaluators,
+      total: interview.panel.length,
+      ...summary
+    };
+  }
+
+  // Scores and notes from every round into application.interview (rating, weighted score, strengths, feedback)
+  static async syncApplicationFeedback(interview) {
+    const rounds = await Interview.find({
+      application: interview.application,
+      'panel.feedback.submittedAt': { $exists: true }
+    }).sort({ createdAt: 1 });
+    const summary = ScorecardService.summarize(rounds);
+    const submitted = rounds.flatMap(round => round.panel.filter(member => member.feedback && member.feedback.submittedAt));
+    const unique = values => [...new Set(values)];
+
+    await JobApplication.updateOne({ _id: interview.application }, {
+      $set: {
+        'interview.rating': summary.overall,
+        'interview.weightedScore': summary.weightedScore,
+        'interview.evaluators': summary.evaluators,
+        'interview.strengths': unique(submitted.flatMap(member => member.feedback.strengths)),
+        'interview.areasForImprovement': unique(submitted.flatMap(member => member.feedback.areasForImprovement)),
+        'interview.feedback': submitted
+          .filter(member => member.feedback.comments)
+          .map(member => `${member.name}: ${member.feedback.comments}`)
+          .join('\n\n')
+      }
+    });
+  }
+
+  // Keep application.interview (read by the ATS and older clients) in step with the interview
+  static async mirror(interview) {
+    const update = {
+      $set: {
+        'interview.interviewId': interview._id,
+        'interview.interviewType': interview.interviewType,
+        'interview.location': interview.location,
+        'interview.meetingLink': interview.meetingLink,
+        'interview.interviewer': interview.panel.map(member => member.name).join(', '),
+        'interview.notes': interview.notes,
+        'interview.status': APPLICATION_INTERVIEW_STATUS[interview.status]
+      },
+      $unset: { 'interview.reminderSentAt': 1 }
+    };
+
+    if (interview.scheduledAt) {
+      update.$set['interview.scheduledDate'] = interview.scheduledAt;
+    } else {
+      update.$unset['interview.scheduledDate'] = 1;
+    }
+
+    await JobApplication.updateOne({ _id: interview.application }, update);
+  }
+
+  /**
+   * Names, emails and links used in interview emails and notifications
+   */
+  static async getContext(interview) {
+    const [application, teacherUser, teacher, school] = await Promise.all([
+      JobApplication.findById(interview.application).select('job').populate('job', 'title'),
+      User.findById(interview.teacher).select('email'),
+      Teacher.findOne({ user: interview.teacher }).select('personalInfo.firstName personalInfo.lastName'),
+      School.findById(interview.school).select('schoolName user contactInfo.email').populate('user', 'email')
+    ]);
+
+    const applicationId = interview.application.toString();
+    return {
+      applicationId,
+      jobId: application && application.job ? application.job._id : interview.job,
+      jobTitle: application && application.job ? application.job.title : 'Position',
+      schoolId: interview.school,
+      schoolName: school ? school.schoolName : 'The school',
+      schoolUserId: school && school.user ? school.user._id.toString() : null,
+      schoolEmail: school ? ((school.user && school.user.email) || school.contactInfo.email) : null,
+      teacherUserId: interview.teacher.toString(),
+      teacherEmail: teacherUser ? teacherUser.email : null,
+      teacherName: teacher
+        ? `${teacher.personalInfo.firstName} ${teacher.personalInfo.lastName}`.trim()
+        : 'The candidate',
+      panel: interview.panel.map(member => ({
+        _id: member._id,
+        user: member.user,
+        name: member.name,
+        email: member.email,
+        feedbackSubmitted: !!(member.feedback && member.feedback.submittedAt),
+        feedbackUrl: InterviewService.getFeedbackUrl(interview._id, member._id)
+      })),
+      teacherUrl: `${process.env.FRONTEND_URL}/teacher/applications/${applicationId}`,
+      schoolUrl: `${process.env.FRONTEND_URL}/school/applications/${applicationId}`
+    };
+  }
+
+  /**
+   * Calendar invitation for a booked interview (REQUEST), or its removal (CANCEL)
+   * @returns {Object} - { method, filename, content } for the email's icalEvent
+   */
+  static toCalendar(interview, context, method = 'REQUEST') {
+    const description = [
+      `${context.teacherName} - ${context.jobTitle} at ${context.schoolName}`,
+      interview.meetingLink && `Join: ${interview.meetingLink}`,
+      interview.notes
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      method,
+      filename: method === 'CANCEL' ? 'interview-cancelled.ics' : 'interview.ics',
+      content: createEvent({
+        uid: `interview-${interview._id}@teacherslink.com`,
+        sequence: interview.sequence,
+        method,
+        start: interview.scheduledAt,
+        end: interview.endsAt,
+        summary: `Interview: ${context.jobTitle} (${context.schoolName})`,
+        description,
+        location: interview.location || interview.meetingLink,
+        url: interview.meetingLink,
+        organizer: { name: context.schoolName, email: context.schoolEmail },
+        attendees: [
+          { name: context.teacherName, email: context.teacherEmail },
+          ...context.panel.map(member => ({ name: member.name, email: member.email }))
+        ],
+        alarms: [30]
+      })
+    };
+  }
+
+  // Queue an interview email without blocking or failing the request
+  static email(method, interview, context, ...args) {
+    getNotificationService()[method](interview, context, ...args)
+      .catch(error => console.error(`Interview email (${method}) failed:`, error.message));
+  }
+
+  // In-app + push notification about an interview
+  static async notifyUser(io, userId, interview, context, { title, message }) {
+    if (!userId) return;
+
+    try {
+      await ApplicationStatusService.createAndEmit(io || global.io, userId, {
+        type: 'interview',
+        title,
+        message,
+        data: {
+          jobId: context.jobId,
+          schoolId: context.schoolId,
+          applicationId: context.applicationId,
+          interviewId: interview._id,
+          schoolName: context.schoolName,
+          jobTitle: context.jobTitle,
+          interviewDetails: interview.scheduledAt ? {
+            date: interview.scheduledAt.toISOString(),
+            type: interview.interviewType,
+            location: interview.location || interview.meetingLink,
+            notes: interview.notes,
+            formattedDate: interview.scheduledAt.toLocaleDateString(),
+            formattedTime: interview.scheduledAt.toLocaleTimeString()
+          } : undefined
+        }
+      }, { sendPush: true });
+    } catch (error) {
+      console.error('Error creating interview notification:', error);
+    }
+  }
+
+  /**
+   * Interview as returned to the API
+   * Teachers don't see panel emails or feedback.
+   */
+  static serialize(interview, role) {
+    const data = interview.toObject();
+
+    if (role === 'teacher') {
+      data.panel = data.panel.map(({ name, title }) => ({ name, title }));
+      delete data.history;
+      delete data.remindersSent;
+      delete data.feedbackRequestedAt;
+      delete data.scorecard;
+      return data;
+    }
+
+    data.feedbackSummary = InterviewService.summarizeFeedback(interview);
+    data.feedbackCriteria = InterviewService.getFeedbackCriteria(interview);
+    return data;
+  }
+
+  /**
+   * Send due reminders for confirmed interviews (one per offset in INTERVIEW_REMINDER_OFFSETS),
+   * then ask panels for feedback once their interview has ended
+   * @returns {Promise<Object>} - { candidates, sent, failed }
+   */
+  static async sendReminders(now = new Date()) {
+    const offsets = InterviewService.getReminderOffsets();
+    let candidates = 0;
+    let sent = 0;
+    let failed = 0;
+
+    if (offsets.length > 0) {
+      const upcoming = await Interview.find({
+        status: 'confirmed',
+        scheduledAt: { $gt: now, $lte: new Date(now.getTime() + offsets[0] * MINUTE) }
+      });
+
+      for (const interview of upcoming) {
+        const due = offsets.filter(offset => (
+          interview.scheduledAt.getTime() - offset * MINUTE <= now.getTime() &&
+          !interview.remindersSent.includes(offset)
+        ));
+        if (due.length === 0) continue;
+        candidates++;
+
+        // Claim the offsets first so an overlapping run can't send them again;
+        // several due at once (a late booking) get a single reminder
+        const claimed = await Interview.updateOne(
+          { _id: interview._id, status: 'confirmed', remindersSent: { $nin: due } },
+          { $addToSet: { remindersSent: { $each: due } } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        try {
+          const context = await InterviewService.getContext(interview);
+          await getNotificationService().notifyUpcomingInterview(interview, context);
+          sent++;
+        } catch (error) {
+          failed++;
+        }
+      }
+    }
+
+    const ended = await Interview.find({
+      status: { $in: ['confirmed', 'completed'] },
+      endsAt: { $lte: now, $gte: new Date(now.getTime() - FEEDBACK_REQUEST_WINDOW) },
+      feedbackRequestedAt: { $exists: false }
+    });
+
+    for (const interview of ended) {
+      candidates++;
+      const claimed = await Interview.updateOne(
+        { _id: interview._id, feedbackRequestedAt: { $exists: false } },
+        { $set: { feedbackRequestedAt: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      try {
+        const context = await InterviewService.getContext(interview);
+        await getNotificationService().notifyInterviewFeedbackRequest(interview, context);
+        sent++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    return { candidates, sent, failed };
+  }
+}
+
+module.exports = InterviewService;
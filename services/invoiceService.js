@@ -0,0 +1,331 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Counter = require('../models/Counter');
+const School = require('../models/School');
+const Teacher = require('../models/Teacher');
+const User = require('../models/User');
+const { getStateCode, resolveStateCode, splitGst } = require('../utils/gst');
+
+// Helvetica has no rupee glyph, so PDFs use "Rs."
+const formatAmount = (paise) => (paise / 100).toFixed(2);
+
+// A claim older than this was left by a request that died before issuing the invoice
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+
+const csvEscape = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class InvoiceService {
+  /**
+   * Indian financial year (April to March) for a date, e.g. '2026-27'
+   */
+  static getFinancialYear(date = new Date()) {
+    const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Seller details from the environment
+   */
+  static getSeller() {
+    const state = process.env.BILLING_STATE || '';
+    return {
+      name: process.env.BILLING_COMPANY_NAME || 'TeachersLink',
+      email: process.env.BILLING_EMAIL || process.env.EMAIL_USER,
+      gstin: process.env.BILLING_GSTIN,
+      address: {
+        street: process.env.BILLING_ADDRESS,
+        state,
+        country: 'India'
+      },
+      stateCode: resolveStateCode(process.env.BILLING_GSTIN, state)
+    };
+  }
+
+  /**
+   * Billing party for the buyer of a payment
+   */
+  static async getBillTo(payment) {
+    const user = await User.findById(payment.user).select('email');
+
+    if (payment.userType === 'school') {
+      const school = await School.findOne({ user: payment.user }).select('schoolName gstin address contactInfo');
+      const address = school?.address ? school.address.toObject() : {};
+      return {
+        name: school?.schoolName || user?.email,
+        email: school?.contactInfo?.email || user?.email,
+        gstin: school?.gstin,
+        address,
+        stateCode: resolveStateCode(school?.gstin, address.state)
+      };
+    }
+
+    const teacher = await Teacher.findOne({ user: payment.user }).select('personalInfo');
+    const address = teacher?.personalInfo?.address ? teacher.personalInfo.address.toObject() : {};
+    const name = teacher
+      ? `${teacher.personalInfo.firstName} ${teacher.personalInfo.lastName}`.trim()
+      : user?.email;
+    return {
+      name,
+      email: user?.email,
+      address,
+      stateCode: getStateCode(address.state)
+    };
+  }
+
+  /**
+   * Issue the tax invoice for a captured payment (once per payment)
+   * Invoice numbers must run without gaps, so a number is only taken by the request
+   * holding the payment's invoice claim, and handed back if the invoice can't be saved.
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object|null>} - Invoice, or null for free or uncaptured payments
+   *   (and while another request is issuing it)
+   */
+  static async createForPayment(paymentId) {
+    const existing = await Invoice.findOne({ payment: paymentId });
+    if (existing) return existing;
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment || payment.status !== 'captured' || payment.amount <= 0) {
+      return null;
+    }
+
+    const claimedAt = new Date();
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $or: [
+          { invoiceClaimedAt: null },
+          { invoiceClaimedAt: { $lt: new Date(claimedAt.getTime() - CLAIM_TTL_MS) } }
+        ]
+      },
+      { $set: { invoiceClaimedAt: claimedAt } }
+    );
+    if (!claimed) {
+      return Invoice.findOne({ payment: payment._id });
+    }
+
+    // The previous claim holder may have finished after our first look
+    const issued = await Invoice.findOne({ payment: payment._id });
+    if (issued) return issued;
+
+    const seller = InvoiceService.getSeller();
+    const billTo = await InvoiceService.getBillTo(payment);
+
+    // Place of supply falls back to the seller's state when the buyer's state is unknown
+    const placeOfSupply = billTo.stateCode || seller.stateCode;
+    const intraState = !seller.stateCode || placeOfSupply === seller.stateCode;
+
+    const rate = parseFloat(process.env.GST_RATE || '18');
+    const tax = splitGst(payment.amount, rate, intraState);
+
+    const issuedAt = payment.capturedAt || new Date();
+    const financialYear = InvoiceService.getFinancialYear(issuedAt);
+    const series = `invoice:${financialYear}`;
+    const seq = await Counter.next(series);
+    const prefix = process.env.INVOICE_PREFIX || 'TL';
+
+    try {
+      return await Invoice.create({
+        invoiceNumber: `${prefix}/${financialYear}/${String(seq).padStart(5, '0')}`,
+        financialYear,
+        payment: payment._id,
+        user: payment.user,
+        userType: payment.userType,
+        seller,
+        billTo,
+        placeOfSupply,
+        supplyType: intraState ? 'intra-state' : 'inter-state',
+        items: [{
+          description: payment.kind === 'change' && payment.proration?.fromPlanTitle
+            ? `${payment.planSnapshot.title} subscription (${payment.planSnapshot.durationMonths} months, switched from ${payment.proration.fromPlanTitle})`
+            : `${payment.planSnapshot.title} subscription (${payment.planSnapshot.durationMonths} months)`,
+          sacCode: process.env.INVOICE_SAC_CODE || '998439',
+          quantity: 1,
+          amount: tax.taxable
+        }],
+        taxableAmount: tax.taxable,
+        cgst: { rate: intraState ? rate / 2 : 0, amount: tax.cgst },
+        sgst: { rate: intraState ? rate / 2 : 0, amount: tax.sgst },
+        igst: { rate: intraState ? 0 : rate, amount: tax.igst },
+        totalTax: tax.totalTax,
+        total: tax.total,
+        currency: payment.currency,
+        razorpayPaymentId: payment.razorpayPaymentId,
+        issuedAt
+      });
+    } catch (error) {
+      // Give the number back for the next invoice, and let a retry claim the payment
+      await Counter.giveBack(series, seq);
+      await Payment.updateOne({ _id: payment._id, invoiceClaimedAt: claimedAt }, { $unset: { invoiceClaimedAt: 1 } });
+      // A stale claim was taken over while its holder was still finishing
+      if (error.code === 11000) {
+        return Invoice.findOne({ payment: paymentId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue invoices for paid purchases that don't have one yet (e.g. generation failed at payment time)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { candidates, issued, failed }
+   */
+  static async issueMissing({ limit = 200 } = {}) {
+    const uninvoiced = await Payment.aggregate([
+      { $match: { status: 'captured', amount: { $gt: 0 } } },
+      { $lookup: { from: Invoice.collection.name, localField: '_id', foreignField: 'payment', as: 'invoice' } },
+      { $match: { invoice: { $size: 0 } } },
+      { $sort: { capturedAt: 1 } },
+      { $limit: limit },
+      { $project: { _id: 1 } }
+    ]);
+
+    let issued = 0;
+    let failed = 0;
+    for (const payment of uninvoiced) {
+      try {
+        if (await InvoiceService.createForPayment(payment._id)) issued++;
+      } catch (error) {
+        failed++;
+        console.error('Invoice backfill failed for payment', payment._id.toString(), error.message);
+      }
+    }
+
+    return { candidates: uninvoiced.length, issued, failed };
+  }
+
+  /**
+   * Render an invoice as a PDF into a writable stream
+   * @param {Object} invoice - Invoice document
+   * @param {Object} stream - Writable stream (e.g. Express response)
+   */
+  static renderPdf(invoice, stream) {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    doc.pipe(stream);
+
+    const left = 50;
+    const right = doc.page.width - 50;
+    const width = right - left;
+
+    const addressLines = (party) => [
+      party.address?.street,
+      [party.address?.city, party.address?.state, party.address?.pincode].filter(Boolean).join(', '),
+      party.address?.country
+    ].filter(Boolean);
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text('TAX INVOICE', left, 50, { width, align: 'right' });
+    doc.fontSize(12).font('Helvetica-Bold').text(invoice.seller.name, left, 50);
+    doc.fontSize(9).font('Helvetica');
+    addressLines(invoice.seller).forEach(line => doc.text(line));
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    if (invoice.seller.email) doc.text(invoice.seller.email);
+
+    // Invoice details and buyer
+    const detailsY = Math.max(doc.y, 110) + 20;
+    doc.fontSize(10).font('Helvetica-Bold').text('Bill To', left, detailsY);
+    doc.fontSize(9).font('Helvetica').text(invoice.billTo.name || '');
+    addressLines(invoice.billTo).forEach(line => doc.text(line));
+    if (invoice.billTo.gstin) doc.text(`GSTIN: ${invoice.billTo.gstin}`);
+    if (invoice.billTo.email) doc.text(invoice.billTo.email);
+    const billToEnd = doc.y;
+
+    const detailsX = left + width / 2 + 20;
+    doc.fontSize(9).font('Helvetica')
+      .text(`Invoice No: ${invoice.invoiceNumber}`, detailsX, detailsY)
+      .text(`Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}`)
+      .text(`Place of Supply: ${invoice.placeOfSupply || '-'}`)
+      .text(`Payment Ref: ${invoice.razorpayPaymentId || '-'}`);
+    if (invoice.status === 'cancelled') {
+      doc.font('Helvetica-Bold').text('CANCELLED');
+    }
+
+    // Line items
+    let y = Math.max(billToEnd, doc.y) + 25;
+    const cols = { description: left, sac: left + 280, qty: left + 350, amount: right - 100 };
+
+    doc.rect(left, y - 5, width, 20).fill('#f0f0f0').fillColor('#000000');
+    doc.fontSize(9).font('Helvetica-Bold')
+      .text('Description', cols.description + 5, y)
+      .text('SAC', cols.sac, y)
+      .text('Qty', cols.qty, y)
+      .text('Amount (Rs.)', cols.amount, y, { width: 95, align: 'right' });
+    y += 22;
+
+    doc.font('Helvetica');
+    invoice.items.forEach(item => {
+      doc.text(item.description, cols.description + 5, y, { width: 270 })
+        .text(item.sacCode || '', cols.sac, y)
+        .text(String(item.quantity), cols.qty, y)
+        .text(formatAmount(item.amount), cols.amount, y, { width: 95, align: 'right' });
+      y = Math.max(doc.y, y + 14) + 6;
+    });
+
+    doc.moveTo(left, y).lineTo(right, y).stroke('#cccccc');
+    y += 10;
+
+    // Totals
+    const totals = [['Taxable Value', invoice.taxableAmount]];
+    if (invoice.supplyType === 'intra-state') {
+      totals.push([`CGST @ ${invoice.cgst.rate}%`, invoice.cgst.amount]);
+      totals.push([`SGST @ ${invoice.sgst.rate}%`, invoice.sgst.amount]);
+    } else {
+      totals.push([`IGST @ ${invoice.igst.rate}%`, invoice.igst.amount]);
+    }
+
+    totals.forEach(([label, amount]) => {
+      doc.text(label, cols.qty - 60, y, { width: 150 })
+        .text(formatAmount(amount), cols.amount, y, { width: 95, align: 'right' });
+      y += 16;
+    });
+
+    doc.font('Helvetica-Bold')
+      .text('Total', cols.qty - 60, y, { width: 150 })
+      .text(`Rs. ${formatAmount(invoice.total)}`, cols.amount, y, { width: 95, align: 'right' });
+
+    doc.fontSize(8).font('Helvetica').fillColor('#555555')
+      .text('This is a computer generated invoice and does not require a signature.', left, y + 50, { width, align: 'center' });
+
+    doc.end();
+  }
+
+  /**
+   * Convert invoices to CSV for accounting
+   * @param {Object[]} invoices - Invoice documents
+   * @returns {string}
+   */
+  static toCsv(invoices) {
+    const header = [
+      'Invoice Number', 'Invoice Date', 'Customer', 'Customer Type', 'Customer GSTIN',
+      'Place of Supply', 'Supply Type', 'Taxable Value', 'CGST', 'SGST', 'IGST',
+      'Total Tax', 'Total', 'Currency', 'Razorpay Payment ID', 'Status'
+    ];
+
+    const rows = invoices.map(invoice => [
+      invoice.invoiceNumber,
+      new Date(invoice.issuedAt).toISOString().slice(0, 10),
+      invoice.billTo?.name,
+      invoice.userType,
+      invoice.billTo?.gstin,
+      invoice.placeOfSupply,
+      invoice.supplyType,
+      formatAmount(invoice.taxableAmount),
+      formatAmount(invoice.cgst?.amount || 0),
+      formatAmount(invoice.sgst?.amount || 0),
+      formatAmount(invoice.igst?.amount || 0),
+      formatAmount(invoice.totalTax),
+      formatAmount(invoice.total),
+      invoice.currency,
+      invoice.razorpayPaymentId,
+      invoice.status
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n');
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,533 @@
+const Job = require('../models/Job');
+const JobAlert = require('../models/JobAlert');
+const User = require('../models/User');
+const ApplicationStatusService = require('./applicationStatusService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ALERTS = 10;
+// Older jobs (e.g. an existing posting edited back to active) are not sent as new
+const MAX_JOB_AGE = 30 * DAY;
+// Jobs listed per alert in a batched email; the rest are summarised as "and N more"
+const MAX_BATCH_JOBS = 20;
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const CHANNELS = ['inApp', 'push', 'email'];
+
+let notificationService;
+const getNotificationService = () => {
+  if (!notificationService) {
+    const NotificationService = require('./notificationService');
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toBoolean = (value) => value === true || value === 'true';
+
+const getTerms = (keywords) => (keywords || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const getManageUrl = () => `${process.env.FRONTEND_URL}/teacher/job-alerts`;
+
+class JobAlertService {
+  /**
+   * Validate search criteria
+   * Accepts the /api/teachers/jobs/search parameter names too (subject, location, jobType, minSalary, workMode)
+   * so a search can be saved as it was run.
+   * @param {Object} input - { keywords, department, employmentType, city, salaryMin, remote, hybrid }
+   * @returns {Object}
+   */
+  static normalizeCriteria(input = {}) {
+    const criteria = {
+      keywords: (input.keywords || input.subject || input.q || '').trim() || undefined,
+      department: toList(input.department),
+      employmentType: toList(input.employmentType || input.jobType),
+      city: (input.city || input.location || '').trim() || undefined,
+      remote: toBoolean(input.remote) || input.workMode === 'remote',
+      hybrid: toBoolean(input.hybrid) || input.workMode === 'hybrid'
+    };
+
+    const departments = Job.schema.path('department').enumValues;
+    const invalidDepartment = criteria.department.find(value => !departments.includes(value));
+    if (invalidDepartment) {
+      throw createError(`Unknown department: ${invalidDepartment}`, 400);
+    }
+
+    const employmentTypes = Job.schema.path('employmentType').enumValues;
+    const invalidType = criteria.employmentType.find(value => !employmentTypes.includes(value));
+    if (invalidType) {
+      throw createError(`Unknown employment type: ${invalidType}`, 400);
+    }
+
+    const salaryMin = input.salaryMin !== undefined ? input.salaryMin : input.minSalary;
+    if (salaryMin !== undefined && salaryMin !== null && salaryMin !== '') {
+      criteria.salaryMin = Number(salaryMin);
+      if (!Number.isFinite(criteria.salaryMin) || criteria.salaryMin < 0) {
+        throw createError('salaryMin must be a positive number', 400);
+      }
+    }
+
+    const hasCriteria = criteria.keywords || criteria.department.length > 0 || criteria.employmentType.length > 0 ||
+      criteria.city || criteria.salaryMin || criteria.remote || criteria.hybrid;
+    if (!hasCriteria) {
+      throw createError('Add at least one search criterion to the alert', 400);
+    }
+
+    return criteria;
+  }
+
+  // Fields of an alert the teacher can set
+  static pickSettings(data) {
+    const settings = {};
+
+    if (data.name !== undefined) settings.name = data.name;
+    if (data.frequency !== undefined) {
+      if (!FREQUENCIES.includes(data.frequency)) {
+        throw createError(`Frequency must be one of: ${FREQUENCIES.join(', ')}`, 400);
+      }
+      settings.frequency = data.frequency;
+    }
+    if (data.channels !== undefined) {
+      CHANNELS.forEach(channel => {
+        if (data.channels[channel] !== undefined) settings[`channels.${channel}`] = toBoolean(data.channels[channel]);
+      });
+    }
+    if (data.isActive !== undefined) settings.isActive = toBoolean(data.isActive);
+
+    return settings;
+  }
+
+  static async list(user) {
+    return JobAlert.find({ teacher: user.id })
+      .select('-pending')
+      .sort({ createdAt: -1 });
+  }
+
+  static async get(user, alertId) {
+    const alert = await JobAlert.findOne({ _id: alertId, teacher: user.id });
+    if (!alert) {
+      throw createError('Job alert not found', 404);
+    }
+    return alert;
+  }
+
+  static async create(user, data = {}) {
+    const count = await JobAlert.countDocuments({ teacher: user.id });
+    if (count >= MAX_ALERTS) {
+      throw createError(`You can save up to ${MAX_ALERTS} job alerts. Delete one to add another`, 400);
+    }
+
+    const settings = JobAlertService.pickSettings(data);
+    const alert = new JobAlert({
+      teacher: user.id,
+      criteria: JobAlertService.normalizeCriteria(data.criteria || data)
+    });
+    Object.entries(settings).forEach(([path, value]) => alert.set(path, value));
+
+    return alert.save();
+  }
+
+  static async update(user, alertId, data = {}) {
+    const alert = await JobAlertService.get(user, alertId);
+
+    if (data.criteria !== undefined) {
+      alert.criteria = JobAlertService.normalizeCriteria(data.criteria);
+    }
+    Object.entries(JobAlertService.pickSettings(data)).forEach(([path, value]) => alert.set(path, value));
+
+    // Queued matches are dropped when batching stops
+    if (!alert.isActive || alert.frequency === 'instant') {
+      alert.pending = [];
+    }
+
+    return alert.save();
+  }
+
+  static async remove(user, alertId) {
+    const result = await JobAlert.deleteOne({ _id: alertId, teacher: user.id });
+    if (result.deletedCount === 0) {
+      throw createError('Job alert not found', 404);
+    }
+  }
+
+  /**
+   * Whether a job matches saved criteria
+   * @param {Object} criteria - JobAlert criteria
+   * @param {Object} job - Job document
+   * @returns {boolean}
+   */
+  static matches(criteria, job) {
+    const location = job.location || {};
+    const salary = job.salary || {};
+
+    if (criteria.department && criteria.department.length > 0 && !criteria.department.includes(job.department)) {
+      return false;
+    }
+    if (criteria.employmentType && criteria.employmentType.length > 0 && !criteria.employmentType.includes(job.employmentType)) {
+      return false;
+    }
+    if (criteria.city && !(location.city || '').toLowerCase().includes(criteria.city.toLowerCase())) {
+      return false;
+    }
+    if (criteria.salaryMin) {
+      const top = salary.max || salary.min;
+      if (!top || top < criteria.salaryMin) return false;
+    }
+    if ((criteria.remote || criteria.hybrid) &&
+        !((criteria.remote && location.remote) || (criteria.hybrid && location.hybrid))) {
+      return false;
+    }
+
+    const terms = getTerms(criteria.keywords);
+    if (terms.length > 0) {
+      const text = [
+        job.title,
+        job.description,
+        job.department,
+        ...(job.tags || []),
+        ...((job.requirements && job.requirements.skills) || [])
+      ].join(' ').toLowerCase();
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * The same criteria as a Job query, to list what matches right now
+   * @param {Object} criteria - JobAlert criteria
+   * @returns {Object} - Mongo filter on active jobs
+   */
+  static buildQuery(criteria) {
+    const filter = {
+      status: 'active',
+      isActive: true,
+      expiresAt: { $gt: new Date() }
+    };
+    const and = [];
+
+    if (criteria.department && criteria.department.length > 0) filter.department = { $in: criteria.department };
+    if (criteria.employmentType && criteria.employmentType.length > 0) filter.employmentType = { $in: criteria.employmentType };
+    if (criteria.city) filter['location.city'] = { $regex: escapeRegex(criteria.city), $options: 'i' };
+
+    if (criteria.salaryMin) {
+      and.push({
+        $or: [
+          { 'salary.max': { $gte: criteria.salaryMin } },
+          { 'salary.max': { $in: [null, 0] }, 'salary.min': { $gte: criteria.salaryMin } }
+        ]
+      });
+    }
+
+    if (criteria.remote || criteria.hybrid) {
+      const modes = [];
+      if (criteria.remote) modes.push({ 'location.remote': true });
+      if (criteria.hybrid) modes.push({ 'location.hybrid': true });
+      and.push({ $or: modes });
+    }
+
+    getTerms(criteria.keywords).forEach(term => {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      and.push({
+        $or: [
+          { title: pattern },
+          { description: pattern },
+          { department: pattern },
+          { tags: pattern },
+          { 'requirements.skills': pattern }
+        ]
+      });
+    });
+
+    if (and.length > 0) filter.$and = and;
+    return filter;
+  }
+
+  /**
+   * Active jobs matching an alert now (re-running the saved search)
+   */
+  static async findJobs(alert, { page = 1, limit = 10 } = {}) {
+    const filter = JobAlertService.buildQuery(alert.criteria);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .populate('school', 'schoolName address contactInfo')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Job.countDocuments(filter)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    };
+  }
+
+  /**
+   * Match a newly published job against every saved search
+   * Runs once per job: instant alerts are delivered now, daily/weekly ones are queued for the batch.
+   * @param {string} jobId - Job ID
+   * @param {Object} options
+   * @param {Object} options.io - Socket.IO instance (defaults to the server's)
+   * @returns {Promise<Object>} - { matched, instant, queued }
+   */
+  static async processJob(jobId, { io = global.io } = {}) {
+    const now = new Date();
+    const job = await Job.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: 'active',
+        isActive: true,
+        createdAt: { $gt: new Date(now.getTime() - MAX_JOB_AGE) },
+        alertsProcessedAt: { $exists: false }
+      },
+      { $set: { alertsProcessedAt: now } },
+      { new: true }
+    ).populate('school', 'schoolName');
+
+    if (!job) {
+      return { matched: 0, instant: 0, queued: 0 };
+    }
+
+    const candidates = await JobAlert.find({
+      isActive: true,
+      $and: [
+        { $or: [{ 'criteria.department': { $size: 0 } }, { 'criteria.department': job.department }] },
+        { $or: [{ 'criteria.employmentType': { $size: 0 } }, { 'criteria.employmentType': job.employmentType }] }
+      ]
+    }).select('teacher name criteria frequency channels').lean();
+
+    const matched = candidates.filter(alert => JobAlertService.matches(alert.criteria, job));
+    const instant = matched.filter(alert => alert.frequency === 'instant');
+    const batched = matched.filter(alert => alert.frequency !== 'instant');
+
+    if (batched.length > 0) {
+      await JobAlert.updateMany(
+        { _id: { $in: batched.map(alert => alert._id) }, 'pending.job': { $ne: job._id } },
+        {
+          $push: { pending: { job: job._id, matchedAt: now } },
+          $inc: { matchCount: 1 },
+          $set: { lastMatchedAt: now }
+        }
+      );
+    }
+
+    if (instant.length > 0) {
+      await JobAlert.updateMany(
+        { _id: { $in: instant.map(alert => alert._id) } },
+        { $inc: { matchCount: 1 }, $set: { lastMatchedAt: now, lastSentAt: now } }
+      );
+      await JobAlertService.deliverInstant(job, instant, io);
+    }
+
+    if (matched.length > 0) {
+      console.log(`🔔 Job ${job._id} matched ${matched.length} job alert(s): ${instant.length} instant, ${batched.length} queued`);
+    }
+    return { matched: matched.length, instant: instant.length, queued: batched.length };
+  }
+
+  // One notification per teacher, however many of their alerts matched
+  static async deliverInstant(job, alerts, io) {
+    const byTeacher = new Map();
+    alerts.forEach(alert => {
+      const key = alert.teacher.toString();
+      const entry = byTeacher.get(key) || { teacher: alert.teacher, names: [], inApp: false, push: false, email: false };
+      entry.names.push(alert.name);
+      CHANNELS.forEach(channel => {
+        entry[channel] = entry[channel] || alert.channels[channel] !== false;
+      });
+      byTeacher.set(key, entry);
+    });
+
+    const schoolName = job.school ? job.school.schoolName : 'A school';
+    const city = job.location && job.location.city ? ` in ${job.location.city}` : '';
+    const recipients = [];
+
+    for (const entry of byTeacher.values()) {
+      const payload = {
+        type: 'job_alert',
+        title: `🔔 New match for "${entry.names[0]}"`,
+        message: `${schoolName} is hiring: ${job.title}${city}`,
+        data: {
+          jobId: job._id,
+          schoolId: job.school ? job.school._id : undefined,
+          schoolName,
+          jobTitle: job.title
+        }
+      };
+
+      try {
+        await JobAlertService.notify(io, entry.teacher, payload, entry);
+      } catch (error) {
+        console.error(`Failed to deliver job alert to ${entry.teacher}:`, error.message);
+      }
+      if (entry.email) {
+        recipients.push({ userId: entry.teacher, alertName: entry.names.join(', ') });
+      }
+    }
+
+    if (recipients.length > 0) {
+      const users = await User.find({ _id: { $in: recipients.map(recipient => recipient.userId) } }).select('email');
+      const emails = new Map(users.map(user => [user._id.toString(), user.email]));
+
+      getNotificationService().notifyNewJobAlert(job._id, recipients
+        .filter(recipient => emails.get(recipient.userId.toString()))
+        .map(recipient => ({
+          ...recipient,
+          email: emails.get(recipient.userId.toString()),
+          manageUrl: getManageUrl()
+        }))
+      ).catch(error => console.error('Failed to email job alerts:', error.message));
+    }
+  }
+
+  // In-app notification (with push), or push alone when the alert has in-app turned off
+  static async notify(io, userId, payload, channels) {
+    if (channels.inApp) {
+      await ApplicationStatusService.createAndEmit(io, userId, payload, { sendPush: channels.push });
+    } else if (channels.push) {
+      const pushNotificationService = require('./pushNotificationService');
+      await pushNotificationService.sendToUser(userId, {
+        title: payload.title,
+        body: payload.message,
+        type: payload.type
+      }, {
+        type: payload.type,
+        ...payload.data
+      });
+    }
+  }
+
+  /**
+   * Deliver the queued matches of daily or weekly alerts, one notification and email per teacher
+   * @param {string} frequency - daily or weekly
+   * @returns {Promise<Object>} - { candidates, sent, failed }
+   */
+  static async sendBatches(frequency, { io = global.io, now = new Date() } = {}) {
+    const alerts = await JobAlert.find({
+      isActive: true,
+      frequency,
+      'pending.0': { $exists: true }
+    }).select('teacher name channels pending').lean();
+
+    const byTeacher = new Map();
+    alerts.forEach(alert => {
+      const key = alert.teacher.toString();
+      if (!byTeacher.has(key)) byTeacher.set(key, []);
+      byTeacher.get(key).push(alert);
+    });
+
+    let sent = 0;
+    let failed = 0;
+    for (const [teacherId, teacherAlerts] of byTeacher) {
+      try {
+        const delivered = await JobAlertService.deliverBatch(teacherId, teacherAlerts, frequency, io, now);
+        if (delivered) sent++;
+      } catch (error) {
+        failed++;
+        console.error(`Failed to send ${frequency} job alerts to ${teacherId}:`, error.message);
+      }
+
+      // Cleared either way so a broken mailbox doesn't pile up matches
+      await JobAlert.updateMany(
+        { _id: { $in: teacherAlerts.map(alert => alert._id) } },
+        { $pull: { pending: { matchedAt: { $lte: now } } }, $set: { lastSentAt: now } }
+      );
+    }
+
+    return { candidates: byTeacher.size, sent, failed };
+  }
+
+  static async deliverBatch(teacherId, alerts, frequency, io, now) {
+    const jobIds = [...new Set(alerts.flatMap(alert => alert.pending.map(entry => entry.job.toString())))];
+    // Jobs closed or filled since they matched are left out
+    const jobs = await Job.find({
+      _id: { $in: jobIds },
+      status: 'active',
+      isActive: true,
+      expiresAt: { $gt: now }
+    }).populate('school', 'schoolName');
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+
+    const sections = alerts
+      .map(alert => {
+        const matches = alert.pending
+          .map(entry => jobsById.get(entry.job.toString()))
+          .filter(Boolean);
+        return {
+          alertName: alert.name,
+          channels: alert.channels,
+          total: matches.length,
+          jobs: matches.slice(0, MAX_BATCH_JOBS).map(job => ({
+            jobId: job._id,
+            jobTitle: job.title,
+            schoolName: job.school ? job.school.schoolName : undefined,
+            city: job.location ? job.location.city : undefined,
+            employmentType: job.employmentType
+          }))
+        };
+      })
+      .filter(section => section.total > 0);
+
+    if (sections.length === 0) return false;
+
+    const channels = CHANNELS.reduce((result, channel) => ({
+      ...result,
+      [channel]: sections.some(section => section.channels[channel] !== false)
+    }), {});
+    const first = sections[0].jobs[0];
+
+    await JobAlertService.notify(io, teacherId, {
+      type: 'job_alert',
+      title: `🔔 ${plural(jobs.length, 'new job')} match your alerts`,
+      message: jobs.length === 1
+        ? `${first.schoolName || 'A school'} is hiring: ${first.jobTitle}`
+        : `Including ${first.jobTitle}${first.schoolName ? ` at ${first.schoolName}` : ''}`,
+      data: {
+        jobId: first.jobId,
+        jobTitle: first.jobTitle,
+        schoolName: first.schoolName
+      }
+    }, channels);
+
+    const emailSections = sections.filter(section => section.channels.email !== false);
+    if (emailSections.length > 0) {
+      const user = await User.findById(teacherId).select('email');
+      if (user) {
+        await getNotificationService().notifyJobAlertDigest(user, {
+          frequency,
+          total: new Set(emailSections.flatMap(section => section.jobs.map(job => job.jobId.toString()))).size,
+          sections: emailSections.map(({ alertName, total, jobs: list }) => ({ alertName, total, jobs: list })),
+          manageUrl: getManageUrl()
+        });
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = JobAlertService;
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const JobApplication = require('../models/JobApplication');
+const JobAnalytics = require('../models/JobAnalytics');
+const JobInvite = require('../models/JobInvite');
+const Resume = require('../models/Resume');
+const School = require('../models/School');
+const Teacher = require('../models/Teacher');
+const ApplicationStatusService = require('./applicationStatusService');
+const JobMatchService = require('./jobMatchService');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Invites a school can send in any 24 hours, across all its jobs
+const MAX_INVITES_PER_DAY = 100;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class JobInviteService {
+  /**
+   * Invite a teacher to apply for a job: in-app notification with push, counted in the job's analytics
+   * @param {Object} job - Job document
+   * @param {Object} user - School (or admin) user sending the invite
+   * @param {Object} input - { teacherId (teacher's user id), message }
+   * @returns {Promise<Object>} - JobInvite
+   */
+  static async invite(job, user, { teacherId, message } = {}, { io = global.io } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(teacherId)) {
+      throw createError('A valid teacherId is required', 400);
+    }
+    if (job.status !== 'active' || !job.isActive) {
+      throw createError('Only active jobs can be shared with candidates', 400);
+    }
+    if (message && String(message).trim().length > 500) {
+      throw createError('Invite message cannot exceed 500 characters', 400);
+    }
+
+    const teacher = await Teacher.findOne({ user: teacherId });
+    if (!teacher) {
+      throw createError('Teacher not found', 404);
+    }
+    if (!teacher.isAvailable) {
+      throw createError('This teacher is not looking for new roles', 400);
+    }
+
+    const [applied, existing, sentToday] = await Promise.all([
+      JobApplication.exists({ job: job._id, applicant: teacherId }),
+      JobInvite.exists({ job: job._id, teacher: teacherId }),
+      JobInvite.countDocuments({ school: job.school, createdAt: { $gte: new Date(Date.now() - DAY) } })
+    ]);
+    if (applied) {
+      throw createError('This teacher has already applied for the job', 409);
+    }
+    if (existing) {
+      throw createError('This teacher has already been invited to apply', 409);
+    }
+    if (sentToday >= MAX_INVITES_PER_DAY) {
+      throw createError(`You can send up to ${MAX_INVITES_PER_DAY} invites a day`, 429);
+    }
+
+    const resume = await Resume.findOne({ teacher: teacher._id });
+    const { score } = JobMatchService.scoreJob(JobMatchService.buildProfile(teacher, resume), job, { audience: 'school' });
+
+    let invite;
+    try {
+      invite = await JobInvite.create({
+        job: job._id,
+        school: job.school,
+        teacher: teacherId,
+        invitedBy: user.id,
+        message: message ? String(message).trim() : undefined,
+        score
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError('This teacher has already been invited to apply', 409);
+      }
+      throw error;
+    }
+
+    await JobAnalytics.updateOne(
+      { job: job._id },
+      { $inc: { 'invites.sent': 1 }, $setOnInsert: { school: job.school } },
+      { upsert: true }
+    );
+
+    const school = await School.findById(job.school).select('schoolName');
+    const schoolName = school ? school.schoolName : 'A school';
+    try {
+      await ApplicationStatusService.createAndEmit(io, teacherId, {
+        type: 'job_invite',
+        title: `${schoolName} invited you to apply`,
+        message: invite.message
+          ? `${schoolName} thinks you'd be a great fit for ${job.title}: "${invite.message}"`
+          : `${schoolName} thinks you'd be a great fit for ${job.title}. Take a look and apply.`,
+        data: {
+          jobId: job._id,
+          schoolId: job.school,
+          schoolName,
+          jobTitle: job.title
+        }
+      }, { sendPush: true });
+    } catch (error) {
+      console.error('Failed to notify invited teacher:', error.message);
+    }
+
+    console.log(`📨 ${schoolName} invited teacher ${teacherId} to apply for job ${job._id}`);
+    return invite;
+  }
+
+  /**
+   * Invites sent for a job, newest first, with the conversion so far
+   * @returns {Promise<Object>} - { invites, stats: { sent, applied, conversionRate } }
+   */
+  static async listForJob(job) {
+    const invites = await JobInvite.find({ job: job._id })
+      .populate('application', 'status appliedAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const teachers = await Teacher.find({ user: { $in: invites.map(invite => invite.teacher) } })
+      .select('user slug personalInfo.firstName personalInfo.lastName personalInfo.headline personalInfo.profileImage personalInfo.profilePhoto');
+    const teacherFor = new Map(teachers.map(teacher => [teacher.user.toString(), teacher]));
+    invites.forEach(invite => {
+      const teacher = teacherFor.get(invite.teacher.toString());
+      invite.candidate = teacher ? {
+        name: teacher.fullName,
+        headline: teacher.personalInfo.headline,
+        profileImage: teacher.profileImage,
+        slug: teacher.slug
+      } : null;
+    });
+
+    const applied = invites.filter(invite => invite.status === 'applied').length;
+    return {
+      invites,
+      stats: {
+        sent: invites.length,
+        applied,
+        conversionRate: invites.length > 0 ? Math.round((applied / invites.length) * 10000) / 100 : 0
+      }
+    };
+  }
+
+  /**
+   * Invite status for each of a job's teachers, keyed by the teacher's user id
+   * @returns {Promise<Map>}
+   */
+  static async statusesFor(jobId, teacherIds) {
+    const invites = await JobInvite.find({ job: jobId, teacher: { $in: teacherIds } })
+      .select('teacher status createdAt appliedAt')
+      .lean();
+    return new Map(invites.map(invite => [invite.teacher.toString(), {
+      status: invite.status,
+      invitedAt: invite.createdAt,
+      appliedAt: invite.appliedAt
+    }]));
+  }
+
+  /**
+   * Mark the teacher's invite for this job as converted when their application comes in
+   * @param {Object} application - JobApplication
+   * @returns {Promise<Object|null>} - the updated invite, null when the teacher wasn't invited
+   */
+  static async recordApplication(application) {
+    if (!application.job) return null;
+
+    const invite = await JobInvite.findOneAndUpdate(
+      { job: application.job, teacher: application.applicant, status: 'invited' },
+      { status: 'applied', application: application._id, appliedAt: application.appliedAt || new Date() },
+      { new: true }
+    );
+    if (!invite) return null;
+
+    await JobAnalytics.updateOne(
+      { job: application.job },
+      { $inc: { 'invites.applied': 1 }, $setOnInsert: { school: invite.school } },
+      { upsert: true }
+    );
+    return invite;
+  }
+}
+
+module.exports = JobInviteService;
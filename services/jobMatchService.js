@@ -0,0 +1,451 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const Resume = require('../models/Resume');
+const Teacher = require('../models/Teacher');
+
+// Most recent active jobs scored for a teacher's recommendations
+const CANDIDATE_POOL = 500;
+const MAX_RECOMMENDATIONS = 50;
+// Most recently updated available teachers scored for a job's recommended candidates
+const TEACHER_POOL = 500;
+
+// How much each part counts towards the score; parts that don't apply to a job or
+// profile (e.g. the job lists no skills) are left out and the rest scaled to 100
+const WEIGHTS = {
+  subject: 30,
+  experience: 15,
+  skills: 15,
+  gradeLevel: 10,
+  location: 10,
+  salary: 5,
+  certifications: 5,
+  education: 5,
+  jobType: 5
+};
+
+// Words in a teacher's subjects that point to each subject department
+const DEPARTMENT_SUBJECTS = {
+  Mathematics: ['math', 'maths', 'mathematics', 'algebra', 'geometry', 'calculus', 'statistics'],
+  Science: ['science', 'physics', 'chemistry', 'biology', 'evs', 'environmental'],
+  English: ['english', 'literature', 'grammar', 'phonics'],
+  'Social Studies': ['social', 'history', 'geography', 'civics', 'economics', 'political'],
+  Art: ['art', 'arts', 'drawing', 'painting', 'craft'],
+  Music: ['music', 'vocal', 'instrumental', 'dance'],
+  'Physical Education': ['physical', 'sports', 'pe', 'yoga'],
+  Technology: ['computer', 'computers', 'technology', 'ict', 'coding', 'programming', 'it'],
+  'Special Education': ['special', 'inclusive', 'remedial'],
+  Counseling: ['counseling', 'counselling', 'counselor', 'counsellor', 'psychology'],
+  Library: ['library', 'librarian']
+};
+
+// Words in grade levels (and job titles) for each school-stage department
+const STAGE_GRADES = {
+  Elementary: ['elementary', 'primary', 'pre-primary', 'kindergarten', 'nursery', 'kg', '1-5', 'prt'],
+  'Middle School': ['middle', '6-8', 'tgt'],
+  'High School': ['high', 'secondary', 'senior', '9-10', '9-12', '11-12', 'pgt']
+};
+
+// Teacher.preferences.jobType -> Job.employmentType
+const JOB_TYPES = {
+  'Full-time': 'full-time',
+  'Part-time': 'part-time',
+  Contract: 'contract'
+};
+
+// Too general to tie a subject to a job title ("Physical Education" vs "Education Coordinator")
+const GENERIC_WORDS = new Set(['and', 'of', 'the', 'for', 'education', 'teacher', 'teaching', 'studies', 'school', 'general']);
+
+const normalize = (value) => String(value || '').toLowerCase().trim();
+
+const words = (value) => normalize(value).split(/[^a-z0-9+-]+/).filter(Boolean);
+
+// "B.Ed." and "BEd" compare equal
+const compact = (value) => normalize(value).replace(/[^a-z0-9]/g, '');
+
+const unique = (values) => {
+  const seen = new Map();
+  values.filter(Boolean).forEach(value => {
+    const key = normalize(value);
+    if (key && !seen.has(key)) seen.set(key, String(value).trim());
+  });
+  return [...seen.values()];
+};
+
+// Skill or certification names match when one contains the other ("Google Classroom" ~ "classroom")
+const similar = (a, b) => {
+  const x = compact(a);
+  const y = compact(b);
+  return Boolean(x && y) && (x === y || (x.length > 2 && y.includes(x)) || (y.length > 2 && x.includes(y)));
+};
+
+const formatMoney = (amount, currency = 'INR') => (currency === 'INR'
+  ? `₹${Number(amount).toLocaleString('en-IN')}`
+  : `${currency} ${Number(amount).toLocaleString('en-US')}`);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const anyWord = (values) => new RegExp(`\\b(${values.map(escapeRegex).join('|')})\\b`, 'i');
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Departments a set of subjects and grade levels points to
+const departmentsFor = (subjects, gradeLevels) => {
+  const subjectWords = new Set(subjects.flatMap(words));
+  const gradeText = gradeLevels.map(normalize).join(' ');
+  const departments = Object.keys(DEPARTMENT_SUBJECTS)
+    .filter(department => DEPARTMENT_SUBJECTS[department].some(word => subjectWords.has(word)));
+  Object.keys(STAGE_GRADES).forEach(stage => {
+    if (STAGE_GRADES[stage].some(word => gradeText.includes(word))) departments.push(stage);
+  });
+  return departments;
+};
+
+class JobMatchService {
+  static getWeights() {
+    return WEIGHTS;
+  }
+
+  /**
+   * School-stage departments that grade levels ("Primary", "9-12", "PGT") fall in,
+   * with the words that mark those stages in a job title
+   * @param {string[]} gradeLevels
+   * @returns {Object} - { stages, titleWords }
+   */
+  static stagesFor(gradeLevels) {
+    const stages = departmentsFor([], gradeLevels);
+    return { stages, titleWords: stages.flatMap(stage => STAGE_GRADES[stage]) };
+  }
+
+  /**
+   * Everything the scorer needs from a teacher's profile and resume, in one shape
+   * @param {Object} teacher - Teacher document
+   * @param {Object} resume - Resume document (optional)
+   * @returns {Object}
+   */
+  static buildProfile(teacher, resume) {
+    const professional = teacher.professionalInfo || {};
+    const preferences = teacher.preferences || {};
+    const address = (teacher.personalInfo && teacher.personalInfo.address) || {};
+    const resumeInfo = (resume && resume.professionalInfo) || {};
+    const now = new Date();
+    const current = certification => !certification.expiryDate || certification.expiryDate > now;
+
+    return {
+      subjects: unique([...(professional.specialization || []), ...(resumeInfo.subjects || [])]),
+      gradeLevels: unique(professional.gradeLevels || []),
+      skills: unique([...(professional.skills || []), ...(resumeInfo.skills || [])]),
+      experienceYears: Math.max(professional.totalExperience || 0, resume ? resume.totalExperience || 0 : 0),
+      certifications: unique([
+        ...(professional.certifications || []).filter(current).map(certification => certification.name),
+        ...(resume ? resume.certifications.filter(current).map(certification => certification.title) : [])
+      ]),
+      qualifications: unique([
+        ...(professional.qualification || []).map(qualification => qualification.degree),
+        ...(resume ? resume.education.map(education => education.degree) : [])
+      ]),
+      city: address.city,
+      state: address.state,
+      preferredLocations: unique(preferences.preferredLocation || []),
+      preferredSalary: preferences.preferredSalary || {},
+      jobTypes: (preferences.jobType || []).map(type => JOB_TYPES[type]).filter(Boolean),
+      workModes: preferences.workMode || [],
+      isAvailable: teacher.isAvailable !== false
+    };
+  }
+
+  /**
+   * Teacher profile (with resume) for a user
+   * @returns {Promise<Object|null>} - null when the teacher has no profile yet
+   */
+  static async getProfile(userId) {
+    const teacher = await Teacher.findOne({ user: userId });
+    if (!teacher) return null;
+
+    const resume = await Resume.findOne({ teacher: teacher._id });
+    return JobMatchService.buildProfile(teacher, resume);
+  }
+
+  /**
+   * Score how well a job fits a teacher, 0-100, with the reasons behind it
+   * @param {Object} profile - From buildProfile
+   * @param {Object} job - Job document
+   * @param {Object} options - { audience: 'teacher' (default) or 'school', which side the reasons are worded for }
+   * @returns {Object} - { score, reasons, gaps, breakdown: { part: 0-1 } }
+   */
+  static scoreJob(profile, job, { audience = 'teacher' } = {}) {
+    const say = (toTeacher, toSchool) => (audience === 'school' ? toSchool : toTeacher);
+    const parts = {};
+    const reasons = [];
+    const gaps = [];
+    const requirements = job.requirements || {};
+    const location = job.location || {};
+    const salary = job.salary || {};
+
+    // Subject: the job's department, or the subject named in its title/tags
+    const departments = departmentsFor(profile.subjects, []);
+    const titleWords = new Set([...words(job.title), ...(job.tags || []).map(normalize)]);
+    const namedSubject = profile.subjects.find(subject => words(subject)
+      .some(word => !GENERIC_WORDS.has(word) && titleWords.has(word)));
+    if (profile.subjects.length > 0) {
+      if (departments.includes(job.department) || namedSubject) {
+        parts.subject = 1;
+        reasons.push(say(`Matches your subject: ${namedSubject || job.department}`, `Teaches ${namedSubject || job.department}`));
+      } else if (profile.subjects.some(subject => normalize(job.description).includes(normalize(subject)))) {
+        parts.subject = 0.5;
+        reasons.push(say('Your subjects are mentioned in the job description', `Teaches ${profile.subjects.slice(0, 3).join(', ')}, mentioned in the job description`));
+      } else {
+        parts.subject = 0;
+      }
+    }
+
+    // Grade level: school-stage departments (Elementary, ...) and stage words in the title
+    const jobStages = Object.keys(STAGE_GRADES).filter(stage => job.department === stage ||
+      STAGE_GRADES[stage].some(word => titleWords.has(word)));
+    if (jobStages.length > 0 && profile.gradeLevels.length > 0) {
+      const teacherStages = departmentsFor([], profile.gradeLevels);
+      const stage = jobStages.find(value => teacherStages.includes(value));
+      parts.gradeLevel = stage ? 1 : 0;
+      if (stage) reasons.push(say(`You teach the grade levels it needs (${stage})`, `Teaches ${stage} grades`));
+      else gaps.push(say(`For ${jobStages.join(' / ')} grades`, `Has not taught ${jobStages.join(' / ')} grades`));
+    }
+
+    // Experience: "3+ years", "2-5 years" -> the lower figure
+    const required = parseFloat((String(requirements.experience || '').match(/\d+(\.\d+)?/) || [])[0]);
+    if (Number.isFinite(required) && required > 0) {
+      parts.experience = Math.min(1, profile.experienceYears / required);
+      if (profile.experienceYears >= required) {
+        reasons.push(say(
+          `You have ${plural(profile.experienceYears, 'year')} of experience (${required}+ required)`,
+          `${plural(profile.experienceYears, 'year')} of experience (${required}+ required)`
+        ));
+      } else {
+        gaps.push(say(
+          `Asks for ${plural(required, 'year')} of experience; you have ${profile.experienceYears}`,
+          `${plural(profile.experienceYears, 'year')} of experience; the job asks for ${required}`
+        ));
+      }
+    }
+
+    // Skills and certifications: share of the listed ones the teacher has
+    const wantedSkills = requirements.skills || [];
+    if (wantedSkills.length > 0) {
+      const matched = wantedSkills.filter(skill => profile.skills.some(own => similar(own, skill)));
+      parts.skills = matched.length / wantedSkills.length;
+      if (matched.length > 0) {
+        reasons.push(`${say('You have', 'Has')} ${matched.length} of ${wantedSkills.length} required skills: ${matched.slice(0, 3).join(', ')}`);
+      }
+      const missing = wantedSkills.filter(skill => !matched.includes(skill));
+      if (missing.length > 0) gaps.push(`Missing skills: ${missing.slice(0, 3).join(', ')}`);
+    }
+
+    const wantedCertifications = requirements.certifications || [];
+    if (wantedCertifications.length > 0) {
+      const matched = wantedCertifications.filter(name => profile.certifications.some(own => similar(own, name)));
+      parts.certifications = matched.length / wantedCertifications.length;
+      if (matched.length > 0) reasons.push(`Holds the required certification: ${matched.join(', ')}`);
+      else gaps.push(say(`Requires ${wantedCertifications.join(', ')}`, `Does not hold ${wantedCertifications.join(', ')}`));
+    }
+
+    if (requirements.education && profile.qualifications.length > 0) {
+      const needed = compact(requirements.education);
+      const degree = profile.qualifications.find(qualification => {
+        const own = compact(qualification);
+        return own.length > 1 && (needed.includes(own) || own.includes(needed));
+      });
+      parts.education = degree ? 1 : 0;
+      if (degree) reasons.push(`${say('Your', 'Their')} ${degree} meets the education requirement`);
+    }
+
+    // Location: remote/hybrid jobs fit teachers open to that mode; otherwise the city or state
+    const places = [...profile.preferredLocations, profile.city].filter(Boolean).map(normalize);
+    const modes = profile.workModes;
+    if (location.remote && (modes.length === 0 || modes.includes('Remote'))) {
+      parts.location = 1;
+      reasons.push(say('Remote role', 'Open to remote work'));
+    } else if (location.hybrid && modes.includes('Hybrid') && places.includes(normalize(location.city))) {
+      parts.location = 1;
+      reasons.push(say(`Hybrid role in ${location.city}`, `Open to hybrid work in ${location.city}`));
+    } else if (places.length > 0 && location.city) {
+      if (places.includes(normalize(location.city))) {
+        parts.location = 1;
+        reasons.push(say(`In your preferred location: ${location.city}`, `Based in or prefers ${location.city}`));
+      } else if (location.state && places.concat(normalize(profile.state)).includes(normalize(location.state))) {
+        parts.location = 0.5;
+        reasons.push(say(`In ${location.state}`, `Based in or prefers ${location.state}`));
+      } else {
+        parts.location = 0;
+        gaps.push(say(`Located in ${location.city}`, `Prefers ${unique([...profile.preferredLocations, profile.city]).slice(0, 2).join(', ')}`));
+      }
+    }
+
+    // Salary: the top of the job's range against the lowest salary the teacher accepts
+    const expected = profile.preferredSalary.min;
+    const offered = salary.max || salary.min;
+    if (expected && offered) {
+      parts.salary = Math.min(1, offered / expected);
+      if (offered >= expected) {
+        reasons.push(say(
+          `Pays up to ${formatMoney(offered, salary.currency)}, within your expectation`,
+          `Expects from ${formatMoney(expected, salary.currency)}, within the salary range`
+        ));
+      } else {
+        gaps.push(say(
+          `Pays up to ${formatMoney(offered, salary.currency)}, below your ${formatMoney(expected, salary.currency)} minimum`,
+          `Expects at least ${formatMoney(expected, salary.currency)}, above the ${formatMoney(offered, salary.currency)} offered`
+        ));
+      }
+    }
+
+    if (profile.jobTypes.length > 0) {
+      parts.jobType = profile.jobTypes.includes(job.employmentType) ? 1 : 0;
+      if (parts.jobType) {
+        reasons.push(say(
+          `${job.employmentType.charAt(0).toUpperCase()}${job.employmentType.slice(1)}, as you prefer`,
+          `Looking for ${job.employmentType} work`
+        ));
+      }
+    }
+
+    const weight = Object.keys(parts).reduce((sum, part) => sum + WEIGHTS[part], 0);
+    const total = Object.keys(parts).reduce((sum, part) => sum + WEIGHTS[part] * parts[part], 0);
+
+    return {
+      score: weight > 0 ? Math.round((total / weight) * 100) : 0,
+      reasons,
+      gaps,
+      breakdown: Object.keys(parts).reduce((result, part) => ({
+        ...result,
+        [part]: Math.round(parts[part] * 100) / 100
+      }), {})
+    };
+  }
+
+  /**
+   * Best-matching open jobs for a teacher, excluding ones they already applied to
+   * @param {Object} user - Teacher user
+   * @param {Object} options - { limit, minScore }
+   * @returns {Promise<Object|null>} - { recommendations: [{ job, score, reasons, gaps, breakdown }] }, null without a profile
+   */
+  static async recommendJobs(user, { limit = 20, minScore = 40 } = {}) {
+    const profile = await JobMatchService.getProfile(user.id);
+    if (!profile) return null;
+
+    const applied = await JobApplication.distinct('job', { applicant: user.id });
+    const jobs = await Job.find({
+      _id: { $nin: applied },
+      status: 'active',
+      isActive: true,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('school', 'schoolName address contactInfo')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_POOL);
+
+    const recommendations = jobs
+      .map(job => ({ job, ...JobMatchService.scoreJob(profile, job) }))
+      .filter(recommendation => recommendation.score >= Number(minScore))
+      .sort((a, b) => b.score - a.score || b.job.createdAt - a.job.createdAt)
+      .slice(0, Math.min(parseInt(limit) || 20, MAX_RECOMMENDATIONS));
+
+    return { recommendations, scored: jobs.length };
+  }
+
+  /**
+   * Mongo filter for teachers worth scoring against a job: available, not already
+   * applied, teaching its subject, grade levels or living where it is, and not
+   * expecting more than it pays
+   */
+  static candidateQuery(job, excludeUsers = []) {
+    const location = job.location || {};
+    const salary = job.salary || {};
+    const relevant = [];
+
+    const subjectWords = DEPARTMENT_SUBJECTS[job.department] ||
+      words(job.title).filter(word => !GENERIC_WORDS.has(word) && word.length > 2);
+    if (subjectWords.length > 0) {
+      relevant.push({ 'professionalInfo.specialization': anyWord(subjectWords) });
+    }
+    const stage = STAGE_GRADES[job.department];
+    if (stage) relevant.push({ 'professionalInfo.gradeLevels': anyWord(stage) });
+    if (location.city) {
+      const city = new RegExp(`^${escapeRegex(location.city.trim())}$`, 'i');
+      relevant.push({ 'preferences.preferredLocation': city }, { 'personalInfo.address.city': city });
+    }
+    if (location.remote) relevant.push({ 'preferences.workMode': 'Remote' });
+
+    const query = {
+      isAvailable: true,
+      user: { $nin: excludeUsers }
+    };
+    const and = [];
+    if (relevant.length > 0) and.push({ $or: relevant });
+
+    const offered = salary.max || salary.min;
+    if (offered) {
+      and.push({
+        $or: [
+          { 'preferences.preferredSalary.min': { $exists: false } },
+          { 'preferences.preferredSalary.min': null },
+          { 'preferences.preferredSalary.min': { $lte: offered } }
+        ]
+      });
+    }
+    if (and.length > 0) query.$and = and;
+
+    return query;
+  }
+
+  // What a school sees of a recommended teacher before they apply (no contact details)
+  static summarizeCandidate(teacher, profile) {
+    const personal = teacher.personalInfo || {};
+    return {
+      userId: teacher.user,
+      teacherId: teacher._id,
+      name: `${personal.firstName} ${personal.lastName}`.trim(),
+      headline: personal.headline,
+      profileImage: personal.profileImage || personal.profilePhoto,
+      slug: teacher.slug,
+      city: profile.city,
+      state: profile.state,
+      experienceYears: profile.experienceYears,
+      subjects: profile.subjects,
+      gradeLevels: profile.gradeLevels,
+      availability: (teacher.preferences || {}).availability,
+      isVerified: teacher.isVerified,
+      averageRating: teacher.averageRating
+    };
+  }
+
+  /**
+   * Best-matching available teachers for a job, excluding ones who already applied
+   * @param {Object} job - Job document
+   * @param {Object} options - { limit, minScore }
+   * @returns {Promise<Object>} - { candidates: [{ teacher, score, reasons, gaps, breakdown }], scored }
+   */
+  static async recommendCandidates(job, { limit = 20, minScore = 40 } = {}) {
+    const applied = await JobApplication.distinct('applicant', { job: job._id });
+    const teachers = await Teacher.find(JobMatchService.candidateQuery(job, applied))
+      .select('-personalInfo.phone -personalInfo.dateOfBirth -personalInfo.address.street -verificationDocuments -reviews')
+      .sort({ updatedAt: -1 })
+      .limit(TEACHER_POOL);
+
+    const resumes = await Resume.find({ teacher: { $in: teachers.map(teacher => teacher._id) } });
+    const resumeFor = new Map(resumes.map(resume => [resume.teacher.toString(), resume]));
+
+    const candidates = teachers
+      .map(teacher => {
+        const profile = JobMatchService.buildProfile(teacher, resumeFor.get(teacher._id.toString()));
+        return {
+          teacher: JobMatchService.summarizeCandidate(teacher, profile),
+          ...JobMatchService.scoreJob(profile, job, { audience: 'school' })
+        };
+      })
+      .filter(candidate => candidate.score >= Number(minScore))
+      .sort((a, b) => b.score - a.score || b.teacher.experienceYears - a.teacher.experienceYears)
+      .slice(0, Math.min(parseInt(limit) || 20, MAX_RECOMMENDATIONS));
+
+    return { candidates, scored: teachers.length };
+  }
+}
+
+module.exports = JobMatchService;
@@ -2,6 +2,52 @@ const Job = require('../models/Job');
 const JobAnalytics = require('../models/JobAnalytics');
 const JobApplication = require('../models/JobApplication');
 const School = require('../models/School');
+const JobAlertService = require('./jobAlertService');
+const JobMatchService = require('./jobMatchService');
+const { EARTH_RADIUS_KM, parseNear, distanceKm } = require('../utils/geo');
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 200;
+
+const MAX_PAGE_SIZE = 50;
+// Most common values listed for the city and state facets (and any other open-ended one)
+const MAX_FACET_VALUES = 20;
+const FACETS = ['department', 'employmentType', 'city', 'state', 'salaryRange', 'workMode', 'urgent', 'board'];
+// Salary buckets for the facet and the salaryRange filter, on the top of a job's range
+const SALARY_RANGES = [
+  { value: '0-20000', label: 'Under ₹20,000', max: 20000 },
+  { value: '20000-40000', label: '₹20,000 - ₹40,000', min: 20000, max: 40000 },
+  { value: '40000-60000', label: '₹40,000 - ₹60,000', min: 40000, max: 60000 },
+  { value: '60000-100000', label: '₹60,000 - ₹1,00,000', min: 60000, max: 100000 },
+  { value: '100000+', label: '₹1,00,000 and above', min: 100000 }
+];
+const WORK_MODES = ['remote', 'hybrid'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Multi-select parameters: ?department=Science,Mathematics or ?department=Science&department=Mathematics
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+const exactly = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// Salary condition for a range; 0 or missing means no salary was given
+const inRange = ({ min, max }) => ({
+  ...(min !== undefined ? { $gte: min } : { $gt: 0 }),
+  ...(max !== undefined && { $lt: max })
+});
 
 class JobService {
   // Create a new job with analytics
@@ -26,6 +72,12 @@ class JobService {
         school: school._id
       });
 
+      if (job.status === 'active') {
+        // Match the job against teachers' saved job alerts without holding up the response
+        JobAlertService.processJob(job._id)
+          .catch(error => console.error('Failed to process job alerts:', error.message));
+      }
+
       return job;
     } catch (error) {
       throw error;
@@ -35,18 +87,19 @@ class JobService {
   // Get jobs with advanced filtering
   static async getJobs(filters = {}, pagination = {}) {
     try {
+      const params = { ...filters, ...pagination };
       const {
         search,
-        department,
-        employmentType,
-        location,
         salaryMin,
         salaryMax,
-        sortBy = 'createdAt',
-        sortOrder = 'desc',
-        page = 1,
-        limit = 10
-      } = { ...filters, ...pagination };
+        near,
+        lat,
+        lng,
+        radiusKm,
+        sortBy,
+        sortOrder = 'desc'
+      } = params;
+      const origin = JobService.resolveOrigin({ near, lat, lng, radiusKm });
 
       // Build filter object
       const filter = {
@@ -57,51 +110,25 @@ class JobService {
 
       // Add search filter
       if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
         filter.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
+          { title: pattern },
+          { description: pattern },
+          { tags: { $in: [pattern] } }
         ];
       }
 
-      // Add filters
-      if (department) filter.department = department;
-      if (employmentType) filter.employmentType = employmentType;
-      if (location) filter['location.city'] = { $regex: location, $options: 'i' };
-      
       if (salaryMin || salaryMax) {
         filter['salary.min'] = {};
         if (salaryMin) filter['salary.min'].$gte = parseInt(salaryMin);
         if (salaryMax) filter['salary.max'] = { $lte: parseInt(salaryMax) };
       }
 
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-      // Calculate pagination
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      // Execute query
-      const jobs = await Job.find(filter)
-        .populate('school', 'schoolName address contactInfo')
-        .populate('postedBy', 'email')
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit));
+      // Nearest first by default when searching around a place
+      const sortField = sortBy || (origin ? 'distance' : 'createdAt');
+      const sort = sortField === 'distance' ? 'distance' : { [sortField]: sortOrder === 'desc' ? -1 : 1 };
 
-      // Get total count
-      const total = await Job.countDocuments(filter);
-
-      return {
-        jobs,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
-        }
-      };
+      return JobService.listJobs(filter, params, { origin, sort });
     } catch (error) {
       throw error;
     }
@@ -201,6 +228,10 @@ class JobService {
       job.isActive = true;
       await job.save();
 
+      // Match the job against teachers' saved job alerts without holding up the response
+      JobAlertService.processJob(job._id)
+        .catch(error => console.error('Failed to process job alerts:', error.message));
+
       return job;
     } catch (error) {
       throw error;
@@ -318,13 +349,8 @@ class JobService {
   // Search jobs with text search
   static async searchJobs(searchQuery, filters = {}) {
     try {
-      const {
-        location,
-        department,
-        employmentType,
-        page = 1,
-        limit = 10
-      } = filters;
+      const { near, lat, lng, radiusKm, sortBy } = filters;
+      const origin = JobService.resolveOrigin({ near, lat, lng, radiusKm });
 
       const filter = {
         status: 'active',
@@ -333,35 +359,360 @@ class JobService {
         $text: { $search: searchQuery }
       };
 
-      if (location) {
-        filter['location.city'] = { $regex: location, $options: 'i' };
+      // Best text match first unless asked for the nearest
+      return JobService.listJobs(filter, filters, {
+        origin,
+        sort: origin && sortBy === 'distance' ? 'distance' : { score: { $meta: 'textScore' } },
+        projection: { score: { $meta: 'textScore' } }
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Filters a shopper can pick several values of, keyed by facet. Values within a
+   * facet are ORed, facets are ANDed.
+   * @param {Object} params - Query parameters (the teacher search names jobType and workMode are accepted too)
+   * @param {Object|null} origin - From resolveOrigin; `location` text is ignored when set
+   * @returns {Object} - { facet: Mongo condition }
+   */
+  static facetFilters(params = {}, origin = null) {
+    const clauses = {};
+
+    const departments = toList(params.department);
+    if (departments.length > 0) clauses.department = { department: { $in: departments } };
+
+    // Jobs have no grade level field: it picks school-stage departments and stage words in the title
+    const grades = toList(params.gradeLevel);
+    if (grades.length > 0) {
+      const { stages, titleWords } = JobMatchService.stagesFor(grades);
+      if (stages.length === 0) {
+        throw createError('gradeLevel must name a school stage, e.g. Primary, Middle School, Secondary, 6-8 or PGT', 400);
       }
-      if (department) filter.department = department;
-      if (employmentType) filter.employmentType = employmentType;
+      clauses.gradeLevel = {
+        $or: [
+          { department: { $in: stages } },
+          { title: new RegExp(`\\b(${titleWords.map(escapeRegex).join('|')})\\b`, 'i') }
+        ]
+      };
+    }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
+    const types = toList(params.employmentType || params.jobType).map(type => type.toLowerCase());
+    if (types.length > 0) clauses.employmentType = { employmentType: { $in: types } };
 
-      const jobs = await Job.find(filter, { score: { $meta: 'textScore' } })
-        .populate('school', 'schoolName address contactInfo')
-        .populate('postedBy', 'email')
-        .sort({ score: { $meta: 'textScore' } })
-        .skip(skip)
-        .limit(parseInt(limit));
+    const cities = toList(params.city);
+    if (cities.length > 0) {
+      clauses.city = { 'location.city': { $in: cities.map(exactly) } };
+    } else if (params.location && !origin) {
+      clauses.city = { 'location.city': { $regex: escapeRegex(params.location), $options: 'i' } };
+    }
 
-      const total = await Job.countDocuments(filter);
+    const states = toList(params.state);
+    if (states.length > 0) clauses.state = { 'location.state': { $in: states.map(exactly) } };
+
+    const selected = toList(params.salaryRange);
+    const ranges = SALARY_RANGES.filter(range => selected.includes(range.value));
+    if (ranges.length > 0) {
+      clauses.salaryRange = {
+        $or: ranges.flatMap(range => [
+          { 'salary.max': inRange(range) },
+          { 'salary.max': { $in: [null, 0] }, 'salary.min': inRange(range) }
+        ])
+      };
+    }
 
-      return {
-        jobs,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
+    const modes = toList(params.workMode).map(mode => mode.toLowerCase());
+    if (toBoolean(params.remote)) modes.push('remote');
+    if (toBoolean(params.hybrid)) modes.push('hybrid');
+    const modeClauses = WORK_MODES.filter(mode => modes.includes(mode)).map(mode => ({ [`location.${mode}`]: true }));
+    if (modeClauses.length > 0) clauses.workMode = modeClauses.length === 1 ? modeClauses[0] : { $or: modeClauses };
+
+    if (toBoolean(params.urgent)) clauses.urgent = { urgent: true };
+
+    // Matched against the job's school; see listJobs and getFacets
+    const boards = toList(params.board);
+    if (boards.length > 0) clauses.board = { board: { $in: boards } };
+
+    return clauses;
+  }
+
+  /**
+   * A page of jobs for a listing filter plus the multi-select filters, and the
+   * facet counts when `facets` is asked for (`true` for all, or a list of names)
+   * @returns {Promise<Object>} - { jobs, pagination, near, facets }
+   */
+  static async listJobs(filter, params, { origin, sort, projection }) {
+    const clauses = JobService.facetFilters(params, origin);
+    const conditions = Object.keys(clauses).filter(name => name !== 'board').map(name => clauses[name]);
+    if (clauses.board) {
+      const schools = await School.distinct('_id', clauses.board);
+      conditions.push({ school: { $in: schools } });
+    }
+    const query = conditions.length > 0 ? { ...filter, $and: [...(filter.$and || []), ...conditions] } : filter;
+
+    const requested = toList(params.facets);
+    const names = requested.some(value => toBoolean(value)) ? FACETS : FACETS.filter(name => requested.includes(name));
+
+    const [result, facets] = await Promise.all([
+      JobService.findJobs(query, { origin, sort, projection, page: params.page, limit: params.limit }),
+      names.length > 0
+        ? JobService.getFacets(origin ? { ...filter, ...JobService.geoFilter(origin) } : filter, clauses, names)
+        : null
+    ]);
+
+    return facets ? { ...result, facets } : result;
+  }
+
+  /**
+   * Counts for each facet value in one aggregation. Each facet is counted with
+   * every other selected filter applied but not its own, so the other values of a
+   * multi-select stay visible with the numbers they would add.
+   * @param {Object} filter - Listing filter (status, search, radius)
+   * @param {Object} clauses - From facetFilters
+   * @param {string[]} names - Facets to count
+   * @returns {Promise<Object>} - { facet: [{ value, count }] }
+   */
+  static async getFacets(filter, clauses, names = FACETS) {
+    const except = (name) => {
+      const others = Object.keys(clauses).filter(other => other !== name).map(other => clauses[other]);
+      return { $match: others.length > 0 ? { $and: others } : {} };
+    };
+    const groupBy = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES }
+    ];
+    // Free-text places: "mumbai" and "Mumbai " count together
+    const groupByName = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: { $toLower: { $trim: { input: `$${field}` } } }, value: { $first: { $trim: { input: `$${field}` } } }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES }
+    ];
+
+    const pipelines = {
+      department: groupBy('department'),
+      employmentType: groupBy('employmentType'),
+      city: groupByName('location.city'),
+      state: groupByName('location.state'),
+      salaryRange: [
+        { $match: { salaryTop: { $gt: 0 } } },
+        {
+          $group: {
+            _id: {
+              $switch: {
+                branches: SALARY_RANGES.filter(range => range.max !== undefined).map(range => ({
+                  case: { $lt: ['$salaryTop', range.max] },
+                  then: range.value
+                })),
+                default: SALARY_RANGES[SALARY_RANGES.length - 1].value
+              }
+            },
+            count: { $sum: 1 }
+          }
         }
-      };
-    } catch (error) {
-      throw error;
+      ],
+      workMode: [
+        {
+          $group: {
+            _id: null,
+            remote: { $sum: { $cond: ['$location.remote', 1, 0] } },
+            hybrid: { $sum: { $cond: ['$location.hybrid', 1, 0] } }
+          }
+        }
+      ],
+      urgent: [{ $match: { urgent: true } }, { $count: 'count' }],
+      board: groupBy('board')
+    };
+
+    const facet = {};
+    names.forEach(name => {
+      facet[name] = [except(name), ...pipelines[name]];
+    });
+
+    const [counts] = await Job.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          title: 1,
+          department: 1,
+          employmentType: 1,
+          'location.city': 1,
+          'location.state': 1,
+          'location.remote': 1,
+          'location.hybrid': 1,
+          'salary.min': 1,
+          'salary.max': 1,
+          urgent: 1,
+          school: 1,
+          salaryTop: { $cond: [{ $gt: ['$salary.max', 0] }, '$salary.max', '$salary.min'] }
+        }
+      },
+      ...(names.includes('board') || clauses.board ? [
+        {
+          $lookup: {
+            from: School.collection.name,
+            let: { schoolId: '$school' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$schoolId'] } } },
+              { $project: { board: 1 } }
+            ],
+            as: 'schoolBoard'
+          }
+        },
+        { $addFields: { board: { $arrayElemAt: ['$schoolBoard.board', 0] } } }
+      ] : []),
+      { $facet: facet }
+    ]);
+
+    return JobService.formatFacets(counts || {}, names);
+  }
+
+  // Aggregation output as { facet: [{ value, count }] }; salary ranges are always all listed, in order
+  static formatFacets(counts, names) {
+    const formatted = {};
+    names.forEach(name => {
+      const rows = counts[name] || [];
+      if (name === 'salaryRange') {
+        formatted[name] = SALARY_RANGES.map(range => ({
+          value: range.value,
+          label: range.label,
+          count: (rows.find(row => row._id === range.value) || { count: 0 }).count
+        }));
+      } else if (name === 'workMode') {
+        formatted[name] = WORK_MODES.map(mode => ({ value: mode, count: rows[0] ? rows[0][mode] : 0 }));
+      } else if (name === 'urgent') {
+        formatted[name] = [{ value: true, count: rows[0] ? rows[0].count : 0 }];
+      } else {
+        formatted[name] = rows.map(row => ({ value: row.value || row._id, count: row.count }));
+      }
+    });
+    return formatted;
+  }
+
+  // Page and page size from query parameters: page from 1, size 1 to MAX_PAGE_SIZE (default 10)
+  static paginate(page, limit) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+    return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+  }
+
+  // Pagination block shared by the job listings (`current` and `page` are the same number)
+  static paginationFor(page, limit, total) {
+    const pages = Math.ceil(total / limit);
+    return {
+      current: page,
+      page,
+      limit,
+      total,
+      pages,
+      hasNextPage: page < pages,
+      hasPrevPage: page > 1
+    };
+  }
+
+  /**
+   * Where a job search is centred: `near` ("lat,lng", a pincode or a place name)
+   * or `lat` + `lng`, within `radiusKm`
+   * @returns {Object|null} - { coordinates, source, radiusKm }, null when the search has no location
+   */
+  static resolveOrigin({ near, lat, lng, radiusKm } = {}) {
+    const value = near || (lat !== undefined && lng !== undefined ? `${lat},${lng}` : '');
+    if (!value) return null;
+
+    const point = parseNear(value);
+    if (!point) {
+      throw createError(`Could not find "${value}"; use a pincode, a city or locality, or "lat,lng"`, 400);
+    }
+
+    const radius = parseFloat(radiusKm);
+    return {
+      ...point,
+      radiusKm: Number.isFinite(radius) && radius > 0 ? Math.min(radius, MAX_RADIUS_KM) : DEFAULT_RADIUS_KM
+    };
+  }
+
+  // Jobs whose location is within the origin's radius
+  static geoFilter(origin) {
+    return {
+      'location.geo': {
+        $geoWithin: { $centerSphere: [origin.coordinates, origin.radiusKm / EARTH_RADIUS_KM] }
+      }
+    };
+  }
+
+  // Job as JSON with its distance from the origin in km (null when it has no coordinates)
+  static withDistance(job, origin) {
+    const geo = job.location && job.location.geo;
+    const coordinates = geo && geo.coordinates;
+    return {
+      ...job.toJSON(),
+      distanceKm: coordinates && coordinates.length === 2
+        ? Math.round(distanceKm(origin.coordinates, coordinates) * 10) / 10
+        : null
+    };
+  }
+
+  /**
+   * Run a job listing query: one page of jobs with pagination, limited to the
+   * origin's radius and given distances when there is one
+   * @param {Object} filter - Mongo filter
+   * @param {Object} options - { origin, sort (an object, or 'distance'), projection, page, limit }
+   * @returns {Promise<Object>} - { jobs, pagination, near }
+   */
+  static async findJobs(filter, { origin, sort, projection, ...options }) {
+    const { page, limit, skip } = JobService.paginate(options.page, options.limit);
+    const query = origin ? { ...filter, ...JobService.geoFilter(origin) } : filter;
+    const populate = [
+      { path: 'school', select: 'schoolName address contactInfo' },
+      { path: 'postedBy', select: 'email' }
+    ];
+
+    let jobs;
+    if (origin && sort === 'distance') {
+      // $geoNear can't be combined with $text, so text searches find their matches
+      // within the radius first and $geoNear orders those
+      let geoQuery = filter;
+      if (filter.$text) {
+        const { $text, ...rest } = filter;
+        const matches = await Job.find(query).select('_id').lean();
+        geoQuery = { ...rest, $and: [...(rest.$and || []), { _id: { $in: matches.map(match => match._id) } }] };
+      }
+
+      const results = await Job.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: origin.coordinates },
+            key: 'location.geo',
+            distanceField: 'distance',
+            maxDistance: origin.radiusKm * 1000,
+            spherical: true,
+            query: geoQuery
+          }
+        },
+        { $skip: skip },
+        { $limit: limit }
+      ]);
+      jobs = await Job.populate(results.map(result => Job.hydrate(result)), populate);
+    } else {
+      jobs = await Job.find(query, projection)
+        .populate(populate)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit);
     }
+
+    const total = await Job.countDocuments(query);
+
+    return {
+      jobs: origin ? jobs.map(job => JobService.withDistance(job, origin)) : jobs,
+      pagination: JobService.paginationFor(page, limit, total),
+      ...(origin && {
+        near: { coordinates: origin.coordinates, radiusKm: origin.radiusKm, source: origin.source }
+      })
+    };
   }
 
   // Get job statistics
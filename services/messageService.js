@@ -0,0 +1,458 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const ChatAttachmentService = require('./chatAttachmentService');
+const JobApplication = require('../models/JobApplication');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+class MessageService {
+  /**
+   * Minutes after sending during which the sender may edit a message
+   */
+  static getEditWindowMinutes() {
+    return parseInt(process.env.CHAT_EDIT_WINDOW_MINUTES || '15', 10);
+  }
+
+  /**
+   * Application chat a user takes part in, with the other participant
+   * @param {string} applicationId - JobApplication ID
+   * @param {string} userId - Current user
+   * @returns {Promise<Object>} - { application, isTeacher, isSchool, otherUserId }
+   */
+  static async getParticipants(applicationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+      throw createError('Invalid application ID', 400);
+    }
+
+    const application = await JobApplication.findById(applicationId)
+      .populate('job', 'title')
+      .populate('school', 'user schoolName');
+
+    if (!application || !application.school) {
+      throw createError('Application not found', 404);
+    }
+
+    const isTeacher = idOf(application.applicant) === userId.toString();
+    const isSchool = idOf(application.school.user) === userId.toString();
+    if (!isTeacher && !isSchool) {
+      throw createError('Not authorized to access messages for this application', 403);
+    }
+
+    return {
+      application,
+      isTeacher,
+      isSchool,
+      otherUserId: isTeacher ? application.school.user : application.applicant
+    };
+  }
+
+  /**
+   * Delivery state of a message: sent, delivered or read
+   */
+  static getStatus(message) {
+    if (message.readAt || message.isRead) return 'read';
+    if (message.deliveredAt) return 'delivered';
+    return 'sent';
+  }
+
+  /**
+   * Message as returned to clients
+   * Messages deleted for everyone keep their place in the thread without their content.
+   */
+  static serialize(message) {
+    const data = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+    delete data.deletedFor;
+
+    data.status = MessageService.getStatus(data);
+    data.isEdited = Boolean(data.editedAt);
+
+    if (data.isDeleted) {
+      data.message = '';
+      data.attachments = [];
+      data.editHistory = [];
+    } else {
+      data.attachments = (data.attachments || []).map(ChatAttachmentService.serialize);
+    }
+    return data;
+  }
+
+  /**
+   * Query matching the thread a message belongs to
+   */
+  static scopeOf(message) {
+    return message.application
+      ? { application: message.application }
+      : { conversation: message.conversation };
+  }
+
+  /**
+   * Users a message was sent to: the receiver, or every recipient of a group message
+   */
+  static recipientsOf(message) {
+    return message.receiver ? [message.receiver] : (message.recipients || []);
+  }
+
+  /**
+   * Query for messages a user hasn't read yet, in 1:1 and group conversations
+   */
+  static unreadQuery(userId) {
+    return {
+      $or: [
+        { receiver: userId, isRead: false },
+        { recipients: userId, 'readBy.user': { $ne: userId } }
+      ]
+    };
+  }
+
+  /**
+   * One page of a conversation, newest first from a cursor
+   * @param {Object} filter - Thread query, { application } or { conversation }
+   * @param {string} userId - Viewer (messages they deleted for themselves are left out)
+   * @param {Object} options - { before, after, limit } where before/after are message IDs
+   * @returns {Promise<Object>} - { messages (oldest first), hasMore, nextCursor }
+   */
+  static async getHistory(filter, userId, { before, after, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const query = {
+      ...filter,
+      deletedFor: { $ne: userId }
+    };
+
+    [['before', before], ['after', after]].forEach(([name, value]) => {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        throw createError(`Invalid ${name} cursor`, 400);
+      }
+    });
+
+    // "after" catches up on newer messages (oldest first); otherwise page backwards
+    const forward = Boolean(after);
+    if (before) query._id = { $lt: before };
+    if (after) query._id = { $gt: after };
+
+    const messages = await Message.find(query)
+      .populate('sender', 'email role')
+      .populate('receiver', 'email role')
+      .sort({ _id: forward ? 1 : -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize);
+    if (!forward) page.reverse();
+
+    return {
+      messages: page,
+      hasMore,
+      // Pass as before (or after when catching up) to get the next page
+      nextCursor: hasMore ? page[forward ? page.length - 1 : 0]._id : null
+    };
+  }
+
+  /**
+   * Mark messages a user received as delivered
+   * @param {string} userId - Receiver
+   * @param {Object} filter - { messageIds } to narrow the update
+   * @returns {Promise<Object[]>} - [{ applicationId, conversationId, senderId, messageIds, deliveredAt }]
+   */
+  static async markDelivered(userId, { messageIds } = {}) {
+    const scope = { isDeleted: false };
+    if (messageIds) scope._id = { $in: messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+
+    const fields = '_id application conversation sender';
+    const [direct, group] = await Promise.all([
+      Message.find({ ...scope, receiver: userId, deliveredAt: { $exists: false } }).select(fields).limit(1000),
+      Message.find({ ...scope, recipients: userId, 'deliveredTo.user': { $ne: userId } }).select(fields).limit(1000)
+    ]);
+    if (direct.length === 0 && group.length === 0) return [];
+
+    const deliveredAt = new Date();
+    if (direct.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: direct.map(message => message._id) }, deliveredAt: { $exists: false } },
+        { $set: { deliveredAt } }
+      );
+    }
+    if (group.length > 0) {
+      const ids = group.map(message => message._id);
+      await Message.updateMany(
+        { _id: { $in: ids }, 'deliveredTo.user': { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, deliveredAt } } }
+      );
+      await MessageService.completeGroupReceipts(ids, 'deliveredTo', deliveredAt);
+    }
+
+    return MessageService.groupReceipts([...direct, ...group], { deliveredAt });
+  }
+
+  /**
+   * Mark a user's unread messages in a conversation as read (and delivered)
+   * @param {Object} filter - Thread query, { application } or { conversation }
+   * @param {string} userId - Receiver
+   * @param {string} upTo - Optional last message ID the reader has seen
+   * @returns {Promise<Object[]>} - Receipts grouped by sender
+   */
+  static async markRead(filter, userId, upTo) {
+    const scope = { ...filter };
+    if (upTo && mongoose.Types.ObjectId.isValid(upTo)) scope._id = { $lte: upTo };
+
+    const fields = '_id application conversation sender deliveredAt';
+    const [direct, group] = await Promise.all([
+      Message.find({ ...scope, receiver: userId, isRead: false }).select(fields),
+      Message.find({ ...scope, recipients: userId, 'readBy.user': { $ne: userId } }).select(fields)
+    ]);
+    if (direct.length === 0 && group.length === 0) return [];
+
+    const readAt = new Date();
+    if (direct.length > 0) {
+      const ids = direct.map(message => message._id);
+      await Message.updateMany({ _id: { $in: ids } }, { $set: { isRead: true, readAt } });
+      await Message.updateMany(
+        { _id: { $in: ids }, deliveredAt: { $exists: false } },
+        { $set: { deliveredAt: readAt } }
+      );
+    }
+    if (group.length > 0) {
+      const ids = group.map(message => message._id);
+      await Message.updateMany(
+        { _id: { $in: ids }, 'readBy.user': { $ne: userId } },
+        { $push: { readBy: { user: userId, readAt } } }
+      );
+      await Message.updateMany(
+        { _id: { $in: ids }, 'deliveredTo.user': { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, deliveredAt: readAt } } }
+      );
+      await MessageService.completeGroupReceipts(ids, 'deliveredTo', readAt);
+      await MessageService.completeGroupReceipts(ids, 'readBy', readAt);
+    }
+
+    return MessageService.groupReceipts([...direct, ...group], { readAt });
+  }
+
+  /**
+   * Set the message-level receipt once every group recipient has one
+   * @param {string[]} ids - Group message IDs
+   * @param {string} list - deliveredTo or readBy
+   * @param {Date} at - Time of the last receipt
+   */
+  static async completeGroupReceipts(ids, list, at) {
+    const field = list === 'readBy' ? 'readAt' : 'deliveredAt';
+    const update = list === 'readBy' ? { isRead: true, readAt: at } : { deliveredAt: at };
+
+    await Message.updateMany(
+      {
+        _id: { $in: ids },
+        [field]: { $exists: false },
+        $expr: { $gte: [{ $size: `$${list}` }, { $size: '$recipients' }] }
+      },
+      { $set: update }
+    );
+  }
+
+  static groupReceipts(messages, timestamps) {
+    const groups = new Map();
+    messages.forEach(message => {
+      const key = `${message.conversation || message.application}:${message.sender}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          applicationId: message.application ? message.application.toString() : undefined,
+          conversationId: message.conversation ? message.conversation.toString() : undefined,
+          senderId: message.sender.toString(),
+          messageIds: [],
+          ...timestamps
+        });
+      }
+      groups.get(key).messageIds.push(message._id.toString());
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Tell senders their messages were delivered or read
+   * @param {Object} io - Socket.IO server
+   * @param {string} event - messages_delivered or messages_read
+   * @param {Object[]} receipts - From markDelivered / markRead
+   * @param {string} receiverId - User who received or read them
+   */
+  static emitReceipts(io, event, receipts, receiverId) {
+    if (!io) return;
+    receipts.forEach(receipt => {
+      const payload = { ...receipt, userId: receiverId.toString() };
+      let target = io.to(`user:${receipt.senderId}`);
+      if (receipt.conversationId) target = target.to(`conversation_${receipt.conversationId}`);
+      if (receipt.applicationId) target = target.to(`application_${receipt.applicationId}`);
+      target.emit(event, payload);
+    });
+  }
+
+  /**
+   * Emit an event to everyone in a message's conversation
+   */
+  static emitToThread(io, event, message, payload) {
+    if (!io) return;
+    let target = io.to(`user:${message.sender}`);
+    MessageService.recipientsOf(message).forEach(id => {
+      target = target.to(`user:${id}`);
+    });
+    if (message.conversation) target = target.to(`conversation_${message.conversation}`);
+    if (message.application) target = target.to(`application_${message.application}`);
+
+    target.emit(event, {
+      applicationId: message.application ? message.application.toString() : undefined,
+      conversationId: message.conversation ? message.conversation.toString() : undefined,
+      ...payload
+    });
+  }
+
+  /**
+   * Mark a new message delivered straight away for recipients with a socket open
+   * @returns {Promise<Date|null>} - When it was delivered, if every recipient was online
+   */
+  static async deliverIfOnline(io, message) {
+    if (!io) return null;
+
+    const recipients = MessageService.recipientsOf(message);
+    let deliveredAt = null;
+    let online = 0;
+    for (const recipientId of recipients) {
+      const sockets = await io.in(`user:${recipientId}`).fetchSockets();
+      if (sockets.length === 0) continue;
+
+      const receipts = await MessageService.markDelivered(recipientId, { messageIds: [message._id.toString()] });
+      MessageService.emitReceipts(io, 'messages_delivered', receipts, recipientId);
+      if (receipts[0]) deliveredAt = receipts[0].deliveredAt;
+      online++;
+    }
+    return online > 0 && online === recipients.length ? deliveredAt : null;
+  }
+
+  /**
+   * Edit a text message within the edit window, keeping the previous text
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Must be the sender
+   * @param {string} text - New text
+   */
+  static async edit(messageId, userId, text) {
+    const message = await Message.findById(messageId);
+    if (!message || message.deletedFor.some(id => id.toString() === userId.toString())) {
+      throw createError('Message not found', 404);
+    }
+    if (message.sender.toString() !== userId.toString()) {
+      throw createError('Only the sender can edit this message', 403);
+    }
+    if (message.isDeleted) {
+      throw createError('Deleted messages cannot be edited', 400);
+    }
+    if (message.messageType !== 'text') {
+      throw createError('Only text messages can be edited', 400);
+    }
+
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      throw createError('Message content is required', 400);
+    }
+
+    const windowMinutes = MessageService.getEditWindowMinutes();
+    if (Date.now() - message.createdAt.getTime() > windowMinutes * 60 * 1000) {
+      throw createError(`Messages can only be edited within ${windowMinutes} minutes of sending`, 400);
+    }
+    if (trimmed === message.message) {
+      return message;
+    }
+
+    message.editHistory.push({ message: message.message, editedAt: message.editedAt || message.createdAt });
+    message.message = trimmed;
+    message.editedAt = new Date();
+    await message.save();
+    await MessageService.syncLastMessage(message);
+    return message;
+  }
+
+  /**
+   * Delete a message for the current user or, for the sender, for everyone
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Sender or receiver
+   * @param {string} scope - 'me' or 'everyone'
+   */
+  static async remove(messageId, userId, scope = 'everyone') {
+    if (!['me', 'everyone'].includes(scope)) {
+      throw createError('scope must be me or everyone', 400);
+    }
+
+    const message = await Message.findById(messageId);
+    const uid = userId.toString();
+    const isParticipant = message && [message.sender, ...MessageService.recipientsOf(message)]
+      .some(id => id.toString() === uid);
+    if (!isParticipant) {
+      throw createError('Message not found', 404);
+    }
+
+    if (scope === 'me') {
+      await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+      return { message, scope };
+    }
+
+    if (message.sender.toString() !== uid) {
+      throw createError('Not authorized to delete this message', 403);
+    }
+
+    message.isDeleted = true;
+    message.deletedAt = new Date();
+    await message.save();
+    await MessageService.syncLastMessage(message);
+    // Shared files go with the message
+    await ChatAttachmentService.destroy(message.attachments);
+    return { message, scope };
+  }
+
+  /**
+   * One attachment with a fresh download link, for the people in the conversation
+   * @param {string} messageId - Message ID
+   * @param {string} attachmentId - Attachment subdocument ID
+   * @param {string} userId - Sender or recipient
+   */
+  static async getAttachment(messageId, attachmentId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId) || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+      throw createError('Attachment not found', 404);
+    }
+
+    const message = await Message.findById(messageId);
+    const uid = userId.toString();
+    const canSee = message && !message.isDeleted &&
+      !message.deletedFor.some(id => id.toString() === uid) &&
+      [message.sender, ...MessageService.recipientsOf(message)].some(id => id.toString() === uid);
+    const attachment = canSee ? message.attachments.id(attachmentId) : null;
+
+    if (!attachment) {
+      throw createError('Attachment not found', 404);
+    }
+    return ChatAttachmentService.serialize(attachment);
+  }
+
+  /**
+   * Keep the inbox preview in step when a conversation's latest message is edited or deleted
+   */
+  static async syncLastMessage(message) {
+    if (!message.conversation) return;
+
+    await Conversation.updateOne(
+      { _id: message.conversation, 'lastMessage.messageId': message._id },
+      {
+        $set: {
+          'lastMessage.message': message.isDeleted ? '' : message.message,
+          'lastMessage.isDeleted': message.isDeleted
+        }
+      }
+    );
+  }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,275 @@
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const CHANNELS = ['inApp', 'popup', 'push', 'email'];
+
+// Email-only categories that have no in-app Notification type
+const EMAIL_CATEGORIES = ['application_update', 'job_reminder'];
+
+// Push-only categories (admin broadcasts)
+const PUSH_CATEGORIES = ['announcement'];
+
+const getTypes = () => [...Notification.schema.path('type').enumValues, ...EMAIL_CATEGORIES, ...PUSH_CATEGORIES];
+
+// Types whose individual emails are replaced by the digest when it is enabled
+const DIGEST_TYPES = ['application_received', 'message', 'job_posted'];
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes since midnight for a date in a timezone
+const minutesInTimezone = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+  return hour * 60 + minute;
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+class NotificationPreferenceService {
+  /**
+   * Stored preferences for a user (plain object), or null when never set
+   */
+  static async getPreferences(userId) {
+    return NotificationPreference.findOne({ user: userId }).lean();
+  }
+
+  /**
+   * Whether the user's quiet hours are running at a given time
+   */
+  static isQuietTime(preferences, now = new Date()) {
+    const quiet = preferences?.quietHours;
+    if (!quiet || !quiet.enabled) return false;
+
+    const current = minutesInTimezone(now, preferences.timezone || 'Asia/Kolkata');
+    const start = toMinutes(quiet.start);
+    const end = toMinutes(quiet.end);
+
+    // Windows like 22:00-07:00 wrap past midnight
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Channel switches the user chose for a type, ignoring quiet hours
+   */
+  static getSwitches(preferences, type) {
+    const stored = preferences?.channels || {};
+    const defaults = stored.default || {};
+    const specific = stored[type] || {};
+
+    return CHANNELS.reduce((switches, channel) => {
+      if (specific[channel] !== undefined && specific[channel] !== null) {
+        switches[channel] = specific[channel];
+      } else if (defaults[channel] !== undefined && defaults[channel] !== null) {
+        switches[channel] = defaults[channel];
+      } else {
+        switches[channel] = true;
+      }
+      return switches;
+    }, {});
+  }
+
+  /**
+   * Channels a notification of this type may use for the user right now
+   * Senders still decide whether a channel applies; this only mutes.
+   * @param {string} userId - Recipient
+   * @param {string} type - Notification type
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { inApp, popup, push, email, quiet }
+   */
+  static async getChannels(userId, type, now = new Date()) {
+    const preferences = await NotificationPreferenceService.getPreferences(userId);
+    const switches = NotificationPreferenceService.getSwitches(preferences, type);
+    const quiet = NotificationPreferenceService.isQuietTime(preferences, now);
+
+    if (quiet) {
+      (preferences.quietHours.channels || []).forEach(channel => {
+        switches[channel] = false;
+      });
+    }
+
+    // Digest subscribers get these in the summary email instead
+    const digest = Boolean(preferences?.digest?.frequency && preferences.digest.frequency !== 'off');
+    if (digest && DIGEST_TYPES.includes(type)) {
+      switches.email = false;
+    }
+
+    return { ...switches, quiet, digest };
+  }
+
+  /**
+   * Notification types the user switched off in-app; they are still stored (for the
+   * digest) but left out of the notification list and unread counts
+   * @param {string} userId - Recipient
+   * @returns {Promise<string[]>}
+   */
+  static async getMutedInAppTypes(userId) {
+    const preferences = await NotificationPreferenceService.getPreferences(userId);
+    if (!preferences) return [];
+
+    return Notification.schema.path('type').enumValues
+      .filter(type => !NotificationPreferenceService.getSwitches(preferences, type).inApp);
+  }
+
+  /**
+   * Query condition matching the notifications the user sees in-app
+   * @returns {Promise<Object>} - Merge into a Notification query
+   */
+  static async inAppFilter(userId) {
+    const muted = await NotificationPreferenceService.getMutedInAppTypes(userId);
+    return muted.length > 0 ? { type: { $nin: muted } } : {};
+  }
+
+  /**
+   * Whether one channel is allowed for a recipient
+   * @param {Object} recipient - { userId } or { email }
+   */
+  static async allows(recipient, type, channel) {
+    let userId = recipient.userId;
+    if (!userId && recipient.email) {
+      const user = await User.findOne({ email: recipient.email.toLowerCase() }).select('_id');
+      // Addresses that aren't accounts (e.g. a school's contact email) have no preferences
+      if (!user) return true;
+      userId = user._id;
+    }
+    if (!userId) return true;
+
+    const channels = await NotificationPreferenceService.getChannels(userId, type);
+    return channels[channel];
+  }
+
+  /**
+   * Preferences as shown to the user: stored settings plus the full type x channel matrix
+   */
+  static async getForUser(userId) {
+    const preferences = await NotificationPreferenceService.getPreferences(userId);
+    const matrix = {};
+    getTypes().forEach(type => {
+      matrix[type] = NotificationPreferenceService.getSwitches(preferences, type);
+    });
+
+    return {
+      timezone: preferences?.timezone || 'Asia/Kolkata',
+      quietHours: preferences?.quietHours || {
+        enabled: false,
+        start: '22:00',
+        end: '07:00',
+        channels: ['popup', 'push']
+      },
+      digest: {
+        frequency: preferences?.digest?.frequency || 'off',
+        lastSentAt: preferences?.digest?.lastSentAt
+      },
+      defaults: NotificationPreferenceService.getSwitches({ channels: { default: preferences?.channels?.default } }, 'default'),
+      channels: matrix,
+      quietNow: NotificationPreferenceService.isQuietTime(preferences)
+    };
+  }
+
+  /**
+   * Update preferences; channel switches are merged per type and channel
+   * @param {string} userId - User
+   * @param {Object} updates - { timezone, quietHours, channels, digest }
+   */
+  static async update(userId, { timezone, quietHours, channels, digest } = {}) {
+    const set = {};
+    const unset = {};
+
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        throw createError(`Unknown timezone ${timezone}`, 400);
+      }
+      set.timezone = timezone;
+    }
+
+    if (quietHours !== undefined) {
+      ['start', 'end'].forEach(key => {
+        if (quietHours[key] !== undefined && !TIME_REGEX.test(quietHours[key])) {
+          throw createError(`quietHours.${key} must be HH:mm`, 400);
+        }
+      });
+      if (quietHours.channels !== undefined &&
+          (!Array.isArray(quietHours.channels) || quietHours.channels.some(channel => !['popup', 'push', 'email'].includes(channel)))) {
+        throw createError('quietHours.channels may only contain popup, push and email', 400);
+      }
+      ['enabled', 'start', 'end', 'channels'].forEach(key => {
+        if (quietHours[key] !== undefined) set[`quietHours.${key}`] = quietHours[key];
+      });
+    }
+
+    if (digest !== undefined) {
+      if (!['off', 'daily', 'weekly'].includes(digest?.frequency)) {
+        throw createError('digest.frequency must be off, daily or weekly', 400);
+      }
+      set['digest.frequency'] = digest.frequency;
+    }
+
+    if (channels !== undefined) {
+      const types = getTypes();
+      Object.entries(channels).forEach(([type, switches]) => {
+        if (type !== 'default' && !types.includes(type)) {
+          throw createError(`Unknown notification type ${type}`, 400);
+        }
+        Object.entries(switches || {}).forEach(([channel, value]) => {
+          if (!CHANNELS.includes(channel)) {
+            throw createError(`Unknown channel ${channel}`, 400);
+          }
+          // null clears a switch back to the default
+          if (value === null) {
+            unset[`channels.${type}.${channel}`] = '';
+          } else if (typeof value === 'boolean') {
+            set[`channels.${type}.${channel}`] = value;
+          } else {
+            throw createError(`${type}.${channel} must be true, false or null`, 400);
+          }
+        });
+      });
+    }
+
+    const update = {};
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    if (Object.keys(update).length > 0) {
+      await NotificationPreference.findOneAndUpdate(
+        { user: userId },
+        { ...update, $setOnInsert: { user: userId } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    return NotificationPreferenceService.getForUser(userId);
+  }
+}
+
+NotificationPreferenceService.CHANNELS = CHANNELS;
+NotificationPreferenceService.DIGEST_TYPES = DIGEST_TYPES;
+NotificationPreferenceService.getTypes = getTypes;
+
+module.exports = NotificationPreferenceService;
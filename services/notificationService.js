@@ -1,46 +1,100 @@
-const nodemailer = require('nodemailer');
 const User = require('../models/User');
-const School = require('../models/School');
 const Job = require('../models/Job');
 const JobApplication = require('../models/JobApplication');
+const NotificationPreferenceService = require('./notificationPreferenceService');
+const EmailOutboxService = require('./emailOutboxService');
+const EmailTemplates = require('../utils/emailTemplates');
+
+// Preference type for each application status email
+const STATUS_EMAIL_TYPES = {
+  'shortlisted': 'shortlist',
+  'rejected': 'reject',
+  'interview-scheduled': 'interview',
+  'accepted': 'hired',
+  'hired': 'hired'
+};
+
+// Who gets an interview email, without sending the same address two copies
+// Panelists come first so an interviewer who is also the school account gets the feedback link.
+const interviewRecipients = (context, { teacher = false, school = false, panel = false }) => {
+  const recipients = [];
+  const add = (recipient) => {
+    if (recipient.email && !recipients.some(existing => existing.email === recipient.email.toLowerCase())) {
+      recipients.push({ ...recipient, email: recipient.email.toLowerCase() });
+    }
+  };
+
+  if (teacher) add({ email: context.teacherEmail, userId: context.teacherUserId, url: context.teacherUrl, role: 'teacher' });
+  if (panel) {
+    context.panel.forEach(member => add({
+      email: member.email,
+      userId: member.user,
+      name: member.name,
+      url: context.schoolUrl,
+      feedbackUrl: member.feedbackUrl,
+      feedbackSubmitted: member.feedbackSubmitted,
+      role: 'panel'
+    }));
+  }
+  if (school) add({ email: context.schoolEmail, userId: context.schoolUserId, url: context.schoolUrl, role: 'school' });
+  return recipients;
+};
 
 class NotificationService {
-  constructor() {
-    // Configure email transporter
-    this.transporter = nodemailer.createTransporter({
-      service: 'gmail', // or your preferred email service
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
+  // Queue an email in the outbox; delivery and retries happen in the background
+  // Pass options.type (and userId when known) to respect the recipient's email preferences
+  // and options.icalEvent ({ method, filename, content }) to attach a calendar invitation
+  async sendEmail(to, subject, html, text, options = {}) {
+    try {
+      if (options.type) {
+        const allowed = await NotificationPreferenceService.allows(
+          { userId: options.userId, email: to },
+          options.type,
+          'email'
+        );
+        if (!allowed) {
+          return { skipped: true, reason: 'muted' };
+        }
       }
-    });
-  }
 
-  // Send email notification
-  async sendEmail(to, subject, html, text) {
-    try {
-      const mailOptions = {
-        from: process.env.EMAIL_FROM || 'noreply@teacherslink.com',
+      const message = await EmailOutboxService.enqueue({
         to,
         subject,
         html,
-        text
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      return result;
+        text,
+        headers: options.headers,
+        icalEvent: options.icalEvent,
+        template: options.template,
+        variables: options.variables,
+        type: options.type,
+        userId: options.userId
+      });
+      // The body goes along for messages whose content the outbox doesn't keep
+      EmailOutboxService.dispatch(message, { html, text });
+
+      return { queued: true, emailId: message._id };
     } catch (error) {
-      console.error('Email sending failed:', error);
+      console.error('Email queueing failed:', error);
       throw error;
     }
   }
 
+  // Render a registry template and queue it
+  async sendTemplate(to, template, variables, options = {}) {
+    const { subject, html, text } = EmailTemplates.render(template, variables);
+    return this.sendEmail(to, subject, html, text, {
+      ...options,
+      template,
+      ...(EmailTemplates.isSensitive(template) && { variables: EmailTemplates.redact(template, variables) })
+    });
+  }
+
   // Send job application notification to school
   async notifyJobApplication(applicationId) {
     try {
       const application = await JobApplication.findById(applicationId)
         .populate('job', 'title department')
-        .populate('school', 'schoolName contactInfo')
+        .populate('school', 'schoolName contactInfo user')
         .populate('applicant', 'email');
 
       if (!application) {
@@ -49,56 +103,18 @@ class NotificationService {
 
       const school = application.school;
       const job = application.job;
-      const applicant = application.applicant;
 
-      const subject = `New Application for ${job.title}`;
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">New Job Application</h2>
-          <p>Hello ${school.schoolName},</p>
-          <p>You have received a new application for the position: <strong>${job.title}</strong></p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
-            <h3 style="color: #555; margin-top: 0;">Application Details</h3>
-            <p><strong>Applicant:</strong> ${applicant.email}</p>
-            <p><strong>Position:</strong> ${job.title}</p>
-            <p><strong>Department:</strong> ${job.department}</p>
-            <p><strong>Applied:</strong> ${new Date(application.appliedAt).toLocaleDateString()}</p>
-          </div>
-          
-          <p>Please log in to your dashboard to review the application and take further action.</p>
-          
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/school/applications" 
-               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
-              View Application
-            </a>
-          </div>
-          
-          <p style="margin-top: 30px; font-size: 12px; color: #666;">
-            This is an automated message from Teachers Link. Please do not reply to this email.
-          </p>
-        </div>
-      `;
-
-      const text = `
-        New Job Application
-        
-        Hello ${school.schoolName},
-        
-        You have received a new application for the position: ${job.title}
-        
-        Application Details:
-        - Applicant: ${applicant.email}
-        - Position: ${job.title}
-        - Department: ${job.department}
-        - Applied: ${new Date(application.appliedAt).toLocaleDateString()}
-        
-        Please log in to your dashboard to review the application.
-        ${process.env.FRONTEND_URL}/school/applications
-      `;
-
-      await this.sendEmail(school.contactInfo.email, subject, html, text);
+      await this.sendTemplate(school.contactInfo.email, 'application_received', {
+        schoolName: school.schoolName,
+        jobTitle: job.title,
+        department: job.department,
+        applicantEmail: application.applicant.email,
+        appliedAt: application.appliedAt,
+        applicationsUrl: `${process.env.FRONTEND_URL}/school/applications`
+      }, {
+        type: 'application_received',
+        userId: school.user
+      });
       
       return { success: true, message: 'Application notification sent' };
     } catch (error) {
@@ -119,50 +135,17 @@ class NotificationService {
         throw new Error('Application not found');
       }
 
-      const school = application.school;
-      const job = application.job;
       const applicant = application.applicant;
 
-      const statusMessages = {
-        'under-review': 'Your application is now under review',
-        'shortlisted': 'Congratulations! You have been shortlisted',
-        'interview-scheduled': 'An interview has been scheduled',
-        'interviewed': 'Thank you for completing the interview',
-        'accepted': 'Congratulations! Your application has been accepted',
-        'rejected': 'Thank you for your interest, but your application was not selected'
-      };
-
-      const subject = `Application Update: ${job.title}`;
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Application Status Update</h2>
-          <p>Hello,</p>
-          <p>${statusMessages[newStatus]} for the position: <strong>${job.title}</strong> at <strong>${school.schoolName}</strong></p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
-            <h3 style="color: #555; margin-top: 0;">Application Details</h3>
-            <p><strong>Position:</strong> ${job.title}</p>
-            <p><strong>School:</strong> ${school.schoolName}</p>
-            <p><strong>Status:</strong> ${newStatus.replace('-', ' ').toUpperCase()}</p>
-            <p><strong>Updated:</strong> ${new Date().toLocaleDateString()}</p>
-          </div>
-          
-          <p>Please log in to your dashboard for more details and next steps.</p>
-          
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/teacher/applications" 
-               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
-              View Application
-            </a>
-          </div>
-          
-          <p style="margin-top: 30px; font-size: 12px; color: #666;">
-            This is an automated message from Teachers Link. Please do not reply to this email.
-          </p>
-        </div>
-      `;
-
-      await this.sendEmail(applicant.email, subject, html);
+      await this.sendTemplate(applicant.email, 'application_status', {
+        jobTitle: application.job.title,
+        schoolName: application.school.schoolName,
+        status: newStatus,
+        applicationsUrl: `${process.env.FRONTEND_URL}/teacher/applications`
+      }, {
+        type: STATUS_EMAIL_TYPES[newStatus] || 'application_update',
+        userId: applicant._id
+      });
       
       return { success: true, message: 'Status update notification sent' };
     } catch (error) {
@@ -175,49 +158,26 @@ class NotificationService {
   async notifyJobPostingReminder(jobId) {
     try {
       const job = await Job.findById(jobId)
-        .populate('school', 'schoolName contactInfo')
         .populate('postedBy', 'email');
 
       if (!job) {
         throw new Error('Job not found');
       }
 
-      const school = job.school;
       const user = job.postedBy;
 
-      const subject = `Job Posting Reminder: ${job.title}`;
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Job Posting Reminder</h2>
-          <p>Hello,</p>
-          <p>This is a reminder about your job posting: <strong>${job.title}</strong></p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
-            <h3 style="color: #555; margin-top: 0;">Job Details</h3>
-            <p><strong>Title:</strong> ${job.title}</p>
-            <p><strong>Department:</strong> ${job.department}</p>
-            <p><strong>Status:</strong> ${job.status}</p>
-            <p><strong>Views:</strong> ${job.views}</p>
-            <p><strong>Applications:</strong> ${job.applications}</p>
-            <p><strong>Expires:</strong> ${new Date(job.expiresAt).toLocaleDateString()}</p>
-          </div>
-          
-          <p>Consider promoting your job posting or extending the deadline if needed.</p>
-          
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/school/jobs/${jobId}" 
-               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
-              Manage Job Posting
-            </a>
-          </div>
-          
-          <p style="margin-top: 30px; font-size: 12px; color: #666;">
-            This is an automated message from Teachers Link. Please do not reply to this email.
-          </p>
-        </div>
-      `;
-
-      await this.sendEmail(user.email, subject, html);
+      await this.sendTemplate(user.email, 'job_reminder', {
+        jobTitle: job.title,
+        department: job.department,
+        status: job.status,
+        views: job.views,
+        applications: job.applications,
+        expiresAt: job.expiresAt,
+        jobUrl: `${process.env.FRONTEND_URL}/school/jobs/${jobId}`
+      }, {
+        type: 'job_reminder',
+        userId: user._id
+      });
       
       return { success: true, message: 'Job posting reminder sent' };
     } catch (error) {
@@ -226,8 +186,12 @@ class NotificationService {
     }
   }
 
-  // Send new job alert to teachers
-  async notifyNewJobAlert(jobId, teacherEmails = []) {
+  /**
+   * Send new job alert to teachers
+   * @param {string} jobId - Job ID
+   * @param {Array<string|Object>} recipients - Emails, or { email, userId, alertName, manageUrl } from saved job alerts
+   */
+  async notifyNewJobAlert(jobId, recipients = []) {
     try {
       const job = await Job.findById(jobId)
         .populate('school', 'schoolName address contactInfo');
@@ -236,63 +200,59 @@ class NotificationService {
         throw new Error('Job not found');
       }
 
-      const school = job.school;
-
       // If no emails provided, get all teacher emails
-      if (teacherEmails.length === 0) {
+      if (recipients.length === 0) {
         const teachers = await User.find({ role: 'teacher' });
-        teacherEmails = teachers.map(teacher => teacher.email);
+        recipients = teachers.map(teacher => teacher.email);
       }
 
-      const subject = `New Job Opportunity: ${job.title}`;
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">New Job Opportunity</h2>
-          <p>Hello,</p>
-          <p>A new teaching position has been posted that might interest you!</p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
-            <h3 style="color: #555; margin-top: 0;">Job Details</h3>
-            <p><strong>Title:</strong> ${job.title}</p>
-            <p><strong>School:</strong> ${school.schoolName}</p>
-            <p><strong>Department:</strong> ${job.department}</p>
-            <p><strong>Type:</strong> ${job.employmentType}</p>
-            <p><strong>Location:</strong> ${job.location.city}, ${job.location.state}</p>
-            <p><strong>Deadline:</strong> ${new Date(job.applicationDeadline).toLocaleDateString()}</p>
-          </div>
-          
-          <div style="margin: 20px 0;">
-            <p><strong>Description:</strong></p>
-            <p>${job.description.substring(0, 200)}...</p>
-          </div>
-          
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/jobs/${jobId}" 
-               style="background-color: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
-              View Job Details
-            </a>
-          </div>
-          
-          <p style="margin-top: 30px; font-size: 12px; color: #666;">
-            This is an automated message from Teachers Link. You can unsubscribe from job alerts in your profile settings.
-          </p>
-        </div>
-      `;
+      const variables = {
+        jobTitle: job.title,
+        schoolName: job.school.schoolName,
+        department: job.department,
+        employmentType: job.employmentType,
+        location: job.location ? `${job.location.city}, ${job.location.state}` : undefined,
+        applicationDeadline: job.applicationDeadline,
+        description: job.description,
+        jobUrl: `${process.env.FRONTEND_URL}/jobs/${jobId}`
+      };
 
       // Send to multiple teachers
-      const emailPromises = teacherEmails.map(email => 
-        this.sendEmail(email, subject, html)
-      );
+      const emailPromises = recipients.map(recipient => {
+        const { email, userId, alertName, manageUrl } = typeof recipient === 'string' ? { email: recipient } : recipient;
+        return this.sendTemplate(email, 'job_alert', { ...variables, alertName, manageUrl }, {
+          type: alertName ? 'job_alert' : 'job_posted',
+          userId
+        });
+      });
 
       await Promise.all(emailPromises);
       
-      return { success: true, message: `Job alert sent to ${teacherEmails.length} teachers` };
+      return { success: true, message: `Job alert sent to ${recipients.length} teachers` };
     } catch (error) {
       console.error('Failed to send job alert:', error);
       throw error;
     }
   }
 
+  /**
+   * Daily or weekly email of jobs matching a teacher's saved alerts
+   * @param {Object} user - { _id, email }
+   * @param {Object} batch - { frequency, total, sections: [{ alertName, total, jobs }], manageUrl }
+   */
+  async notifyJobAlertDigest(user, { frequency, total, sections, manageUrl }) {
+    return this.sendTemplate(user.email, 'job_alert_digest', {
+      frequency,
+      total,
+      sections,
+      manageUrl,
+      frontendUrl: process.env.FRONTEND_URL
+    }, {
+      type: 'job_alert',
+      userId: user._id
+    });
+  }
+
   // Send interview reminder
   async notifyInterviewReminder(applicationId) {
     try {
@@ -305,43 +265,19 @@ class NotificationService {
         throw new Error('Application or interview not found');
       }
 
-      const school = application.school;
-      const job = application.job;
       const applicant = application.applicant;
 
-      const subject = `Interview Reminder: ${job.title}`;
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Interview Reminder</h2>
-          <p>Hello,</p>
-          <p>This is a reminder about your upcoming interview for the position: <strong>${job.title}</strong></p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
-            <h3 style="color: #555; margin-top: 0;">Interview Details</h3>
-            <p><strong>Position:</strong> ${job.title}</p>
-            <p><strong>School:</strong> ${school.schoolName}</p>
-            <p><strong>Date:</strong> ${new Date(application.interview.scheduledDate).toLocaleDateString()}</p>
-            <p><strong>Time:</strong> ${new Date(application.interview.scheduledDate).toLocaleTimeString()}</p>
-            <p><strong>Type:</strong> ${application.interview.interviewType}</p>
-            ${application.interview.location ? `<p><strong>Location:</strong> ${application.interview.location}</p>` : ''}
-          </div>
-          
-          <p>Please prepare for the interview and arrive on time. Good luck!</p>
-          
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/teacher/applications/${applicationId}" 
-               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
-              View Application
-            </a>
-          </div>
-          
-          <p style="margin-top: 30px; font-size: 12px; color: #666;">
-            This is an automated message from Teachers Link. Please do not reply to this email.
-          </p>
-        </div>
-      `;
-
-      await this.sendEmail(applicant.email, subject, html);
+      await this.sendTemplate(applicant.email, 'interview_reminder', {
+        jobTitle: application.job.title,
+        schoolName: application.school.schoolName,
+        scheduledDate: application.interview.scheduledDate,
+        interviewType: application.interview.interviewType,
+        location: application.interview.location,
+        applicationUrl: `${process.env.FRONTEND_URL}/teacher/applications/${applicationId}`
+      }, {
+        type: 'interview',
+        userId: applicant._id
+      });
       
       return { success: true, message: 'Interview reminder sent' };
     } catch (error) {
@@ -349,10 +285,183 @@ class NotificationService {
       throw error;
     }
   }
-}
 
-module.exports = NotificationService;
+  // Invite a teacher to pick one of the proposed interview slots
+  async notifyInterviewInvitation(interview, context) {
+    await this.sendTemplate(context.teacherEmail, 'interview_invitation', {
+      jobTitle: context.jobTitle,
+      schoolName: context.schoolName,
+      slots: interview.slots.filter(slot => slot.proposedBy === 'school'),
+      interviewType: interview.interviewType,
+      durationMinutes: interview.durationMinutes,
+      location: interview.location,
+      notes: interview.notes,
+      respondUrl: context.teacherUrl
+    }, {
+      type: 'interview',
+      userId: context.teacherUserId
+    });
+    return { success: true, message: 'Interview invitation sent' };
+  }
 
+  // Confirmed (or changed) interview to the teacher, school and panel, with the calendar invitation
+  async notifyInterviewConfirmed(interview, context, { updated = false, icalEvent } = {}) {
+    const panelNames = context.panel.map(member => member.name).join(', ');
+
+    for (const recipient of interviewRecipients(context, { teacher: true, school: true, panel: true })) {
+      await this.sendTemplate(recipient.email, 'interview_confirmed', {
+        jobTitle: context.jobTitle,
+        schoolName: context.schoolName,
+        scheduledAt: interview.scheduledAt,
+        durationMinutes: interview.durationMinutes,
+        interviewType: interview.interviewType,
+        location: interview.location,
+        meetingLink: interview.meetingLink,
+        recipientName: recipient.name,
+        candidateName: recipient.role === 'teacher' ? undefined : context.teacherName,
+        panelNames: recipient.role === 'teacher' ? undefined : panelNames,
+        feedbackUrl: recipient.feedbackUrl,
+        updated,
+        detailsUrl: recipient.url
+      }, {
+        type: 'interview',
+        userId: recipient.userId,
+        icalEvent
+      });
+    }
+    return { success: true, message: 'Interview confirmation sent' };
+  }
+
+  // Reschedule request, decline or cancellation
+  // With options.icalEvent (a calendar CANCEL) the booking was released, so every attendee is told;
+  // otherwise only the other side.
+  async notifyInterviewUpdate(interview, context, event, { reason, slots, icalEvent } = {}) {
+    const recipients = icalEvent
+      ? interviewRecipients(context, { teacher: true, school: true, panel: true })
+      : interviewRecipients(context, event === 'cancelled' ? { teacher: true } : { school: true });
+
+    for (const recipient of recipients) {
+      await this.sendTemplate(recipient.email, 'interview_update', {
+        event,
+        jobTitle: context.jobTitle,
+        schoolName: context.schoolName,
+        candidateName: context.teacherName,
+        reason,
+        slots,
+        detailsUrl: recipient.url
+      }, {
+        type: 'interview',
+        userId: recipient.userId,
+        icalEvent
+      });
+    }
+    return { success: true, message: 'Interview update sent' };
+  }
 
+  // Remind the teacher and panel of a booked interview
+  async notifyUpcomingInterview(interview, context) {
+    for (const recipient of interviewRecipients(context, { teacher: true, panel: true })) {
+      await this.sendTemplate(recipient.email, 'interview_reminder', {
+        jobTitle: context.jobTitle,
+        schoolName: context.schoolName,
+        candidateName: recipient.role === 'teacher' ? undefined : context.teacherName,
+        scheduledDate: interview.scheduledAt,
+        interviewType: interview.interviewType,
+        location: interview.location,
+        meetingLink: interview.meetingLink,
+        applicationUrl: recipient.url
+      }, {
+        type: 'interview',
+        userId: recipient.userId
+      });
+    }
+    return { success: true, message: 'Interview reminder sent' };
+  }
 
+  // Ask interviewers who haven't scored the candidate yet for their feedback
+  async notifyInterviewFeedbackRequest(interview, context) {
+    const pending = interviewRecipients(context, { panel: true }).filter(recipient => !recipient.feedbackSubmitted);
+
+    for (const recipient of pending) {
+      await this.sendTemplate(recipient.email, 'interview_feedback_request', {
+        jobTitle: context.jobTitle,
+        candidateName: context.teacherName,
+        scheduledAt: interview.scheduledAt,
+        recipientName: recipient.name,
+        feedbackUrl: recipient.feedbackUrl
+      }, {
+        type: 'interview',
+        userId: recipient.userId
+      });
+    }
+    return { success: true, message: 'Feedback requests sent', count: pending.length };
+  }
 
+  // Send subscription renewal reminder
+  async notifySubscriptionRenewal(userId, { role, planName, expiresAt, daysLeft }) {
+    try {
+      const user = await User.findById(userId).select('email');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await this.sendTemplate(user.email, 'subscription_renewal', {
+        planName,
+        daysLeft,
+        expiresAt,
+        role,
+        renewUrl: `${process.env.FRONTEND_URL}/${role}/subscription`
+      }, {
+        type: 'subscription',
+        userId
+      });
+      
+      return { success: true, message: 'Renewal reminder sent' };
+    } catch (error) {
+      console.error('Failed to send renewal reminder:', error);
+      throw error;
+    }
+  }
+
+  // Send the email address verification link
+  async notifyEmailVerification(email, verifyUrl) {
+    await this.sendTemplate(email, 'email_verification', {
+      email,
+      verifyUrl,
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+    });
+    return { success: true, message: 'Verification email sent' };
+  }
+
+  // Send the password reset link
+  async notifyPasswordReset(user, resetUrl, expiresInMinutes) {
+    await this.sendTemplate(user.email, 'password_reset', {
+      resetUrl,
+      expiresInMinutes
+    }, {
+      userId: user._id
+    });
+    return { success: true, message: 'Password reset email sent' };
+  }
+
+  // Send the daily/weekly summary of unread notifications
+  async notifyDigest(user, sections, { frequency, total, unsubscribeUrl }) {
+    await this.sendTemplate(user.email, 'notification_digest', {
+      frequency,
+      total,
+      sections,
+      role: user.role,
+      unsubscribeUrl,
+      frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
+    }, {
+      userId: user._id,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+    return { success: true, message: 'Digest sent' };
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,462 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const razorpay = require('../config/razorpay');
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const Plan = require('../models/Plan');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('./invoiceService');
+const SubscriptionService = require('./subscriptionService');
+const CouponService = require('./couponService');
+
+// Razorpay rejects orders below ₹1
+const MIN_ORDER_AMOUNT = 100;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Hold the coupon use while the order is set up; a failed setup gives it straight back
+const withCouponHold = async (paymentData, setup) => {
+  if (!paymentData.coupon) return setup();
+
+  await CouponService.reserve(paymentData);
+  try {
+    return await setup();
+  } catch (error) {
+    await CouponService.release(paymentData._id).catch(releaseError => {
+      console.error('Failed to release coupon hold for payment', paymentData._id.toString(), releaseError.message);
+    });
+    throw error;
+  }
+};
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (!expected || !received || expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+class PaymentService {
+  /**
+   * Work out what a user pays for a plan right now
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} planId - Plan to purchase
+   * @param {Object} options - { couponCode }
+   * @returns {Promise<Object>} - { plan, quote, amount, coupon } (amounts in paise)
+   */
+  static async priceOrder(user, planId, { couponCode } = {}) {
+    if (!planId) {
+      throw createError('Plan ID is required', 400);
+    }
+    if (!['school', 'teacher'].includes(user.role)) {
+      throw createError('Only schools and teachers can purchase plans', 403);
+    }
+
+    const plan = await Plan.findById(planId);
+    if (!plan || !plan.isActive || plan.userType !== user.role) {
+      throw createError(`Plan not found or not available for ${user.role}s`, 404);
+    }
+
+    // Renewals and plan changes are priced against the current subscription
+    const quote = await SubscriptionService.quote(user, plan);
+    let amount = quote.amount;
+
+    // Coupons discount whatever is due after proration
+    let coupon = null;
+    if (couponCode) {
+      const priced = await CouponService.validate(user, couponCode, plan, amount);
+      coupon = {
+        coupon: priced.coupon._id,
+        code: priced.coupon.code,
+        amountBeforeDiscount: amount,
+        discount: priced.discount
+      };
+      amount = priced.amount;
+    }
+
+    return { plan, quote, amount, coupon };
+  }
+
+  /**
+   * Create a ledger entry (and Razorpay order for paid plans) for a plan purchase
+   * Free plans and purchases fully covered by credit or a coupon are activated immediately.
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} planId - Plan to purchase
+   * @param {Object} options - { couponCode }
+   * @returns {Promise<Object>} - { payment, plan, order } (order is null for free plans)
+   */
+  static async createOrder(user, planId, options = {}) {
+    const { plan, quote, amount, coupon } = await PaymentService.priceOrder(user, planId, options);
+
+    const paymentData = {
+      // Known up front so the coupon hold can point at the payment before it exists
+      _id: new mongoose.Types.ObjectId(),
+      user: user.id,
+      userType: user.role,
+      plan: plan._id,
+      planSnapshot: {
+        title: plan.title,
+        price: plan.price,
+        durationMonths: plan.durationMonths || 12,
+        features: plan.features,
+        userType: plan.userType
+      },
+      kind: quote.kind,
+      proration: {
+        fromSubscription: quote.fromSubscription,
+        fromPlanTitle: quote.fromPlanTitle,
+        credit: quote.credit,
+        bonusDays: quote.bonusDays
+      },
+      ...(coupon && { coupon }),
+      amount,
+      currency: 'INR'
+    };
+
+    // Free plans and purchases fully covered by credit or a coupon never reach Razorpay
+    if (amount < MIN_ORDER_AMOUNT) {
+      const freeData = {
+        ...paymentData,
+        // Sub-rupee remainders are waived, so the coupon covered the whole amount
+        ...(coupon && { coupon: { ...coupon, discount: coupon.amountBeforeDiscount } }),
+        amount: 0,
+        provider: coupon ? 'coupon' : quote.credit > 0 ? 'credit' : 'free',
+        status: 'captured',
+        capturedAt: new Date()
+      };
+      return withCouponHold(freeData, async () => {
+        const payment = await Payment.create(freeData);
+        const activated = await PaymentService.activatePayment(payment._id);
+        return { payment: activated, plan, order: null };
+      });
+    }
+
+    if (!razorpay) {
+      throw createError('Payment gateway is not configured. Please contact the administrator.', 503);
+    }
+
+    return withCouponHold(paymentData, () => PaymentService.createGatewayOrder(user, plan, paymentData));
+  }
+
+  /**
+   * Create the Razorpay order for a priced purchase and its ledger entry
+   * @returns {Promise<Object>} - { payment, plan, order }
+   */
+  static async createGatewayOrder(user, plan, paymentData) {
+    const { amount, coupon } = paymentData;
+
+    // Short receipt ID (max 40 chars for Razorpay): role prefix + timestamp + user suffix
+    const receipt = `${user.role === 'teacher' ? 'T' : 'S'}${Date.now().toString().slice(-10)}${user.id.toString().slice(-6)}`;
+
+    let order;
+    try {
+      order = await razorpay.orders.create({
+        amount,
+        currency: 'INR',
+        receipt,
+        notes: {
+          planId: plan._id.toString(),
+          userId: user.id.toString(),
+          userType: user.role,
+          ...(coupon && {
+            couponCode: coupon.code,
+            amountBeforeDiscount: String(coupon.amountBeforeDiscount),
+            discount: String(coupon.discount)
+          })
+        }
+      });
+    } catch (error) {
+      console.error('Error creating Razorpay order:', error);
+      const errorMsg = error.message || error.error?.description || 'Unknown error';
+      throw createError('Error creating payment order: ' + errorMsg, 502);
+    }
+
+    const payment = await Payment.create({
+      ...paymentData,
+      razorpayOrderId: order.id,
+      receipt
+    });
+
+    return { payment, plan, order };
+  }
+
+  /**
+   * Check the checkout signature returned to the client by Razorpay
+   */
+  static verifyCheckoutSignature(orderId, paymentId, signature) {
+    if (!process.env.RAZORPAY_KEY_SECRET) return false;
+    const expected = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+    return signaturesMatch(expected, signature);
+  }
+
+  /**
+   * Check a webhook signature against the raw request body
+   */
+  static verifyWebhookSignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) return false;
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return signaturesMatch(expected, signature);
+  }
+
+  /**
+   * Find the ledger entry for a Razorpay order
+   * Orders created before the ledger existed are backfilled from the order notes.
+   */
+  static async findByOrderId(orderId) {
+    const payment = await Payment.findOne({ razorpayOrderId: orderId });
+    if (payment || !razorpay) return payment;
+
+    const order = await razorpay.orders.fetch(orderId).catch(() => null);
+    const notes = (order && order.notes) || {};
+    const userId = notes.userId || notes.schoolId || notes.teacherId;
+    if (!order || !notes.planId || !userId) return null;
+
+    const plan = await Plan.findById(notes.planId);
+    if (!plan) return null;
+
+    try {
+      return await Payment.create({
+        user: userId,
+        userType: notes.userType || (notes.teacherId ? 'teacher' : 'school'),
+        plan: plan._id,
+        planSnapshot: {
+          title: plan.title,
+          price: plan.price,
+          durationMonths: plan.durationMonths || 12,
+          features: plan.features,
+          userType: plan.userType
+        },
+        razorpayOrderId: order.id,
+        receipt: order.receipt,
+        amount: order.amount,
+        currency: order.currency
+      });
+    } catch (error) {
+      // verify and webhook raced to backfill the same order
+      if (error.code === 11000) {
+        return Payment.findOne({ razorpayOrderId: orderId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a checkout response and activate the plan
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} body - { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+   * @returns {Promise<Object>} - Activated payment
+   */
+  static async verifyCheckout(user, { razorpay_order_id, razorpay_payment_id, razorpay_signature }) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      throw createError('Invalid payment data', 400);
+    }
+
+    if (!PaymentService.verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      throw createError('Payment verification failed', 400);
+    }
+
+    const payment = await PaymentService.findByOrderId(razorpay_order_id);
+    if (!payment) {
+      throw createError('Order not found', 404);
+    }
+    if (payment.user.toString() !== user.id.toString()) {
+      throw createError('Not authorized to verify this payment', 403);
+    }
+
+    await PaymentService.markCaptured(payment, razorpay_payment_id, 'verify');
+    return PaymentService.activatePayment(payment._id);
+  }
+
+  /**
+   * Process a Razorpay webhook delivery
+   * @param {Buffer} rawBody - Raw request body (needed for the signature)
+   * @param {string} signature - x-razorpay-signature header
+   * @param {string} eventId - x-razorpay-event-id header
+   * @returns {Promise<Object>} - { duplicate, status }
+   * Throws a 500 when processing fails so Razorpay redelivers; the retry reclaims the failed event.
+   */
+  static async handleWebhook(rawBody, signature, eventId) {
+    if (!PaymentService.verifyWebhookSignature(rawBody, signature)) {
+      throw createError('Invalid webhook signature', 400);
+    }
+
+    const body = JSON.parse(rawBody.toString());
+    const paymentEntity = body.payload?.payment?.entity;
+    const orderId = paymentEntity?.order_id || body.payload?.order?.entity?.id;
+
+    // Razorpay retries with the same event id; fall back to event + payment id
+    const dedupeId = eventId || `${body.event}:${paymentEntity?.id || orderId}`;
+
+    let event;
+    try {
+      event = await PaymentEvent.create({
+        eventId: dedupeId,
+        event: body.event,
+        razorpayOrderId: orderId,
+        razorpayPaymentId: paymentEntity?.id,
+        payload: body
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // A delivery that failed earlier is processed again; anything else is a true duplicate
+      event = await PaymentEvent.findOneAndUpdate(
+        { eventId: dedupeId, status: 'failed' },
+        { $set: { status: 'received' }, $unset: { error: 1 } },
+        { new: true }
+      );
+      if (!event) {
+        return { duplicate: true, status: 'duplicate' };
+      }
+    }
+
+    let failure = null;
+    try {
+      const payment = orderId ? await PaymentService.findByOrderId(orderId) : null;
+      if (!payment) {
+        event.status = 'ignored';
+        event.error = 'No ledger entry for order';
+      } else {
+        event.payment = payment._id;
+
+        if (body.event === 'payment.captured' || body.event === 'order.paid') {
+          if (paymentEntity && paymentEntity.amount !== payment.amount) {
+            throw new Error(`Captured amount ${paymentEntity.amount} does not match order amount ${payment.amount}`);
+          }
+          await PaymentService.markCaptured(payment, paymentEntity?.id, 'webhook');
+          await PaymentService.activatePayment(payment._id);
+          event.status = 'processed';
+        } else if (body.event === 'payment.failed') {
+          await PaymentService.markFailed(payment, paymentEntity?.error_description, 'webhook');
+          event.status = 'processed';
+        } else if (body.event === 'refund.processed' || body.event === 'payment.refunded') {
+          await PaymentService.markRefunded(payment, 'webhook');
+          event.status = 'processed';
+        } else {
+          event.status = 'ignored';
+        }
+      }
+    } catch (error) {
+      console.error('Payment webhook processing failed:', error);
+      event.status = 'failed';
+      event.error = error.message;
+      failure = error;
+    }
+
+    event.processedAt = new Date();
+    await event.save();
+
+    if (failure) {
+      throw createError(`Webhook processing failed: ${failure.message}`, 500);
+    }
+
+    return { duplicate: false, status: event.status };
+  }
+
+  /**
+   * Move a payment to captured; a no-op if it already is
+   */
+  static async markCaptured(payment, razorpayPaymentId, source) {
+    const now = new Date();
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['created', 'failed'] } },
+      {
+        $set: {
+          status: 'captured',
+          capturedAt: now,
+          ...(razorpayPaymentId && { razorpayPaymentId })
+        },
+        $push: { statusHistory: { status: 'captured', source, changedAt: now } }
+      },
+      { new: true }
+    );
+    return updated || Payment.findById(payment._id);
+  }
+
+  /**
+   * Record a failed attempt; captured payments are never downgraded
+   */
+  static async markFailed(payment, reason, source) {
+    const now = new Date();
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'created' },
+      {
+        $set: { status: 'failed', failureReason: reason },
+        $push: { statusHistory: { status: 'failed', source, note: reason, changedAt: now } }
+      },
+      { new: true }
+    );
+    return updated || Payment.findById(payment._id);
+  }
+
+  /**
+   * Record a refund for a captured payment
+   */
+  static async markRefunded(payment, source) {
+    const now = new Date();
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'captured' },
+      {
+        $set: { status: 'refunded' },
+        $push: { statusHistory: { status: 'refunded', source, changedAt: now } }
+      },
+      { new: true }
+    );
+    if (updated) {
+      await Invoice.updateOne({ payment: payment._id }, { $set: { status: 'cancelled' } });
+      await CouponService.release(payment._id);
+    }
+    return updated || Payment.findById(payment._id);
+  }
+
+  /**
+   * Apply the purchased plan to the buyer exactly once
+   * Verify and webhook may both call this; only the first claim activates.
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} - The payment document
+   */
+  static async activatePayment(paymentId) {
+    const now = new Date();
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, status: 'captured', activatedAt: null },
+      { $set: { activatedAt: now } },
+      { new: true }
+    );
+
+    if (!payment) {
+      // Already activated (or not captured yet)
+      return Payment.findById(paymentId);
+    }
+
+    try {
+      const subscription = await SubscriptionService.applyPayment(payment);
+
+      payment.subscription = subscription._id;
+      payment.subscriptionModel = payment.userType === 'school' ? 'Subscription' : 'TeacherSubscription';
+      await payment.save();
+    } catch (error) {
+      // Release the claim so a retry (webhook or verify) can activate
+      await Payment.updateOne({ _id: payment._id }, { $set: { activatedAt: null } });
+      throw error;
+    }
+
+    await CouponService.redeem(payment).catch(error => {
+      console.error('Coupon redemption failed for payment', payment._id.toString(), error.message);
+    });
+
+    // A missing invoice is issued by the invoice-backfill task, so never fail activation
+    await InvoiceService.createForPayment(payment._id).catch(error => {
+      console.error('Invoice generation failed for payment', payment._id.toString(), error.message);
+    });
+
+    return payment;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const PushBroadcast = require('../models/PushBroadcast');
+const PushDelivery = require('../models/PushDelivery');
+const NotificationPreferenceService = require('./notificationPreferenceService');
+const PushTopicService = require('./pushTopicService');
+const pushNotificationService = require('./pushNotificationService');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Devices loaded per send batch
+const BATCH_SIZE = 500;
+// A broadcast still 'sending' after this long was interrupted
+const STALE_SENDING_MS = 30 * 60 * 1000;
+
+// Preference type admins' broadcasts are sent under (users can mute it)
+const BROADCAST_TYPE = 'announcement';
+
+class PushBroadcastService {
+  /**
+   * Device filter for an audience
+   * Lists are ORed within themselves and ANDed with each other; an empty audience is everyone.
+   * @param {Object} audience - { roles, cities, subjects, platforms }
+   */
+  static buildDeviceQuery(audience = {}) {
+    const query = { isActive: true };
+    const conditions = [];
+
+    [['roles', 'role'], ['cities', 'city'], ['subjects', 'subject']].forEach(([key, kind]) => {
+      const topics = (audience[key] || []).map(value => PushTopicService.toTopic(kind, value)).filter(Boolean);
+      if (topics.length > 0) {
+        conditions.push({ topics: { $in: topics } });
+      }
+    });
+
+    if (conditions.length > 0) query.$and = conditions;
+    if (audience.platforms && audience.platforms.length > 0) {
+      query.platform = { $in: audience.platforms };
+    }
+    return query;
+  }
+
+  /**
+   * How many devices and users an audience reaches right now
+   */
+  static async estimate(audience) {
+    const query = PushBroadcastService.buildDeviceQuery(audience);
+    const [devices, users] = await Promise.all([
+      Device.countDocuments(query),
+      Device.distinct('user', query)
+    ]);
+    return { devices, users: users.length };
+  }
+
+  /**
+   * Create a broadcast; it goes out now or at scheduledAt
+   * @param {Object} admin - Admin user
+   * @param {Object} fields - { title, body, link, audience, scheduledAt }
+   */
+  static async create(admin, { title, body, link, audience = {}, scheduledAt }) {
+    const sendAt = scheduledAt ? new Date(scheduledAt) : new Date();
+    if (isNaN(sendAt.getTime())) {
+      throw createError('scheduledAt must be a valid date', 400);
+    }
+    if (link && !/^https?:\/\//.test(link)) {
+      throw createError('link must be an http(s) URL', 400);
+    }
+
+    const broadcast = await PushBroadcast.create({
+      title,
+      body,
+      link,
+      audience,
+      scheduledAt: sendAt,
+      createdBy: admin._id
+    });
+
+    if (sendAt <= new Date()) {
+      PushBroadcastService.dispatch(broadcast);
+    }
+    return broadcast;
+  }
+
+  /**
+   * Send in the background; the scheduled task picks it up if this doesn't start
+   */
+  static dispatch(broadcast) {
+    setImmediate(() => {
+      PushBroadcastService.send(broadcast._id).catch(error => {
+        console.error(`📢 Broadcast ${broadcast._id} failed:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Deliver a due broadcast to every matching device
+   * @param {string} broadcastId - PushBroadcast ID
+   * @returns {Promise<Object|null>} - Finished broadcast, or null if it wasn't due
+   */
+  static async send(broadcastId) {
+    const broadcast = await PushBroadcast.findOneAndUpdate(
+      { _id: broadcastId, status: 'scheduled', scheduledAt: { $lte: new Date() } },
+      { $set: { status: 'sending', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!broadcast) return null;
+
+    if (!pushNotificationService.initialized) {
+      return PushBroadcast.findByIdAndUpdate(broadcast._id, {
+        $set: { status: 'failed', error: 'Push notifications are not configured' }
+      }, { new: true });
+    }
+
+    const stats = { devices: 0, successCount: 0, failureCount: 0, mutedUsers: 0 };
+    const allowedByUser = new Map();
+    const notification = { title: broadcast.title, body: broadcast.body, type: BROADCAST_TYPE };
+    const data = {
+      type: BROADCAST_TYPE,
+      broadcastId: broadcast._id.toString(),
+      ...(broadcast.link && { link: broadcast.link })
+    };
+
+    try {
+      const cursor = Device.find(PushBroadcastService.buildDeviceQuery(broadcast.audience)).cursor();
+      let batch = [];
+
+      const flush = async () => {
+        if (batch.length === 0) return;
+        const result = await pushNotificationService.sendToDevices(batch, notification, data, {
+          broadcastId: broadcast._id
+        });
+        stats.devices += batch.length;
+        stats.successCount += result.successCount || 0;
+        stats.failureCount += result.failureCount || 0;
+        batch = [];
+      };
+
+      for await (const device of cursor) {
+        const userId = device.user.toString();
+        if (!allowedByUser.has(userId)) {
+          const allowed = await NotificationPreferenceService.allows({ userId }, BROADCAST_TYPE, 'push');
+          allowedByUser.set(userId, allowed);
+          if (!allowed) stats.mutedUsers++;
+        }
+        if (!allowedByUser.get(userId)) continue;
+
+        batch.push(device);
+        if (batch.length >= BATCH_SIZE) await flush();
+      }
+      await flush();
+    } catch (error) {
+      console.error(`📢 Broadcast ${broadcast._id} stopped:`, error.message);
+      return PushBroadcast.findByIdAndUpdate(broadcast._id, {
+        $set: { status: 'failed', error: error.message, stats }
+      }, { new: true });
+    }
+
+    console.log(`📢 Broadcast "${broadcast.title}" sent to ${stats.successCount}/${stats.devices} devices`);
+    return PushBroadcast.findByIdAndUpdate(broadcast._id, {
+      $set: { status: 'sent', sentAt: new Date(), stats }
+    }, { new: true });
+  }
+
+  /**
+   * Send broadcasts whose time has come (scheduled task)
+   */
+  static async processDue() {
+    // Restarting a half-sent broadcast would notify some devices twice, so mark it failed
+    const interrupted = await PushBroadcast.updateMany(
+      { status: 'sending', startedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      { $set: { status: 'failed', error: 'Sending was interrupted' } }
+    );
+
+    const due = await PushBroadcast.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } })
+      .sort({ scheduledAt: 1 })
+      .select('_id');
+
+    let sent = 0;
+    let failed = 0;
+    for (const { _id } of due) {
+      const broadcast = await PushBroadcastService.send(_id);
+      if (!broadcast) continue;
+      if (broadcast.status === 'sent') sent++;
+      else failed++;
+    }
+
+    return { candidates: due.length, sent, failed, interrupted: interrupted.modifiedCount };
+  }
+
+  /**
+   * Cancel a broadcast that hasn't gone out yet
+   */
+  static async cancel(broadcastId) {
+    const broadcast = await PushBroadcast.findOneAndUpdate(
+      { _id: broadcastId, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!broadcast) {
+      const exists = await PushBroadcast.exists({ _id: broadcastId });
+      throw exists
+        ? createError('Only scheduled broadcasts can be cancelled', 400)
+        : createError('Broadcast not found', 404);
+    }
+    return broadcast;
+  }
+
+  /**
+   * Delivery counts from the push log, grouped by status, platform and error code
+   * @param {Object} filter - { broadcastId, from, to, type }
+   */
+  static async getDeliveryStats({ broadcastId, from, to, type } = {}) {
+    if (broadcastId && !mongoose.Types.ObjectId.isValid(broadcastId)) {
+      throw createError('Invalid broadcast id', 400);
+    }
+    if ([from, to].some(value => value && isNaN(new Date(value).getTime()))) {
+      throw createError('from and to must be valid dates', 400);
+    }
+
+    const match = {};
+    if (broadcastId) match.broadcast = new mongoose.Types.ObjectId(broadcastId);
+    if (type) match.type = type;
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const [byStatus, byPlatform, errors] = await Promise.all([
+      PushDelivery.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      PushDelivery.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$platform',
+            sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+            failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+          }
+        }
+      ]),
+      PushDelivery.aggregate([
+        { $match: { ...match, status: 'failed' } },
+        { $group: { _id: '$errorCode', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
+    const counts = { sent: 0, failed: 0 };
+    byStatus.forEach(({ _id, count }) => { counts[_id] = count; });
+    const total = counts.sent + counts.failed;
+
+    return {
+      total,
+      sent: counts.sent,
+      failed: counts.failed,
+      successRate: total > 0 ? Math.round((counts.sent / total) * 1000) / 10 : null,
+      byPlatform: byPlatform.map(({ _id, sent, failed }) => ({ platform: _id || 'unknown', sent, failed })),
+      topErrors: errors.map(({ _id, count }) => ({ code: _id || 'unknown', count }))
+    };
+  }
+}
+
+PushBroadcastService.BROADCAST_TYPE = BROADCAST_TYPE;
+
+module.exports = PushBroadcastService;
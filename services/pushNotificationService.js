@@ -1,5 +1,139 @@
 const admin = require('firebase-admin');
+const mongoose = require('mongoose');
 const Device = require('../models/Device');
+const Notification = require('../models/Notification');
+const PushDelivery = require('../models/PushDelivery');
+const NotificationPreferenceService = require('./notificationPreferenceService');
+
+const FCM_BATCH_SIZE = 500;
+
+const INVALID_TOKEN_CODES = [
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered'
+];
+
+// Android notification channel per type (created by the app); everything else uses the default
+const ANDROID_CHANNELS = {
+  message: 'teacherslink_messages',
+  interview: 'teacherslink_interviews',
+  announcement: 'teacherslink_announcements'
+};
+
+// Types that should interrupt (sound, heads-up, stays on screen on web)
+const URGENT_TYPES = ['message', 'interview', 'shortlist', 'hired'];
+
+// Screen each type opens on the website
+const WEB_PATHS = {
+  message: '/messages',
+  application_received: '/school/applications',
+  shortlist: '/teacher/applications',
+  reject: '/teacher/applications',
+  interview: '/teacher/applications',
+  hired: '/teacher/applications',
+  job_posted: '/jobs',
+  job_alert: '/jobs',
+  job_invite: '/jobs'
+};
+
+// FCM data values must be strings; nested objects are sent as JSON
+const toDataPayload = (notification, data) => {
+  const payload = {};
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    if (value === undefined || value === null) return;
+    payload[key] = typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)
+      ? JSON.stringify(value)
+      : String(value);
+  });
+  payload.type = String(notification.type || data.type || 'general');
+  payload.notificationId = String(notification.notificationId || data.notificationId || '');
+  return payload;
+};
+
+// Conversation or application a notification belongs to, so the OS can group them
+const getThreadId = (type, data) => String(data.conversationId || data.applicationId || data.broadcastId || type);
+
+const PAYLOAD_BUILDERS = {
+  android: ({ title, body, type, threadId }) => ({
+    android: {
+      priority: 'high',
+      ttl: 24 * 60 * 60 * 1000,
+      ...(type === 'message' && { collapseKey: threadId }),
+      notification: {
+        title,
+        body,
+        sound: 'default',
+        channelId: ANDROID_CHANNELS[type] || 'teacherslink_notifications',
+        clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+        icon: 'ic_notification',
+        color: '#FF6B35', // Your app's primary color
+        tag: threadId,
+        priority: URGENT_TYPES.includes(type) ? 'high' : 'default'
+      }
+    }
+  }),
+
+  ios: ({ title, body, type, threadId, badge }) => ({
+    apns: {
+      headers: {
+        'apns-push-type': 'alert',
+        'apns-priority': URGENT_TYPES.includes(type) ? '10' : '5'
+      },
+      payload: {
+        aps: {
+          alert: { title, body },
+          sound: 'default',
+          badge: badge === undefined ? 1 : badge,
+          threadId,
+          category: type,
+          mutableContent: true
+        }
+      }
+    }
+  }),
+
+  web: ({ title, body, type, data, threadId }) => {
+    const frontend = process.env.FRONTEND_URL || '';
+    const link = data.link || `${frontend}${WEB_PATHS[type] || '/notifications'}`;
+    return {
+      webpush: {
+        headers: { Urgency: URGENT_TYPES.includes(type) ? 'high' : 'normal' },
+        notification: {
+          title,
+          body,
+          icon: '/icon-192x192.png',
+          badge: '/badge-72x72.png',
+          tag: threadId,
+          requireInteraction: URGENT_TYPES.includes(type)
+        },
+        // FCM only accepts HTTPS links
+        ...(link.startsWith('https://') && { fcmOptions: { link } })
+      }
+    };
+  }
+};
+
+/**
+ * FCM message for one device, shaped for its platform
+ * @param {Object} device - Device document (or { fcmToken, platform })
+ * @param {Object} notification - { title, body|message, type }
+ * @param {Object} data - Data payload
+ * @param {Object} options - { badge }
+ */
+const buildMessage = (device, notification, data = {}, options = {}) => {
+  const title = notification.title || 'Teachers Link';
+  const body = notification.body || notification.message || '';
+  const type = notification.type || data.type || 'general';
+  const payload = toDataPayload(notification, data);
+  const builder = PAYLOAD_BUILDERS[device.platform] || PAYLOAD_BUILDERS.android;
+
+  return {
+    token: device.fcmToken,
+    notification: { title, body },
+    data: payload,
+    ...builder({ title, body, type, data: payload, threadId: getThreadId(type, payload), badge: options.badge })
+  };
+};
 
 class PushNotificationService {
   constructor() {
@@ -52,6 +186,15 @@ class PushNotificationService {
     }
 
     try {
+      // Respect the user's push preferences for this notification type
+      const type = notification.type || data.type;
+      if (type) {
+        const allowed = await NotificationPreferenceService.allows({ userId }, type, 'push');
+        if (!allowed) {
+          return { success: false, reason: 'muted' };
+        }
+      }
+
       // Get all active device tokens for this user
       const devices = await Device.find({
         user: userId,
@@ -63,19 +206,17 @@ class PushNotificationService {
         return { success: false, reason: 'no_devices' };
       }
 
-      const tokens = devices.map(device => device.fcmToken);
-      const results = await this.sendToTokens(tokens, notification, data);
-
-      // Remove invalid tokens
-      if (results.invalidTokens && results.invalidTokens.length > 0) {
-        await Device.updateMany(
-          { fcmToken: { $in: results.invalidTokens } },
-          { isActive: false }
-        );
-        console.log(`Deactivated ${results.invalidTokens.length} invalid tokens`);
+      // iOS shows the unread count on the app icon
+      let badge;
+      if (devices.some(device => device.platform === 'ios')) {
+        badge = await Notification.countDocuments({
+          user: userId,
+          isRead: false,
+          ...(await NotificationPreferenceService.inAppFilter(userId))
+        });
       }
 
-      return results;
+      return await this.sendToDevices(devices, notification, data, { badge });
     } catch (error) {
       console.error('Error sending push notification to user:', error);
       return { success: false, error: error.message };
@@ -84,6 +225,7 @@ class PushNotificationService {
 
   /**
    * Send push notification to specific FCM tokens
+   * Tokens that aren't registered devices get the Android payload.
    * @param {string|string[]} tokens - FCM token(s)
    * @param {Object} notification - Notification payload
    * @param {Object} data - Data payload
@@ -100,81 +242,124 @@ class PushNotificationService {
       return { success: false, reason: 'no_tokens' };
     }
 
+    const registered = await Device.find({ fcmToken: { $in: tokenArray } });
+    const byToken = new Map(registered.map(device => [device.fcmToken, device]));
+    const devices = tokenArray.map(token => byToken.get(token) || { fcmToken: token, platform: 'android' });
+
+    return this.sendToDevices(devices, notification, data);
+  }
+
+  /**
+   * Send to devices with a payload built for each device's platform
+   * Every attempt is written to the delivery log and dead tokens are deactivated.
+   * @param {Object[]} devices - Device documents (or { fcmToken, platform })
+   * @param {Object} notification - { title, body|message, type, notificationId }
+   * @param {Object} data - Data payload
+   * @param {Object} options - { badge, broadcastId }
+   * @returns {Promise<Object>} - { success, successCount, failureCount, invalidTokens }
+   */
+  async sendToDevices(devices, notification, data = {}, options = {}) {
+    if (!this.initialized) {
+      return { success: false, reason: 'not_initialized' };
+    }
+    if (devices.length === 0) {
+      return { success: false, reason: 'no_tokens' };
+    }
+
+    let successCount = 0;
+    let failureCount = 0;
+    const invalidTokens = [];
+    const deliveries = [];
+    const type = notification.type || data.type || 'general';
+    const notificationId = notification.notificationId || data.notificationId;
+
     try {
-      const message = {
-        notification: {
-          title: notification.title || 'Teachers Link',
-          body: notification.body || notification.message || '',
-        },
-        data: {
-          ...data,
-          type: notification.type || data.type || 'general',
-          notificationId: notification.notificationId || data.notificationId || '',
-          // Convert all data values to strings (FCM requirement)
-          ...Object.keys(data).reduce((acc, key) => {
-            acc[key] = String(data[key]);
-            return acc;
-          }, {})
-        },
-        // Android-specific options
-        android: {
-          priority: 'high',
-          notification: {
-            sound: 'default',
-            channelId: 'teacherslink_notifications',
-            clickAction: 'FLUTTER_NOTIFICATION_CLICK',
-            icon: 'ic_notification',
-            color: '#FF6B35' // Your app's primary color
-          }
-        },
-        // iOS-specific options
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1,
-              contentAvailable: true
+      // FCM accepts up to 500 messages per call
+      for (let i = 0; i < devices.length; i += FCM_BATCH_SIZE) {
+        const batch = devices.slice(i, i + FCM_BATCH_SIZE);
+        const messages = batch.map(device => buildMessage(device, notification, data, options));
+        const response = await admin.messaging().sendEach(messages);
+
+        response.responses.forEach((resp, idx) => {
+          const device = batch[idx];
+          if (resp.success) {
+            successCount++;
+          } else {
+            failureCount++;
+            if (resp.error && INVALID_TOKEN_CODES.includes(resp.error.code)) {
+              invalidTokens.push(device.fcmToken);
             }
+            console.error(`Failed to send to token ${device.fcmToken.substring(0, 20)}...:`, resp.error && resp.error.code);
           }
-        },
-        // Web push options
-        webpush: {
-          notification: {
-            icon: '/icon-192x192.png',
-            badge: '/badge-72x72.png'
-          }
-        }
-      };
 
-      // Send to multiple tokens (batch)
-      const response = await admin.messaging().sendEachForMulticast({
-        tokens: tokenArray,
-        ...message
-      });
+          deliveries.push({
+            user: device.user,
+            device: device._id,
+            platform: device.platform || 'android',
+            notification: mongoose.isValidObjectId(notificationId) ? notificationId : undefined,
+            broadcast: options.broadcastId,
+            type,
+            title: notification.title,
+            status: resp.success ? 'sent' : 'failed',
+            messageId: resp.messageId,
+            errorCode: resp.error ? resp.error.code : undefined,
+            errorMessage: resp.error ? resp.error.message : undefined
+          });
+        });
+      }
+    } catch (error) {
+      console.error('Error sending push notifications:', error);
+      return { success: false, error: error.message, successCount, failureCount };
+    } finally {
+      await this.recordDeliveries(deliveries);
+    }
 
-      const invalidTokens = [];
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) {
-          if (resp.error && (
-            resp.error.code === 'messaging/invalid-registration-token' ||
-            resp.error.code === 'messaging/registration-token-not-registered'
-          )) {
-            invalidTokens.push(tokenArray[idx]);
-          }
-          console.error(`Failed to send to token ${tokenArray[idx].substring(0, 20)}...:`, resp.error);
-        }
-      });
+    // Remove invalid tokens
+    if (invalidTokens.length > 0) {
+      await Device.updateMany(
+        { fcmToken: { $in: invalidTokens } },
+        { isActive: false }
+      );
+      console.log(`Deactivated ${invalidTokens.length} invalid tokens`);
+    }
+
+    return {
+      success: successCount > 0,
+      successCount,
+      failureCount,
+      invalidTokens
+    };
+  }
 
-      return {
-        success: response.successCount > 0,
-        successCount: response.successCount,
-        failureCount: response.failureCount,
-        invalidTokens: invalidTokens
-      };
+  // The delivery log is best-effort; a logging failure never fails the send
+  async recordDeliveries(deliveries) {
+    if (deliveries.length === 0) return;
+    try {
+      await PushDelivery.insertMany(deliveries, { ordered: false });
     } catch (error) {
-      console.error('Error sending push notifications:', error);
-      return { success: false, error: error.message };
+      console.error('Failed to record push deliveries:', error.message);
+    }
+  }
+
+  /**
+   * Subscribe tokens to an FCM topic
+   * @returns {Promise<Object>} - { successCount, failureCount }
+   */
+  async subscribeToTopic(tokens, topic) {
+    if (!this.initialized || tokens.length === 0) {
+      return { successCount: 0, failureCount: 0, skipped: true };
+    }
+    return admin.messaging().subscribeToTopic(tokens, topic);
+  }
+
+  /**
+   * Unsubscribe tokens from an FCM topic
+   */
+  async unsubscribeFromTopic(tokens, topic) {
+    if (!this.initialized || tokens.length === 0) {
+      return { successCount: 0, failureCount: 0, skipped: true };
     }
+    return admin.messaging().unsubscribeFromTopic(tokens, topic);
   }
 
   /**
@@ -194,4 +379,5 @@ class PushNotificationService {
 
 // Export singleton instance
 module.exports = new PushNotificationService();
+module.exports.buildMessage = buildMessage;
 
@@ -0,0 +1,173 @@
+const Device = require('../models/Device');
+const Teacher = require('../models/Teacher');
+const School = require('../models/School');
+const pushNotificationService = require('./pushNotificationService');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Every active device is on this topic
+const ALL_TOPIC = 'all';
+const TOPIC_KINDS = ['role', 'city', 'subject'];
+const MAX_TOPICS_PER_KIND = 10;
+
+// FCM topic names allow [a-zA-Z0-9-_.~%]; keep them lowercase and readable
+const slugify = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .slice(0, 60);
+
+class PushTopicService {
+  /**
+   * Topic name for a role, city or subject, e.g. ('city', 'New Delhi') -> 'city_new_delhi'
+   * @returns {string|null} - null when the value has no usable characters
+   */
+  static toTopic(kind, value) {
+    if (!TOPIC_KINDS.includes(kind)) {
+      throw new Error(`Unknown topic kind ${kind}`);
+    }
+    const slug = slugify(value);
+    return slug ? `${kind}_${slug}` : null;
+  }
+
+  /**
+   * Topics for a user's role plus the cities and subjects they follow
+   * @param {Object} user - User document
+   * @param {Object} interests - { cities: [], subjects: [] }
+   */
+  static buildTopics(user, { cities = [], subjects = [] } = {}) {
+    [['cities', cities], ['subjects', subjects]].forEach(([key, list]) => {
+      if (!Array.isArray(list)) {
+        throw createError(`${key} must be an array`, 400);
+      }
+      if (list.length > MAX_TOPICS_PER_KIND) {
+        throw createError(`You can follow up to ${MAX_TOPICS_PER_KIND} ${key}`, 400);
+      }
+    });
+
+    const topics = [
+      ALL_TOPIC,
+      PushTopicService.toTopic('role', user.role),
+      ...cities.map(city => PushTopicService.toTopic('city', city)),
+      ...subjects.map(subject => PushTopicService.toTopic('subject', subject))
+    ];
+    return [...new Set(topics.filter(Boolean))];
+  }
+
+  /**
+   * Starting interests taken from the user's profile (city, and subjects for teachers)
+   */
+  static async getProfileInterests(user) {
+    if (user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: user._id })
+        .select('personalInfo.address.city professionalInfo.specialization');
+      return {
+        cities: teacher?.personalInfo?.address?.city ? [teacher.personalInfo.address.city] : [],
+        subjects: (teacher?.professionalInfo?.specialization || []).slice(0, MAX_TOPICS_PER_KIND)
+      };
+    }
+
+    if (user.role === 'school') {
+      const school = await School.findOne({ user: user._id }).select('address.city');
+      return {
+        cities: school?.address?.city ? [school.address.city] : [],
+        subjects: []
+      };
+    }
+
+    return { cities: [], subjects: [] };
+  }
+
+  /**
+   * Split stored topic names back into the role, cities and subjects they came from
+   */
+  static describeTopics(topics) {
+    const described = { role: null, cities: [], subjects: [] };
+    topics.forEach(topic => {
+      if (topic.startsWith('role_')) described.role = topic.slice(5);
+      else if (topic.startsWith('city_')) described.cities.push(topic.slice(5));
+      else if (topic.startsWith('subject_')) described.subjects.push(topic.slice(8));
+    });
+    return described;
+  }
+
+  /**
+   * Bring one device's FCM subscriptions in line with a topic list
+   * @param {Object} device - Device document
+   * @param {string[]} topics - Topics the device should be on
+   * @returns {Promise<Object>} - { subscribed, unsubscribed }
+   */
+  static async syncDevice(device, topics) {
+    const current = device.topics || [];
+    const subscribe = topics.filter(topic => !current.includes(topic));
+    const unsubscribe = current.filter(topic => !topics.includes(topic));
+
+    for (const topic of subscribe) {
+      await pushNotificationService.subscribeToTopic([device.fcmToken], topic);
+    }
+    for (const topic of unsubscribe) {
+      await pushNotificationService.unsubscribeFromTopic([device.fcmToken], topic);
+    }
+
+    await Device.updateOne({ _id: device._id }, { $set: { topics } });
+    return { subscribed: subscribe, unsubscribed: unsubscribe };
+  }
+
+  /**
+   * Topics a user's devices are on (the most recently active device wins)
+   */
+  static async getUserTopics(userId) {
+    const device = await Device.findOne({ user: userId, isActive: true, 'topics.0': { $exists: true } })
+      .sort({ lastActive: -1 })
+      .select('topics');
+    return device ? device.topics : null;
+  }
+
+  /**
+   * Subscribe a newly registered device to the user's topics
+   * Uses the topics of the user's other devices, or their profile for the first device.
+   */
+  static async subscribeNewDevice(user, device) {
+    let topics = await PushTopicService.getUserTopics(user._id);
+    if (!topics) {
+      const interests = await PushTopicService.getProfileInterests(user);
+      topics = PushTopicService.buildTopics(user, interests);
+    }
+    await PushTopicService.syncDevice(device, topics);
+    return topics;
+  }
+
+  /**
+   * Replace the cities and subjects a user follows on all their devices
+   * @param {Object} user - User document
+   * @param {Object} interests - { cities: [], subjects: [] }
+   * @returns {Promise<string[]>} - Topics now subscribed
+   */
+  static async setUserTopics(user, interests) {
+    const topics = PushTopicService.buildTopics(user, interests);
+    const devices = await Device.find({ user: user._id, isActive: true });
+
+    for (const device of devices) {
+      await PushTopicService.syncDevice(device, topics);
+    }
+    return topics;
+  }
+
+  /**
+   * Drop a device from all its topics (e.g. on logout)
+   */
+  static async unsubscribeDevice(device) {
+    if (!device.topics || device.topics.length === 0) return;
+    await PushTopicService.syncDevice(device, []);
+  }
+}
+
+PushTopicService.ALL_TOPIC = ALL_TOPIC;
+PushTopicService.TOPIC_KINDS = TOPIC_KINDS;
+
+module.exports = PushTopicService;
@@ -0,0 +1,233 @@
+const scheduler = require('./scheduler');
+const JobService = require('./jobService');
+const NotificationService = require('./notificationService');
+const SubscriptionService = require('./subscriptionService');
+const DigestService = require('./digestService');
+const EmailOutboxService = require('./emailOutboxService');
+const PushBroadcastService = require('./pushBroadcastService');
+const InterviewService = require('./interviewService');
+const JobAlertService = require('./jobAlertService');
+const InvoiceService = require('./invoiceService');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+
+const HOUR = 60 * 60 * 1000;
+
+// Lazily created so the mail transporter is only built when a reminder goes out
+let notificationService = null;
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+// Mark active jobs past expiresAt as expired
+const expireJobs = async () => {
+  return JobService.expireJobs();
+};
+
+// Remind schools 48h before a job's application deadline
+const sendDeadlineReminders = async () => {
+  const now = new Date();
+  const jobs = await Job.find({
+    status: 'active',
+    isActive: true,
+    applicationDeadline: { $gt: now, $lte: new Date(now.getTime() + 48 * HOUR) },
+    deadlineReminderSentAt: { $exists: false }
+  }).select('_id');
+
+  let sent = 0;
+  let failed = 0;
+  for (const job of jobs) {
+    try {
+      await getNotificationService().notifyJobPostingReminder(job._id);
+      sent++;
+    } catch (error) {
+      failed++;
+    }
+    // Mark regardless of outcome so a broken mailbox is not retried every run
+    await Job.updateOne({ _id: job._id }, { $set: { deadlineReminderSentAt: new Date() } });
+  }
+
+  return { candidates: jobs.length, sent, failed };
+};
+
+// Remind teachers and panels before booked interviews (INTERVIEW_REMINDER_OFFSETS) and ask panels
+// for feedback afterwards; interviews scheduled before interview objects get the old 24h reminder
+const sendInterviewReminders = async () => {
+  const now = new Date();
+  const result = await InterviewService.sendReminders(now);
+
+  const applications = await JobApplication.find({
+    status: 'interview-scheduled',
+    'interview.interviewId': { $exists: false },
+    'interview.scheduledDate': { $gt: now, $lte: new Date(now.getTime() + 24 * HOUR) },
+    'interview.reminderSentAt': { $exists: false }
+  }).select('_id');
+
+  let { sent, failed } = result;
+  for (const application of applications) {
+    try {
+      await getNotificationService().notifyInterviewReminder(application._id);
+      sent++;
+    } catch (error) {
+      failed++;
+    }
+    await JobApplication.updateOne(
+      { _id: application._id },
+      { $set: { 'interview.reminderSentAt': new Date() } }
+    );
+  }
+
+  return { candidates: result.candidates + applications.length, sent, failed };
+};
+
+// Move lapsed subscriptions through grace/expired/cancelled and drop premium flags
+const expireSubscriptions = async () => {
+  return SubscriptionService.processLifecycle();
+};
+
+// Remind schools and teachers 7, 3 and 1 days before their plan expires
+const sendRenewalReminders = async () => {
+  return SubscriptionService.sendRenewalReminders();
+};
+
+// Email opted-in users a summary of their unread notifications
+const sendDailyDigests = async () => {
+  return DigestService.sendDigests('daily');
+};
+
+const sendWeeklyDigests = async () => {
+  return DigestService.sendDigests('weekly');
+};
+
+// Send teachers the jobs queued by their daily or weekly saved job alerts
+const sendDailyJobAlerts = async () => {
+  return JobAlertService.sendBatches('daily');
+};
+
+const sendWeeklyJobAlerts = async () => {
+  return JobAlertService.sendBatches('weekly');
+};
+
+// Issue invoices that failed to generate when their payment activated
+const issueMissingInvoices = async () => {
+  return InvoiceService.issueMissing();
+};
+
+// Deliver queued emails and retry failed attempts whose backoff has passed
+const processEmailOutbox = async () => {
+  return EmailOutboxService.processQueue();
+};
+
+// Send admin push broadcasts whose scheduled time has passed
+const sendPushBroadcasts = async () => {
+  return PushBroadcastService.processDue();
+};
+
+const registerScheduledTasks = () => {
+  scheduler.register({
+    name: 'email-outbox',
+    schedule: '* * * * *',
+    description: 'Deliver queued emails and retry failed sends with backoff',
+    handler: processEmailOutbox,
+    lockTtlMs: 5 * 60 * 1000
+  });
+
+  scheduler.register({
+    name: 'push-broadcasts',
+    schedule: '* * * * *',
+    description: 'Send scheduled admin push broadcasts',
+    handler: sendPushBroadcasts,
+    lockTtlMs: 30 * 60 * 1000
+  });
+
+  scheduler.register({
+    name: 'job-expiry',
+    schedule: '*/15 * * * *',
+    description: 'Mark active jobs past their expiry date as expired',
+    handler: expireJobs
+  });
+
+  scheduler.register({
+    name: 'deadline-reminders',
+    schedule: '0 * * * *',
+    description: 'Email schools 48 hours before a job application deadline',
+    handler: sendDeadlineReminders
+  });
+
+  scheduler.register({
+    name: 'interview-reminders',
+    schedule: '*/5 * * * *',
+    description: 'Remind teachers and interview panels before an interview and ask panels for feedback after it',
+    handler: sendInterviewReminders
+  });
+
+  scheduler.register({
+    name: 'subscription-expiry',
+    schedule: '5 0 * * *',
+    description: 'Move lapsed subscriptions into grace, then expire or end cancelled ones',
+    handler: expireSubscriptions
+  });
+
+  scheduler.register({
+    name: 'renewal-reminders',
+    schedule: '0 10 * * *',
+    description: 'Email and push renewal reminders 7, 3 and 1 days before a plan expires',
+    handler: sendRenewalReminders
+  });
+
+  scheduler.register({
+    name: 'digest-daily',
+    schedule: '0 8 * * *',
+    description: 'Email daily digests of unread notifications',
+    handler: sendDailyDigests
+  });
+
+  scheduler.register({
+    name: 'digest-weekly',
+    schedule: '0 8 * * 1',
+    description: 'Email weekly digests of unread notifications (Mondays)',
+    handler: sendWeeklyDigests
+  });
+
+  scheduler.register({
+    name: 'job-alerts-daily',
+    schedule: '0 7 * * *',
+    description: 'Send teachers the new jobs matching their daily job alerts',
+    handler: sendDailyJobAlerts
+  });
+
+  scheduler.register({
+    name: 'job-alerts-weekly',
+    schedule: '0 7 * * 1',
+    description: 'Send teachers the new jobs matching their weekly job alerts (Mondays)',
+    handler: sendWeeklyJobAlerts
+  });
+
+  scheduler.register({
+    name: 'invoice-backfill',
+    schedule: '20 * * * *',
+    description: 'Issue GST invoices for paid purchases that do not have one yet',
+    handler: issueMissingInvoices
+  });
+
+  return scheduler;
+};
+
+module.exports = {
+  registerScheduledTasks,
+  expireJobs,
+  sendDeadlineReminders,
+  sendInterviewReminders,
+  expireSubscriptions,
+  sendRenewalReminders,
+  sendDailyDigests,
+  sendWeeklyDigests,
+  sendDailyJobAlerts,
+  sendWeeklyJobAlerts,
+  issueMissingInvoices,
+  processEmailOutbox,
+  sendPushBroadcasts
+};
@@ -0,0 +1,234 @@
+const os = require('os');
+const cron = require('node-cron');
+const SchedulerLock = require('../models/SchedulerLock');
+const TaskRun = require('../models/TaskRun');
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.started = false;
+    // Unique per PM2 worker so locks can be attributed to an instance
+    this.instanceId = `${os.hostname()}:${process.env.NODE_APP_INSTANCE || 0}:${process.pid}`;
+  }
+
+  /**
+   * Register a task with the scheduler
+   * @param {Object} task - Task definition
+   * @param {string} task.name - Unique task name
+   * @param {string} task.schedule - Cron expression
+   * @param {Function} task.handler - Async function returning a result summary
+   * @param {string} task.description - Human readable description
+   * @param {number} task.lockTtlMs - How long the distributed lock is held (default: 10 minutes)
+   */
+  register({ name, schedule, handler, description = '', lockTtlMs = 10 * 60 * 1000 }) {
+    if (this.tasks.has(name)) {
+      throw new Error(`Task ${name} is already registered`);
+    }
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for task ${name}: ${schedule}`);
+    }
+
+    this.tasks.set(name, {
+      name,
+      schedule,
+      handler,
+      description,
+      lockTtlMs,
+      cronTask: null
+    });
+  }
+
+  /**
+   * Start cron timers for all registered tasks
+   */
+  start() {
+    if (this.started) return;
+
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+      console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    this.tasks.forEach(task => {
+      task.cronTask = cron.schedule(task.schedule, () => {
+        this.runTask(task.name).catch(error => {
+          console.error(`Scheduler - Task ${task.name} crashed:`, error.message);
+        });
+      }, {
+        name: task.name,
+        timezone: process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata'
+      });
+    });
+
+    this.started = true;
+    console.log(`⏰ Scheduler started with ${this.tasks.size} tasks on ${this.instanceId}`);
+  }
+
+  /**
+   * Stop all cron timers
+   */
+  stop() {
+    this.tasks.forEach(task => {
+      if (task.cronTask) {
+        task.cronTask.stop();
+        task.cronTask = null;
+      }
+    });
+    this.started = false;
+  }
+
+  /**
+   * Try to take the distributed lock for a task
+   * @param {Object} task - Registered task
+   * @returns {Promise<boolean>} - True if this instance now holds the lock
+   */
+  async acquireLock(task) {
+    const now = new Date();
+
+    try {
+      const lock = await SchedulerLock.findOneAndUpdate(
+        {
+          name: task.name,
+          $or: [
+            { lockedUntil: null },
+            { lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            lockedBy: this.instanceId,
+            lockedAt: now,
+            lockedUntil: new Date(now.getTime() + task.lockTtlMs)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      return !!lock && lock.lockedBy === this.instanceId;
+    } catch (error) {
+      // Upsert collides with the unique index when another instance holds the lock
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release the distributed lock for a task if this instance holds it
+   * @param {Object} task - Registered task
+   */
+  async releaseLock(task) {
+    await SchedulerLock.updateOne(
+      { name: task.name, lockedBy: this.instanceId },
+      { $set: { lockedUntil: null } }
+    );
+  }
+
+  /**
+   * Run a task once, recording the outcome in TaskRun
+   * @param {string} name - Task name
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - 'schedule' or 'manual'
+   * @param {string} options.triggeredBy - User ID for manual runs
+   * @returns {Promise<Object>} - The TaskRun document
+   */
+  async runTask(name, { trigger = 'schedule', triggeredBy } = {}) {
+    const task = this.tasks.get(name);
+    if (!task) {
+      throw new Error(`Task ${name} is not registered`);
+    }
+
+    const acquired = await this.acquireLock(task);
+    if (!acquired) {
+      // Another instance is running it; only record skips for manual triggers
+      if (trigger === 'manual') {
+        return TaskRun.create({
+          task: name,
+          trigger,
+          triggeredBy,
+          instance: this.instanceId,
+          status: 'skipped',
+          finishedAt: new Date(),
+          durationMs: 0,
+          error: 'Task is already running on another instance'
+        });
+      }
+      return null;
+    }
+
+    const run = await TaskRun.create({
+      task: name,
+      trigger,
+      triggeredBy,
+      instance: this.instanceId,
+      status: 'running',
+      startedAt: new Date()
+    });
+
+    try {
+      const result = await task.handler();
+      run.status = 'success';
+      run.result = result;
+    } catch (error) {
+      console.error(`Scheduler - Task ${name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      await run.save();
+      await this.releaseLock(task);
+    }
+
+    console.log(`⏰ Task ${name} finished with status ${run.status} in ${run.durationMs}ms`);
+    return run;
+  }
+
+  /**
+   * List registered tasks with their most recent run
+   * @returns {Promise<Object[]>}
+   */
+  async listTasks() {
+    const names = Array.from(this.tasks.keys());
+
+    const [lastRuns, locks] = await Promise.all([
+      TaskRun.aggregate([
+        { $match: { task: { $in: names } } },
+        { $sort: { startedAt: -1 } },
+        { $group: { _id: '$task', lastRun: { $first: '$$ROOT' } } }
+      ]),
+      SchedulerLock.find({ name: { $in: names } })
+    ]);
+
+    const lastRunMap = new Map(lastRuns.map(item => [item._id, item.lastRun]));
+    const lockMap = new Map(locks.map(lock => [lock.name, lock]));
+    const now = new Date();
+
+    return names.map(name => {
+      const task = this.tasks.get(name);
+      const lock = lockMap.get(name);
+      return {
+        name,
+        description: task.description,
+        schedule: task.schedule,
+        scheduled: !!task.cronTask,
+        isRunning: !!(lock && lock.lockedUntil && lock.lockedUntil > now),
+        lockedBy: lock && lock.lockedUntil && lock.lockedUntil > now ? lock.lockedBy : null,
+        lastRun: lastRunMap.get(name) || null
+      };
+    });
+  }
+
+  /**
+   * Check whether a task is registered
+   * @param {string} name - Task name
+   * @returns {boolean}
+   */
+  hasTask(name) {
+    return this.tasks.has(name);
+  }
+}
+
+// Export singleton instance
+module.exports = new Scheduler();
@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Interview = require('../models/Interview');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const Resume = require('../models/Resume');
+const Scorecard = require('../models/Scorecard');
+const Teacher = require('../models/Teacher');
+
+const MAX_CRITERIA = 15;
+// Candidates returned side by side
+const MAX_COMPARE = 50;
+
+// Criteria used until the school sets up its own scorecard
+const DEFAULT_CRITERIA = [
+  { key: 'subject_knowledge', label: 'Subject knowledge', weight: 1 },
+  { key: 'communication', label: 'Communication', weight: 1 },
+  { key: 'classroom_management', label: 'Classroom management', weight: 1 },
+  { key: 'teaching_approach', label: 'Teaching approach', weight: 1 },
+  { key: 'school_fit', label: 'Fit with the school', weight: 1 }
+];
+
+const RECOMMENDATIONS = ['strong_yes', 'yes', 'no', 'strong_no'];
+
+// Compared by default: the candidates a school is still deciding between
+const COMPARE_STATUSES = ['shortlisted', 'interview-scheduled', 'interviewed'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const average = values => (values.length > 0
+  ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+const toKey = (value) => String(value || '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .slice(0, 40);
+
+const submittedFeedback = interview => interview.panel
+  .filter(member => member.feedback && member.feedback.submittedAt);
+
+class ScorecardService {
+  static getDefaultCriteria() {
+    return DEFAULT_CRITERIA;
+  }
+
+  // Criteria an interview is scored against (interviews from before scorecards use the built-in set)
+  static criteriaFor(interview) {
+    return interview.scorecard && interview.scorecard.length > 0 ? interview.scorecard : DEFAULT_CRITERIA;
+  }
+
+  /**
+   * Validate scorecard criteria; keys are derived from labels when left out
+   * @param {Object[]} criteria - [{ key, label, description, weight }]
+   * @returns {Object[]}
+   */
+  static normalizeCriteria(criteria) {
+    if (!Array.isArray(criteria) || criteria.length === 0) {
+      throw createError('Add at least one scorecard criterion', 400);
+    }
+    if (criteria.length > MAX_CRITERIA) {
+      throw createError(`A scorecard can have at most ${MAX_CRITERIA} criteria`, 400);
+    }
+
+    const keys = new Set();
+    return criteria.map(criterion => {
+      const label = criterion && typeof criterion.label === 'string' ? criterion.label.trim() : '';
+      if (!label) {
+        throw createError('Every criterion needs a label', 400);
+      }
+
+      const key = toKey(criterion.key || label);
+      if (!key) {
+        throw createError(`Criterion "${label}" needs a key made of letters or numbers`, 400);
+      }
+      if (keys.has(key)) {
+        throw createError(`Criterion "${key}" is listed more than once`, 400);
+      }
+      keys.add(key);
+
+      const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > 10) {
+        throw createError(`Weight for ${label} must be a whole number from 1 to 10`, 400);
+      }
+
+      return {
+        key,
+        label,
+        description: typeof criterion.description === 'string' ? criterion.description.trim() : undefined,
+        weight
+      };
+    });
+  }
+
+  /**
+   * Scorecard for a job: its own template, else the school default, else the built-in criteria
+   * @param {string} schoolId - School ID
+   * @param {string} jobId - Job ID (optional)
+   * @returns {Promise<Object>} - { source: job|school|default, name, criteria }
+   */
+  static async getTemplate(schoolId, jobId) {
+    const templates = await Scorecard.find({
+      school: schoolId,
+      job: { $in: jobId ? [jobId, null] : [null] }
+    }).lean();
+
+    const own = jobId && templates.find(template => template.job && template.job.toString() === jobId.toString());
+    const fallback = templates.find(template => !template.job);
+    const template = own || fallback;
+
+    if (!template) {
+      return { source: 'default', name: 'Standard interview', criteria: DEFAULT_CRITERIA };
+    }
+    return {
+      source: own ? 'job' : 'school',
+      name: template.name,
+      criteria: template.criteria
+    };
+  }
+
+  static async listTemplates(school) {
+    return Scorecard.find({ school: school._id })
+      .populate('job', 'title status')
+      .sort({ job: 1, updatedAt: -1 });
+  }
+
+  /**
+   * Create or replace a scorecard template
+   * Interviews nobody has scored yet switch to the new criteria.
+   * @param {Object} school - School document
+   * @param {string|null} jobId - Job ID, or null for the school default
+   * @param {Object} user - Acting user
+   * @param {Object} data - { name, criteria }
+   */
+  static async setTemplate(school, jobId, user, data = {}) {
+    if (jobId) {
+      const job = await Job.exists({ _id: jobId, school: school._id });
+      if (!job) {
+        throw createError('Job not found', 404);
+      }
+    }
+
+    const scorecard = await Scorecard.findOneAndUpdate(
+      { school: school._id, job: jobId || null },
+      {
+        $set: {
+          name: data.name,
+          criteria: ScorecardService.normalizeCriteria(data.criteria),
+          updatedBy: user._id || user.id
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await ScorecardService.refreshInterviews(school._id, jobId);
+    return scorecard;
+  }
+
+  static async removeTemplate(school, jobId) {
+    const result = await Scorecard.deleteOne({ school: school._id, job: jobId || null });
+    if (result.deletedCount === 0) {
+      throw createError('No scorecard set up for this job', 404);
+    }
+
+    await ScorecardService.refreshInterviews(school._id, jobId);
+  }
+
+  // Re-snapshot the criteria of open interviews that no panelist has scored yet
+  static async refreshInterviews(schoolId, jobId) {
+    const filter = {
+      school: schoolId,
+      status: { $nin: ['declined', 'cancelled'] },
+      'panel.feedback.submittedAt': { $exists: false }
+    };
+
+    if (jobId) {
+      filter.job = jobId;
+    } else {
+      // The default only applies to jobs without their own template
+      const own = await Scorecard.distinct('job', { school: schoolId, job: { $ne: null } });
+      filter.job = { $nin: own };
+    }
+
+    const jobIds = jobId ? [jobId] : await Interview.distinct('job', filter);
+    for (const id of jobIds) {
+      const { criteria } = await ScorecardService.getTemplate(schoolId, id);
+      await Interview.updateMany({ ...filter, job: id }, { $set: { scorecard: criteria } });
+    }
+  }
+
+  /**
+   * One evaluator's weighted score on the 1-5 scale
+   * @param {Object} feedback - Panelist feedback
+   * @param {Object[]} criteria - Criteria with weights
+   * @returns {number|null}
+   */
+  static weightedScore(feedback, criteria) {
+    let total = 0;
+    let weights = 0;
+
+    criteria.forEach(({ key, weight = 1 }) => {
+      const rating = feedback.ratings.find(entry => entry.criterion === key);
+      if (rating) {
+        total += rating.score * weight;
+        weights += weight;
+      }
+    });
+
+    return weights > 0 ? round(total / weights, 2) : null;
+  }
+
+  /**
+   * Aggregate panel feedback over one or more interviews (e.g. every round for a candidate)
+   * @param {Object[]} interviews - Interview documents
+   * @returns {Object} - { evaluators, overall, weightedScore, percentage, criteria, recommendations }
+   */
+  static summarize(interviews) {
+    const columns = new Map();
+    const evaluatorScores = [];
+    const overall = [];
+    const recommendations = RECOMMENDATIONS.reduce((counts, value) => ({ ...counts, [value]: 0 }), {});
+
+    interviews.forEach(interview => {
+      const criteria = ScorecardService.criteriaFor(interview);
+      criteria.forEach(({ key, label, weight = 1 }) => {
+        if (!columns.has(key)) columns.set(key, { criterion: key, label, weight, scores: [] });
+      });
+
+      submittedFeedback(interview).forEach(({ feedback }) => {
+        overall.push(feedback.overall);
+        if (feedback.recommendation) recommendations[feedback.recommendation] += 1;
+
+        const score = ScorecardService.weightedScore(feedback, criteria);
+        if (score !== null) evaluatorScores.push(score);
+
+        feedback.ratings.forEach(({ criterion, score: value }) => {
+          if (columns.has(criterion)) columns.get(criterion).scores.push(value);
+        });
+      });
+    });
+
+    const weightedScore = evaluatorScores.length > 0
+      ? round(evaluatorScores.reduce((sum, value) => sum + value, 0) / evaluatorScores.length, 2)
+      : null;
+
+    return {
+      evaluators: overall.length,
+      overall: average(overall),
+      weightedScore,
+      // 1 is 0%, 5 is 100%
+      percentage: weightedScore === null ? null : Math.round(((weightedScore - 1) / 4) * 100),
+      criteria: [...columns.values()].map(({ scores, ...column }) => ({
+        ...column,
+        average: average(scores)
+      })),
+      recommendations
+    };
+  }
+
+  /**
+   * The parts of a teacher's resume worth seeing next to other candidates,
+   * falling back to the teacher profile when there is no resume
+   * @param {Object} resume - Resume document (optional)
+   * @param {Object} teacher - Teacher document (optional)
+   * @returns {Object}
+   */
+  static resumeHighlights(resume, teacher) {
+    const profile = (teacher && teacher.professionalInfo) || {};
+    const professional = (resume && resume.professionalInfo) || {};
+    const now = new Date();
+
+    if (!resume) {
+      const qualification = [...(profile.qualification || [])].sort((a, b) => (b.year || 0) - (a.year || 0))[0];
+      return {
+        hasResume: false,
+        headline: teacher ? teacher.personalInfo.headline : undefined,
+        yearsOfExperience: profile.totalExperience || 0,
+        currentRole: null,
+        education: qualification
+          ? { degree: qualification.degree, university: qualification.institution, yearOfPassing: qualification.year }
+          : null,
+        subjects: (profile.specialization || []).slice(0, 10),
+        skills: (profile.skills || []).slice(0, 10),
+        languages: [],
+        certifications: (profile.certifications || [])
+          .filter(certification => !certification.expiryDate || certification.expiryDate > now)
+          .map(certification => certification.name),
+        achievements: (profile.achievements || []).slice(0, 3).map(achievement => achievement.title)
+      };
+    }
+
+    const latestRole = [...resume.experience]
+      .sort((a, b) => (b.current - a.current) || (new Date(b.from) - new Date(a.from)))[0];
+    const latestEducation = [...resume.education]
+      .sort((a, b) => (b.yearOfPassing || 0) - (a.yearOfPassing || 0))[0];
+
+    return {
+      hasResume: true,
+      headline: professional.headline || (teacher && teacher.personalInfo.headline),
+      yearsOfExperience: resume.totalExperience,
+      currentRole: latestRole
+        ? { role: latestRole.role, schoolName: latestRole.schoolName, current: latestRole.current }
+        : null,
+      education: latestEducation
+        ? { degree: latestEducation.degree, university: latestEducation.university, yearOfPassing: latestEducation.yearOfPassing }
+        : null,
+      subjects: (professional.subjects || []).slice(0, 10),
+      skills: (professional.skills || []).slice(0, 10),
+      languages: professional.languages || [],
+      certifications: resume.certifications
+        .filter(certification => !certification.expiryDate || certification.expiryDate > now)
+        .map(certification => certification.title),
+      achievements: (professional.achievements || []).slice(0, 3)
+    };
+  }
+
+  /**
+   * Side-by-side view of a job's candidates with resume highlights and interview scores,
+   * best weighted score first
+   * @param {Object} school - School document
+   * @param {string} jobId - Job ID
+   * @param {Object} options
+   * @param {string[]} options.statuses - Application statuses to include
+   * @param {string[]} options.applicationIds - Compare only these applications
+   * @returns {Promise<Object>} - { job, scorecard, candidates }
+   */
+  static async compare(school, jobId, { statuses, applicationIds } = {}) {
+    const job = await Job.findOne({ _id: jobId, school: school._id }).select('title status');
+    if (!job) {
+      throw createError('Job not found', 404);
+    }
+
+    const wanted = statuses && statuses.length > 0 ? statuses : COMPARE_STATUSES;
+    const invalid = wanted.find(status => !JobApplication.schema.path('status').enumValues.includes(status));
+    if (invalid) {
+      throw createError(`Unknown application status: ${invalid}`, 400);
+    }
+
+    const filter = { job: job._id, school: school._id, status: { $in: wanted } };
+    if (applicationIds && applicationIds.length > 0) {
+      if (!applicationIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw createError('Invalid application ID', 400);
+      }
+      filter._id = { $in: applicationIds };
+    }
+
+    const applications = await JobApplication.find(filter)
+      .select('applicant status appliedAt resume interview.status interview.scheduledDate')
+      .sort({ appliedAt: 1 })
+      .limit(MAX_COMPARE);
+
+    const applicantIds = applications.map(application => application.applicant);
+    const [teachers, interviews, template] = await Promise.all([
+      Teacher.find({ user: { $in: applicantIds } }).select('user personalInfo professionalInfo'),
+      Interview.find({ application: { $in: applications.map(application => application._id) } })
+        .select('application status scheduledAt panel scorecard')
+        .sort({ createdAt: 1 }),
+      ScorecardService.getTemplate(school._id, job._id)
+    ]);
+    const resumes = await Resume.find({ teacher: { $in: teachers.map(teacher => teacher._id) } });
+
+    const teacherByUser = new Map(teachers.map(teacher => [teacher.user.toString(), teacher]));
+    const resumeByTeacher = new Map(resumes.map(resume => [resume.teacher.toString(), resume]));
+
+    const candidates = applications.map(application => {
+      const teacher = teacherByUser.get(application.applicant.toString());
+      const resume = teacher ? resumeByTeacher.get(teacher._id.toString()) : null;
+      const rounds = interviews.filter(interview => interview.application.toString() === application._id.toString());
+      const scored = rounds.filter(interview => submittedFeedback(interview).length > 0);
+      const latest = rounds[rounds.length - 1];
+
+      return {
+        applicationId: application._id,
+        status: application.status,
+        appliedAt: application.appliedAt,
+        candidate: {
+          userId: application.applicant,
+          name: teacher ? teacher.fullName : (resume && resume.personalInfo.name) || 'Candidate',
+          profileImage: teacher ? teacher.profileImage : undefined,
+          resumeFile: (resume && resume.files && resume.files.resumeFile) || (application.resume && application.resume.url)
+        },
+        highlights: ScorecardService.resumeHighlights(resume, teacher),
+        interview: latest
+          ? { rounds: rounds.length, status: latest.status, scheduledAt: latest.scheduledAt }
+          : null,
+        scores: ScorecardService.summarize(scored)
+      };
+    });
+
+    candidates.sort((a, b) => {
+      if (a.scores.weightedScore === b.scores.weightedScore) return 0;
+      if (a.scores.weightedScore === null) return 1;
+      if (b.scores.weightedScore === null) return -1;
+      return b.scores.weightedScore - a.scores.weightedScore;
+    });
+
+    return {
+      job: { _id: job._id, title: job.title, status: job.status },
+      scorecard: template,
+      candidates
+    };
+  }
+}
+
+module.exports = ScorecardService;
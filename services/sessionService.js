@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../utils/generateToken');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const MOBILE_AGENT = /Capacitor|Ionic|com\.teachershubb\.app/i;
+
+class SessionService {
+  /**
+   * Device details for a request
+   */
+  static describeClient(req) {
+    const userAgent = req.headers['user-agent'] || '';
+    return {
+      userAgent: userAgent.slice(0, 500),
+      ip: req.ip || req.headers['x-forwarded-for']?.split(',')[0]?.trim(),
+      deviceName: (req.body?.deviceName || req.headers['x-device-name'] || '').toString().slice(0, 100) || undefined,
+      platform: MOBILE_AGENT.test(userAgent) || req.body?.platform === 'mobile' ? 'mobile' : 'web'
+    };
+  }
+
+  /**
+   * Sign an access token and a fresh refresh token for a session
+   * @returns {Object} - { token, refreshToken, refreshTokenId, refreshExpiresAt }
+   */
+  static signTokens(userId, sessionId) {
+    const refreshTokenId = crypto.randomUUID();
+    const refreshToken = generateRefreshToken({ id: userId, sid: sessionId, jti: refreshTokenId });
+    const { exp } = jwt.decode(refreshToken);
+
+    return {
+      token: generateToken({ id: userId, sid: sessionId }),
+      refreshToken,
+      refreshTokenId,
+      refreshExpiresAt: new Date(exp * 1000)
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for device details)
+   * @returns {Promise<Object>} - { token, refreshToken, session }
+   */
+  static async createSession(user, req) {
+    const sessionId = new Session()._id;
+    const tokens = SessionService.signTokens(user._id, sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      user: user._id,
+      refreshTokenId: tokens.refreshTokenId,
+      expiresAt: tokens.refreshExpiresAt,
+      ...SessionService.describeClient(req)
+    });
+
+    return { token: tokens.token, refreshToken: tokens.refreshToken, session };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Reusing a rotated refresh token means it leaked, so the session is revoked.
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { token, refreshToken, session, user }
+   */
+  static async refresh(refreshToken, req) {
+    if (!refreshToken) {
+      throw createError('Refresh token is required', 400);
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw createError('Invalid or expired refresh token', 401);
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.user.toString() !== decoded.id || session.revokedAt) {
+      throw createError('Session has been revoked', 401);
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.isActive) {
+      throw createError('Account is deactivated', 401);
+    }
+
+    const tokens = SessionService.signTokens(user._id, session._id);
+    const client = SessionService.describeClient(req);
+
+    // Only the current refresh token can rotate; a stale one loses the race
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenId: decoded.jti, revokedAt: null },
+      {
+        $set: {
+          refreshTokenId: tokens.refreshTokenId,
+          expiresAt: tokens.refreshExpiresAt,
+          lastUsedAt: new Date(),
+          ip: client.ip,
+          userAgent: client.userAgent
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      console.warn(`⚠️ Refresh token reuse detected for session ${session._id}, revoking`);
+      await SessionService.revoke(session.user, session._id, 'reuse_detected');
+      throw createError('Refresh token has already been used. Please sign in again.', 401);
+    }
+
+    return { token: tokens.token, refreshToken: tokens.refreshToken, session: rotated, user };
+  }
+
+  /**
+   * Whether a verified access token may still be used
+   * @param {Object} decoded - Verified JWT payload
+   * @param {Object} user - User the token belongs to
+   * @returns {Promise<boolean>}
+   */
+  static async isTokenActive(decoded, user) {
+    // Only access tokens, which carry no type; refresh and link tokens are never accepted
+    if (decoded.type && decoded.type !== 'access') return false;
+
+    // "Log out everywhere" also covers tokens issued before sessions existed
+    if (user.sessionsRevokedAt && decoded.iat < Math.floor(user.sessionsRevokedAt.getTime() / 1000)) {
+      return false;
+    }
+
+    if (!decoded.sid) return true;
+    return Boolean(await Session.exists({ _id: decoded.sid, user: user._id, revokedAt: null }));
+  }
+
+  /**
+   * New tokens for the caller's session after revokeAll, so they stay signed in
+   * A caller whose token predates sessions gets a new session.
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session of the caller's token, if any
+   * @param {Object} req - Express request (for device details)
+   * @returns {Promise<Object>} - { token, refreshToken, session }
+   */
+  static async reissue(user, sessionId, req) {
+    if (sessionId) {
+      const tokens = SessionService.signTokens(user._id, sessionId);
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, user: user._id, revokedAt: null },
+        {
+          $set: {
+            refreshTokenId: tokens.refreshTokenId,
+            expiresAt: tokens.refreshExpiresAt,
+            lastUsedAt: new Date()
+          },
+          $inc: { rotationCount: 1 }
+        },
+        { new: true }
+      );
+      if (session) {
+        return { token: tokens.token, refreshToken: tokens.refreshToken, session };
+      }
+    }
+
+    return SessionService.createSession(user, req);
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  static async listSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-refreshTokenId')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session and disconnect its sockets
+   * @returns {Promise<Object|null>} - Revoked session, or null if not found / already revoked
+   */
+  static async revoke(userId, sessionId, reason = 'revoked') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (session && global.io) {
+      global.io.in(`session:${session._id}`).disconnectSockets(true);
+    }
+    return session;
+  }
+
+  /**
+   * Revoke all sessions of a user, optionally keeping the current one
+   * Every access token issued so far stops working, the kept session's included;
+   * give its caller new ones with reissue().
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  static async revokeAll(userId, { exceptSessionId, reason = 'logout_all' } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(query).select('_id');
+    if (sessions.length > 0) {
+      await Session.updateMany(
+        { _id: { $in: sessions.map(session => session._id) } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    }
+
+    // Tokens without a session (issued before sessions existed) are cut off by time
+    await User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: new Date() } });
+
+    if (global.io) {
+      sessions.forEach(session => global.io.in(`session:${session._id}`).disconnectSockets(true));
+    }
+    return sessions.length;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,503 @@
+const Subscription = require('../models/Subscription');
+const TeacherSubscription = require('../models/TeacherSubscription');
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const School = require('../models/School');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationService = require('./notificationService');
+const { emitNotification } = require('../utils/notificationHelper');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which renewal reminders go out
+const REMINDER_DAYS = [7, 3, 1];
+
+// Statuses that can still grant access (depending on dates)
+const CURRENT_STATUSES = ['active', 'grace'];
+
+let notificationService = null;
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+class SubscriptionService {
+  /**
+   * Grace period after expiry during which access continues (SUBSCRIPTION_GRACE_DAYS, default 3)
+   */
+  static getGraceDays() {
+    const days = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '3', 10);
+    return isNaN(days) || days < 0 ? 0 : days;
+  }
+
+  /**
+   * Subscription model and owner field for a role
+   */
+  static getModel(role) {
+    if (role === 'school') return { Model: Subscription, field: 'school' };
+    if (role === 'teacher') return { Model: TeacherSubscription, field: 'teacher' };
+    return null;
+  }
+
+  /**
+   * Latest subscription that has not been replaced by a plan change
+   */
+  static async getCurrentSubscription(userId, role) {
+    const model = SubscriptionService.getModel(role);
+    if (!model) return null;
+    return model.Model.findOne({ [model.field]: userId, status: { $ne: 'replaced' } })
+      .sort({ expiryDate: -1 });
+  }
+
+  /**
+   * Work out what a subscription grants right now
+   * Dates are authoritative, so this is correct even before the scheduler catches up.
+   */
+  static describe(subscription, now = new Date()) {
+    const expiresAt = subscription.expiryDate ? new Date(subscription.expiryDate) : null;
+    const graceEndsAt = subscription.cancelAtPeriodEnd || !expiresAt
+      ? null
+      : subscription.graceEndsAt || new Date(expiresAt.getTime() + SubscriptionService.getGraceDays() * DAY);
+
+    let status;
+    if (!CURRENT_STATUSES.includes(subscription.status)) {
+      status = subscription.status;
+    } else if (expiresAt && now < expiresAt) {
+      status = 'active';
+    } else if (subscription.cancelAtPeriodEnd) {
+      status = 'cancelled';
+    } else if (graceEndsAt && now < graceEndsAt) {
+      status = 'grace';
+    } else {
+      status = 'expired';
+    }
+
+    const hasActivePlan = status === 'active' || status === 'grace';
+
+    return {
+      hasActivePlan,
+      status,
+      inGrace: status === 'grace',
+      subscriptionId: subscription._id,
+      planId: subscription.plan || null,
+      plan: subscription.planName,
+      startDate: subscription.startDate,
+      expiresAt,
+      graceEndsAt,
+      cancelAtPeriodEnd: !!subscription.cancelAtPeriodEnd,
+      daysRemaining: hasActivePlan && expiresAt
+        ? Math.max(0, Math.ceil((expiresAt - now) / DAY))
+        : 0
+    };
+  }
+
+  /**
+   * Single source of truth for whether a user currently has a paid plan
+   * Falls back to User.plan for accounts whose plan predates subscription records.
+   * @param {Object} user - User document (needs _id, role and plan)
+   * @returns {Promise<Object>} - Entitlement summary
+   */
+  static async getEntitlement(user) {
+    const now = new Date();
+    const subscription = await SubscriptionService.getCurrentSubscription(user._id, user.role);
+
+    if (subscription) {
+      return SubscriptionService.describe(subscription, now);
+    }
+
+    if (user.plan && user.plan.isPremium && user.plan.expiresAt) {
+      return SubscriptionService.describe({
+        status: 'active',
+        planName: user.plan.title,
+        plan: user.plan.planId,
+        startDate: user.plan.activatedAt,
+        expiryDate: user.plan.expiresAt
+      }, now);
+    }
+
+    return {
+      hasActivePlan: false,
+      status: 'none',
+      inGrace: false,
+      subscriptionId: null,
+      planId: null,
+      plan: null,
+      expiresAt: null,
+      graceEndsAt: null,
+      cancelAtPeriodEnd: false,
+      daysRemaining: 0
+    };
+  }
+
+  /**
+   * Price a purchase of a plan given the user's current subscription
+   * - same plan while current: renewal, full price, extends the current period
+   * - different plan while active: change, unused time of the current plan is credited
+   * - otherwise: new purchase at full price
+   * @param {Object} user - User document
+   * @param {Object} plan - Plan document being bought
+   * @returns {Promise<Object>} - { kind, amount, credit, bonusDays, fromSubscription, fromPlanTitle }
+   */
+  static async quote(user, plan) {
+    const price = Math.round(plan.price * 100);
+    const quote = {
+      kind: 'new',
+      amount: price,
+      credit: 0,
+      bonusDays: 0,
+      fromSubscription: null,
+      fromPlanTitle: null
+    };
+
+    const current = await SubscriptionService.getCurrentSubscription(user._id, user.role);
+    if (!current) return quote;
+
+    const now = new Date();
+    const state = SubscriptionService.describe(current, now);
+    if (!state.hasActivePlan) return quote;
+
+    quote.fromSubscription = current._id;
+    quote.fromPlanTitle = current.planName;
+
+    const samePlan = current.plan
+      ? current.plan.toString() === plan._id.toString()
+      : current.planName === plan.title;
+
+    if (samePlan) {
+      quote.kind = 'renewal';
+      return quote;
+    }
+
+    // Switching plans during grace carries no credit; the old period is already used up
+    quote.kind = 'change';
+    if (state.status !== 'active') return quote;
+
+    if (price === 0) {
+      throw createError(
+        `Cancel your current plan to move to ${plan.title}; it stays active until ${state.expiresAt.toDateString()}`,
+        400
+      );
+    }
+
+    // Unused time is valued at the price the current plan was bought at
+    let pricing = null;
+    if (current.payment) {
+      const payment = await Payment.findById(current.payment).select('planSnapshot');
+      if (payment) pricing = payment.planSnapshot;
+    }
+    if (!pricing && current.plan) {
+      pricing = await Plan.findById(current.plan).select('price durationMonths');
+    }
+
+    let credit = 0;
+    if (pricing && pricing.price > 0) {
+      const periodMs = addMonths(current.startDate || now, pricing.durationMonths || 12) - new Date(current.startDate || now);
+      const remainingMs = Math.max(0, new Date(current.expiryDate) - now);
+      credit = Math.round(Math.round(pricing.price * 100) * (remainingMs / periodMs));
+    }
+
+    quote.credit = credit;
+    if (credit >= price) {
+      // Downgrade: leftover credit becomes extra days at the new plan's daily rate
+      const planDays = (addMonths(now, plan.durationMonths || 12) - now) / DAY;
+      quote.amount = 0;
+      quote.bonusDays = Math.floor(((credit - price) / price) * planDays);
+    } else {
+      quote.amount = price - credit;
+    }
+
+    return quote;
+  }
+
+  /**
+   * Apply a captured payment to the buyer's subscription
+   * Called once per payment by PaymentService.activatePayment.
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} - Subscription document
+   */
+  static async applyPayment(payment) {
+    const { Model, field } = SubscriptionService.getModel(payment.userType);
+    const months = payment.planSnapshot.durationMonths;
+    const now = new Date();
+    const from = payment.proration && payment.proration.fromSubscription
+      ? await Model.findById(payment.proration.fromSubscription)
+      : null;
+
+    let subscription;
+    if (payment.kind === 'renewal' && from && CURRENT_STATUSES.includes(from.status)) {
+      // Renewal continues from the old expiry so grace days are not free
+      from.expiryDate = addMonths(from.expiryDate, months);
+      from.status = 'active';
+      from.graceEndsAt = undefined;
+      from.cancelAtPeriodEnd = false;
+      from.cancelledAt = undefined;
+      from.cancelReason = undefined;
+      from.remindersSent = [];
+      from.payment = payment._id;
+      from.payments.push(payment._id);
+      subscription = await from.save();
+    } else {
+      const expiryDate = addMonths(now, months);
+      if (payment.proration && payment.proration.bonusDays) {
+        expiryDate.setTime(expiryDate.getTime() + payment.proration.bonusDays * DAY);
+      }
+
+      subscription = await Model.create({
+        [field]: payment.user,
+        plan: payment.plan,
+        planName: payment.planSnapshot.title,
+        status: 'active',
+        startDate: now,
+        expiryDate,
+        payment: payment._id,
+        payments: [payment._id]
+      });
+
+      if (payment.kind === 'change' && from && CURRENT_STATUSES.includes(from.status)) {
+        from.status = 'replaced';
+        from.replacedBy = subscription._id;
+        from.cancelledAt = now;
+        from.cancelReason = `Changed to ${payment.planSnapshot.title}`;
+        await from.save();
+      }
+    }
+
+    await SubscriptionService.syncUserPlan(payment.user, payment.userType, subscription, {
+      // Auto-verify schools on any plan and teachers when they pay
+      verify: payment.userType === 'school' || payment.provider !== 'free'
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Mirror a subscription onto User.plan (and School.plan for schools)
+   */
+  static async syncUserPlan(userId, role, subscription, { verify = false } = {}) {
+    await User.findByIdAndUpdate(userId, {
+      'plan.isPremium': true,
+      'plan.planId': subscription.plan,
+      'plan.title': subscription.planName,
+      'plan.activatedAt': subscription.startDate,
+      'plan.expiresAt': subscription.expiryDate,
+      ...(verify && { isVerified: true })
+    });
+
+    if (role === 'school') {
+      await School.findOneAndUpdate({ user: userId }, {
+        plan: {
+          planId: subscription.plan,
+          title: subscription.planName,
+          activatedAt: subscription.startDate,
+          expiresAt: subscription.expiryDate,
+          isPremium: true
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancel the current subscription at the end of its period
+   */
+  static async cancel(user, reason) {
+    const subscription = await SubscriptionService.getCurrentSubscription(user._id, user.role);
+    if (!subscription || !SubscriptionService.describe(subscription).hasActivePlan) {
+      throw createError('No active subscription to cancel', 404);
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      throw createError('Subscription is already cancelled', 400);
+    }
+
+    subscription.cancelAtPeriodEnd = true;
+    subscription.cancelledAt = new Date();
+    subscription.cancelReason = reason;
+    await subscription.save();
+
+    return subscription;
+  }
+
+  /**
+   * Undo a pending cancellation before the period ends
+   */
+  static async resume(user) {
+    const subscription = await SubscriptionService.getCurrentSubscription(user._id, user.role);
+    if (!subscription || !subscription.cancelAtPeriodEnd || subscription.status !== 'active') {
+      throw createError('No pending cancellation to undo', 404);
+    }
+    if (new Date(subscription.expiryDate) <= new Date()) {
+      throw createError('Subscription has already ended; purchase a plan to continue', 400);
+    }
+
+    subscription.cancelAtPeriodEnd = false;
+    subscription.cancelledAt = undefined;
+    subscription.cancelReason = undefined;
+    await subscription.save();
+
+    return subscription;
+  }
+
+  /**
+   * Move subscriptions through active -> grace -> expired / cancelled and
+   * drop premium flags for users left without a current plan
+   * @returns {Promise<Object>} - Counts per transition
+   */
+  static async processLifecycle() {
+    const now = new Date();
+    const graceMs = SubscriptionService.getGraceDays() * DAY;
+    const result = { cancelled: 0, grace: 0, expired: 0, users: 0, schools: 0 };
+
+    for (const Model of [Subscription, TeacherSubscription]) {
+      const cancelled = await Model.updateMany(
+        { status: 'active', cancelAtPeriodEnd: true, expiryDate: { $lte: now } },
+        { $set: { status: 'cancelled' } }
+      );
+      result.cancelled += cancelled.modifiedCount;
+
+      if (graceMs > 0) {
+        const grace = await Model.updateMany(
+          { status: 'active', expiryDate: { $lte: now } },
+          [{ $set: { status: 'grace', graceEndsAt: { $add: ['$expiryDate', graceMs] } } }]
+        );
+        result.grace += grace.modifiedCount;
+      }
+
+      const expired = await Model.updateMany(
+        {
+          $or: [
+            { status: 'grace', graceEndsAt: { $lte: now } },
+            { status: 'active', expiryDate: { $lte: new Date(now.getTime() - graceMs) } }
+          ]
+        },
+        { $set: { status: 'expired' } }
+      );
+      result.expired += expired.modifiedCount;
+    }
+
+    // Users still flagged premium past their expiry keep it only while entitled (grace)
+    const users = await User.find({
+      'plan.isPremium': true,
+      'plan.expiresAt': { $lte: now }
+    }).select('role plan');
+
+    for (const user of users) {
+      const entitlement = await SubscriptionService.getEntitlement(user);
+      if (entitlement.hasActivePlan) continue;
+
+      await User.updateOne({ _id: user._id }, { $set: { 'plan.isPremium': false } });
+      result.users++;
+
+      if (user.role === 'school') {
+        const school = await School.updateOne(
+          { user: user._id, 'plan.isPremium': true },
+          { $set: { 'plan.isPremium': false } }
+        );
+        result.schools += school.modifiedCount;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Send renewal reminders 7, 3 and 1 days before expiry by email and push
+   * @returns {Promise<Object>} - { candidates, sent, failed }
+   */
+  static async sendRenewalReminders() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY);
+    let candidates = 0;
+    let sent = 0;
+    let failed = 0;
+
+    for (const [Model, field, role] of [[Subscription, 'school', 'school'], [TeacherSubscription, 'teacher', 'teacher']]) {
+      const subscriptions = await Model.find({
+        status: 'active',
+        cancelAtPeriodEnd: { $ne: true },
+        expiryDate: { $gt: now, $lte: horizon }
+      });
+
+      for (const subscription of subscriptions) {
+        const daysLeft = Math.ceil((subscription.expiryDate - now) / DAY);
+        // Smallest threshold that has been reached; skipped larger ones are marked too
+        const threshold = [...REMINDER_DAYS].sort((a, b) => a - b).find(days => daysLeft <= days);
+        if (!threshold || subscription.remindersSent.includes(threshold)) continue;
+
+        candidates++;
+        const userId = subscription[field];
+        try {
+          await SubscriptionService.notifyRenewal(userId, role, subscription, daysLeft);
+          sent++;
+        } catch (error) {
+          failed++;
+        }
+
+        // Mark regardless of outcome so a broken mailbox is not retried every run
+        await Model.updateOne(
+          { _id: subscription._id },
+          { $addToSet: { remindersSent: { $each: REMINDER_DAYS.filter(days => days >= threshold) } } }
+        );
+      }
+    }
+
+    return { candidates, sent, failed };
+  }
+
+  /**
+   * Email and push a renewal reminder
+   */
+  static async notifyRenewal(userId, role, subscription, daysLeft) {
+    const dayText = daysLeft === 1 ? '1 day' : `${daysLeft} days`;
+    const title = 'Your plan is about to expire';
+    const message = `Your ${subscription.planName} plan expires in ${dayText}. Renew now to keep uninterrupted access.`;
+
+    const notification = await Notification.create({
+      user: userId,
+      type: 'subscription',
+      title,
+      message,
+      data: {
+        subscriptionId: subscription._id,
+        planName: subscription.planName,
+        expiresAt: subscription.expiryDate,
+        daysLeft
+      }
+    });
+
+    if (global.io) {
+      await emitNotification(global.io, userId.toString(), {
+        _id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        isRead: notification.isRead,
+        createdAt: notification.createdAt,
+        user: userId.toString()
+      }, { sendPush: true });
+    }
+
+    await getNotificationService().notifySubscriptionRenewal(userId, {
+      role,
+      planName: subscription.planName,
+      expiresAt: subscription.expiryDate,
+      daysLeft
+    });
+  }
+}
+
+module.exports = SubscriptionService;
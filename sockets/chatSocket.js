@@ -1,8 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
 const Message = require('../models/Message');
-const JobApplication = require('../models/JobApplication');
 const Job = require('../models/Job');
+const emailVerification = require('../config/emailVerification');
+const MessageService = require('../services/messageService');
+const ConversationService = require('../services/conversationService');
 
 const setupChatSocket = (io) => {
   // Authentication middleware for socket connections
@@ -20,8 +23,15 @@ const setupChatSocket = (io) => {
         return next(new Error('Authentication error'));
       }
 
+      if (!(await SessionService.isTokenActive(decoded, user))) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
+
       socket.userId = user._id.toString();
       socket.userRole = user.role;
+      socket.sessionId = decoded.sid;
+      // Lets SessionService disconnect this socket when the session is revoked
+      if (decoded.sid) socket.join(`session:${decoded.sid}`);
       
       // Detect platform (mobile app vs website)
       const { isMobileApp } = require('../utils/notificationHelper');
@@ -39,148 +49,209 @@ const setupChatSocket = (io) => {
     // Join user to their personal room
     socket.join(`user_${socket.userId}`);
 
+    // Anything sent while the user was offline has now reached them
+    MessageService.markDelivered(socket.userId)
+      .then(receipts => MessageService.emitReceipts(io, 'messages_delivered', receipts, socket.userId))
+      .catch(error => console.error('Mark delivered error:', error.message));
+
     // Join application-specific rooms
     socket.on('join_application', async (applicationId) => {
       try {
-        const application = await JobApplication.findById(applicationId)
-          .populate('job', 'school')
-          .populate('applicant', 'email role');
+        const { conversation } = await ConversationService.resolve(applicationId, socket.userId);
 
-        if (!application) {
-          socket.emit('error', { message: 'Application not found' });
-          return;
-        }
+        ConversationService.roomsFor(conversation).forEach(room => socket.join(room));
+        socket.emit('joined_application', { applicationId, conversationId: conversation._id });
 
-        // Check if user is part of this application
-        const isTeacher = application.applicant.toString() === socket.userId;
-        const isSchool = application.job.school.user.toString() === socket.userId;
+        // Send recent messages
+        const { messages, hasMore, nextCursor } = await MessageService.getHistory(
+          ConversationService.messageFilter(conversation),
+          socket.userId
+        );
 
-        if (!isTeacher && !isSchool) {
-          socket.emit('error', { message: 'Not authorized to join this conversation' });
-          return;
-        }
+        socket.emit('recent_messages', messages.map(MessageService.serialize));
+        socket.emit('recent_messages_page', { applicationId, conversationId: conversation._id, hasMore, nextCursor });
+      } catch (error) {
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to join application' });
+      }
+    });
 
-        socket.join(`application_${applicationId}`);
-        socket.emit('joined_application', { applicationId });
+    // Join a conversation room (conversation ID, or application ID for application chats)
+    socket.on('join_conversation', async (conversationId) => {
+      try {
+        const { conversation } = await ConversationService.resolve(conversationId, socket.userId);
 
-        // Send recent messages
-        const messages = await Message.find({
-          application: applicationId,
-          isDeleted: false
-        })
-          .populate('sender', 'email role')
-          .sort({ createdAt: -1 })
-          .limit(50);
-
-        socket.emit('recent_messages', messages.reverse());
+        ConversationService.roomsFor(conversation).forEach(room => socket.join(room));
+        socket.emit('joined_conversation', {
+          conversationId: conversation._id,
+          type: conversation.type,
+          applicationId: conversation.application
+        });
+
+        const { messages, hasMore, nextCursor } = await MessageService.getHistory(
+          ConversationService.messageFilter(conversation),
+          socket.userId
+        );
+
+        socket.emit('recent_messages', messages.map(MessageService.serialize));
+        socket.emit('recent_messages_page', { conversationId: conversation._id, hasMore, nextCursor });
       } catch (error) {
-        socket.emit('error', { message: 'Failed to join application' });
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to join conversation' });
       }
     });
 
+    socket.on('leave_conversation', (conversationId) => {
+      socket.leave(`conversation_${conversationId}`);
+    });
+
     // Handle sending messages
     socket.on('send_message', async (data) => {
       try {
-        const { applicationId, message, messageType = 'text', attachments } = data;
+        const { conversationId, applicationId, message, messageType = 'text', attachments } = data;
 
-        const application = await JobApplication.findById(applicationId)
-          .populate('job', 'school')
-          .populate('applicant', 'email role');
-
-        if (!application) {
-          socket.emit('error', { message: 'Application not found' });
-          return;
+        // Files only reach chat through the attachment upload, which applies the file policy
+        if ((Array.isArray(attachments) && attachments.length > 0) || ['file', 'image'].includes(messageType)) {
+          return socket.emit('error', { message: 'Send files with POST /api/chat/conversations/:conversationId/attachments' });
         }
 
-        // Check if user is part of this application
-        const isTeacher = application.applicant.toString() === socket.userId;
-        const isSchool = application.job.school.user.toString() === socket.userId;
-
-        if (!isTeacher && !isSchool) {
-          socket.emit('error', { message: 'Not authorized to send message' });
-          return;
+        // Same rule as the REST chat routes; read fresh so verifying mid-session takes effect
+        if (emailVerification.isRequired(socket.userRole, 'send_message')) {
+          const sender = await User.findById(socket.userId).select('emailVerified');
+          if (sender && sender.emailVerified === false) {
+            return socket.emit('error', {
+              message: 'Please verify your email address to continue',
+              requiresEmailVerification: true
+            });
+          }
         }
 
-        const receiverId = isTeacher ? application.job.school.user : application.applicant;
+        const { conversation, application } = await ConversationService.resolve(
+          conversationId || applicationId,
+          socket.userId
+        );
 
         // Create message in database
-        const newMessage = await Message.create({
-          sender: socket.userId,
-          receiver: receiverId,
-          application: applicationId,
+        const newMessage = await ConversationService.send(conversation, socket.userId, {
           message,
-          messageType,
-          attachments
+          messageType
         });
 
         // Populate sender info
         await newMessage.populate('sender', 'email role');
 
-        // Add to application communication
-        application.communication.push({
-          sender: socket.userId,
-          message,
-          timestamp: new Date(),
-          isRead: false
+        // Emit message to everyone following the conversation
+        let room = io;
+        ConversationService.roomsFor(conversation).forEach(name => {
+          room = room.to(name);
         });
+        room.emit('new_message', MessageService.serialize(newMessage));
 
-        await application.save();
-
-        // Emit message to all users in the application room
-        io.to(`application_${applicationId}`).emit('new_message', newMessage);
-
-        // Get updated message count for this application
-        const messageCount = await Message.countDocuments({
-          application: applicationId,
-          isDeleted: false
-        });
+        if (application) {
+          // Get updated message count for this application
+          const messageCount = await Message.countDocuments({
+            application: application._id,
+            isDeleted: false
+          });
 
-        // Emit application update event with message count (for real-time ATS updates)
-        const School = require('../models/School');
-        const schoolProfile = await School.findOne({ user: application.job.school.user });
-        if (schoolProfile) {
-          io.to(`school_applications:${schoolProfile._id}`).emit('application_updated', {
-            applicationId,
+          // Emit application update event with message count (for real-time ATS updates)
+          io.to(`school_applications:${application.school._id}`).emit('application_updated', {
+            applicationId: application._id,
             messageCount,
             lastMessageAt: newMessage.createdAt
           });
-          console.log(`Emitted message count update to school room: school_applications:${schoolProfile._id}`, {
-            applicationId,
+          console.log(`Emitted message count update to school room: school_applications:${application.school._id}`, {
+            applicationId: application._id,
             messageCount
           });
         }
 
-        // Send notification to receiver if they're not in the room
-        const receiverSocket = await findUserSocket(receiverId);
-        if (receiverSocket) {
-          receiverSocket.emit('message_notification', {
-            applicationId,
+        // Notify recipients who aren't following the conversation room
+        MessageService.recipientsOf(newMessage).forEach(receiverId => {
+          io.to(`user:${receiverId}`).emit('message_notification', {
+            applicationId: application ? application._id : undefined,
+            conversationId: conversation._id,
             sender: socket.userId,
             message: message.substring(0, 100),
             timestamp: newMessage.createdAt
           });
-        }
+        });
+
+        socket.emit('message_sent', { messageId: newMessage._id, conversationId: conversation._id });
 
-        socket.emit('message_sent', { messageId: newMessage._id });
+        await MessageService.deliverIfOnline(io, newMessage);
       } catch (error) {
         console.error('Send message error:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to send message' });
+      }
+    });
+
+    // Receiver's client acknowledges messages it displayed or stored
+    socket.on('message_received', async (data) => {
+      try {
+        const { messageIds } = data || {};
+        if (!Array.isArray(messageIds) || messageIds.length === 0) return;
+
+        const receipts = await MessageService.markDelivered(socket.userId, { messageIds });
+        MessageService.emitReceipts(io, 'messages_delivered', receipts, socket.userId);
+      } catch (error) {
+        console.error('Message received error:', error);
+      }
+    });
+
+    // Edit a text message within the edit window
+    socket.on('edit_message', async (data) => {
+      try {
+        const { messageId, message } = data || {};
+        const edited = await MessageService.edit(messageId, socket.userId, message);
+
+        MessageService.emitToThread(io, 'message_edited', edited, { message: MessageService.serialize(edited) });
+      } catch (error) {
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to edit message' });
+      }
+    });
+
+    // Delete for me, or (sender only) for everyone
+    socket.on('delete_message', async (data) => {
+      try {
+        const { messageId, scope = 'everyone' } = data || {};
+        const { message } = await MessageService.remove(messageId, socket.userId, scope);
+        const payload = {
+          messageId: message._id.toString(),
+          scope
+        };
+
+        if (scope === 'everyone') {
+          MessageService.emitToThread(io, 'message_deleted', message, payload);
+        } else {
+          io.to(`user:${socket.userId}`).emit('message_deleted', {
+            applicationId: message.application ? message.application.toString() : undefined,
+            conversationId: message.conversation ? message.conversation.toString() : undefined,
+            ...payload
+          });
+        }
+      } catch (error) {
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to delete message' });
       }
     });
 
     // Handle typing indicators
+    const typingRoom = ({ conversationId, applicationId } = {}) => (
+      conversationId ? `conversation_${conversationId}` : `application_${applicationId}`
+    );
+
     socket.on('typing_start', (data) => {
-      const { applicationId } = data;
-      socket.to(`application_${applicationId}`).emit('user_typing', {
+      socket.to(typingRoom(data)).emit('user_typing', {
         userId: socket.userId,
+        conversationId: data?.conversationId,
+        applicationId: data?.applicationId,
         isTyping: true
       });
     });
 
     socket.on('typing_stop', (data) => {
-      const { applicationId } = data;
-      socket.to(`application_${applicationId}`).emit('user_typing', {
+      socket.to(typingRoom(data)).emit('user_typing', {
         userId: socket.userId,
+        conversationId: data?.conversationId,
+        applicationId: data?.applicationId,
         isTyping: false
       });
     });
@@ -188,25 +259,17 @@ const setupChatSocket = (io) => {
     // Handle message read status
     socket.on('mark_messages_read', async (data) => {
       try {
-        const { applicationId } = data;
-
-        await Message.updateMany(
-          {
-            application: applicationId,
-            receiver: socket.userId,
-            isRead: false
-          },
-          {
-            isRead: true,
-            readAt: new Date()
-          }
+        const { conversationId, applicationId, upTo } = data;
+
+        const { conversation } = await ConversationService.resolve(conversationId || applicationId, socket.userId);
+        const receipts = await MessageService.markRead(
+          ConversationService.messageFilter(conversation),
+          socket.userId,
+          upTo
         );
 
         // Notify sender that messages were read
-        socket.to(`application_${applicationId}`).emit('messages_read', {
-          userId: socket.userId,
-          applicationId
-        });
+        MessageService.emitReceipts(io, 'messages_read', receipts, socket.userId);
       } catch (error) {
         console.error('Mark messages read error:', error);
       }
@@ -248,12 +311,6 @@ const setupChatSocket = (io) => {
     });
   });
 
-  // Helper function to find user socket
-  const findUserSocket = async (userId) => {
-    const sockets = await io.fetchSockets();
-    return sockets.find(socket => socket.userId === userId);
-  };
-
   // Job event emitters
   const emitJobCreated = async (job) => {
     try {
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
 
 const setupNotificationSocket = (io) => {
   // Authentication middleware for socket connections
@@ -18,8 +19,15 @@ const setupNotificationSocket = (io) => {
         return next(new Error('Authentication error: User not found'));
       }
 
+      if (!(await SessionService.isTokenActive(decoded, user))) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
+
       socket.userId = user._id.toString();
       socket.userRole = user.role;
+      socket.sessionId = decoded.sid;
+      // Lets SessionService disconnect this socket when the session is revoked
+      if (decoded.sid) socket.join(`session:${decoded.sid}`);
       
       // Detect platform (mobile app vs website)
       const { isMobileApp } = require('../utils/notificationHelper');
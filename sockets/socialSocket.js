@@ -1,11 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Share = require('../models/Share');
 const JobApplication = require('../models/JobApplication');
 const Teacher = require('../models/Teacher');
 const School = require('../models/School');
+const ApplicationStatusService = require('../services/applicationStatusService');
 
 // Socket.io middleware for authentication
 const authenticateSocket = async (socket, next) => {
@@ -23,8 +25,15 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error: User not found'));
     }
 
+    if (!(await SessionService.isTokenActive(decoded, user))) {
+      return next(new Error('Authentication error: Session revoked'));
+    }
+
     socket.userId = user._id.toString();
     socket.userRole = user.role;
+    socket.sessionId = decoded.sid;
+    // Lets SessionService disconnect this socket when the session is revoked
+    if (decoded.sid) socket.join(`session:${decoded.sid}`);
     
     // Detect platform (mobile app vs website)
     const { isMobileApp } = require('../utils/notificationHelper');
@@ -262,43 +271,40 @@ const setupSocialSocket = (io) => {
 
     socket.on('application_status_updated', async (data) => {
       try {
-        const { applicationId, newStatus } = data;
+        const { applicationId, newStatus, reason } = data;
         
-        // Find the application and update status
         const application = await JobApplication.findById(applicationId)
-          .populate('school', 'schoolName')
-          .populate('applicant', 'email role');
+          .populate('school', 'schoolName user');
         
         if (!application) {
           return socket.emit('error', { message: 'Application not found' });
         }
+
+        // Only the owning school (or an admin) may move an application along
+        const isSchoolOwner = application.school?.user?.toString() === socket.userId;
+        if (!isSchoolOwner && socket.userRole !== 'admin') {
+          return socket.emit('error', { message: 'Not authorized to update this application' });
+        }
         
-        // Update the application status
-        application.status = newStatus;
-        application.reviewedAt = new Date();
-        application.reviewedBy = socket.userId;
-        await application.save();
-        
-        // Emit to the school's applications room
-        socket.to(`school_applications:${application.school._id}`).emit('application_updated', {
-          applicationId,
-          status: newStatus,
-          reviewedAt: application.reviewedAt,
-          applicant: application.applicant.email
+        // Validates the transition, records history and sends notifications
+        const updated = await ApplicationStatusService.changeStatus(application, newStatus, {
+          user: { id: socket.userId, role: socket.userRole },
+          reason,
+          io
         });
         
         // Also emit to the applicant if they're online
-        socket.to(`user:${application.applicant._id}`).emit('application_status_changed', {
+        socket.to(`user:${updated.applicant}`).emit('application_status_changed', {
           applicationId,
-          status: newStatus,
+          status: updated.status,
           school: application.school.schoolName,
-          reviewedAt: application.reviewedAt
+          reviewedAt: updated.reviewedAt
         });
         
         console.log(`Application ${applicationId} status updated to ${newStatus}`);
       } catch (error) {
         console.error('Error updating application status:', error);
-        socket.emit('error', { message: 'Failed to update application status' });
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to update application status' });
       }
     });
 
@@ -0,0 +1,490 @@
+// Named email templates
+// Each template lists the variables it needs and renders { subject, html, text }.
+// Variables named in `secrets` hold one-time links and are kept out of the outbox.
+// Values are escaped here, so callers pass raw names, titles and message text.
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+const formatTime = (value) => new Date(value).toLocaleTimeString();
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const DEFAULT_FOOTER = 'This is an automated message from Teachers Link. Please do not reply to this email.';
+
+// Shared wrapper: heading, body, optional call-to-action button and footer
+const layout = ({ heading, body, button, footer = escapeHtml(DEFAULT_FOOTER) }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        ${body}
+        ${button ? `
+        <div style="margin-top: 30px; text-align: center;">
+          <a href="${escapeHtml(button.url)}"
+             style="background-color: ${button.color || '#007bff'}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            ${escapeHtml(button.label)}
+          </a>
+        </div>` : ''}
+
+        <p style="margin-top: 30px; font-size: 12px; color: #666;">
+          ${footer}
+        </p>
+      </div>
+    `;
+
+const detailsBox = (title, rows) => `
+        <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3 style="color: #555; margin-top: 0;">${title}</h3>
+          ${rows.filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`).join('\n          ')}
+        </div>`;
+
+// Plain-text fallback for templates that don't write their own
+const htmlToText = (html) => html
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label.trim()}: ${href}`)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|h[1-6]|li|div)>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map(line => line.trim())
+  .filter((line, index, lines) => line || (index > 0 && lines[index - 1]))
+  .join('\n')
+  .trim();
+
+const STATUS_MESSAGES = {
+  'under-review': 'Your application is now under review',
+  'shortlisted': 'Congratulations! You have been shortlisted',
+  'interview-scheduled': 'An interview has been scheduled',
+  'interviewed': 'Thank you for completing the interview',
+  'accepted': 'Congratulations! Your application has been accepted',
+  'hired': 'Congratulations! You have been hired',
+  'rejected': 'Thank you for your interest, but your application was not selected'
+};
+
+// Heading and sentence for each interview_update event
+const INTERVIEW_UPDATES = {
+  reschedule_requested: {
+    title: 'New Interview Time Requested',
+    message: (v) => `${v.candidateName || 'The candidate'} asked for a different time for the ${v.jobTitle} interview.`
+  },
+  declined: {
+    title: 'Interview Declined',
+    message: (v) => `${v.candidateName || 'The candidate'} declined the interview for ${v.jobTitle}.`
+  },
+  cancelled: {
+    title: 'Interview Cancelled',
+    message: (v) => `${v.schoolName} cancelled the interview for ${v.jobTitle}. The calendar event has been removed.`
+  }
+};
+
+const TEMPLATES = {
+  application_received: {
+    description: 'A school receives a new job application',
+    variables: ['schoolName', 'jobTitle', 'applicantEmail', 'appliedAt', 'applicationsUrl'],
+    subject: (v) => `New Application for ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: 'New Job Application',
+      body: `
+        <p>Hello ${escapeHtml(v.schoolName)},</p>
+        <p>You have received a new application for the position: <strong>${escapeHtml(v.jobTitle)}</strong></p>
+        ${detailsBox('Application Details', [
+          ['Applicant', v.applicantEmail],
+          ['Position', v.jobTitle],
+          ['Department', v.department],
+          ['Applied', formatDate(v.appliedAt)]
+        ])}
+        <p>Please log in to your dashboard to review the application and take further action.</p>`,
+      button: { url: v.applicationsUrl, label: 'View Application' }
+    })
+  },
+
+  application_status: {
+    description: 'A teacher\'s application changes status',
+    variables: ['jobTitle', 'schoolName', 'status', 'applicationsUrl'],
+    subject: (v) => `Application Update: ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: 'Application Status Update',
+      body: `
+        <p>Hello,</p>
+        <p>${escapeHtml(STATUS_MESSAGES[v.status] || 'Your application has been updated')} for the position: <strong>${escapeHtml(v.jobTitle)}</strong> at <strong>${escapeHtml(v.schoolName)}</strong></p>
+        ${detailsBox('Application Details', [
+          ['Position', v.jobTitle],
+          ['School', v.schoolName],
+          ['Status', v.status.replace(/-/g, ' ').toUpperCase()],
+          ['Updated', formatDate(v.updatedAt || new Date())]
+        ])}
+        <p>Please log in to your dashboard for more details and next steps.</p>`,
+      button: { url: v.applicationsUrl, label: 'View Application' }
+    })
+  },
+
+  interview_invitation: {
+    description: 'A teacher is invited to pick one of the proposed interview slots',
+    variables: ['jobTitle', 'schoolName', 'slots', 'interviewType', 'respondUrl'],
+    subject: (v) => `Interview Invitation: ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: 'Interview Invitation',
+      body: `
+        <p>Hello,</p>
+        <p>${escapeHtml(v.schoolName)} would like to interview you for the position: <strong>${escapeHtml(v.jobTitle)}</strong></p>
+        ${detailsBox('Interview Details', [
+          ['Type', v.interviewType],
+          ['Duration', v.durationMinutes ? `${v.durationMinutes} minutes` : undefined],
+          ['Location', v.location],
+          ['Notes', v.notes]
+        ])}
+        <p>Please choose one of these times, or suggest others if none of them work for you:</p>
+        <ul>
+          ${v.slots.map(slot => `
+          <li>${escapeHtml(formatDate(slot.start))} at ${escapeHtml(formatTime(slot.start))}</li>`).join('')}
+        </ul>`,
+      button: { url: v.respondUrl, label: 'Choose a Time' }
+    })
+  },
+
+  interview_confirmed: {
+    description: 'An interview time is confirmed (sent to the teacher, school and panel with a calendar invitation)',
+    variables: ['jobTitle', 'schoolName', 'scheduledAt', 'interviewType', 'detailsUrl'],
+    subject: (v) => `${v.updated ? 'Interview Updated' : 'Interview Confirmed'}: ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: v.updated ? 'Interview Updated' : 'Interview Confirmed',
+      body: `
+        <p>Hello${v.recipientName ? ` ${escapeHtml(v.recipientName)}` : ''},</p>
+        <p>The interview for <strong>${escapeHtml(v.jobTitle)}</strong> at ${escapeHtml(v.schoolName)} is ${v.updated ? 'updated' : 'confirmed'}. The calendar invitation is attached.</p>
+        ${detailsBox('Interview Details', [
+          ['Candidate', v.candidateName],
+          ['Date', formatDate(v.scheduledAt)],
+          ['Time', formatTime(v.scheduledAt)],
+          ['Duration', v.durationMinutes ? `${v.durationMinutes} minutes` : undefined],
+          ['Type', v.interviewType],
+          ['Location', v.location],
+          ['Meeting link', v.meetingLink],
+          ['Panel', v.panelNames]
+        ])}
+        ${v.feedbackUrl ? `<p>After the interview, please <a href="${escapeHtml(v.feedbackUrl)}">submit your feedback</a>.</p>` : ''}`,
+      button: { url: v.detailsUrl, label: 'View Interview' }
+    })
+  },
+
+  interview_update: {
+    description: 'An interview is declined, cancelled or needs a new time',
+    variables: ['event', 'jobTitle', 'schoolName', 'detailsUrl'],
+    subject: (v) => `${INTERVIEW_UPDATES[v.event].title}: ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: INTERVIEW_UPDATES[v.event].title,
+      body: `
+        <p>Hello,</p>
+        <p>${escapeHtml(INTERVIEW_UPDATES[v.event].message(v))}</p>
+        ${v.reason ? `<p><strong>Reason:</strong> ${escapeHtml(v.reason)}</p>` : ''}
+        ${v.slots && v.slots.length > 0 ? `
+        <p>Suggested times:</p>
+        <ul>
+          ${v.slots.map(slot => `
+          <li>${escapeHtml(formatDate(slot.start))} at ${escapeHtml(formatTime(slot.start))}</li>`).join('')}
+        </ul>` : ''}`,
+      button: { url: v.detailsUrl, label: 'View Interview' }
+    })
+  },
+
+  interview_reminder: {
+    description: 'A teacher or interviewer is reminded of an upcoming interview',
+    variables: ['jobTitle', 'schoolName', 'scheduledDate', 'applicationUrl'],
+    subject: (v) => `Interview Reminder: ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: 'Interview Reminder',
+      body: `
+        <p>Hello,</p>
+        <p>This is a reminder about your upcoming interview for the position: <strong>${escapeHtml(v.jobTitle)}</strong></p>
+        ${detailsBox('Interview Details', [
+          ['Position', v.jobTitle],
+          ['School', v.schoolName],
+          ['Candidate', v.candidateName],
+          ['Date', formatDate(v.scheduledDate)],
+          ['Time', formatTime(v.scheduledDate)],
+          ['Type', v.interviewType],
+          ['Location', v.location],
+          ['Meeting link', v.meetingLink]
+        ])}
+        <p>Please prepare for the interview and arrive on time.${v.candidateName ? '' : ' Good luck!'}</p>`,
+      button: { url: v.applicationUrl, label: v.candidateName ? 'View Interview' : 'View Application' }
+    })
+  },
+
+  interview_feedback_request: {
+    description: 'An interviewer is asked for feedback after the interview',
+    variables: ['jobTitle', 'candidateName', 'scheduledAt', 'feedbackUrl'],
+    secrets: ['feedbackUrl'],
+    subject: (v) => `Interview Feedback: ${v.candidateName} for ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: 'How did the interview go?',
+      body: `
+        <p>Hello${v.recipientName ? ` ${escapeHtml(v.recipientName)}` : ''},</p>
+        <p>Please score ${escapeHtml(v.candidateName)}'s interview for <strong>${escapeHtml(v.jobTitle)}</strong>
+          on ${escapeHtml(formatDate(v.scheduledAt))}. It only takes a couple of minutes.</p>`,
+      button: { url: v.feedbackUrl, label: 'Submit Feedback' }
+    })
+  },
+
+  password_reset: {
+    description: 'A user asks to reset their password',
+    variables: ['resetUrl', 'expiresInMinutes'],
+    secrets: ['resetUrl'],
+    subject: () => 'Password Reset Request - Teachers Link',
+    html: (v) => layout({
+      heading: 'Password Reset Request',
+      body: `
+        <p>You requested a password reset for your Teachers Link account.</p>
+        <p>Click the button below to reset your password. This link will expire in ${escapeHtml(v.expiresInMinutes)} minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>`,
+      button: { url: v.resetUrl, label: 'Reset Password', color: '#0A66C2' }
+    })
+  },
+
+  email_verification: {
+    description: 'A new account confirms its email address',
+    variables: ['email', 'verifyUrl', 'expiresIn'],
+    secrets: ['verifyUrl'],
+    subject: () => 'Verify your email for Teachers Link',
+    html: (v) => layout({
+      heading: 'Verify Your Email',
+      body: `
+        <p>Hello,</p>
+        <p>Please confirm that <strong>${escapeHtml(v.email)}</strong> is your email address to finish setting up your Teachers Link account.</p>
+        <p>This link expires in ${escapeHtml(v.expiresIn)}. If you didn't create an account, you can ignore this email.</p>`,
+      button: { url: v.verifyUrl, label: 'Verify Email' }
+    })
+  },
+
+  job_reminder: {
+    description: 'A school is reminded about a job posting nearing its deadline',
+    variables: ['jobTitle', 'status', 'jobUrl'],
+    subject: (v) => `Job Posting Reminder: ${v.jobTitle}`,
+    html: (v) => layout({
+      heading: 'Job Posting Reminder',
+      body: `
+        <p>Hello,</p>
+        <p>This is a reminder about your job posting: <strong>${escapeHtml(v.jobTitle)}</strong></p>
+        ${detailsBox('Job Details', [
+          ['Title', v.jobTitle],
+          ['Department', v.department],
+          ['Status', v.status],
+          ['Views', v.views],
+          ['Applications', v.applications],
+          ['Expires', v.expiresAt ? formatDate(v.expiresAt) : undefined]
+        ])}
+        <p>Consider promoting your job posting or extending the deadline if needed.</p>`,
+      button: { url: v.jobUrl, label: 'Manage Job Posting' }
+    })
+  },
+
+  job_alert: {
+    description: 'Teachers hear about a newly posted job (from a saved job alert when alertName is set)',
+    variables: ['jobTitle', 'schoolName', 'jobUrl'],
+    subject: (v) => (v.alertName
+      ? `Job alert "${v.alertName}": ${v.jobTitle}`
+      : `New Job Opportunity: ${v.jobTitle}`),
+    html: (v) => layout({
+      heading: 'New Job Opportunity',
+      body: `
+        <p>Hello,</p>
+        <p>${v.alertName
+          ? `A new teaching position matches your job alert <strong>${escapeHtml(v.alertName)}</strong>!`
+          : 'A new teaching position has been posted that might interest you!'}</p>
+        ${detailsBox('Job Details', [
+          ['Title', v.jobTitle],
+          ['School', v.schoolName],
+          ['Department', v.department],
+          ['Type', v.employmentType],
+          ['Location', v.location],
+          ['Deadline', v.applicationDeadline ? formatDate(v.applicationDeadline) : undefined]
+        ])}
+        ${v.description ? `
+        <div style="margin: 20px 0;">
+          <p><strong>Description:</strong></p>
+          <p>${escapeHtml(v.description.substring(0, 200))}...</p>
+        </div>` : ''}`,
+      button: { url: v.jobUrl, label: 'View Job Details', color: '#28a745' },
+      footer: v.manageUrl
+        ? `You are receiving this because you saved a job alert on Teachers Link.
+          <a href="${escapeHtml(v.manageUrl)}">Manage your job alerts</a>`
+        : 'This is an automated message from Teachers Link. You can unsubscribe from job alerts in your profile settings.'
+    })
+  },
+
+  job_alert_digest: {
+    description: 'Daily or weekly list of new jobs matching a teacher\'s saved job alerts',
+    variables: ['frequency', 'total', 'sections', 'manageUrl', 'frontendUrl'],
+    subject: (v) => `${plural(v.total, 'new job')} match your Teachers Link job alerts`,
+    html: (v) => layout({
+      heading: `Your ${v.frequency === 'weekly' ? 'Weekly' : 'Daily'} Job Alerts`,
+      body: `
+        <p>Hello,</p>
+        <p>These jobs were posted in the last ${v.frequency === 'weekly' ? 'week' : 'day'} and match your saved searches.</p>
+        ${v.sections.map(section => `
+        <h3 style="color: #555;">${escapeHtml(section.alertName)} (${section.total})</h3>
+        <ul>
+          ${section.jobs.map(job => `
+          <li>
+            <a href="${v.frontendUrl}/jobs/${job.jobId}">${escapeHtml(job.jobTitle)}</a>${job.schoolName ? ` at ${escapeHtml(job.schoolName)}` : ''}
+            ${job.city ? `<br><span style="color: #666;">${escapeHtml(job.city)}${job.employmentType ? `, ${escapeHtml(job.employmentType)}` : ''}</span>` : ''}
+          </li>`).join('')}
+        </ul>
+        ${section.total > section.jobs.length ? `<p>...and ${plural(section.total - section.jobs.length, 'more job')}.</p>` : ''}`).join('')}`,
+      button: { url: `${v.frontendUrl}/jobs`, label: 'Browse Jobs', color: '#28a745' },
+      footer: `You are receiving this because you saved ${escapeHtml(v.frequency)} job alerts on Teachers Link.
+        <a href="${escapeHtml(v.manageUrl)}">Manage your job alerts</a>`
+    })
+  },
+
+  subscription_renewal: {
+    description: 'A school or teacher plan is about to expire',
+    variables: ['planName', 'daysLeft', 'expiresAt', 'role', 'renewUrl'],
+    subject: (v) => `Your ${v.planName} plan expires in ${plural(v.daysLeft, 'day')}`,
+    html: (v) => layout({
+      heading: 'Renew Your Plan',
+      body: `
+        <p>Hello,</p>
+        <p>Your <strong>${escapeHtml(v.planName)}</strong> plan expires in <strong>${plural(v.daysLeft, 'day')}</strong>.</p>
+        ${detailsBox('Plan Details', [
+          ['Plan', v.planName],
+          ['Expires On', formatDate(v.expiresAt)]
+        ])}
+        <p>Renew now to keep uninterrupted access to all ${v.role === 'school' ? 'hiring' : 'job search'} features.</p>`,
+      button: { url: v.renewUrl, label: 'Renew Plan' }
+    })
+  },
+
+  notification_digest: {
+    description: 'Daily or weekly summary of unread notifications',
+    variables: ['frequency', 'total', 'sections', 'role', 'unsubscribeUrl', 'frontendUrl'],
+    subject: (v) => `Your Teachers Link ${v.frequency} digest: ${plural(v.total, 'update')}`,
+    html: (v) => {
+      const { sections, frontendUrl: frontend } = v;
+      const period = v.frequency === 'weekly' ? 'week' : 'day';
+      const blocks = [];
+
+      if (sections.applications.length > 0) {
+        blocks.push(`
+        <h3 style="color: #555;">New Applications</h3>
+        <ul>
+          ${sections.applications.map(group => `
+          <li><strong>${escapeHtml(group.jobTitle)}</strong>: ${plural(group.items.length, 'new application')}</li>`).join('')}
+        </ul>
+        <p><a href="${frontend}/school/applications">Review applications</a></p>`);
+      }
+
+      if (sections.conversations.length > 0) {
+        blocks.push(`
+        <h3 style="color: #555;">Unread Messages</h3>
+        <ul>
+          ${sections.conversations.map(group => `
+          <li>
+            <strong>${escapeHtml(group.title)}</strong>${group.jobTitle ? ` (${escapeHtml(group.jobTitle)})` : ''}: ${plural(group.items.length, 'message')}
+            <br><span style="color: #666;">"${escapeHtml(group.items[0].message)}"</span>
+          </li>`).join('')}
+        </ul>
+        <p><a href="${frontend}/${v.role}/messages">Open messages</a></p>`);
+      }
+
+      if (sections.jobs.length > 0) {
+        blocks.push(`
+        <h3 style="color: #555;">New Jobs For You</h3>
+        <ul>
+          ${sections.jobs.map(job => `
+          <li><a href="${frontend}/jobs/${job.jobId}">${escapeHtml(job.jobTitle)}</a>${job.schoolName ? ` at ${escapeHtml(job.schoolName)}` : ''}</li>`).join('')}
+        </ul>`);
+      }
+
+      if (sections.other.length > 0) {
+        blocks.push(`
+        <h3 style="color: #555;">Other Updates</h3>
+        <ul>
+          ${sections.other.map(notification => `
+          <li><strong>${escapeHtml(notification.title)}</strong><br><span style="color: #666;">${escapeHtml(notification.message)}</span></li>`).join('')}
+        </ul>`);
+      }
+
+      const shown = sections.applications.reduce((sum, group) => sum + group.items.length, 0) +
+        sections.conversations.reduce((sum, group) => sum + group.items.length, 0) +
+        sections.jobs.length + sections.other.length;
+      const more = v.total - shown;
+
+      return layout({
+        heading: `Your ${v.frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest`,
+        body: `
+        <p>Hello,</p>
+        <p>Here is what happened on Teachers Link in the last ${period}.</p>
+        ${blocks.join('')}
+        ${more > 0 ? `<p>...and ${plural(more, 'more update')}.</p>` : ''}`,
+        button: { url: `${frontend}/notifications`, label: 'View All Notifications' },
+        footer: `You are receiving this because you turned on ${escapeHtml(v.frequency)} digests.
+          <a href="${escapeHtml(v.unsubscribeUrl)}">Unsubscribe from digests</a>`
+      });
+    }
+  }
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} variables - Template variables
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (name, variables = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    const error = new Error(`Unknown email template ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const missing = template.variables.filter(key => variables[key] === undefined || variables[key] === null);
+  if (missing.length > 0) {
+    const error = new Error(`Email template ${name} is missing variables: ${missing.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const html = template.html(variables);
+  return {
+    subject: template.subject(variables),
+    html,
+    text: template.text ? template.text(variables) : htmlToText(html)
+  };
+};
+
+// Templates carrying one-time links (listed in `secrets`); their bodies are never stored
+const isSensitive = (name) => Boolean(TEMPLATES[name] && TEMPLATES[name].secrets);
+
+// Copy of the variables with the one-time links blanked out, safe to keep in the outbox
+const redact = (name, variables = {}) => {
+  const redacted = { ...variables };
+  ((TEMPLATES[name] && TEMPLATES[name].secrets) || []).forEach(key => {
+    if (redacted[key] !== undefined) redacted[key] = '[redacted]';
+  });
+  return redacted;
+};
+
+// Template names, descriptions and required variables (for the admin API)
+const list = () => Object.keys(TEMPLATES).map(name => ({
+  name,
+  description: TEMPLATES[name].description,
+  variables: TEMPLATES[name].variables,
+  sensitive: isSensitive(name)
+}));
+
+module.exports = {
+  TEMPLATES,
+  render,
+  list,
+  isSensitive,
+  redact,
+  escapeHtml
+};
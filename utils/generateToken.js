@@ -10,16 +10,24 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+// Refresh tokens carry type 'refresh' so they are never accepted as access tokens
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+  return jwt.sign({ ...payload, type: 'refresh' }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
   });
 };
 
+const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+  if (decoded.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Not a refresh token');
+  }
+  return decoded;
+};
+
 module.exports = {
   generateToken,
   verifyToken,
-  generateRefreshToken
+  generateRefreshToken,
+  verifyRefreshToken
 };
-
-
@@ -0,0 +1,131 @@
+/**
+ * Offline geocoding for Indian addresses
+ * Pincodes and place names resolve to coordinates from the bundled dataset
+ * (data/pincodes.json); nothing is sent to an external geocoding service.
+ * Coordinates are GeoJSON order: [longitude, latitude].
+ */
+
+// Radius used by MongoDB for $centerSphere
+const EARTH_RADIUS_KM = 6378.1;
+
+const PINCODE_REGEX = /^[1-9][0-9]{5}$/;
+const LAT_LNG_REGEX = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+let dataset;
+
+// Loaded on first use; pincodes missing from the file fall back to the centre of
+// the others sharing their first three digits (the sorting district)
+const getDataset = () => {
+  if (!dataset) {
+    const { pincodes, places } = require('../data/pincodes.json');
+    const sums = {};
+    Object.keys(pincodes).forEach(pincode => {
+      const prefix = pincode.slice(0, 3);
+      const sum = sums[prefix] || (sums[prefix] = { lat: 0, lng: 0, count: 0 });
+      sum.lat += pincodes[pincode][0];
+      sum.lng += pincodes[pincode][1];
+      sum.count += 1;
+    });
+    const districts = {};
+    Object.keys(sums).forEach(prefix => {
+      districts[prefix] = [sums[prefix].lat / sums[prefix].count, sums[prefix].lng / sums[prefix].count];
+    });
+    dataset = { pincodes, places, districts };
+  }
+  return dataset;
+};
+
+const normalizePlace = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\((w|west)\)/g, ' west')
+  .replace(/\((e|east)\)/g, ' east')
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const toPoint = ([lat, lng], source) => ({ coordinates: [lng, lat], source });
+
+/**
+ * Coordinates for a pincode
+ * @param {string} pincode - Six digit Indian pincode
+ * @returns {Object|null} - { coordinates, source: 'pincode' | 'district' }
+ */
+const lookupPincode = (pincode) => {
+  const value = String(pincode || '').replace(/\s/g, '');
+  if (!PINCODE_REGEX.test(value)) return null;
+
+  const { pincodes, districts } = getDataset();
+  if (pincodes[value]) return toPoint(pincodes[value], 'pincode');
+  if (districts[value.slice(0, 3)]) return toPoint(districts[value.slice(0, 3)], 'district');
+  return null;
+};
+
+/**
+ * Coordinates for a city or locality name ("Andheri West", "Bengaluru")
+ * @param {string} name
+ * @returns {Object|null} - { coordinates, source: 'place' }
+ */
+const lookupPlace = (name) => {
+  const { pincodes, places } = getDataset();
+  const pincode = places[normalizePlace(name)];
+  return pincode && pincodes[pincode] ? toPoint(pincodes[pincode], 'place') : null;
+};
+
+/**
+ * Locate an address: exact pincode first, then a locality in the street address,
+ * then the city, then the pincode's sorting district
+ * @param {Object} address - { pincode, address, city }
+ * @returns {Object|null} - { type: 'Point', coordinates, source }
+ */
+const geocode = ({ pincode, address, city } = {}) => {
+  const byPincode = lookupPincode(pincode);
+  const localities = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+  const point = (byPincode && byPincode.source === 'pincode' && byPincode) ||
+    localities.map(lookupPlace).find(Boolean) ||
+    lookupPlace(city) ||
+    byPincode;
+
+  return point ? { type: 'Point', ...point } : null;
+};
+
+/**
+ * Parse a `near` search parameter: "lat,lng", a pincode or a place name
+ * @param {string} value
+ * @returns {Object|null} - { coordinates, source }, null when it can't be placed
+ */
+const parseNear = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const match = text.match(LAT_LNG_REGEX);
+  if (match) {
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+    return { coordinates: [lng, lat], source: 'coordinates' };
+  }
+
+  return lookupPincode(text) || lookupPlace(text);
+};
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ * @returns {number} - Kilometres
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  lookupPincode,
+  lookupPlace,
+  geocode,
+  parseNear,
+  distanceKm
+};
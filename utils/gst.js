@@ -0,0 +1,117 @@
+/**
+ * GST helpers for invoicing
+ * Intra-state supplies are taxed as CGST + SGST, inter-state supplies as IGST.
+ */
+
+// 15 characters: state code, PAN, entity number, 'Z', checksum
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state codes keyed by state / union territory name (lowercase)
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38'
+};
+
+// Common alternative spellings
+const STATE_ALIASES = {
+  'orissa': 'odisha',
+  'pondicherry': 'puducherry',
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'j&k': 'jammu and kashmir',
+  'jammu & kashmir': 'jammu and kashmir',
+  'andaman & nicobar islands': 'andaman and nicobar islands',
+  'uttaranchal': 'uttarakhand'
+};
+
+/**
+ * Check a GSTIN's format
+ * @param {string} gstin
+ * @returns {boolean}
+ */
+const isValidGstin = (gstin) => GSTIN_REGEX.test((gstin || '').toUpperCase());
+
+/**
+ * Resolve a GST state code from a state name
+ * @param {string} state - State or union territory name
+ * @returns {string|null} - Two digit state code
+ */
+const getStateCode = (state) => {
+  if (!state) return null;
+  const name = state.trim().toLowerCase();
+  return STATE_CODES[STATE_ALIASES[name] || name] || null;
+};
+
+/**
+ * Resolve a buyer's state code, preferring the GSTIN over the address
+ * @param {string} gstin
+ * @param {string} state
+ * @returns {string|null}
+ */
+const resolveStateCode = (gstin, state) => {
+  if (gstin && isValidGstin(gstin)) return gstin.slice(0, 2);
+  return getStateCode(state);
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax components
+ * All amounts are in paise so rounding never loses a paisa.
+ * @param {number} totalPaise - Amount actually charged (tax inclusive)
+ * @param {number} ratePercent - GST rate, e.g. 18
+ * @param {boolean} intraState - Seller and buyer in the same state
+ * @returns {Object} - { taxable, cgst, sgst, igst, totalTax, total }
+ */
+const splitGst = (totalPaise, ratePercent, intraState) => {
+  const taxable = Math.round((totalPaise * 100) / (100 + ratePercent));
+  const totalTax = totalPaise - taxable;
+
+  if (intraState) {
+    const cgst = Math.floor(totalTax / 2);
+    return { taxable, cgst, sgst: totalTax - cgst, igst: 0, totalTax, total: totalPaise };
+  }
+
+  return { taxable, cgst: 0, sgst: 0, igst: totalTax, totalTax, total: totalPaise };
+};
+
+module.exports = {
+  GSTIN_REGEX,
+  STATE_CODES,
+  isValidGstin,
+  getStateCode,
+  resolveStateCode,
+  splitGst
+};
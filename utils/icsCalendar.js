@@ -0,0 +1,141 @@
+// iCalendar (RFC 5545) events for calendar invitations sent by email
+// METHOD:REQUEST adds or updates the event in the recipient's calendar (matched by UID,
+// newest SEQUENCE wins); METHOD:CANCEL removes it.
+
+const PRODUCT_ID = '-//Teachers Link//Interviews//EN';
+
+// 20261019T093000Z
+const formatUtc = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const person = (property, { name, email }, params = []) => {
+  const cn = name ? [`CN="${String(name).replace(/"/g, '\'')}"`] : [];
+  return `${[property, ...cn, ...params].join(';')}:mailto:${email}`;
+};
+
+// VEVENT lines for one event
+const eventLines = ({
+  uid,
+  sequence = 0,
+  cancelled = false,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  alarms = []
+}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer && organizer.email) lines.push(person('ORGANIZER', organizer));
+  attendees.filter(attendee => attendee.email).forEach(attendee => {
+    lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=FALSE']));
+  });
+
+  if (!cancelled) {
+    alarms.forEach(minutes => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        `TRIGGER:-PT${minutes}M`,
+        'END:VALARM'
+      );
+    });
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a calendar with any number of events (e.g. a subscription feed)
+ * @param {Object} calendar
+ * @param {string} calendar.method - PUBLISH (default), REQUEST or CANCEL
+ * @param {string} calendar.name - Shown by calendar apps for subscribed feeds
+ * @param {Object[]} calendar.events - Events as accepted by createEvent
+ * @returns {string} - text/calendar content
+ */
+const createCalendar = ({ method = 'PUBLISH', name, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(event => {
+    lines.push(...eventLines({ ...event, cancelled: method === 'CANCEL' || event.cancelled }));
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Build a calendar with one event
+ * @param {Object} event
+ * @param {string} event.uid - Stable ID shared by every update of the event
+ * @param {number} event.sequence - Revision, incremented on every change
+ * @param {string} event.method - REQUEST (default) or CANCEL
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} event.description
+ * @param {string} event.location
+ * @param {string} event.url
+ * @param {Object} event.organizer - { name, email }
+ * @param {Object[]} event.attendees - [{ name, email }]
+ * @param {number[]} event.alarms - Minutes before the start to show an alert
+ * @returns {string} - text/calendar content
+ */
+const createEvent = ({ method = 'REQUEST', ...event }) => createCalendar({ method, events: [event] });
+
+module.exports = {
+  createEvent,
+  createCalendar,
+  formatUtc,
+  escapeText
+};
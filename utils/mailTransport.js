@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports selected with EMAIL_TRANSPORT
+ * - smtp (default): EMAIL_HOST/EMAIL_PORT with EMAIL_USER/EMAIL_PASS (Gmail unless a host is set)
+ * - file: every message is written as JSON to EMAIL_FILE_DIR, nothing leaves the machine
+ * - json: messages are only rendered and returned (for scripts and tests)
+ */
+const TRANSPORTS = ['smtp', 'file', 'json'];
+
+let transport = null;
+
+const getTransportName = () => {
+  const name = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+  return TRANSPORTS.includes(name) ? name : 'smtp';
+};
+
+const getFileDir = () => path.resolve(process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'emails'));
+
+const createSmtpTransport = () => {
+  const user = process.env.EMAIL_USER || process.env.SMTP_USER;
+  const pass = process.env.EMAIL_PASS || process.env.SMTP_PASS;
+  const host = process.env.EMAIL_HOST || process.env.SMTP_HOST || 'smtp.gmail.com';
+  const port = String(process.env.EMAIL_PORT || process.env.SMTP_PORT || 587);
+
+  if (!user || !pass) {
+    console.warn('⚠️ EMAIL_USER/EMAIL_PASS are not set; outgoing emails will fail. Set EMAIL_TRANSPORT=file for local development.');
+  }
+
+  return nodemailer.createTransport({
+    host,
+    port: parseInt(port, 10),
+    secure: port === '465',
+    auth: { user, pass },
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 10000
+  });
+};
+
+// Renders the message with nodemailer's JSON transport and optionally writes it to disk
+const createJsonTransport = (writeToDisk) => {
+  const renderer = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: writeToDisk ? 'file' : 'json',
+    sendMail: async (mailOptions) => {
+      const info = await renderer.sendMail(mailOptions);
+      const recipients = [].concat(mailOptions.to || []);
+
+      if (writeToDisk) {
+        const dir = getFileDir();
+        await fs.promises.mkdir(dir, { recursive: true });
+        const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${id}.json`);
+        await fs.promises.writeFile(file, JSON.stringify(JSON.parse(info.message), null, 2));
+        info.path = file;
+      }
+
+      return { ...info, accepted: recipients, rejected: [] };
+    }
+  };
+};
+
+/**
+ * Shared transport for the configured EMAIL_TRANSPORT (built on first use)
+ * @returns {Object} - Object with an async sendMail(mailOptions)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = getTransportName();
+    transport = name === 'smtp' ? createSmtpTransport() : createJsonTransport(name === 'file');
+    console.log(`📧 Email transport: ${name}${name === 'file' ? ` (${getFileDir()})` : ''}`);
+  }
+  return transport;
+};
+
+// Drop the cached transport so the next send picks up changed settings
+const resetTransport = () => {
+  transport = null;
+};
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  getTransportName,
+  getFileDir,
+  resetTransport
+};
@@ -99,18 +99,29 @@ const emitNotification = async (io, userId, notification, options = {}) => {
     });
   }
 
+  // The recipient's preferences (and quiet hours) can mute any channel
+  const NotificationPreferenceService = require('../services/notificationPreferenceService');
+  const channels = await NotificationPreferenceService.getChannels(userId, notification.type)
+    .catch(() => ({ inApp: true, popup: true, push: true }));
+
   // Format notification with mobile detection
   // Create a mock socket object for formatting if mobile client detected
   const mockSocket = hasMobileClient ? { platform: 'mobile' } : null;
   const formatted = formatNotification(notification, mockSocket, options.forcePopup);
+  if (!channels.popup) {
+    delete formatted.showPopup;
+    delete formatted.popupPriority;
+  }
 
   // Emit to user's room (for in-app notifications)
-  io.to(userRoom).emit('new_notification', formatted);
+  if (channels.inApp) {
+    io.to(userRoom).emit('new_notification', formatted);
+  }
   
   // Send push notification (works even when app is closed)
   // Important notification types should always send push
   const importantTypes = ['shortlist', 'reject', 'interview', 'hired', 'message'];
-  const shouldSendPush = options.sendPush !== false && (
+  const shouldSendPush = channels.push && options.sendPush !== false && (
     options.sendPush === true || 
     importantTypes.includes(notification.type) ||
     options.forcePopup
@@ -157,6 +168,7 @@ const emitNotification = async (io, userId, notification, options = {}) => {
   
   console.log(`📱 Notification sent to user ${userId}`, {
     type: notification.type,
+    inApp: channels.inApp,
     showPopup: formatted.showPopup || false,
     platform: hasMobileClient ? 'mobile' : 'web',
     connected: room ? room.size > 0 : false,
@@ -34,7 +34,9 @@ const upload = multer({
 });
 
 // Upload to Cloudinary
-const uploadToCloudinary = async (file, folder = 'teacherslink') => {
+// options override the upload parameters, e.g. { type: 'authenticated' } for private files
+// (set a parameter to undefined to leave it out)
+const uploadToCloudinary = async (file, folder = 'teacherslink', options = {}) => {
   console.log('Uploading to Cloudinary:', {
     fileName: file.originalname,
     fileSize: file.size,
@@ -47,14 +49,18 @@ const uploadToCloudinary = async (file, folder = 'teacherslink') => {
     throw new Error('Cloudinary configuration missing. Please check environment variables.');
   }
 
+  const params = {
+    folder: folder,
+    resource_type: 'auto',
+    quality: 'auto',
+    fetch_format: 'auto',
+    ...options
+  };
+  Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: folder,
-        resource_type: 'auto',
-        quality: 'auto',
-        fetch_format: 'auto'
-      },
+      params,
       (error, result) => {
         if (error) {
           console.error('Cloudinary upload error:', error);
@@ -71,19 +77,29 @@ const uploadToCloudinary = async (file, folder = 'teacherslink') => {
 };
 
 // Delete from Cloudinary
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, options = {}) => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, options);
     return result;
   } catch (error) {
     throw error;
   }
 };
 
+// Time-limited download link for a private (authenticated) file
+const getPrivateDownloadUrl = (publicId, { format = '', resourceType = 'image', expiresAt } = {}) => {
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type: 'authenticated',
+    expires_at: Math.floor(expiresAt.getTime() / 1000)
+  });
+};
+
 module.exports = {
   upload,
   uploadToCloudinary,
-  deleteFromCloudinary
+  deleteFromCloudinary,
+  getPrivateDownloadUrl
 };
 
 